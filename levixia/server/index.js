@@ -9,36 +9,60 @@ require('dotenv').config({ path: path.join(__dirname, '.env') });
 
 const express = require('express');
 const cors = require('cors');
-const aiRoutes = require('./routes/aiRoutes');
+const { api, deprecatedAlias } = require('./routes');
+const geminiService = require('./services/geminiService');
+const requestContext = require('./services/requestContext');
+const { bodyErrorHandler } = require('./services/requestValidator');
+const { API_PREFIX, LEGACY_PREFIX } = require('./services/apiVersioning');
+const metrics = require('./services/metrics');
+const jobQueue = require('./services/jobQueue');
+const { attachLiveWriting, LIVE_WRITING_PATH } = require('./services/liveWritingSocket');
+const logger = require('./services/logger');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(metrics.middleware);
+app.use(cors({ exposedHeaders: ['X-Request-Id', 'Deprecation', 'Link', 'Sunset', 'Location'] }));
+app.use(express.json({ limit: process.env.MAX_BODY_SIZE || '1mb' }));
+app.use(bodyErrorHandler);
+app.use(requestContext.middleware);
 
-// Logging middleware
+// Request log: one line per request when it ends, with its request id and user
 app.use((req, res, next) => {
-  console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+  const start = Date.now();
+  const { method, path: requestPath } = req;
+  const context = requestContext.get();
+
+  res.once('close', () => {
+    const status = res.writableFinished ? res.statusCode : 499;
+    logger.log(status >= 500 ? 'error' : 'info', `${method} ${requestPath} ${status}`, {
+      requestId: context.requestId,
+      userId: context.userId,
+      method,
+      path: requestPath,
+      status,
+      durationMs: Date.now() - start
+    });
+  });
   next();
 });
 
-// Health check
-app.get('/api/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString() });
+// Prometheus metrics (scraped, not part of the versioned API)
+app.get('/api/metrics', (req, res) => {
+  res.type(metrics.contentType).send(metrics.format());
 });
 
-// AI Routes
-app.use('/api/ai', aiRoutes);
+// API Routes (see routes/index.js for the route groups and which need a session)
+app.use(API_PREFIX, api);
 
-// Assistant Routes
-const assistantRoutes = require('./routes/assistantRoutes');
-app.use('/api/assistant', assistantRoutes);
+// Unversioned API paths, kept for existing clients with deprecation headers
+app.use(LEGACY_PREFIX, deprecatedAlias());
 
 // Error handling
 app.use((err, req, res, next) => {
-  console.error('Server error:', err);
+  logger.error('Server error', { error: err });
   res.status(500).json({ 
     error: 'Internal server error',
     message: err.message 
@@ -46,15 +70,22 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Backend server running on http://localhost:${PORT}`);
-  console.log(`📡 AI endpoints available at /api/ai/*`);
+const server = app.listen(PORT, () => {
+  logger.info(`🚀 Backend server running on http://localhost:${PORT}`);
+  logger.info(`📡 API available at ${API_PREFIX}/* (reference at ${API_PREFIX}/docs)`);
+  logger.info(`✍️ Live writing assistance at ws://localhost:${PORT}${LIVE_WRITING_PATH}`);
+  jobQueue.start();
   
-  if (!process.env.GOOGLE_API_KEY) {
-    console.warn('⚠️  GOOGLE_API_KEY not set. AI features will fail.');
+  if (geminiService.getProviderName() === 'local') {
+    logger.info('🧩 Using local rule-based LLM provider (offline mode)');
+  } else if (!process.env.GOOGLE_API_KEY) {
+    logger.warn('⚠️  GOOGLE_API_KEY not set. AI calls will use the local fallback.');
   } else {
-    console.log('✅ Google Gemini API key configured');
+    logger.info('✅ Google Gemini API key configured');
   }
 });
 
+// Real-time writing assistance (WebSocket, signed-in users only)
+attachLiveWriting(server);
+
 module.exports = app;
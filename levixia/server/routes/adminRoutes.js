@@ -0,0 +1,137 @@
+/**
+ * Admin Routes
+ * Operational endpoints for inspecting and maintaining backend state
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const responseCache = require('../services/responseCache');
+const promptRegistry = require('../services/promptRegistry');
+const geminiService = require('../services/geminiService');
+const usageTracker = require('../services/usageTracker');
+const { validateRequest } = require('../services/requestValidator');
+const schemas = require('../schemas/requestSchemas');
+const logger = require('../services/logger');
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+const MONTH = /^\d{4}-\d{2}$/;
+
+/**
+ * GET /api/admin/cache
+ * Inspect the LLM response cache (entry counts, size, hit rate, entries per task)
+ */
+router.get('/cache', async (req, res) => {
+  try {
+    const summary = await responseCache.inspect();
+    res.json(summary);
+  } catch (error) {
+    logger.error('Cache inspection error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/cache
+ * Purge cached LLM responses
+ * Query: task (only this task), expiredOnly=true (only expired entries)
+ */
+router.delete('/cache', validateRequest(schemas.purgeCache), async (req, res) => {
+  try {
+    const { task, expiredOnly } = req.query;
+    const removed = await responseCache.purge({
+      task: task || undefined,
+      expiredOnly: expiredOnly === 'true'
+    });
+    logger.info(`🧹 Purged ${removed} cached responses`);
+    res.json({ removed });
+  } catch (error) {
+    logger.error('Cache purge error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/prompts
+ * List prompt templates with their versions and the active version
+ */
+router.get('/prompts', (req, res) => {
+  res.json({ templates: promptRegistry.list() });
+});
+
+/**
+ * GET /api/admin/prompts/:id
+ * Show a template's body and declared variables
+ * Query: version (defaults to the active version)
+ */
+router.get('/prompts/:id', validateRequest(schemas.promptTemplate), (req, res) => {
+  try {
+    const template = promptRegistry.get(req.params.id, req.query.version);
+    res.json(template);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/admin/fixtures
+ * Record/replay mode, recorded exchanges per task and calls replay could not match
+ */
+router.get('/fixtures', (req, res) => {
+  res.json(geminiService.getFixtureState());
+});
+
+/**
+ * GET /api/admin/usage
+ * Token usage in daily or monthly buckets, broken down by user and task
+ * Query: period (daily|monthly), from, to (YYYY-MM-DD or YYYY-MM, inclusive), userId, task
+ */
+router.get('/usage', validateRequest(schemas.usage), (req, res) => {
+  const { period = 'daily', from, to, userId, task } = req.query;
+  const format = period === 'monthly' ? MONTH : DAY;
+
+  // The schema accepts either date format; it has to match the period
+  if ((from && !format.test(from)) || (to && !format.test(to))) {
+    const expected = period === 'monthly' ? 'YYYY-MM' : 'YYYY-MM-DD';
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: `from and to must be ${expected} for ${period} usage`,
+      fields: ['from', 'to']
+        .filter(field => req.query[field] && !format.test(req.query[field]))
+        .map(field => ({ location: 'query', field, message: `must be ${expected} for ${period} usage` }))
+    });
+  }
+
+  res.json(usageTracker.aggregate({ period, from, to, userId, task }));
+});
+
+/**
+ * GET /api/admin/usage/users/:userId
+ * A user's usage today and this month against their quota
+ */
+router.get('/usage/users/:userId', validateRequest(schemas.userUsage), (req, res) => {
+  res.json(usageTracker.getUserUsage(req.params.userId));
+});
+
+/**
+ * PUT /api/admin/usage/users/:userId/quota
+ * Override a user's token quota
+ * Body: { daily, monthly } - billable tokens; null or 0 removes that limit
+ */
+router.put('/usage/users/:userId/quota', validateRequest(schemas.userQuota), (req, res) => {
+  const { daily = null, monthly = null } = req.body;
+  const quota = usageTracker.setQuota(req.params.userId, { daily, monthly });
+  logger.info(`💸 Quota for ${req.params.userId} set to ${quota.daily ?? '∞'}/day, ${quota.monthly ?? '∞'}/month`);
+  res.json(usageTracker.getUserUsage(req.params.userId));
+});
+
+/**
+ * DELETE /api/admin/usage/users/:userId/quota
+ * Remove a user's quota override so the defaults apply
+ */
+router.delete('/usage/users/:userId/quota', validateRequest(schemas.userUsage), (req, res) => {
+  usageTracker.clearQuota(req.params.userId);
+  res.json(usageTracker.getUserUsage(req.params.userId));
+});
+
+module.exports = router;
@@ -9,20 +9,30 @@ const router = express.Router();
 const cognitiveAnalysis = require('../services/cognitiveAnalysis');
 const readingAnalysis = require('../services/readingAnalysis');
 const spellingAnalysis = require('../services/spellingAnalysis');
+const pseudowordDecoding = require('../services/pseudowordDecoding');
+const passageBank = require('../services/passageBank');
 const visualAnalysis = require('../services/visualAnalysis');
 const reportGeneration = require('../services/reportGeneration');
+const userDataStore = require('../services/userDataStore');
+const { validateRequest } = require('../services/requestValidator');
+const schemas = require('../schemas/requestSchemas');
+const logger = require('../services/logger');
 
 /**
  * POST /api/ai/reading-passage
- * Generate reading passage using Gemini
+ * Choose a passage bank passage for the learner's age group (userProfile, or the stored
+ * profile), one they have not read before where there is one. Fetching a passage does not
+ * count as reading it; /analyze-reading records that.
  */
-router.post('/reading-passage', async (req, res) => {
+router.post('/reading-passage', validateRequest(schemas.readingPassage), async (req, res) => {
   try {
-    const { userProfile } = req.body;
-    const passage = await readingAnalysis.generatePassage(userProfile || {});
+    const userProfile = req.body.userProfile || userDataStore.getProfile(req.user.id) || {};
+    const passage = await readingAnalysis.generatePassage(userProfile, {
+      history: userDataStore.listServedPassages(req.user.id)
+    });
     res.json(passage);
   } catch (error) {
-    console.error('Reading passage generation error:', error);
+    logger.error('Reading passage generation error', { error });
     res.status(500).json({ 
       error: 'AI unavailable – fallback used',
       message: error.message,
@@ -34,24 +44,26 @@ router.post('/reading-passage', async (req, res) => {
 /**
  * POST /api/ai/analyze-reading
  * Analyze reading performance using Gemini
+ * With wordTimings from the test, also maps pauses, regressions and restarts. With the
+ * passageId of a bank passage, records that the learner has read it.
  */
-router.post('/analyze-reading', async (req, res) => {
+router.post('/analyze-reading', validateRequest(schemas.analyzeReading), async (req, res) => {
   try {
-    const { originalText, transcript, timeSeconds } = req.body;
-    
-    if (!originalText || !transcript) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const { originalText, transcript, timeSeconds, wordTimings, passageId } = req.body;
 
     const analysis = await readingAnalysis.analyze({
       originalText,
       transcript,
-      timeSeconds: timeSeconds || 0
+      timeSeconds: timeSeconds || 0,
+      wordTimings: wordTimings || []
     });
-    
+    if (passageId && passageBank.has(passageId)) {
+      userDataStore.recordServedPassage(req.user.id, passageId);
+    }
+
     res.json(analysis);
   } catch (error) {
-    console.error('Reading analysis error:', error);
+    logger.error('Reading analysis error', { error });
     res.status(500).json({ 
       error: 'AI unavailable – fallback used',
       message: error.message,
@@ -64,18 +76,13 @@ router.post('/analyze-reading', async (req, res) => {
  * POST /api/ai/analyze-spelling
  * Analyze spelling errors using Gemini
  */
-router.post('/analyze-spelling', async (req, res) => {
+router.post('/analyze-spelling', validateRequest(schemas.analyzeSpelling), async (req, res) => {
   try {
     const { spellingResults } = req.body;
-    
-    if (!Array.isArray(spellingResults)) {
-      return res.status(400).json({ error: 'spellingResults must be an array' });
-    }
-
     const analysis = await spellingAnalysis.analyze(spellingResults);
     res.json(analysis);
   } catch (error) {
-    console.error('Spelling analysis error:', error);
+    logger.error('Spelling analysis error', { error });
     res.status(500).json({ 
       error: 'AI unavailable – fallback used',
       message: error.message,
@@ -93,22 +100,38 @@ router.get('/spelling-words', (req, res) => {
   res.json({ words });
 });
 
+/**
+ * GET /api/ai/pseudowords
+ * Nonwords for the decoding subtest, easiest first
+ */
+router.get('/pseudowords', (req, res) => {
+  res.json({ words: pseudowordDecoding.words() });
+});
+
+/**
+ * POST /api/ai/analyze-pseudowords
+ * Score nonwords read aloud against their expected pronunciations, phoneme by phoneme
+ */
+router.post('/analyze-pseudowords', validateRequest(schemas.analyzePseudowords), (req, res) => {
+  try {
+    res.json(pseudowordDecoding.score(req.body.responses));
+  } catch (error) {
+    logger.error('Pseudoword scoring error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/ai/analyze-visual
  * Analyze visual test performance using Gemini
  */
-router.post('/analyze-visual', async (req, res) => {
+router.post('/analyze-visual', validateRequest(schemas.analyzeVisual), async (req, res) => {
   try {
     const rawData = req.body;
-    
-    if (!rawData.target || rawData.hits === undefined) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
     const analysis = await visualAnalysis.analyze(rawData);
     res.json(analysis);
   } catch (error) {
-    console.error('Visual analysis error:', error);
+    logger.error('Visual analysis error', { error });
     res.status(500).json({ 
       error: 'AI unavailable – fallback used',
       message: error.message,
@@ -121,18 +144,13 @@ router.post('/analyze-visual', async (req, res) => {
  * POST /api/ai/analyze-cognitive
  * Analyze cognitive test performance using Gemini
  */
-router.post('/analyze-cognitive', async (req, res) => {
+router.post('/analyze-cognitive', validateRequest(schemas.analyzeCognitive), async (req, res) => {
   try {
     const rawData = req.body;
-    
-    if (!rawData.sequence || !rawData.userSequence) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
     const analysis = await cognitiveAnalysis.analyze(rawData);
     res.json(analysis);
   } catch (error) {
-    console.error('Cognitive analysis error:', error);
+    logger.error('Cognitive analysis error', { error });
     res.status(500).json({ 
       error: 'AI unavailable – fallback used',
       message: error.message,
@@ -145,18 +163,13 @@ router.post('/analyze-cognitive', async (req, res) => {
  * POST /api/ai/generate-report
  * Generate holistic diagnostic report using Gemini
  */
-router.post('/generate-report', async (req, res) => {
+router.post('/generate-report', validateRequest(schemas.generateReport), async (req, res) => {
   try {
     const { aggregatedResults } = req.body;
-    
-    if (!aggregatedResults) {
-      return res.status(400).json({ error: 'Missing aggregatedResults' });
-    }
-
     const report = await reportGeneration.generate(aggregatedResults);
     res.json(report);
   } catch (error) {
-    console.error('Report generation error:', error);
+    logger.error('Report generation error', { error });
     res.status(500).json({ 
       error: 'AI unavailable – fallback used',
       message: error.message,
@@ -11,28 +11,31 @@ const adaptiveAssistant = require('../services/adaptiveAssistant');
 const contextDetector = require('../services/contextDetector');
 const nlpPipeline = require('../services/nlpPipeline');
 const accessibilityEngine = require('../services/accessibilityEngine');
+const { accessibilityConfigFor, buildProcessResponse } = require('../services/processResponse');
 const performanceTracker = require('../services/performanceTracker');
 const adaptiveLearningEngine = require('../services/adaptiveLearningEngine');
 const writingFeedbackService = require('../services/writingFeedbackService');
+const userDataStore = require('../services/userDataStore');
+const fileProcessor = require('../services/fileProcessor');
+const { receiveDocument } = require('../services/documentUpload');
+const { validateRequest } = require('../services/requestValidator');
+const schemas = require('../schemas/requestSchemas');
+const logger = require('../services/logger');
 
 /**
  * POST /api/assistant/profile
  * Generate or update user learning profile
  */
-router.post('/profile', async (req, res) => {
+router.post('/profile', validateRequest(schemas.profile), async (req, res) => {
   try {
     const { assessmentResults, report } = req.body;
 
-    if (!assessmentResults || !report) {
-      return res.status(400).json({ error: 'Missing assessmentResults or report' });
-    }
-
-    console.log('🧠 Generating user learning profile');
+    logger.info('🧠 Generating user learning profile');
     const profile = await userProfileEngine.generateProfile(assessmentResults, report);
     
     res.json(profile);
   } catch (error) {
-    console.error('Profile generation error:', error);
+    logger.error('Profile generation error', { error });
     res.status(500).json({ 
       error: 'AI unavailable – fallback used',
       message: error.message,
@@ -45,14 +48,10 @@ router.post('/profile', async (req, res) => {
  * POST /api/assistant/configure
  * Get adaptive configuration for current task (defect-based only when report/detectedDefects provided)
  */
-router.post('/configure', async (req, res) => {
+router.post('/configure', validateRequest(schemas.configure), async (req, res) => {
   try {
     const { userProfile, input, detectedDefects, report } = req.body;
 
-    if (!userProfile || !input) {
-      return res.status(400).json({ error: 'Missing userProfile or input' });
-    }
-
     const inputWithDefects = {
       ...input,
       detectedDefects: detectedDefects || (report ? {
@@ -69,7 +68,7 @@ router.post('/configure', async (req, res) => {
 
     res.json(config);
   } catch (error) {
-    console.error('Configuration error:', error);
+    logger.error('Configuration error', { error });
     res.status(500).json({ 
       error: 'AI unavailable – fallback used',
       message: error.message,
@@ -82,15 +81,11 @@ router.post('/configure', async (req, res) => {
  * POST /api/assistant/process
  * Process text with adaptive assistance
  */
-router.post('/process', async (req, res) => {
+router.post('/process', validateRequest(schemas.processText), async (req, res) => {
   try {
     const { text, config, userProfile } = req.body;
 
-    if (!text || !config) {
-      return res.status(400).json({ error: 'Missing text or config' });
-    }
-
-    console.log('🔄 Processing text with adaptive assistance');
+    logger.info('🔄 Processing text with adaptive assistance');
 
     // Process through NLP pipeline
     const nlpResult = await nlpPipeline.process(text, {
@@ -98,55 +93,130 @@ router.post('/process', async (req, res) => {
       assistantConfig: config.assistantConfig
     });
 
-    // Apply accessibility adaptations
-    const accessibilityResult = accessibilityEngine.applyAdaptations(
-      nlpResult.processedText,
-      {
-        ...config.assistantConfig,
-        readingPace: config.processingStrategy.pace
-      }
-    );
+    res.json(buildProcessResponse({ text, config, userProfile, nlpResult }));
+  } catch (error) {
+    logger.error('Text processing error', { error });
+    res.status(500).json({ 
+      error: 'AI unavailable – fallback used',
+      message: error.message,
+      fallback: true
+    });
+  }
+});
 
-    // Generate reading pace info
-    const readingPace = accessibilityEngine.generateReadingPace(userProfile || {}, text);
+/**
+ * Write one Server-Sent Event
+ */
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-    res.json({
-      originalText: text,
-      processedText: accessibilityResult.styledText,
-      layoutConfig: accessibilityResult.layoutConfig,
-      readingPace,
-      metadata: {
-        ...nlpResult.metadata,
-        ...accessibilityResult.metadata
-      },
-      config: config.assistantConfig,
-      activeFeatures: config.activeFeatures || []
+/**
+ * POST /api/assistant/process/stream
+ * Same as /process, streamed as Server-Sent Events so long texts render progressively.
+ * Events: start { paragraphs, mode }, paragraph (one per paragraph as it completes,
+ * in order), done (the /process response), error { error, message, fallback }
+ * Returns: text/event-stream
+ */
+router.post('/process/stream', validateRequest(schemas.processText), async (req, res) => {
+  const { text, config, userProfile } = req.body;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop processing paragraphs once the reader goes away
+  const aborted = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) aborted.abort();
+  });
+
+  try {
+    logger.info('🌊 Streaming text processing with adaptive assistance');
+
+    const accessibilityConfig = accessibilityConfigFor(config);
+    const pipelineConfig = {
+      processingStrategy: config.processingStrategy,
+      assistantConfig: config.assistantConfig
+    };
+
+    sendEvent(res, 'start', {
+      paragraphs: nlpPipeline.splitParagraphs(text).length,
+      mode: nlpPipeline.resolveMode(config.processingStrategy?.mode)
     });
+
+    const nlpResult = await nlpPipeline.processParagraphs(text, pipelineConfig, paragraph => {
+      const adapted = accessibilityEngine.applyAdaptations(paragraph.processedText, accessibilityConfig);
+      sendEvent(res, 'paragraph', { ...paragraph, processedText: adapted.styledText });
+    }, { signal: aborted.signal });
+
+    if (aborted.signal.aborted) {
+      logger.info(`🌊 Stream closed by client after ${nlpResult.metadata.completedParagraphs} paragraph(s)`);
+      return;
+    }
+
+    sendEvent(res, 'done', buildProcessResponse({ text, config, userProfile, nlpResult }));
   } catch (error) {
-    console.error('Text processing error:', error);
-    res.status(500).json({ 
+    logger.error('Streaming text processing error', { error });
+    sendEvent(res, 'error', {
       error: 'AI unavailable – fallback used',
       message: error.message,
       fallback: true
     });
   }
+  res.end();
+});
+
+/**
+ * POST /api/assistant/upload
+ * Extract text from an uploaded document, ready for /process
+ * Body: multipart/form-data with one TXT, MD, PDF or DOCX file in the "file" field
+ */
+router.post('/upload', receiveDocument('file'), async (req, res) => {
+  try {
+    logger.info(`📄 Extracting text from ${req.fileType.toUpperCase()} upload (${req.file.size} bytes)`);
+
+    const text = await fileProcessor.extractText(req.file.buffer, req.fileType);
+
+    if (text.length > schemas.MAX_TEXT_LENGTH) {
+      return res.status(422).json({
+        error: 'Document too long',
+        message: `The document has ${text.length} characters; at most ${schemas.MAX_TEXT_LENGTH} can be processed`
+      });
+    }
+
+    res.json({
+      text,
+      fileName: req.file.originalname,
+      fileType: req.fileType,
+      characterCount: text.length,
+      wordCount: text.split(/\s+/).filter(Boolean).length,
+      paragraphCount: nlpPipeline.splitParagraphs(text).length
+    });
+  } catch (error) {
+    logger.error('Document upload error', { error });
+    res.status(error.status || 500).json({
+      error: error.status ? 'Could not read document' : 'Document upload failed',
+      message: error.message
+    });
+  }
 });
 
 /**
  * POST /api/assistant/analyze-writing
  * Analyze writing: with reference = compare accuracy; without reference = detect errors, suggest corrections, feedback, ways to overcome
  */
-router.post('/analyze-writing', async (req, res) => {
+router.post('/analyze-writing', validateRequest(schemas.analyzeWriting), async (req, res) => {
   try {
     const { userText, referenceText, userProfile } = req.body;
 
-    if (!userText) {
-      return res.status(400).json({ error: 'Missing userText' });
-    }
-
     // Standalone writing (no reference): detect errors, suggestions, feedback, ways to overcome
     if (!referenceText || !referenceText.trim()) {
-      console.log('✍️ Analyzing standalone writing (error detection + feedback)');
+      logger.info('✍️ Analyzing standalone writing (error detection + feedback)');
       const analysis = await writingFeedbackService.analyzeStandalone(userText, userProfile || {});
       return res.json({
         ...analysis,
@@ -155,7 +225,7 @@ router.post('/analyze-writing', async (req, res) => {
     }
 
     // Compare to reference (accuracy)
-    console.log('✍️ Analyzing writing (compare to reference)');
+    logger.info('✍️ Analyzing writing (compare to reference)');
     const analysis = await nlpPipeline.analyzeWriting(userText, referenceText);
 
     res.json({
@@ -165,7 +235,7 @@ router.post('/analyze-writing', async (req, res) => {
       mode: 'compare'
     });
   } catch (error) {
-    console.error('Writing analysis error:', error);
+    logger.error('Writing analysis error', { error });
     res.status(500).json({ 
       error: 'AI unavailable – fallback used',
       message: error.message,
@@ -174,77 +244,110 @@ router.post('/analyze-writing', async (req, res) => {
   }
 });
 
+// Stored sessions the adaptive endpoints look back over
+const HISTORY_LIMIT = 100;
+
 /**
  * POST /api/assistant/track-performance
- * Track user performance session
+ * Track user performance session; the metrics are saved to the user's history
  */
-router.post('/track-performance', async (req, res) => {
+router.post('/track-performance', validateRequest(schemas.trackPerformance), async (req, res) => {
   try {
     const { sessionType, sessionData } = req.body;
 
-    if (!sessionType || !sessionData) {
-      return res.status(400).json({ error: 'Missing sessionType or sessionData' });
-    }
-
-    let metrics;
-    if (sessionType === 'reading') {
-      metrics = performanceTracker.trackReadingSession(sessionData);
-    } else if (sessionType === 'writing') {
-      metrics = performanceTracker.trackWritingSession(sessionData);
-    } else {
-      return res.status(400).json({ error: 'Invalid sessionType' });
-    }
+    const metrics = sessionType === 'reading'
+      ? performanceTracker.trackReadingSession(sessionData)
+      : performanceTracker.trackWritingSession(sessionData);
+    const session = userDataStore.createSession(req.user.id, { type: sessionType, data: metrics });
 
-    res.json(metrics);
+    res.json({ ...metrics, sessionId: session.id });
   } catch (error) {
-    console.error('Performance tracking error:', error);
+    logger.error('Performance tracking error', { error });
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
  * POST /api/assistant/update-profile
- * Update user profile based on performance
+ * Update the user's learning profile based on their stored performance history
+ * Body: { currentProfile } - optional; defaults to the stored learning profile
  */
-router.post('/update-profile', async (req, res) => {
+router.post('/update-profile', validateRequest(schemas.updateProfile), async (req, res) => {
   try {
-    const { currentProfile, performanceHistory } = req.body;
+    const currentProfile = req.body.currentProfile || userDataStore.getLearningProfile(req.user.id);
 
     if (!currentProfile) {
-      return res.status(400).json({ error: 'Missing currentProfile' });
+      return res.status(404).json({ error: 'No learning profile stored for this user' });
     }
 
-    console.log('🔄 Updating user profile based on performance');
+    logger.info('🔄 Updating user profile based on performance');
 
     const updatedProfile = await adaptiveLearningEngine.updateProfile(
       currentProfile,
-      performanceHistory || []
+      userDataStore.getPerformanceHistory(req.user.id, HISTORY_LIMIT),
+      userDataStore.getFeedbackStats(req.user.id)
     );
+    userDataStore.saveLearningProfile(req.user.id, updatedProfile);
 
     res.json(updatedProfile);
   } catch (error) {
-    console.error('Profile update error:', error);
+    logger.error('Profile update error', { error });
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/assistant/trends
- * Get performance trends
+ * GET /api/assistant/trends
+ * Performance trends over the user's stored sessions
  */
-router.post('/trends', (req, res) => {
+router.get('/trends', (req, res) => {
   try {
-    const { performanceHistory } = req.body;
-    
-    if (!performanceHistory) {
-      return res.status(400).json({ error: 'Missing performanceHistory' });
-    }
-
-    const trends = performanceTracker.analyzeTrends(performanceHistory);
+    const trends = performanceTracker.analyzeTrends(
+      userDataStore.getPerformanceHistory(req.user.id, HISTORY_LIMIT)
+    );
 
     res.json(trends);
   } catch (error) {
-    console.error('Trends analysis error:', error);
+    logger.error('Trends analysis error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/assistant/feedback
+ * Record whether the user accepted or rejected a writing suggestion
+ * Body: { suggestionId, action: 'accepted'|'rejected', errorType, original, corrected, suggestionLevel, userProfile }
+ * Returns: 201 with the recorded feedback
+ */
+router.post('/feedback', validateRequest(schemas.suggestionFeedback), (req, res) => {
+  try {
+    const { userProfile, ...decision } = req.body;
+    const feedback = userDataStore.createFeedback(req.user.id, {
+      ...decision,
+      suggestionLevel: decision.suggestionLevel || userProfile?.writingPreferences?.suggestionLevel
+    });
+
+    logger.info(`💬 Suggestion ${feedback.action} (${feedback.errorType})`);
+
+    res.status(201).json(feedback);
+  } catch (error) {
+    logger.error('Suggestion feedback error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/assistant/feedback/stats
+ * Accept rates overall, by error category and by suggestion level
+ * Query: limit - most recent decisions to include (default 500)
+ */
+router.get('/feedback/stats', validateRequest(schemas.listQuery), (req, res) => {
+  try {
+    const stats = userDataStore.getFeedbackStats(req.user.id, { limit: Number(req.query.limit || 500) });
+
+    res.json(stats);
+  } catch (error) {
+    logger.error('Suggestion feedback stats error', { error });
     res.status(500).json({ error: error.message });
   }
 });
@@ -0,0 +1,71 @@
+/**
+ * Auth Routes
+ * Account registration, sign in and sign out
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const authService = require('../services/authService');
+const { validateRequest } = require('../services/requestValidator');
+const schemas = require('../schemas/requestSchemas');
+const logger = require('../services/logger');
+
+/**
+ * POST /api/auth/register
+ * Create an account and sign it in
+ * Body: { email, password, name }
+ * Returns: 201 with { user, token, expiresAt }
+ */
+router.post('/register', validateRequest(schemas.register), async (req, res) => {
+  try {
+    const session = await authService.register(req.body);
+    res.status(201).json(session);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Registration error', { error });
+    res.status(500).json({ error: 'Registration failed', message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/login
+ * Sign in with email and password
+ * Body: { email, password }
+ * Returns: { user, token, expiresAt }
+ */
+router.post('/login', validateRequest(schemas.login), async (req, res) => {
+  try {
+    const session = await authService.login(req.body);
+    logger.info(`🔑 User ${session.user.id} signed in`, { userId: session.user.id });
+    res.json(session);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error('Login error', { error });
+    res.status(500).json({ error: 'Login failed', message: error.message });
+  }
+});
+
+/**
+ * POST /api/auth/logout
+ * End the current session; its token stops working
+ */
+router.post('/logout', authService.requireAuth, (req, res) => {
+  authService.logout(req.get('Authorization').split(' ')[1]);
+  logger.info(`👋 User ${req.user.id} signed out`);
+  res.json({ success: true });
+});
+
+/**
+ * GET /api/auth/me
+ * The signed-in user
+ */
+router.get('/me', authService.requireAuth, (req, res) => {
+  res.json({ user: req.user });
+});
+
+module.exports = router;
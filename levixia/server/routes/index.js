@@ -0,0 +1,83 @@
+/**
+ * API Routes
+ * Every HTTP endpoint of the API, mounted by index.js at /api/v1 and, for clients
+ * that predate versioning, at /api with deprecation headers (see services/apiVersioning.js).
+ *
+ * The OpenAPI document at /api/v1/openapi.json is generated from these routers and the
+ * request schemas they validate against, so `mounts` is the single list of route groups.
+ */
+
+const express = require('express');
+const api = express.Router();
+
+const authService = require('../services/authService');
+const geminiService = require('../services/geminiService');
+const openApi = require('../services/openApi');
+const { API_PREFIX, deprecationHeaders, isVersioned } = require('../services/apiVersioning');
+
+const mounts = [
+  { path: '/auth', router: require('./authRoutes'), tag: 'Auth', description: 'Accounts and sessions' },
+  { path: '/me', router: require('./userDataRoutes'), tag: 'Learner data', auth: true, description: 'The signed-in learner\'s stored data' },
+  { path: '/ai', router: require('./aiRoutes'), tag: 'Assessment', auth: true, description: 'Screening tests and reports' },
+  { path: '/assistant', router: require('./assistantRoutes'), tag: 'Assistant', auth: true, description: 'Reading and writing assistance' },
+  { path: '/jobs', router: require('./jobRoutes'), tag: 'Jobs', auth: true, description: 'Background document processing' },
+  { path: '/admin', router: require('./adminRoutes'), tag: 'Admin', auth: true, admin: true, description: 'Operational endpoints' }
+];
+
+/**
+ * GET /api/health
+ * Service status, LLM provider and circuit breaker state
+ */
+api.get('/health', (req, res) => {
+  const llmCircuit = geminiService.getCircuitState();
+  res.json({
+    status: llmCircuit.state === 'closed' ? 'ok' : 'degraded',
+    llmProvider: geminiService.getProviderName(),
+    llmAvailable: geminiService.isAvailable(),
+    llmCircuit,
+    timestamp: new Date().toISOString()
+  });
+});
+
+/**
+ * GET /api/openapi.json
+ * OpenAPI 3.1 description of this API
+ */
+api.get('/openapi.json', (req, res) => {
+  res.json(openApi.document(api, mounts, { basePath: API_PREFIX }));
+});
+
+/**
+ * GET /api/docs
+ * Human-readable API reference, rendered from the OpenAPI document
+ */
+api.get('/docs', (req, res) => {
+  res.type('html').send(openApi.renderDocs(openApi.document(api, mounts, { basePath: API_PREFIX })));
+});
+
+mounts.forEach(({ path, router, auth, admin }) => {
+  api.use(path, ...(auth ? [authService.requireAuth] : []), ...(admin ? [authService.requireAdmin] : []), router);
+});
+
+/**
+ * Router serving the API at its unversioned prefix, with deprecation headers pointing at
+ * the same resource under API_PREFIX. Requests for the versioned prefix itself are left
+ * to the versioned router.
+ */
+function deprecatedAlias() {
+  const legacy = express.Router();
+
+  legacy.use((req, res, next) => {
+    if (isVersioned(req.path)) return next('router');
+    res.set(deprecationHeaders(req.url));
+    next();
+  });
+  legacy.use(api);
+  return legacy;
+}
+
+module.exports = {
+  api,
+  mounts,
+  deprecatedAlias
+};
@@ -0,0 +1,150 @@
+/**
+ * Job Routes
+ * Background processing of long documents: submit a job, poll its progress, fetch the result
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const jobQueue = require('../services/jobQueue');
+const documentProcessingJob = require('../services/documentProcessingJob');
+const fileProcessor = require('../services/fileProcessor');
+const { receiveDocument, parseJsonFields } = require('../services/documentUpload');
+const { validateRequest } = require('../services/requestValidator');
+const schemas = require('../schemas/requestSchemas');
+const logger = require('../services/logger');
+
+jobQueue.register(documentProcessingJob.TYPE, documentProcessingJob.processDocument);
+
+const notFound = res => res.status(404).json({ error: 'Job not found' });
+
+/**
+ * Queue a document processing job and answer 202 with the job
+ */
+function submitDocument(req, res, input) {
+  const job = jobQueue.submit(req.user.id, documentProcessingJob.TYPE, input);
+  res.status(202).location(`${req.baseUrl}/${job.id}`).json(job);
+}
+
+/**
+ * POST /api/jobs
+ * Process text in the background
+ * Body: { text, config, userProfile } as for /api/assistant/process
+ * Returns: 202 with the queued job { id, status, progress, ... }
+ */
+router.post('/', validateRequest(schemas.processText), (req, res) => {
+  try {
+    const { text, config, userProfile } = req.body;
+    submitDocument(req, res, { text, config, userProfile, source: null });
+  } catch (error) {
+    logger.error('Job submission error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/jobs/upload
+ * Process an uploaded document in the background
+ * Body: multipart/form-data with a TXT, MD, PDF or DOCX "file", a JSON "config" and
+ * optionally a JSON "userProfile"
+ * Returns: 202 with the queued job
+ */
+router.post('/upload', receiveDocument('file'), parseJsonFields(['config', 'userProfile']),
+  validateRequest(schemas.uploadJob), async (req, res) => {
+    try {
+      const text = await fileProcessor.extractText(req.file.buffer, req.fileType);
+
+      if (text.length > schemas.MAX_TEXT_LENGTH) {
+        return res.status(422).json({
+          error: 'Document too long',
+          message: `The document has ${text.length} characters; at most ${schemas.MAX_TEXT_LENGTH} can be processed`
+        });
+      }
+
+      const { config, userProfile } = req.body;
+      submitDocument(req, res, {
+        text,
+        config,
+        userProfile,
+        source: { fileName: req.file.originalname, fileType: req.fileType }
+      });
+    } catch (error) {
+      logger.error('Job upload error', { error });
+      res.status(error.status || 500).json({
+        error: error.status ? 'Could not read document' : 'Job submission failed',
+        message: error.message
+      });
+    }
+  });
+
+/**
+ * GET /api/jobs
+ * The user's jobs, newest first
+ * Query: limit (default 20)
+ */
+router.get('/', validateRequest(schemas.listQuery), (req, res) => {
+  try {
+    res.json({ jobs: jobQueue.list(req.user.id, { limit: Number(req.query.limit || 20) }) });
+  } catch (error) {
+    logger.error('Job list error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Status and progress: status is queued | running | completed | failed | cancelled;
+ * progress is { stage, completed, total, percent } once running
+ */
+router.get('/:id', validateRequest(schemas.jobId), (req, res) => {
+  try {
+    const job = jobQueue.get(req.user.id, req.params.id);
+    if (!job) return notFound(res);
+    res.json(job);
+  } catch (error) {
+    logger.error('Job read error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id/result
+ * The processed document (the /api/assistant/process response); 409 until the job has completed
+ */
+router.get('/:id/result', validateRequest(schemas.jobId), (req, res) => {
+  try {
+    const job = jobQueue.get(req.user.id, req.params.id);
+    if (!job) return notFound(res);
+    if (job.status !== 'completed') {
+      return res.status(409).json({
+        error: 'Job has not completed',
+        message: job.error || `Job is ${job.status}`,
+        job
+      });
+    }
+    res.json(jobQueue.getResult(req.user.id, job.id));
+  } catch (error) {
+    logger.error('Job result error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a queued or running job; 409 when it has already finished
+ */
+router.delete('/:id', validateRequest(schemas.jobId), (req, res) => {
+  try {
+    const job = jobQueue.get(req.user.id, req.params.id);
+    if (!job) return notFound(res);
+    if (!['queued', 'running'].includes(job.status)) {
+      return res.status(409).json({ error: 'Job has already finished', message: `Job is ${job.status}`, job });
+    }
+    res.json(jobQueue.cancel(req.user.id, job.id));
+  } catch (error) {
+    logger.error('Job cancel error', { error });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,152 @@
+/**
+ * User Data Routes
+ * The signed-in learner's stored profile, reports, learning profile and sessions
+ */
+
+const express = require('express');
+const router = express.Router();
+
+const userDataStore = require('../services/userDataStore');
+const { validateRequest } = require('../services/requestValidator');
+const schemas = require('../schemas/requestSchemas');
+const logger = require('../services/logger');
+
+/**
+ * Wrap a handler with the repo's error response
+ */
+const handle = (label, fn) => (req, res) => {
+  try {
+    fn(req, res);
+  } catch (error) {
+    logger.error(`${label} error`, { error });
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const notFound = (res, what) => res.status(404).json({ error: `${what} not found` });
+
+// ---------- Profile ----------
+
+/**
+ * GET /api/me/profile
+ * Basic profile (name, age group, language); null before profile setup
+ */
+router.get('/profile', handle('Profile read', (req, res) => {
+  res.json({ profile: userDataStore.getProfile(req.user.id) });
+}));
+
+/**
+ * PUT /api/me/profile
+ * Replace the basic profile
+ */
+router.put('/profile', validateRequest(schemas.saveProfile), handle('Profile save', (req, res) => {
+  res.json({ profile: userDataStore.saveProfile(req.user.id, req.body) });
+}));
+
+/**
+ * DELETE /api/me/profile
+ */
+router.delete('/profile', handle('Profile delete', (req, res) => {
+  if (!userDataStore.deleteProfile(req.user.id)) return notFound(res, 'Profile');
+  res.json({ success: true });
+}));
+
+// ---------- Reports ----------
+
+/**
+ * GET /api/me/reports
+ * Screening reports, newest first
+ * Query: limit (default 20)
+ */
+router.get('/reports', validateRequest(schemas.listQuery), handle('Report list', (req, res) => {
+  res.json({ reports: userDataStore.listReports(req.user.id, { limit: Number(req.query.limit || 20) }) });
+}));
+
+/**
+ * GET /api/me/reports/:id
+ */
+router.get('/reports/:id', validateRequest(schemas.recordId), handle('Report read', (req, res) => {
+  const report = userDataStore.getReport(req.user.id, Number(req.params.id));
+  if (!report) return notFound(res, 'Report');
+  res.json(report);
+}));
+
+/**
+ * POST /api/me/reports
+ * Store a screening report
+ * Body: { report, assessmentResults }
+ * Returns: 201 with the stored report
+ */
+router.post('/reports', validateRequest(schemas.createReport), handle('Report save', (req, res) => {
+  res.status(201).json(userDataStore.createReport(req.user.id, req.body));
+}));
+
+/**
+ * DELETE /api/me/reports/:id
+ */
+router.delete('/reports/:id', validateRequest(schemas.recordId), handle('Report delete', (req, res) => {
+  if (!userDataStore.deleteReport(req.user.id, Number(req.params.id))) return notFound(res, 'Report');
+  res.json({ success: true });
+}));
+
+// ---------- Learning profile ----------
+
+/**
+ * GET /api/me/learning-profile
+ * The adaptive assistant's learning profile; null until one is generated
+ */
+router.get('/learning-profile', handle('Learning profile read', (req, res) => {
+  res.json({ learningProfile: userDataStore.getLearningProfile(req.user.id) });
+}));
+
+/**
+ * PUT /api/me/learning-profile
+ * Replace the learning profile
+ */
+router.put('/learning-profile', validateRequest(schemas.saveLearningProfile), handle('Learning profile save', (req, res) => {
+  res.json({ learningProfile: userDataStore.saveLearningProfile(req.user.id, req.body) });
+}));
+
+/**
+ * DELETE /api/me/learning-profile
+ */
+router.delete('/learning-profile', handle('Learning profile delete', (req, res) => {
+  if (!userDataStore.deleteLearningProfile(req.user.id)) return notFound(res, 'Learning profile');
+  res.json({ success: true });
+}));
+
+// ---------- Sessions ----------
+
+/**
+ * GET /api/me/sessions
+ * Tracked reading/writing sessions, newest first
+ * Query: type (reading|writing), limit (default 100)
+ */
+router.get('/sessions', validateRequest(schemas.listSessions), handle('Session list', (req, res) => {
+  res.json({
+    sessions: userDataStore.listSessions(req.user.id, {
+      type: req.query.type,
+      limit: Number(req.query.limit || 100)
+    })
+  });
+}));
+
+/**
+ * POST /api/me/sessions
+ * Record a session
+ * Body: { type: 'reading'|'writing', data }
+ * Returns: 201 with the stored session
+ */
+router.post('/sessions', validateRequest(schemas.createSession), handle('Session save', (req, res) => {
+  res.status(201).json(userDataStore.createSession(req.user.id, req.body));
+}));
+
+/**
+ * DELETE /api/me/sessions/:id
+ */
+router.delete('/sessions/:id', validateRequest(schemas.recordId), handle('Session delete', (req, res) => {
+  if (!userDataStore.deleteSession(req.user.id, Number(req.params.id))) return notFound(res, 'Session');
+  res.json({ success: true });
+}));
+
+module.exports = router;
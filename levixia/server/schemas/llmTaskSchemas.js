@@ -0,0 +1,451 @@
+/**
+ * LLM Task Schemas
+ * Expected JSON shape of each generateJSON task, keyed by task name.
+ * geminiService validates (and coerces) every response against these before
+ * returning it; see services/schemaValidator.js for the supported keywords.
+ */
+
+const score = { type: 'number', minimum: 0, maximum: 100 };
+const stringList = (defaultValue = []) => ({ type: 'array', items: { type: 'string' }, default: defaultValue });
+
+const readingAnalysis = {
+  type: 'object',
+  required: ['accuracyPercent', 'errorType', 'dyslexiaLikelihood'],
+  properties: {
+    accuracyPercent: score,
+    wpm: { type: 'number', minimum: 0, default: 0 },
+    errorType: { type: 'string', enum: ['Phonological', 'Visual', 'Fluency', 'Mixed', 'None'] },
+    errorPatterns: stringList(),
+    phonologicalIssues: stringList(),
+    visualIssues: stringList(),
+    dyslexiaLikelihood: { type: 'string', enum: ['Low', 'Moderate', 'High'] },
+    strengths: stringList(),
+    feedback: { type: 'string', default: '' }
+  }
+};
+
+const spellingAnalysis = {
+  type: 'object',
+  required: ['orthographicWeakness', 'phonemeGraphemeMismatch', 'errorClassifications'],
+  properties: {
+    errorTypes: stringList(),
+    orthographicWeakness: score,
+    phonemeGraphemeMismatch: score,
+    errorClassifications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['word', 'type'],
+        properties: {
+          word: { type: 'string' },
+          attempt: { type: 'string', default: '' },
+          type: { type: 'string', enum: ['Phonetic', 'Visual', 'Morphological', 'Phoneme-Grapheme'] },
+          pattern: { type: 'string', default: '' }
+        }
+      }
+    },
+    feedback: { type: 'string', default: '' }
+  }
+};
+
+const cognitiveAnalysis = {
+  type: 'object',
+  required: ['workingMemoryScore', 'attentionScore', 'executiveFunctionScore'],
+  properties: {
+    workingMemoryScore: score,
+    attentionScore: score,
+    taskSwitchingScore: { ...score, default: 0 },
+    cognitiveLoadScore: { ...score, default: 0 },
+    executiveFunctionScore: score,
+    errorPatterns: stringList(),
+    indicators: stringList()
+  }
+};
+
+const visualAnalysis = {
+  type: 'object',
+  required: ['visualStressScore', 'patternRecognitionScore'],
+  properties: {
+    visualStressScore: score,
+    trackingDifficultyIndex: { ...score, default: 0 },
+    patternRecognitionScore: score,
+    crowdingScore: { ...score, default: 0 },
+    discriminationScore: { ...score, default: 0 },
+    indicators: stringList()
+  }
+};
+
+// Multiple choice; readingAnalysis.generatePassage drops questions whose answer is not an option
+const comprehensionQuestion = {
+  type: 'object',
+  required: ['type', 'question', 'options', 'answer'],
+  properties: {
+    type: { type: 'string', enum: ['literal', 'inferential', 'vocabulary'] },
+    question: { type: 'string', minLength: 1 },
+    options: { type: 'array', items: { type: 'string' }, minItems: 2, maxItems: 5 },
+    answer: { type: 'string', minLength: 1 }
+  }
+};
+
+const readingPassage = {
+  type: 'object',
+  required: ['text', 'questions'],
+  properties: {
+    text: { type: 'string', minLength: 20 },
+    difficulty: { type: 'string', enum: ['Easy', 'Medium', 'Hard'], default: 'Medium' },
+    wordCount: { type: 'integer', minimum: 0, default: 0 },
+    targetPhonemes: stringList(),
+    questions: { type: 'array', items: comprehensionQuestion, minItems: 3, maxItems: 5 }
+  }
+};
+
+const recommendationGroups = {
+  type: 'array',
+  default: [],
+  items: {
+    type: 'object',
+    required: ['category', 'items'],
+    properties: {
+      category: { type: 'string' },
+      items: stringList()
+    }
+  }
+};
+
+const holisticReport = {
+  type: 'object',
+  required: ['severityLevel', 'primaryType', 'disclaimer'],
+  properties: {
+    executiveSummary: { type: 'string', default: '' },
+    detectedConditions: stringList(),
+    primaryType: { type: 'string' },
+    adhdIndicators: stringList(),
+    severityLevel: { type: 'string', enum: ['No Significant Difficulty', 'Mild', 'Moderate', 'Severe'] },
+    confidenceScore: { type: 'number', minimum: 0, maximum: 1, default: 0.6 },
+    strengths: stringList(),
+    challenges: stringList(),
+    perTestBreakdown: {
+      type: 'object',
+      default: {},
+      additionalProperties: { type: 'string' }
+    },
+    personalizedFeedback: { type: 'string', default: '' },
+    recommendations: recommendationGroups,
+    disclaimer: { type: 'string', minLength: 1 },
+    recommendProfessionalEvaluation: { type: 'boolean', default: false }
+  }
+};
+
+const dyslexiaScreeningReport = {
+  type: 'object',
+  required: ['executiveSummary'],
+  properties: {
+    executiveSummary: { type: 'string' },
+    reading_speed_assessment: { type: 'string', default: '' },
+    writing_coherence_assessment: { type: 'string', default: '' },
+    severity_justification: { type: 'string', default: '' },
+    assistant_reasoning: { type: 'string', default: '' },
+    strengths: stringList(),
+    support_areas: stringList(),
+    recommendations: recommendationGroups
+  }
+};
+
+const featureFlags = {
+  type: 'object',
+  required: ['bionicReading', 'dyslexiaFont', 'smartSpacing', 'tts', 'writingSupport', 'cognitiveLoadReduction', 'focusMode'],
+  properties: {
+    bionicReading: { type: 'boolean' },
+    dyslexiaFont: { type: 'boolean' },
+    smartSpacing: { type: 'boolean' },
+    tts: { type: 'boolean' },
+    writingSupport: { type: 'boolean' },
+    cognitiveLoadReduction: { type: 'boolean' },
+    focusMode: { type: 'boolean' }
+  }
+};
+
+const userProfile = {
+  type: 'object',
+  required: ['enabledFeatures'],
+  properties: {
+    enabledFeatures: featureFlags,
+    readingPreferences: {
+      type: 'object',
+      properties: {
+        preferredPace: { type: 'number', minimum: 20, maximum: 400, default: 120 },
+        chunkSize: { type: 'integer', minimum: 3, maximum: 12, default: 6 },
+        highlightKeywords: { type: 'boolean', default: true },
+        showProgress: { type: 'boolean', default: true }
+      }
+    },
+    writingPreferences: {
+      type: 'object',
+      properties: {
+        realTimeCorrection: { type: 'boolean', default: true },
+        suggestionLevel: { type: 'string', enum: ['minimal', 'moderate', 'comprehensive'], default: 'moderate' },
+        grammarCheck: { type: 'boolean', default: true },
+        spellingCheck: { type: 'boolean', default: true }
+      }
+    },
+    attentionProfile: {
+      type: 'object',
+      properties: {
+        focusDuration: { type: 'number', minimum: 1, maximum: 120, default: 20 },
+        breakFrequency: { type: 'number', minimum: 1, maximum: 60, default: 5 },
+        distractionReduction: { type: 'boolean', default: true },
+        timeTracking: { type: 'boolean', default: true }
+      }
+    },
+    learningStyle: {
+      type: 'object',
+      properties: {
+        dominantModality: { type: 'string', enum: ['visual', 'auditory', 'kinesthetic', 'mixed'], default: 'mixed' },
+        processingSpeed: { type: 'string', enum: ['slow', 'moderate', 'fast'], default: 'moderate' },
+        detailPreference: { type: 'string', enum: ['high', 'moderate', 'low'], default: 'moderate' }
+      }
+    },
+    strengths: { type: 'array', items: { type: 'string' } },
+    challenges: { type: 'array', items: { type: 'string' } },
+    personalizationLevel: { type: 'string', enum: ['high', 'moderate', 'low'], default: 'moderate' }
+  }
+};
+
+const toggle = (extra = {}) => ({
+  type: ['boolean', 'object'],
+  properties: { enabled: { type: 'boolean', default: false }, ...extra }
+});
+
+const assistantConfig = {
+  type: 'object',
+  required: ['assistantConfig', 'activeFeatures'],
+  properties: {
+    assistantConfig: {
+      type: 'object',
+      properties: {
+        bionicReading: toggle(),
+        dyslexiaFont: toggle(),
+        smartSpacing: toggle({
+          letterSpacing: { type: 'number', minimum: 0.5, maximum: 3 },
+          wordSpacing: { type: 'number', minimum: 0.5, maximum: 3 },
+          lineSpacing: { type: 'number', minimum: 1, maximum: 3 }
+        }),
+        tts: toggle({ reason: { type: 'string' } }),
+        writingSupport: toggle({ level: { type: 'string', enum: ['minimal', 'moderate', 'comprehensive'] } }),
+        cognitiveLoadReduction: toggle({ chunkSize: { type: 'integer', minimum: 3, maximum: 12 } }),
+        focusMode: toggle()
+      }
+    },
+    explanation: { type: 'string', default: '' },
+    activeFeatures: {
+      type: 'array',
+      items: {
+        type: 'string',
+        enum: ['bionicReading', 'dyslexiaFont', 'smartSpacing', 'tts', 'writingSupport', 'cognitiveLoadReduction', 'focusMode']
+      }
+    },
+    recommendedActions: stringList(),
+    processingStrategy: {
+      type: 'object',
+      properties: {
+        simplify: { type: 'boolean', default: false },
+        chunk: { type: 'boolean', default: false },
+        highlight: { type: 'boolean', default: false },
+        pace: { type: 'number', minimum: 20, maximum: 400, default: 120 }
+      }
+    }
+  }
+};
+
+const contextDetection = {
+  type: 'object',
+  required: ['taskType'],
+  properties: {
+    taskType: { type: 'string', enum: ['reading', 'writing', 'mixed'] },
+    confidence: { type: 'number', minimum: 0, maximum: 1, default: 0.7 },
+    characteristics: { type: 'object', default: {} }
+  }
+};
+
+const changeList = {
+  type: 'array',
+  default: [],
+  items: {
+    type: 'object',
+    properties: {
+      original: { type: 'string', default: '' },
+      simplified: { type: 'string', default: '' },
+      reason: { type: 'string', default: '' }
+    }
+  }
+};
+
+const simplification = {
+  type: 'object',
+  required: ['simplified'],
+  properties: {
+    simplified: { type: 'string' },
+    changes: changeList,
+    complexityReduction: { type: 'number', minimum: 0, maximum: 1, default: 0 }
+  }
+};
+
+const keywordExtraction = {
+  type: 'object',
+  required: ['keywords'],
+  properties: {
+    keywords: { type: 'array', items: { type: 'string' }, maxItems: 10 },
+    keyPhrases: stringList(),
+    highlightedText: { type: 'string', default: '' }
+  }
+};
+
+const keywordIdentification = {
+  type: 'object',
+  required: ['importantWords'],
+  properties: {
+    importantWords: { type: 'array', items: { type: 'integer', minimum: 0 } },
+    emphasisWords: { type: 'array', items: { type: 'integer', minimum: 0 }, default: [] }
+  }
+};
+
+const textCorrection = errorTypeEnum => ({
+  type: 'object',
+  required: ['corrected', 'errors'],
+  properties: {
+    corrected: { type: 'string' },
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['original', 'corrected'],
+        properties: {
+          original: { type: 'string' },
+          corrected: { type: 'string' },
+          type: errorTypeEnum ? { type: 'string', enum: errorTypeEnum, default: errorTypeEnum[0] } : { type: 'string', default: 'grammar' },
+          position: { type: 'integer', minimum: 0 },
+          confidence: { type: 'number', minimum: 0, maximum: 1 },
+          explanation: { type: 'string' }
+        }
+      }
+    },
+    suggestions: stringList()
+  }
+});
+
+const wordSpellingCheck = {
+  type: 'object',
+  required: ['correct'],
+  properties: {
+    correct: { type: 'boolean' },
+    corrected: { type: 'string', default: '' },
+    errorType: { type: 'string', enum: ['Phonetic', 'Visual', 'Typo', 'None'], default: 'None' },
+    suggestions: stringList()
+  }
+};
+
+const writingFeedback = {
+  type: 'object',
+  required: ['errors', 'feedback'],
+  properties: {
+    errors: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['original', 'suggestion'],
+        properties: {
+          type: { type: 'string', enum: ['spelling', 'grammar', 'punctuation', 'word_choice', 'reversal', 'other'], default: 'other' },
+          original: { type: 'string' },
+          suggestion: { type: 'string' },
+          message: { type: 'string', default: '' }
+        }
+      }
+    },
+    suggestions: stringList(),
+    feedback: { type: 'string', minLength: 1 },
+    waysToOvercome: stringList()
+  }
+};
+
+const syllableList = {
+  type: 'array',
+  default: [],
+  items: {
+    type: 'object',
+    required: ['word', 'syllables'],
+    properties: {
+      word: { type: 'string' },
+      syllables: { type: 'array', items: { type: 'string' } },
+      position: { type: 'integer', minimum: 0 }
+    }
+  }
+};
+
+const textTransformation = {
+  type: 'object',
+  required: ['transformedText'],
+  properties: {
+    transformedText: { type: 'string', minLength: 1 },
+    complexityReduction: { type: 'number', minimum: 0, maximum: 1, default: 0 },
+    appliedTransformations: stringList(),
+    keyChanges: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        properties: {
+          original: { type: 'string', default: '' },
+          transformed: { type: 'string', default: '' },
+          reason: { type: 'string', default: '' }
+        }
+      }
+    },
+    syllableHighlights: syllableList
+  }
+};
+
+const syllableHighlighting = {
+  type: 'object',
+  required: ['syllables'],
+  properties: {
+    highlightedText: { type: 'string', default: '' },
+    syllables: syllableList
+  }
+};
+
+// Steps that were not requested (or not answered) come back as null
+const fusedTextProcessing = {
+  type: 'object',
+  properties: {
+    simplified: { type: 'string', nullable: true },
+    changes: { ...changeList, nullable: true, default: null },
+    complexityReduction: { type: 'number', minimum: 0, maximum: 1, nullable: true },
+    keywords: { type: 'array', items: { type: 'string' }, maxItems: 10, nullable: true },
+    keyPhrases: { type: 'array', items: { type: 'string' }, nullable: true },
+    syllables: { ...syllableList, nullable: true, default: null }
+  }
+};
+
+module.exports = {
+  'reading passage generation': readingPassage,
+  'reading analysis': readingAnalysis,
+  'spelling analysis': spellingAnalysis,
+  'cognitive analysis': cognitiveAnalysis,
+  'visual analysis': visualAnalysis,
+  'holistic report generation': holisticReport,
+  'dyslexia screening report': dyslexiaScreeningReport,
+  'user profile generation': userProfile,
+  'adaptive assistant configuration': assistantConfig,
+  'context detection': contextDetection,
+  'text simplification': simplification,
+  'grammar simplification': simplification,
+  'keyword extraction': keywordExtraction,
+  'keyword identification': keywordIdentification,
+  'grammar correction': textCorrection(null),
+  'text spelling analysis': textCorrection(['Phonetic', 'Visual', 'Typo']),
+  'word spelling check': wordSpellingCheck,
+  'standalone writing feedback': writingFeedback,
+  'text transformation': textTransformation,
+  'syllable highlighting': syllableHighlighting,
+  'fused text processing': fusedTextProcessing
+};
@@ -0,0 +1,454 @@
+/**
+ * Request Schemas
+ * Expected shape of each API request, keyed by endpoint, as { body, query, params }.
+ * Routes enforce them with requestValidator.validateRequest(); see
+ * services/schemaValidator.js for the supported keywords.
+ *
+ * Endpoints that answer with an LLM task result also name its `response` schema, the one
+ * geminiService validates the result against plus any fields the service adds, as do
+ * deterministically scored tests. It is not checked here; it documents the endpoint in the
+ * OpenAPI document (services/openApi.js).
+ *
+ * Free text is capped by length so huge pastes are rejected with a 400 naming the
+ * field instead of reaching the LLM: MAX_TEXT_LENGTH (default 50000 characters) for
+ * documents, shorter fixed caps for words, transcripts and passages.
+ */
+
+const llmTaskSchemas = require('./llmTaskSchemas');
+
+const MAX_TEXT_LENGTH = Number(process.env.MAX_TEXT_LENGTH || 50000);
+const MAX_PASSAGE_LENGTH = 10000;
+const MAX_WORD_LENGTH = 100;
+const MAX_HISTORY = 1000;
+const MAX_TIMED_WORDS = 3000;
+const MAX_ALTERNATIVES = 10;
+
+const text = (maxLength = MAX_TEXT_LENGTH) => ({ type: 'string', minLength: 1, maxLength });
+const count = { type: 'integer', minimum: 0 };
+const seconds = { type: 'number', minimum: 0 };
+const score = { type: 'number', minimum: 0, maximum: 100 };
+const object = (properties = {}, required = []) => ({ type: 'object', properties, required });
+const list = (items, maxItems) => ({ type: 'array', items, maxItems });
+
+// Profiles and reports are produced by our own services; only their container type is checked
+const userProfile = { type: 'object' };
+const report = { type: 'object' };
+
+const processBody = object({
+  text: text(),
+  config: object({
+    processingStrategy: object({
+      simplify: { type: 'boolean' },
+      chunk: { type: 'boolean' },
+      chunkSize: { type: 'integer', minimum: 1, maximum: 50 },
+      highlight: { type: 'boolean' },
+      syllables: { type: 'boolean' },
+      pace: { type: 'number', minimum: 0 },
+      mode: { type: 'string', enum: ['sequential', 'fused'] }
+    }),
+    assistantConfig: { type: 'object' },
+    activeFeatures: list({ type: 'string' }, 50)
+  }, ['processingStrategy']),
+  userProfile
+}, ['text', 'config']);
+
+// ---------- /api/auth ----------
+
+const email = { type: 'string', maxLength: 254, pattern: '^[^\\s@]+@[^\\s@]+\\.[^\\s@]+$' };
+
+const register = {
+  body: object({
+    email,
+    password: { type: 'string', minLength: 8, maxLength: 200 },
+    name: { type: 'string', maxLength: 100 }
+  }, ['email', 'password'])
+};
+
+const login = {
+  body: object({
+    email: { type: 'string', minLength: 1, maxLength: 254 },
+    password: { type: 'string', minLength: 1, maxLength: 200 }
+  }, ['email', 'password'])
+};
+
+// ---------- /api/me ----------
+
+const limit = { type: 'string', pattern: '^([1-9]\\d{0,2}|1000)$' };
+const sessionType = { type: 'string', enum: ['reading', 'writing'] };
+
+const saveProfile = {
+  body: object({
+    name: { type: 'string', maxLength: 100 },
+    ageGroup: { type: 'string', maxLength: 50 },
+    preferredLanguage: { type: 'string', maxLength: 20 }
+  })
+};
+
+const listQuery = {
+  query: object({ limit })
+};
+
+const recordId = {
+  params: object({ id: { type: 'string', pattern: '^\\d{1,15}$' } }, ['id'])
+};
+
+const createReport = {
+  body: object({ report, assessmentResults: { type: 'object', nullable: true } }, ['report'])
+};
+
+const saveLearningProfile = { body: userProfile };
+
+const listSessions = {
+  query: object({ type: sessionType, limit })
+};
+
+const createSession = {
+  body: object({ type: sessionType, data: { type: 'object' } }, ['type', 'data'])
+};
+
+// ---------- /api/ai ----------
+
+const nullableString = { type: 'string', nullable: true };
+
+// The generated passage's shape, plus where it came from (services/passageBank.js)
+const passageResponse = llmTaskSchemas['reading passage generation'];
+const readingPassage = {
+  body: object({ userProfile }),
+  response: {
+    ...passageResponse,
+    required: [...passageResponse.required, 'ageGroup', 'level', 'source'],
+    properties: {
+      ...passageResponse.properties,
+      id: nullableString,
+      ageGroup: { type: 'string', enum: ['child', 'teen', 'adult', 'adult_plus'] },
+      level: count,
+      source: { type: 'string', enum: ['bank', 'llm'] }
+    }
+  }
+};
+
+const miscueTypes = ['substitution', 'omission', 'insertion', 'reversal', 'repetition', 'self-correction'];
+
+// Deterministic scoring returned alongside the LLM's reading analysis (services/miscueAnalysis.js)
+const miscueAnalysis = object({
+  totalWords: count,
+  wordsAttempted: count,
+  wordsCorrect: count,
+  errors: count,
+  accuracyPercent: score,
+  wcpm: count,
+  wpm: count,
+  counts: object(Object.fromEntries(
+    ['substitution', 'omission', 'insertion', 'reversal', 'repetition', 'selfCorrection'].map(type => [type, count])
+  )),
+  miscues: list(object({
+    type: { type: 'string', enum: miscueTypes },
+    position: count,
+    expected: nullableString,
+    said: nullableString
+  })),
+  words: list(object({
+    word: { type: 'string' },
+    status: { type: 'string', enum: ['correct', 'substitution', 'omission', 'reversal', 'self-correction', 'not-reached'] },
+    said: nullableString
+  }))
+});
+
+// Timing analysis returned with it when the test sent word timings (services/readingHesitations.js)
+const passageGoBack = object({ from: count, to: count, atMs: { ...count, nullable: true } });
+const hesitations = {
+  ...object({
+    startLatencyMs: { ...count, nullable: true },
+    medianGapMs: count,
+    longPauseMs: count,
+    counts: object({ longPauses: count, regressions: count, restarts: count }),
+    pauses: list(object({
+      position: { ...count, nullable: true },
+      said: { type: 'string' },
+      atMs: count,
+      durationMs: count
+    })),
+    regressions: list(passageGoBack),
+    restarts: list(passageGoBack),
+    words: list(object({
+      word: { type: 'string' },
+      latencyMs: { ...count, nullable: true },
+      longPause: { type: 'boolean' }
+    }))
+  }),
+  nullable: true
+};
+
+const analyzeReading = {
+  body: object({
+    originalText: text(MAX_PASSAGE_LENGTH),
+    transcript: text(MAX_PASSAGE_LENGTH),
+    timeSeconds: seconds,
+    // When each transcript word was first heard, in ms from the start of recording
+    wordTimings: list(object({
+      word: text(MAX_WORD_LENGTH),
+      onsetMs: { type: 'number', minimum: 0 }
+    }, ['word', 'onsetMs']), MAX_TIMED_WORDS),
+    // The bank passage that was read (reading-passage id), recorded so re-screenings avoid it
+    passageId: { ...text(MAX_WORD_LENGTH), nullable: true }
+  }, ['originalText', 'transcript']),
+  // Without Gemini (aiError) only the measurements come back, so the narrative is optional
+  response: {
+    ...llmTaskSchemas['reading analysis'],
+    required: ['accuracyPercent', 'wcpm', 'miscueAnalysis'],
+    properties: {
+      ...llmTaskSchemas['reading analysis'].properties,
+      wcpm: count,
+      miscueAnalysis,
+      hesitations,
+      aiError: { type: 'boolean' }
+    }
+  }
+};
+
+const analyzeSpelling = {
+  body: object({
+    spellingResults: list(object({
+      word: text(MAX_WORD_LENGTH),
+      typed: { type: 'string', maxLength: MAX_WORD_LENGTH },
+      accuracy: score,
+      errorType: { type: 'string', maxLength: MAX_WORD_LENGTH }
+    }, ['word']), 200)
+  }, ['spellingResults']),
+  response: llmTaskSchemas['spelling analysis']
+};
+
+// Phoneme-level scoring of the nonword reading subtest (services/pseudowordDecoding.js)
+const phonemes = list({ type: 'string' });
+const patternScore = object({ correct: count, total: count, percent: score });
+const analyzePseudowords = {
+  body: object({
+    // What the speech recognizer heard for each word, most likely first
+    responses: list(object({
+      word: text(MAX_WORD_LENGTH),
+      heard: list({ type: 'string', maxLength: MAX_WORD_LENGTH }, MAX_ALTERNATIVES)
+    }, ['word', 'heard']), 50)
+  }, ['responses']),
+  response: object({
+    itemsCorrect: count,
+    itemsTotal: count,
+    itemsSkipped: count,
+    wordAccuracy: { ...score, nullable: true },
+    phonemeAccuracy: { ...score, nullable: true },
+    decodingScore: { ...score, nullable: true },
+    counts: object(Object.fromEntries(['substitution', 'omission', 'insertion', 'vowel', 'consonant'].map(type => [type, count]))),
+    byPattern: object(Object.fromEntries(['cvc', 'blend', 'digraph', 'long vowel', 'multisyllable'].map(pattern => [pattern, patternScore]))),
+    items: list(object({
+      word: { type: 'string' },
+      pattern: { type: 'string' },
+      heard: nullableString,
+      expected: phonemes,
+      said: phonemes,
+      correct: { type: 'boolean' },
+      phonemesCorrect: count,
+      phonemeScore: { type: 'number', minimum: 0, maximum: 1 },
+      errors: list(object({
+        type: { type: 'string', enum: ['substitution', 'omission', 'insertion'] },
+        position: count,
+        expected: nullableString,
+        said: nullableString
+      }))
+    }))
+  }, ['itemsCorrect', 'itemsTotal', 'decodingScore', 'items'])
+};
+
+const analyzeVisual = {
+  body: object({
+    target: text(10),
+    hits: count,
+    falsePositives: count,
+    correctCount: count,
+    selectedCount: count,
+    timeElapsed: seconds,
+    clickPattern: list(object({
+      index: count,
+      correct: { type: 'boolean' },
+      timeSinceStart: seconds
+    }), 1000)
+  }, ['target', 'hits']),
+  response: llmTaskSchemas['visual analysis']
+};
+
+const analyzeCognitive = {
+  body: object({
+    sequence: list({ type: ['integer', 'string'] }, 50),
+    userSequence: list({ type: ['integer', 'string'] }, 50),
+    responseTimes: list(seconds, 500),
+    maxLengthReached: count,
+    rounds: list(object({
+      sequenceLength: count,
+      correct: { type: 'boolean' },
+      correctCount: count,
+      responseTimes: list(seconds, 50)
+    }), 100),
+    timeElapsed: seconds,
+    correct: count,
+    total: count
+  }, ['sequence', 'userSequence']),
+  response: llmTaskSchemas['cognitive analysis']
+};
+
+const generateReport = {
+  body: object({ aggregatedResults: { type: 'object' } }, ['aggregatedResults'])
+};
+
+// ---------- /api/assistant ----------
+
+const profile = {
+  body: object({ assessmentResults: { type: 'object' }, report }, ['assessmentResults', 'report'])
+};
+
+const configure = {
+  body: object({
+    userProfile,
+    input: object({
+      text: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+      inputMode: { type: 'string', maxLength: 50 },
+      taskMode: { type: 'string', maxLength: 50 },
+      metadata: { type: 'object' }
+    }, ['text']),
+    detectedDefects: { type: 'object', nullable: true },
+    report: { ...report, nullable: true }
+  }, ['userProfile', 'input'])
+};
+
+const processText = { body: processBody };
+
+const analyzeWriting = {
+  body: object({
+    userText: text(),
+    referenceText: { type: 'string', maxLength: MAX_TEXT_LENGTH, nullable: true },
+    userProfile: { ...userProfile, nullable: true }
+  }, ['userText'])
+};
+
+const trackPerformance = {
+  body: object({
+    sessionType: { type: 'string', enum: ['reading', 'writing'] },
+    sessionData: object({
+      userText: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+      referenceText: { type: 'string', maxLength: MAX_TEXT_LENGTH, nullable: true },
+      textLength: count,
+      timeSpent: seconds,
+      accuracy: { ...score, nullable: true },
+      wpm: { type: 'number', minimum: 0 },
+      errors: list({}, MAX_HISTORY),
+      corrections: list({}, MAX_HISTORY),
+      suggestionsAccepted: count,
+      suggestionsRejected: count
+    })
+  }, ['sessionType', 'sessionData'])
+};
+
+const updateProfile = {
+  body: object({ currentProfile: userProfile })
+};
+
+const suggestionFeedback = {
+  body: object({
+    suggestionId: { type: ['string', 'integer'], maxLength: 100 },
+    action: { type: 'string', enum: ['accepted', 'rejected'] },
+    errorType: { type: 'string', maxLength: 50 },
+    suggestionLevel: { type: 'string', enum: ['minimal', 'moderate', 'comprehensive'] },
+    original: { type: 'string', maxLength: MAX_PASSAGE_LENGTH },
+    corrected: { type: 'string', maxLength: MAX_PASSAGE_LENGTH },
+    userProfile: { ...userProfile, nullable: true }
+  }, ['action'])
+};
+
+// Messages on the /api/assistant/live WebSocket (see liveWritingSocket.js)
+const liveWritingMessage = object({
+  type: { type: 'string', enum: ['edit'] },
+  text: { type: 'string', maxLength: MAX_TEXT_LENGTH },
+  version: { type: 'integer', minimum: 0 }
+}, ['type', 'text']);
+
+// ---------- /api/jobs ----------
+
+// Multipart fields of POST /api/jobs/upload, after parsing their JSON (the text is the file)
+const uploadJob = {
+  body: object({
+    config: processBody.properties.config,
+    userProfile
+  }, ['config'])
+};
+
+const jobId = {
+  params: object({ id: { type: 'string', pattern: '^[0-9a-f-]{36}$' } }, ['id'])
+};
+
+// ---------- /api/admin ----------
+
+const purgeCache = {
+  query: object({
+    task: { type: 'string', maxLength: 100 },
+    expiredOnly: { type: 'string', enum: ['true', 'false'] }
+  })
+};
+
+const promptTemplate = {
+  params: object({ id: { type: 'string', pattern: '^[a-z0-9-]{1,64}$' } }, ['id']),
+  query: object({ version: { type: 'string', pattern: '^\\d{1,4}$' } })
+};
+
+const usage = {
+  query: object({
+    period: { type: 'string', enum: ['daily', 'monthly'] },
+    from: { type: 'string', pattern: '^\\d{4}-\\d{2}(-\\d{2})?$' },
+    to: { type: 'string', pattern: '^\\d{4}-\\d{2}(-\\d{2})?$' },
+    userId: { type: 'string', maxLength: 128 },
+    task: { type: 'string', maxLength: 100 }
+  })
+};
+
+const userParams = object({ userId: { type: 'string', pattern: '^[\\w.@:-]{1,128}$' } }, ['userId']);
+
+const userUsage = { params: userParams };
+
+const userQuota = {
+  params: userParams,
+  body: object({
+    daily: { type: 'number', minimum: 0, nullable: true },
+    monthly: { type: 'number', minimum: 0, nullable: true }
+  })
+};
+
+module.exports = {
+  MAX_TEXT_LENGTH,
+  register,
+  login,
+  saveProfile,
+  listQuery,
+  recordId,
+  createReport,
+  saveLearningProfile,
+  listSessions,
+  createSession,
+  readingPassage,
+  analyzeReading,
+  analyzeSpelling,
+  analyzePseudowords,
+  analyzeVisual,
+  analyzeCognitive,
+  generateReport,
+  profile,
+  configure,
+  processText,
+  analyzeWriting,
+  trackPerformance,
+  updateProfile,
+  suggestionFeedback,
+  liveWritingMessage,
+  uploadJob,
+  jobId,
+  purgeCache,
+  promptTemplate,
+  usage,
+  userUsage,
+  userQuota
+};
@@ -6,6 +6,8 @@
 
 const geminiService = require('./geminiService');
 const contextDetector = require('./contextDetector');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 // Map recommended feature display names to profile feature keys (defect-based only)
 const RECOMMENDED_TO_FEATURE = {
@@ -40,79 +42,26 @@ class AdaptiveAssistant {
    */
   async generateConfig(userProfile, context, input) {
     const startTime = Date.now();
-    console.log('🧠 Adaptive Assistant reasoning invoked');
-    console.log(`📊 User Profile Level: ${userProfile.personalizationLevel}`);
-    console.log(`📝 Task Type: ${context.taskType}`);
-
-    const prompt = `You are an intelligent adaptive learning assistant. Generate personalized configuration.
-
-USER PROFILE:
-- Enabled Features: ${JSON.stringify(userProfile.enabledFeatures)}
-- Reading Preferences: ${JSON.stringify(userProfile.readingPreferences)}
-- Writing Preferences: ${JSON.stringify(userProfile.writingPreferences)}
-- Attention Profile: ${JSON.stringify(userProfile.attentionProfile)}
-- Learning Style: ${JSON.stringify(userProfile.learningStyle)}
-- Strengths: ${userProfile.strengths.join(', ')}
-- Challenges: ${userProfile.challenges.join(', ')}
-
-CURRENT CONTEXT:
-- Task Type: ${context.taskType}
-- Text Length: ${input.text?.length || 0} characters
-- Characteristics: ${JSON.stringify(context.characteristics || {})}
-
-Generate adaptive configuration:
-
-1. Active Features (only enable what's needed for THIS task):
-   - Which features from userProfile.enabledFeatures should be ACTIVE now?
-   - Explain why each is enabled/disabled
-
-2. Processing Strategy:
-   - How should text be processed?
-   - What adaptations are needed?
-   - What level of assistance?
-
-3. Recommended Actions:
-   - What should the user do next?
-   - Any specific guidance?
-
-Return JSON:
-{
-  "assistantConfig": {
-    "bionicReading": true,
-    "dyslexiaFont": true,
-    "smartSpacing": {
-      "enabled": true,
-      "letterSpacing": 1.2,
-      "wordSpacing": 1.5,
-      "lineSpacing": 1.8
-    },
-    "tts": {
-      "enabled": false,
-      "reason": "User reading accuracy is good"
-    },
-    "writingSupport": {
-      "enabled": true,
-      "level": "moderate"
-    },
-    "cognitiveLoadReduction": {
-      "enabled": true,
-      "chunkSize": 6
-    },
-    "focusMode": false
-  },
-  "explanation": "Brief explanation of decisions",
-  "activeFeatures": ["bionicReading", "smartSpacing", "cognitiveLoadReduction"],
-  "recommendedActions": ["Read in chunks", "Take breaks every 15 minutes"],
-  "processingStrategy": {
-    "simplify": false,
-    "chunk": true,
-    "highlight": true,
-    "pace": 120
-  }
-}`;
+    logger.info('🧠 Adaptive Assistant reasoning invoked', {
+      personalizationLevel: userProfile.personalizationLevel,
+      taskType: context.taskType
+    });
 
     try {
-      const config = await geminiService.generateJSON('adaptive assistant configuration', prompt);
+      const config = await geminiService.generateFromTemplate('assistant-config', {
+        enabledFeatures: JSON.stringify(userProfile.enabledFeatures),
+        readingPreferences: JSON.stringify(userProfile.readingPreferences),
+        writingPreferences: JSON.stringify(userProfile.writingPreferences),
+        attentionProfile: JSON.stringify(userProfile.attentionProfile),
+        learningStyle: JSON.stringify(userProfile.learningStyle),
+        strengths: userProfile.strengths.join(', '),
+        challenges: userProfile.challenges.join(', '),
+        taskType: context.taskType,
+        textLength: input.text?.length || 0,
+        characteristics: JSON.stringify(context.characteristics || {})
+      }, {
+        input: { userProfile, context, input }
+      });
       const duration = Date.now() - startTime;
       
       const defectBased = getDefectBasedFeatures(input.detectedDefects);
@@ -139,8 +88,7 @@ Return JSON:
         assistantConfig = { ...assistantConfig, ...restricted };
       }
 
-      console.log(`✅ Adaptive Assistant configured in ${duration}ms`);
-      console.log(`🎯 Active Features (defect-based): ${activeFeatures.join(', ') || 'None'}`);
+      logger.info(`✅ Adaptive Assistant configured in ${duration}ms`, { durationMs: duration, activeFeatures });
 
       return {
         assistantConfig,
@@ -153,10 +101,12 @@ Return JSON:
           highlight: userProfile.readingPreferences.highlightKeywords,
           pace: userProfile.readingPreferences.preferredPace
         },
+        promptTemplate: config.promptTemplate,
         timestamp: new Date().toISOString()
       };
     } catch (error) {
-      console.error('Adaptive assistant configuration failed:', error);
+      logger.error('Adaptive assistant configuration failed', { error });
+      metrics.recordFallback('adaptive assistant configuration', 'service_error');
       return this.generateFallbackConfig(userProfile, context, input);
     }
   }
@@ -208,7 +158,7 @@ Return JSON:
    * @returns {Promise<Object>} - Processed content
    */
   async processContent(text, config) {
-    console.log('🔄 Processing content with adaptive configuration');
+    logger.info('🔄 Processing content with adaptive configuration');
     
     // This will be enhanced by NLP pipeline
     return {
@@ -5,16 +5,23 @@
 
 const userProfileEngine = require('./userProfileEngine');
 const performanceTracker = require('./performanceTracker');
+const logger = require('./logger');
+
+const SUGGESTION_LEVELS = ['minimal', 'moderate', 'comprehensive'];
+// Decisions needed before an accept rate counts, and the rate below which suggestions are toned down
+const MIN_FEEDBACK_DECISIONS = 10;
+const LOW_ACCEPT_RATE = 30;
 
 class AdaptiveLearningEngine {
   /**
    * Update user profile based on performance
    * @param {Object} currentProfile - Current user profile
    * @param {Array} performanceHistory - Historical performance data
+   * @param {Object} feedbackStats - Optional suggestion accept rates (userDataStore.getFeedbackStats)
    * @returns {Promise<Object>} - Updated profile
    */
-  async updateProfile(currentProfile, performanceHistory) {
-    console.log('🔄 Adaptive Learning Engine: Updating profile');
+  async updateProfile(currentProfile, performanceHistory, feedbackStats = null) {
+    logger.info('🔄 Adaptive Learning Engine: Updating profile');
     
     const trends = performanceTracker.analyzeTrends(performanceHistory);
     
@@ -22,7 +29,7 @@ class AdaptiveLearningEngine {
     const analysis = this.analyzePerformance(currentProfile, trends, performanceHistory);
     
     // Generate updated profile
-    const updatedProfile = { ...currentProfile };
+    let updatedProfile = { ...currentProfile };
     
     // Adjust features based on performance
     if (trends.trend === 'improving' && trends.improvement > 10) {
@@ -36,8 +43,16 @@ class AdaptiveLearningEngine {
     // Update preferences based on usage patterns
     updatedProfile = this.updatePreferences(updatedProfile, performanceHistory);
 
+    // Tone down suggestions the user keeps rejecting
+    let feedbackReason = '';
+    if (feedbackStats) {
+      const adjusted = this.applySuggestionFeedback(updatedProfile, feedbackStats);
+      updatedProfile = adjusted.profile;
+      feedbackReason = adjusted.reason;
+    }
+
     updatedProfile.updatedAt = new Date().toISOString();
-    updatedProfile.lastUpdateReason = analysis.updateReason;
+    updatedProfile.lastUpdateReason = [analysis.updateReason, feedbackReason].filter(Boolean).join(' ');
 
     return updatedProfile;
   }
@@ -147,6 +162,52 @@ class AdaptiveLearningEngine {
     return updated;
   }
 
+  /**
+   * Adjust writing suggestions from accept/reject feedback
+   * A suggestion level whose suggestions are mostly rejected drops one step. Error
+   * categories are muted (writingPreferences.mutedCategories) while their recent decisions
+   * (recentByCategory) are mostly rejected, and unmuted once they no longer are, e.g.
+   * after later accepts or when the rejections have aged out of the window.
+   * @returns {Object} - { profile, reason }
+   */
+  applySuggestionFeedback(profile, feedbackStats) {
+    const writingPreferences = { ...(profile.writingPreferences || {}) };
+    const changes = [];
+    const lifted = [];
+    const isRejected = stats => !!stats && stats.total >= MIN_FEEDBACK_DECISIONS && stats.acceptRate < LOW_ACCEPT_RATE;
+
+    const level = writingPreferences.suggestionLevel || 'moderate';
+    const levelIndex = SUGGESTION_LEVELS.indexOf(level);
+    if (levelIndex > 0 && isRejected(feedbackStats.byLevel?.[level])) {
+      writingPreferences.suggestionLevel = SUGGESTION_LEVELS[levelIndex - 1];
+      changes.push(`suggestion level lowered to ${writingPreferences.suggestionLevel}`);
+    }
+
+    const recent = feedbackStats.recentByCategory || feedbackStats.byCategory || {};
+    const muted = new Set(writingPreferences.mutedCategories || []);
+    muted.forEach(category => {
+      if (!isRejected(recent[category])) {
+        muted.delete(category);
+        lifted.push(category);
+      }
+    });
+    Object.entries(recent).forEach(([category, stats]) => {
+      if (!muted.has(category) && isRejected(stats)) {
+        muted.add(category);
+        changes.push(`${category} suggestions muted (${stats.acceptRate}% accepted)`);
+      }
+    });
+    writingPreferences.mutedCategories = [...muted];
+
+    const reasons = [];
+    if (changes.length) reasons.push(`Most suggestions rejected: ${changes.join(', ')}.`);
+    if (lifted.length) reasons.push(`No longer mostly rejected, unmuted: ${lifted.join(', ')}.`);
+    return {
+      profile: { ...profile, writingPreferences },
+      reason: reasons.join(' ')
+    };
+  }
+
   /**
    * Generate update reason
    */
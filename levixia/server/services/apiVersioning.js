@@ -0,0 +1,43 @@
+/**
+ * API Versioning
+ * The API is served under /api/v1. The unversioned /api prefix keeps working for
+ * existing clients, but its responses say it is deprecated:
+ *   Deprecation: @<unix time>            (RFC 9745, when /api/v1 became the supported prefix)
+ *   Link: </api/v1/...>; rel="successor-version"
+ *   Sunset: <HTTP date>                  (RFC 8594, only when API_LEGACY_SUNSET is set)
+ */
+
+const API_VERSION = '1.0.0';
+const API_PREFIX = '/api/v1';
+const LEGACY_PREFIX = '/api';
+
+const DEPRECATED_SINCE = Date.parse('2026-10-18T00:00:00Z');
+
+/**
+ * Deprecation headers for a request made under LEGACY_PREFIX
+ * @param {string} url - Request URL below the prefix (path and query string)
+ * @returns {Object} - Header name -> value
+ */
+function deprecationHeaders(url) {
+  const headers = {
+    Deprecation: `@${Math.floor(DEPRECATED_SINCE / 1000)}`,
+    Link: `<${API_PREFIX}${url}>; rel="successor-version"`
+  };
+
+  const sunset = process.env.API_LEGACY_SUNSET ? new Date(process.env.API_LEGACY_SUNSET) : null;
+  if (sunset && !isNaN(sunset)) headers.Sunset = sunset.toUTCString();
+  return headers;
+}
+
+/**
+ * Whether a path below LEGACY_PREFIX is really a versioned one
+ */
+const isVersioned = path => `${LEGACY_PREFIX}${path}`.startsWith(`${API_PREFIX}/`);
+
+module.exports = {
+  API_VERSION,
+  API_PREFIX,
+  LEGACY_PREFIX,
+  deprecationHeaders,
+  isVersioned
+};
@@ -0,0 +1,269 @@
+/**
+ * Auth Service
+ * User accounts, password hashing and signed session tokens.
+ *
+ * Passwords are hashed with scrypt and a random per-user salt. Logging in opens a
+ * session and returns a token: base64url(JSON payload) + '.' + HMAC-SHA256 signature
+ * keyed with AUTH_SECRET. A token is accepted while its signature matches, it has not
+ * expired (AUTH_SESSION_TTL_HOURS, default 168) and its session still exists, so
+ * logging out revokes it.
+ *
+ * Admins are the user ids listed in ADMIN_USER_IDS (comma-separated); requireAdmin lets
+ * only them through to the admin routes.
+ *
+ * Accounts and sessions are stored in the users and auth_sessions tables of the database (see
+ * database.js); expired sessions are removed when a new one opens. Without AUTH_SECRET a random secret is generated at startup and sessions end on restart.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const database = require('./database');
+const requestContext = require('./requestContext');
+const logger = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HOUR_MS = 60 * 60 * 1000;
+const KEY_LENGTH = 64;
+
+/**
+ * Error with an HTTP status, for the auth routes to pass on
+ */
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+const base64url = value => Buffer.from(value).toString('base64url');
+const normaliseEmail = email => String(email).trim().toLowerCase();
+
+/**
+ * Account from a users row
+ */
+const toUser = row => row && ({
+  id: row.id,
+  email: row.email,
+  name: row.name,
+  salt: row.salt,
+  passwordHash: row.password_hash,
+  createdAt: row.created_at
+});
+
+/**
+ * Compare two strings without leaking where they differ
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class AuthService {
+  constructor(options = {}) {
+    this.sessionTtlMs = (options.sessionTtlHours ?? Number(process.env.AUTH_SESSION_TTL_HOURS || 168)) * HOUR_MS;
+    this.secret = options.secret || process.env.AUTH_SECRET;
+    this.adminIds = new Set((options.adminUserIds ?? process.env.ADMIN_USER_IDS ?? '').split(',').map(id => id.trim()).filter(Boolean));
+    if (!this.secret) {
+      this.secret = crypto.randomBytes(32).toString('hex');
+      logger.warn('⚠️  AUTH_SECRET not set. Using a random secret; sessions will end when the server restarts.');
+    }
+
+    this.requireAuth = this.requireAuth.bind(this);
+    this.requireAdmin = this.requireAdmin.bind(this);
+  }
+
+  /**
+   * Hash a password with a salt
+   * @returns {Promise<string>} - Hex-encoded scrypt hash
+   */
+  async hashPassword(password, salt) {
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return key.toString('hex');
+  }
+
+  /**
+   * Create an account and sign it in
+   * @param {Object} details - { email, password, name }
+   * @returns {Promise<Object>} - { user, token, expiresAt }
+   */
+  async register({ email, password, name }) {
+    const normalised = normaliseEmail(email);
+    if (this.findByEmail(normalised)) {
+      throw new AuthError('An account with this email already exists', 409);
+    }
+
+    const salt = crypto.randomBytes(16).toString('hex');
+    const passwordHash = await this.hashPassword(password, salt);
+
+    const user = {
+      id: crypto.randomUUID(),
+      email: normalised,
+      name: (name || '').trim() || normalised.split('@')[0],
+      salt,
+      passwordHash,
+      createdAt: new Date().toISOString()
+    };
+    try {
+      database.db.prepare(`
+        INSERT INTO users (id, email, name, salt, password_hash, created_at) VALUES (?, ?, ?, ?, ?, ?)
+      `).run(user.id, user.email, user.name, user.salt, user.passwordHash, user.createdAt);
+    } catch (error) {
+      // Another registration may have taken the email while hashing
+      if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new AuthError('An account with this email already exists', 409);
+      }
+      throw error;
+    }
+    logger.info(`👤 Registered user ${user.id}`, { userId: user.id });
+
+    return this.openSession(user);
+  }
+
+  /**
+   * Check credentials and open a session
+   * @returns {Promise<Object>} - { user, token, expiresAt }
+   */
+  async login({ email, password }) {
+    const user = this.findByEmail(normaliseEmail(email));
+    // Hash even for unknown emails so both failures take the same time
+    const hash = await this.hashPassword(password, user?.salt || 'no-such-user');
+
+    if (!user || !safeEqual(hash, user.passwordHash)) {
+      throw new AuthError('Incorrect email or password');
+    }
+    return this.openSession(user);
+  }
+
+  /**
+   * End the session a token belongs to
+   */
+  logout(token) {
+    const payload = this.readToken(token);
+    if (payload) {
+      database.db.prepare('DELETE FROM auth_sessions WHERE id = ?').run(payload.sid);
+    }
+  }
+
+  /**
+   * Resolve a token to its user
+   * @returns {Object|null} - { user, session } or null when invalid, expired or revoked
+   */
+  verify(token) {
+    const payload = this.readToken(token);
+    if (!payload || payload.exp <= Date.now()) return null;
+
+    const row = database.db.prepare(`
+      SELECT s.user_id, s.created_at AS session_created_at, s.expires_at, u.*
+      FROM auth_sessions s JOIN users u ON u.id = s.user_id
+      WHERE s.id = ?
+    `).get(payload.sid);
+    if (!row || row.user_id !== payload.sub) return null;
+    return {
+      user: this.publicUser(toUser(row)),
+      session: { id: payload.sid, userId: row.user_id, createdAt: row.session_created_at, expiresAt: row.expires_at }
+    };
+  }
+
+  /**
+   * Express middleware: require a valid Bearer token
+   * Sets req.user and makes the user the request context's user for usage accounting.
+   */
+  requireAuth(req, res, next) {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const verified = scheme === 'Bearer' && token ? this.verify(token) : null;
+
+    if (!verified) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        message: 'Please sign in to continue'
+      });
+    }
+
+    req.user = verified.user;
+    req.sessionId = verified.session.id;
+    requestContext.setUserId(verified.user.id);
+    next();
+  }
+
+  /**
+   * Express middleware: require the signed-in user to be an admin
+   * Runs after requireAuth, which sets req.user.
+   */
+  requireAdmin(req, res, next) {
+    if (!this.isAdmin(req.user)) {
+      logger.warn('🚫 Admin route refused', { userId: req.user?.id, path: req.originalUrl });
+      return res.status(403).json({
+        error: 'Admin access required',
+        message: 'This account cannot use admin endpoints'
+      });
+    }
+    next();
+  }
+
+  isAdmin(user) {
+    return !!user && this.adminIds.has(user.id);
+  }
+
+  /**
+   * Account fields that are safe to send to the client
+   */
+  publicUser(user) {
+    const { id, email, name, createdAt } = user;
+    return { id, email, name, createdAt };
+  }
+
+  findByEmail(email) {
+    return toUser(database.db.prepare('SELECT * FROM users WHERE email = ?').get(email)) || null;
+  }
+
+  /**
+   * Open a session for a user, removing sessions that have expired
+   */
+  openSession(user) {
+    const now = Date.now();
+    const sid = crypto.randomBytes(16).toString('hex');
+    const expiresAt = now + this.sessionTtlMs;
+
+    database.transaction(() => {
+      database.db.prepare('DELETE FROM auth_sessions WHERE expires_at <= ?').run(now);
+      database.db.prepare('INSERT INTO auth_sessions (id, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+        .run(sid, user.id, new Date(now).toISOString(), expiresAt);
+    });
+
+    return {
+      user: this.publicUser(user),
+      token: this.signToken({ sid, sub: user.id, iat: now, exp: expiresAt }),
+      expiresAt: new Date(expiresAt).toISOString()
+    };
+  }
+
+  signToken(payload) {
+    const body = base64url(JSON.stringify(payload));
+    return `${body}.${this.sign(body)}`;
+  }
+
+  /**
+   * Payload of a correctly signed token, or null
+   */
+  readToken(token) {
+    const [body, signature, extra] = String(token || '').split('.');
+    if (!body || !signature || extra !== undefined || !safeEqual(signature, this.sign(body))) {
+      return null;
+    }
+    try {
+      return JSON.parse(Buffer.from(body, 'base64url').toString('utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  sign(body) {
+    return crypto.createHmac('sha256', this.secret).update(body).digest('base64url');
+  }
+}
+
+module.exports = new AuthService();
@@ -4,6 +4,8 @@
  */
 
 const geminiService = require('./geminiService');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 class ContextDetector {
   /**
@@ -27,7 +29,8 @@ class ContextDetector {
           confidence: Math.max(quickDetection.confidence, aiDetection.confidence || 0.7)
         };
       } catch (error) {
-        console.warn('AI context detection failed, using heuristic:', error.message);
+        logger.warn('AI context detection failed, using heuristic', { error });
+        metrics.recordFallback('context detection', 'service_error');
         return quickDetection;
       }
     }
@@ -90,31 +93,13 @@ class ContextDetector {
    * AI-powered context detection
    */
   async aiDetect(text, inputMode) {
-    const prompt = `Analyze this text and determine the task type and user intent.
-
-TEXT (first 500 chars):
-"${text.substring(0, 500)}"
-
-INPUT MODE: ${inputMode}
-
-Determine:
-1. Task type: "reading" | "writing" | "mixed"
-2. Confidence (0-1)
-3. Characteristics: complexity, purpose, content type
-
-Return JSON:
-{
-  "taskType": "reading",
-  "confidence": 0.85,
-  "characteristics": {
-    "complexity": "moderate",
-    "purpose": "learning",
-    "contentType": "narrative"
-  }
-}`;
-
     try {
-      return await geminiService.generateJSON('context detection', prompt);
+      return await geminiService.generateFromTemplate('context-detection', {
+        textExcerpt: text.substring(0, 500),
+        inputMode
+      }, {
+        input: { text, inputMode }
+      });
     } catch (error) {
       throw error;
     }
@@ -0,0 +1,173 @@
+/**
+ * Database
+ * Embedded SQLite store (better-sqlite3) for accounts and sign-in sessions (see authService.js),
+ * learner data: profiles, screening reports, learning profiles, performance sessions, suggestion
+ * feedback and the reading passages each learner has read, keyed by account id, and background
+ * jobs (see jobQueue.js).
+ *
+ * The file is DATABASE_FILE (default server/.data/levixia.db; ':memory:' for a throwaway
+ * database) and is opened on first use. Schema changes are appended to MIGRATIONS and
+ * applied in order at open time; PRAGMA user_version records how many have run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SQLite = require('better-sqlite3');
+const logger = require('./logger');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '.data', 'levixia.db');
+
+const MIGRATIONS = [
+  `
+  CREATE TABLE profiles (
+    user_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    report TEXT NOT NULL,
+    assessment_results TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX reports_user ON reports (user_id, id);
+
+  CREATE TABLE learning_profiles (
+    user_id TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+
+  CREATE TABLE performance_sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    data TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX performance_sessions_user ON performance_sessions (user_id, type, id);
+  `,
+  `
+  CREATE TABLE suggestion_feedback (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    suggestion_id TEXT,
+    action TEXT NOT NULL,
+    error_type TEXT NOT NULL,
+    suggestion_level TEXT,
+    original TEXT,
+    corrected TEXT,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX suggestion_feedback_user ON suggestion_feedback (user_id, id);
+  `,
+  `
+  CREATE TABLE jobs (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    type TEXT NOT NULL,
+    status TEXT NOT NULL,
+    input TEXT NOT NULL,
+    progress TEXT,
+    result TEXT,
+    error TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    started_at TEXT,
+    finished_at TEXT
+  );
+  CREATE INDEX jobs_user ON jobs (user_id, created_at);
+  CREATE INDEX jobs_status ON jobs (status, created_at);
+  `,
+  `
+  CREATE TABLE served_passages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id TEXT NOT NULL,
+    passage_id TEXT NOT NULL,
+    served_at TEXT NOT NULL
+  );
+  CREATE INDEX served_passages_user ON served_passages (user_id, passage_id);
+  `,
+  `
+  CREATE TABLE users (
+    id TEXT PRIMARY KEY,
+    email TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    salt TEXT NOT NULL,
+    password_hash TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+
+  CREATE TABLE auth_sessions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL REFERENCES users (id) ON DELETE CASCADE,
+    created_at TEXT NOT NULL,
+    expires_at INTEGER NOT NULL
+  );
+  CREATE INDEX auth_sessions_expiry ON auth_sessions (expires_at);
+  `
+];
+
+class Database {
+  constructor(options = {}) {
+    this.file = options.file || process.env.DATABASE_FILE || DEFAULT_FILE;
+    this.connection = null;
+  }
+
+  /**
+   * Open connection, created and migrated on first use
+   */
+  get db() {
+    if (!this.connection) {
+      this.open();
+    }
+    return this.connection;
+  }
+
+  open() {
+    if (this.file !== ':memory:') {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    }
+
+    this.connection = new SQLite(this.file);
+    this.connection.pragma('journal_mode = WAL');
+    this.connection.pragma('foreign_keys = ON');
+    this.migrate();
+    logger.info(`🗄️  Database ready at ${this.file}`);
+  }
+
+  /**
+   * Apply migrations that have not run yet, each in its own transaction
+   */
+  migrate() {
+    const applied = this.connection.pragma('user_version', { simple: true });
+
+    MIGRATIONS.slice(applied).forEach((sql, index) => {
+      const version = applied + index + 1;
+      this.connection.transaction(() => {
+        this.connection.exec(sql);
+        this.connection.pragma(`user_version = ${version}`);
+      })();
+      logger.info(`🗄️  Applied database migration ${version}`);
+    });
+  }
+
+  /**
+   * Run a function in a transaction
+   */
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    if (this.connection) {
+      this.connection.close();
+      this.connection = null;
+    }
+  }
+}
+
+module.exports = new Database();
@@ -0,0 +1,40 @@
+/**
+ * Document Processing Job
+ * Background version of /api/assistant/process for long documents (see jobQueue.js).
+ * Paragraphs run in order through the NLP pipeline; progress is reported after each one
+ * as { stage, completed, total, percent }, and the result has the /process response shape.
+ */
+
+const nlpPipeline = require('./nlpPipeline');
+const { buildProcessResponse } = require('./processResponse');
+
+const TYPE = 'process-document';
+
+/**
+ * @param {Object} input - { text, config, userProfile, source: { fileName, fileType } | null }
+ * @param {Object} context - { progress, signal } from the job queue
+ * @returns {Promise<Object|null>} - Processed document, or null when cancelled
+ */
+async function processDocument({ text, config, userProfile, source = null }, { progress, signal }) {
+  const pipelineConfig = {
+    processingStrategy: config.processingStrategy,
+    assistantConfig: config.assistantConfig
+  };
+
+  const total = nlpPipeline.splitParagraphs(text).length;
+  progress({ stage: 'processing', completed: 0, total, percent: 0 });
+
+  const nlpResult = await nlpPipeline.processParagraphs(text, pipelineConfig, ({ index }) => {
+    progress({ stage: 'processing', completed: index + 1, total, percent: Math.round(((index + 1) / total) * 100) });
+  }, { signal });
+
+  if (signal.aborted) return null;
+
+  progress({ stage: 'finishing', completed: total, total, percent: 100 });
+  return { ...buildProcessResponse({ text, config, userProfile, nlpResult }), source };
+}
+
+module.exports = {
+  TYPE,
+  processDocument
+};
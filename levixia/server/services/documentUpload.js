@@ -0,0 +1,98 @@
+/**
+ * Document Upload
+ * Express middleware that receives one multipart/form-data file for fileProcessor.
+ *
+ * The file is kept in memory and must be a supported type (see fileProcessor.detectType)
+ * no larger than UPLOAD_MAX_BYTES (default 10 MB). Problems are answered in the same
+ * shape as request validation errors: 400 for a missing or extra file, 413 for an
+ * oversized one and 415 for an unsupported type. Other form fields can carry JSON
+ * (parseJsonFields) of up to 64 KB each.
+ */
+
+const multer = require('multer');
+const fileProcessor = require('./fileProcessor');
+const logger = require('./logger');
+
+const MAX_UPLOAD_BYTES = Number(process.env.UPLOAD_MAX_BYTES || 10 * 1024 * 1024);
+
+const STATUS_BY_CODE = {
+  LIMIT_FILE_SIZE: 413,
+  LIMIT_FIELD_VALUE: 413
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1, fields: 10, fieldSize: 64 * 1024 },
+  fileFilter: (req, file, cb) => {
+    try {
+      req.fileType = fileProcessor.assertSupported(file.originalname, file.mimetype);
+      cb(null, true);
+    } catch (error) {
+      cb(error);
+    }
+  }
+});
+
+const reject = (res, status, error, message, field, fieldMessage = message) => res.status(status).json({
+  error,
+  message,
+  fields: [{ location: 'body', field, message: fieldMessage }]
+});
+
+/**
+ * Build middleware that stores the uploaded file on req.file and its type on req.fileType
+ * @param {string} fieldName - Form field carrying the file
+ * @returns {Function} - Express middleware; the field name stays readable as .uploadField
+ */
+function receiveDocument(fieldName = 'file') {
+  const single = upload.single(fieldName);
+
+  const middleware = (req, res, next) => {
+    single(req, res, error => {
+      if (error) {
+        const status = error.status || STATUS_BY_CODE[error.code] || 400;
+        logger.warn(`🚫 Rejected upload: ${error.message}`);
+
+        if (error.code === 'LIMIT_FILE_SIZE') {
+          return reject(res, status, 'Payload too large', `File exceeds the ${MAX_UPLOAD_BYTES} byte limit`,
+            error.field, `must be at most ${MAX_UPLOAD_BYTES} bytes`);
+        }
+        return reject(res, status, status === 415 ? 'Unsupported file type' : 'Invalid request', error.message,
+          error.field || fieldName);
+      }
+
+      if (!req.file) {
+        return reject(res, 400, 'Invalid request', `${fieldName} is required`, fieldName, 'is required');
+      }
+      next();
+    });
+  };
+
+  middleware.uploadField = fieldName;
+  return middleware;
+}
+
+/**
+ * Build middleware that parses JSON-encoded form fields in place, so they can be
+ * validated like a JSON body; missing fields are left out
+ * @param {string[]} fieldNames - Form fields carrying JSON
+ */
+function parseJsonFields(fieldNames) {
+  return (req, res, next) => {
+    for (const field of fieldNames) {
+      if (req.body[field] === undefined) continue;
+      try {
+        req.body[field] = JSON.parse(req.body[field]);
+      } catch (error) {
+        return reject(res, 400, 'Invalid request', `${field} is not valid JSON`, field, 'must be valid JSON');
+      }
+    }
+    next();
+  };
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  receiveDocument,
+  parseJsonFields
+};
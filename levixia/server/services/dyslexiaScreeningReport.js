@@ -4,6 +4,8 @@
  */
 
 const geminiService = require('./geminiService');
+const miscueAnalysis = require('./miscueAnalysis');
+const logger = require('./logger');
 
 class DyslexiaScreeningReport {
   /**
@@ -55,85 +57,38 @@ class DyslexiaScreeningReport {
       letterReversals: letterReversals.length
     });
 
-    const prompt = `You are an expert dyslexia screening specialist. Generate a comprehensive, detailed screening report.
-
-ASSESSMENT DATA:
-${JSON.stringify(aggregatedResults, null, 2)}
-
-DETAILED METRICS:
-- Spelling Errors Count: ${spellingErrors.length}
-- Error Percentage: ${errorPercentage}%
-- Letter Reversals Detected: ${letterReversals.length} (${letterReversals.map(r => r.pattern).join(', ')})
-- Reading Hesitations: ${readingHesitations.length}
-- Word Spacing Issues: ${wordSpacingIssues ? 'Yes' : 'No'}
-- Phonetic Errors: ${phoneticErrors.length}
-- Reading Speed: ${readingSpeed} WPM
-- Writing Coherence Score: ${writingCoherence}/100
-- Severity Level: ${severity}
-
-Generate a comprehensive report with:
-
-1. Executive Summary (2-3 sentences, encouraging tone)
-2. Detailed Metrics Breakdown:
-   - Spelling mistakes count and list
-   - Error percentage analysis
-   - Word spacing/gaps analysis
-   - Reading hesitation indicators
-   - Letter reversal patterns
-   - Phonetic errors identified
-   - Reading speed assessment
-   - Writing coherence evaluation
-3. Severity Classification (Mild/Moderate/Severe) with justification
-4. Recommended Assistant Type (Reading/Writing/Both) with reasoning
-5. Strengths identified
-6. Areas needing support
-7. Personalized recommendations
-
-IMPORTANT:
-- Use encouraging, non-clinical language
-- Do not provide medical diagnoses
-- Focus on support strategies
-- Be specific about patterns detected
-- Maintain positive, supportive tone
-
-Return JSON:
-{
-  "executiveSummary": "Brief encouraging summary",
-  "spelling_errors": ${spellingErrors.length},
-  "spelling_errors_list": ${JSON.stringify(spellingErrors.map(e => e.word || e.original))},
-  "error_percentage": ${errorPercentage},
-  "word_spacing_issues": ${wordSpacingIssues},
-  "reading_gaps_detected": ${readingHesitations.length > 0},
-  "reading_hesitation_count": ${readingHesitations.length},
-  "reading_hesitation_details": ${JSON.stringify(readingHesitations)},
-  "letter_reversal": ${letterReversals.length > 0},
-  "letter_reversal_patterns": ${JSON.stringify(letterReversals)},
-  "phonetic_errors": ${phoneticErrors.length},
-  "phonetic_errors_list": ${JSON.stringify(phoneticErrors)},
-  "reading_speed_wpm": ${readingSpeed},
-  "reading_speed_assessment": "Assessment of reading speed",
-  "writing_coherence_score": ${writingCoherence},
-  "writing_coherence_assessment": "Assessment of writing coherence",
-  "severity_level": "${severity}",
-  "severity_justification": "Why this severity level was assigned",
-  "recommended_assistant": "${recommendedAssistant}",
-  "assistant_reasoning": "Why this assistant type is recommended",
-  "strengths": ["strength 1", "strength 2"],
-  "support_areas": ["area 1", "area 2"],
-  "recommendations": [
-    {
-      "category": "Reading Support",
-      "items": ["recommendation 1", "recommendation 2"]
-    },
-    {
-      "category": "Writing Support",
-      "items": ["recommendation 1"]
-    }
-  ]
-}`;
-
     try {
-      const report = await geminiService.generateJSON('dyslexia screening report', prompt);
+      const report = await geminiService.generateFromTemplate('dyslexia-screening-report', {
+        aggregatedResults,
+        spellingErrorCount: spellingErrors.length,
+        errorPercentage,
+        letterReversalCount: letterReversals.length,
+        letterReversalPatterns: letterReversals.map(r => r.pattern).join(', '),
+        readingHesitationCount: readingHesitations.length,
+        wordSpacingLabel: wordSpacingIssues ? 'Yes' : 'No',
+        phoneticErrorCount: phoneticErrors.length,
+        readingSpeed,
+        writingCoherence,
+        severity,
+        spellingErrorsList: JSON.stringify(spellingErrors.map(e => e.word || e.original)),
+        wordSpacingIssues,
+        readingGapsDetected: readingHesitations.length > 0,
+        readingHesitationDetails: JSON.stringify(readingHesitations),
+        letterReversal: letterReversals.length > 0,
+        letterReversalList: JSON.stringify(letterReversals),
+        phoneticErrorsList: JSON.stringify(phoneticErrors),
+        recommendedAssistant
+      }, {
+        input: {
+          severity,
+          recommendedAssistant,
+          readingSpeed,
+          writingCoherence,
+          spellingErrorCount: spellingErrors.length,
+          readingHesitationCount: readingHesitations.length,
+          letterReversalCount: letterReversals.length
+        }
+      });
       
       // Add calculated metrics to report
       return {
@@ -155,7 +110,7 @@ Return JSON:
         recommended_assistant: recommendedAssistant
       };
     } catch (error) {
-      console.error('Dyslexia screening report generation failed:', error);
+      logger.error('Dyslexia screening report generation failed', { error });
       throw new Error(`AI report generation failed: ${error.message}`);
     }
   }
@@ -261,48 +216,51 @@ Return JSON:
 
   /**
    * Detect reading hesitations (pauses, gaps)
+   * Uses the hesitation map measured from word timings (readingHesitations) when the reading
+   * test captured them; otherwise only the repetitions and self-corrections found by the
+   * miscue analysis show hesitation.
    */
   detectReadingHesitations(reading) {
-    const hesitations = [];
-    
-    if (reading.rawTranscript && reading.originalText) {
-      const transcript = reading.rawTranscript.toLowerCase().split(/\s+/);
-      const original = reading.originalText.toLowerCase().split(/\s+/);
-      const timeElapsed = reading.timeElapsed || 0;
-      const avgTimePerWord = timeElapsed / original.length;
-      
-      // Detect long pauses (words that took significantly longer)
-      // This is a simplified detection - in real implementation, would use audio analysis
-      transcript.forEach((word, idx) => {
-        if (idx < original.length) {
-          const expectedWord = original[idx];
-          // If word doesn't match and there's a significant delay indicator
-          if (word !== expectedWord) {
-            hesitations.push({
-              position: idx,
-              word: word,
-              expected: expectedWord,
-              type: 'mismatch',
-              indicator: 'word_substitution'
-            });
-          }
-        }
-      });
-
-      // Check for repetitions (indicator of hesitation)
-      for (let i = 1; i < transcript.length; i++) {
-        if (transcript[i] === transcript[i - 1]) {
-          hesitations.push({
-            position: i,
-            word: transcript[i],
-            type: 'repetition',
-            indicator: 'repeated_word'
-          });
-        }
-      }
+    const measured = reading.hesitations;
+    if (measured) {
+      const word = position => (position === null ? null : measured.words[position]?.word ?? null);
+      return [
+        ...measured.pauses.map(pause => ({
+          position: pause.position,
+          word: word(pause.position),
+          durationMs: pause.durationMs,
+          type: 'pause',
+          indicator: 'long_pause'
+        })),
+        ...measured.regressions.map(({ from, to }) => ({
+          position: from,
+          word: word(to),
+          type: 'regression',
+          indicator: 'reread_earlier_word'
+        })),
+        ...measured.restarts.map(({ from, to }) => ({
+          position: from,
+          word: word(to),
+          type: 'restart',
+          indicator: 'restarted_sentence'
+        }))
+      ].sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
     }
 
-    return hesitations;
+    const analysis = reading.miscueAnalysis || (reading.rawTranscript && reading.originalText
+      ? miscueAnalysis.analyze(reading.originalText, reading.rawTranscript, reading.timeElapsed || 0)
+      : null);
+    if (!analysis) return [];
+
+    return analysis.miscues
+      .filter(({ type }) => type === 'repetition' || type === 'self-correction')
+      .map(({ type, position, expected, said }) => ({
+        position,
+        word: said,
+        ...(expected && { expected }),
+        type,
+        indicator: type === 'repetition' ? 'repeated_word' : 'corrected_attempt'
+      }));
   }
 
   /**
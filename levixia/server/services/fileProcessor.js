@@ -1,10 +1,42 @@
 /**
  * File Processing Service
  * Handles PDF, DOCX, TXT file uploads and text extraction
+ *
+ * Parsers are pure JavaScript (pdf-parse for PDF, mammoth for DOCX), so uploads work
+ * without native tools. A file's type comes from its extension and MIME type and must
+ * match its content (PDFs start with %PDF-, DOCX files are zip archives). Extracted text
+ * is normalised into plain paragraphs separated by blank lines, the form
+ * /api/assistant/process expects.
  */
 
 const fs = require('fs').promises;
 const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const logger = require('./logger');
+
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Supported types by extension, with the MIME types browsers send for them
+const FILE_TYPES = {
+  txt: { extensions: ['.txt', '.md'], mimeTypes: ['text/plain', 'text/txt', 'text/markdown', 'text/x-markdown'] },
+  pdf: { extensions: ['.pdf'], mimeTypes: ['application/pdf'] },
+  docx: { extensions: ['.docx'], mimeTypes: [DOCX_MIME] }
+};
+
+// Sent when the browser does not know the type; the extension decides
+const GENERIC_MIME_TYPES = ['', 'application/octet-stream'];
+
+/**
+ * Error with an HTTP status, for the upload route to pass on
+ */
+class FileProcessingError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'FileProcessingError';
+    this.status = status;
+  }
+}
 
 class FileProcessor {
   /**
@@ -14,72 +46,139 @@ class FileProcessor {
    * @returns {Promise<string>} - Extracted text
    */
   async processFile(filePath, mimeType) {
+    const type = this.assertSupported(filePath, mimeType);
+    return this.extractText(await fs.readFile(filePath), type);
+  }
+
+  /**
+   * Extract normalised text from an uploaded file's contents
+   * @param {Buffer} buffer - File contents
+   * @param {string} type - 'txt' | 'pdf' | 'docx' (from detectType)
+   * @returns {Promise<string>} - Paragraphs separated by blank lines
+   */
+  async extractText(buffer, type) {
+    this.checkContent(buffer, type);
+
+    let text;
     try {
-      if (mimeType === 'text/plain' || mimeType === 'text/txt') {
-        return await this.processTXT(filePath);
-      } else if (mimeType === 'application/pdf') {
-        return await this.processPDF(filePath);
-      } else if (mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' || 
-                 mimeType === 'application/msword') {
-        return await this.processDOCX(filePath);
+      if (type === 'pdf') {
+        text = await this.processPDF(buffer);
+      } else if (type === 'docx') {
+        text = await this.processDOCX(buffer);
       } else {
-        throw new Error(`Unsupported file type: ${mimeType}`);
+        text = this.processTXT(buffer);
       }
     } catch (error) {
-      console.error('File processing error:', error);
-      throw new Error(`Failed to process file: ${error.message}`);
+      logger.error('File processing error', { error });
+      throw new FileProcessingError(`Failed to process ${type.toUpperCase()} file: ${error.message}`, 422);
+    }
+
+    const normalised = this.normaliseText(text);
+    if (!normalised) {
+      throw new FileProcessingError('No text found in the file. Scanned documents need OCR first.', 422);
     }
+    return normalised;
   }
 
   /**
-   * Process TXT file
+   * Resolve a supported file type from the file name and MIME type
+   * @returns {string|null} - 'txt' | 'pdf' | 'docx', or null when unsupported
    */
-  async processTXT(filePath) {
-    try {
-      const content = await fs.readFile(filePath, 'utf-8');
-      return content;
-    } catch (error) {
-      throw new Error(`Failed to read TXT file: ${error.message}`);
+  detectType(fileName, mimeType = '') {
+    const extension = path.extname(fileName || '').toLowerCase();
+    const mime = mimeType.split(';')[0].trim().toLowerCase();
+
+    const match = Object.entries(FILE_TYPES).find(([, { extensions }]) => extensions.includes(extension));
+    if (!match) return null;
+
+    const [type, { mimeTypes }] = match;
+    return mimeTypes.includes(mime) || GENERIC_MIME_TYPES.includes(mime) ? type : null;
+  }
+
+  /**
+   * detectType, throwing a 415 FileProcessingError for unsupported files
+   * @returns {string} - 'txt' | 'pdf' | 'docx'
+   */
+  assertSupported(fileName, mimeType) {
+    const type = this.detectType(fileName, mimeType);
+    if (!type) {
+      const extensions = Object.values(FILE_TYPES).flatMap(fileType => fileType.extensions).join(', ');
+      throw new FileProcessingError(`Unsupported file type: ${fileName || mimeType}. Upload one of ${extensions}`, 415);
     }
+    return type;
   }
 
   /**
-   * Process PDF file
-   * Note: Requires pdf-parse or similar library
-   * For now, returns placeholder - implement with actual PDF library
+   * Reject files whose content does not match their claimed type
    */
-  async processPDF(filePath) {
-    try {
-      // TODO: Install pdf-parse: npm install pdf-parse
-      // const pdfParse = require('pdf-parse');
-      // const dataBuffer = await fs.readFile(filePath);
-      // const data = await pdfParse(dataBuffer);
-      // return data.text;
-
-      // Placeholder implementation
-      throw new Error('PDF processing requires pdf-parse library. Install with: npm install pdf-parse');
-    } catch (error) {
-      throw new Error(`Failed to process PDF: ${error.message}`);
+  checkContent(buffer, type) {
+    const isPdf = buffer.subarray(0, 5).toString('latin1') === '%PDF-';
+    const isZip = buffer.subarray(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]));
+
+    if ((type === 'pdf' && !isPdf) || (type === 'docx' && !isZip) || (type === 'txt' && buffer.includes(0))) {
+      throw new FileProcessingError(`File content is not a valid ${type.toUpperCase()} document`, 415);
     }
   }
 
+  /**
+   * Process TXT file (UTF-8, byte order mark dropped)
+   */
+  processTXT(buffer) {
+    return buffer.toString('utf-8').replace(/^\uFEFF/, '');
+  }
+
+  /**
+   * Process PDF file
+   * pdf-parse returns one line per printed line and separates pages with blank lines.
+   */
+  async processPDF(buffer) {
+    // Small Buffers share a pooled ArrayBuffer, which pdf.js would read from the start
+    const data = await pdfParse(new Uint8Array(buffer));
+    return data.text.split(/\n\s*\n/).map(page => this.unwrapLines(page)).join('\n\n');
+  }
+
+  /**
+   * Join printed lines back into paragraphs
+   * A line ends its paragraph when it finishes a sentence well short of the full line width;
+   * words hyphenated across lines are rejoined.
+   */
+  unwrapLines(page) {
+    const lines = page.split('\n').map(line => line.trim()).filter(Boolean);
+    const width = Math.max(0, ...lines.map(line => line.length));
+
+    return lines.reduce((text, line, index) => {
+      if (index === 0) return line;
+      const previous = lines[index - 1];
+      if (/[.!?:"'”’)]$/.test(previous) && previous.length < width * 0.8) return `${text}\n\n${line}`;
+      if (/\p{L}-$/u.test(previous) && /^\p{Ll}/u.test(line)) return `${text.slice(0, -1)}${line}`;
+      return `${text} ${line}`;
+    }, '');
+  }
+
   /**
    * Process DOCX file
-   * Note: Requires mammoth or similar library
-   * For now, returns placeholder - implement with actual DOCX library
    */
-  async processDOCX(filePath) {
-    try {
-      // TODO: Install mammoth: npm install mammoth
-      // const mammoth = require('mammoth');
-      // const result = await mammoth.extractRawText({ path: filePath });
-      // return result.value;
+  async processDOCX(buffer) {
+    const result = await mammoth.extractRawText({ buffer });
+    return result.value;
+  }
 
-      // Placeholder implementation
-      throw new Error('DOCX processing requires mammoth library. Install with: npm install mammoth');
-    } catch (error) {
-      throw new Error(`Failed to process DOCX: ${error.message}`);
-    }
+  /**
+   * Normalise extracted text: Unix line endings, no control characters, single spaces,
+   * paragraphs separated by one blank line
+   */
+  normaliseText(text) {
+    return String(text)
+      .normalize('NFC')
+      .replace(/\r\n?/g, '\n')
+      // eslint-disable-next-line no-control-regex
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, '')
+      .replace(/[\t\u00A0\u2000-\u200B\u202F\u205F\u3000]+/g, ' ')
+      .split('\n')
+      .map(line => line.replace(/ {2,}/g, ' ').trim())
+      .join('\n')
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
   }
 
   /**
@@ -88,9 +187,9 @@ class FileProcessor {
   getExtensionFromMimeType(mimeType) {
     const mimeMap = {
       'text/plain': '.txt',
+      'text/markdown': '.md',
       'application/pdf': '.pdf',
-      'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
-      'application/msword': '.doc'
+      [DOCX_MIME]: '.docx'
     };
     return mimeMap[mimeType] || '.txt';
   }
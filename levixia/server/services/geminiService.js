@@ -1,106 +1,455 @@
 /**
  * Gemini Service - Backend Only
- * Handles ALL Google Gemini API calls
+ * Single entry point for ALL LLM calls. Prompts are sent to the provider
+ * selected by LLM_PROVIDER (see llmProviders/index.js).
+ *
+ * Calls to the provider get a per-task timeout and jittered exponential retries on
+ * transient errors (429, 5xx, timeouts). A circuit breaker counts failed calls; while
+ * it is open, or when a call still fails after its retries, the deterministic local
+ * provider answers instead.
+ *
+ * Every call's prompt and response tokens are counted per task and per user (see
+ * usageTracker.js). Users over their quota are answered by the local provider.
+ *
+ * User-supplied text is fenced by the prompt registry (see promptGuard.js), and outputs
+ * of templates with untrusted input are checked against the task's output contract.
+ *
+ * Every provider call's latency and outcome, and every fallback with its reason, is counted
+ * per task for GET /api/metrics (see metrics.js).
+ *
+ * LLM_FIXTURES=record saves every provider exchange to fixture files; LLM_FIXTURES=replay
+ * answers from those files only, with no network or cache. An unmatched replay call throws
+ * UnmatchedFixtureError rather than falling back (see llmFixtures.js).
  */
 
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { createProvider } = require('./llmProviders');
+const RecordingProvider = require('./llmProviders/recordingProvider');
+const ReplayProvider = require('./llmProviders/replayProvider');
+const { FixtureStore, UnmatchedFixtureError } = require('./llmFixtures');
+const { CircuitBreaker, CircuitOpenError, withTimeout, retry } = require('./resilience');
+const responseCache = require('./responseCache');
+const usageTracker = require('./usageTracker');
+const requestContext = require('./requestContext');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const promptRegistry = require('./promptRegistry');
+const { enforceContract } = require('./promptGuard');
+const { validate, formatErrors } = require('./schemaValidator');
+const taskSchemas = require('../schemas/llmTaskSchemas');
+
+const JSON_INSTRUCTION = 'Respond ONLY with valid JSON. No markdown, no code blocks, no explanations.';
+const FIXTURE_MODES = ['record', 'replay'];
+
+// Long-form generation gets more time; interactive checks get less (LLM_TIMEOUT_MS for the rest)
+const DEFAULT_TASK_TIMEOUTS = {
+  'holistic report generation': 60000,
+  'dyslexia screening report': 60000,
+  'user profile generation': 45000,
+  'text transformation': 45000,
+  'fused text processing': 45000,
+  'context detection': 10000,
+  'word spelling check': 8000
+};
+
+/**
+ * Parse LLM_TASK_TIMEOUTS ("task=ms,task=ms") into { task: ms }
+ */
+function parseTaskTimeouts(value = '') {
+  const timeouts = {};
+  value.split(',').map(t => t.trim()).filter(Boolean).forEach(entry => {
+    const [task, ms] = entry.split('=');
+    if (task && Number(ms) > 0) timeouts[task.trim()] = Number(ms);
+  });
+  return timeouts;
+}
 
 class GeminiService {
   constructor() {
-    const apiKey = process.env.GOOGLE_API_KEY || '';
-    if (!apiKey) {
-      console.error('❌ GOOGLE_API_KEY not found in environment');
-      console.error('⚠️  Set GOOGLE_API_KEY in server/.env file');
-      // Don't throw - allow server to start but AI calls will fail gracefully
-      this.model = null;
-      return;
+    this.fixtureMode = (process.env.LLM_FIXTURES || '').trim().toLowerCase() || null;
+    if (this.fixtureMode && !FIXTURE_MODES.includes(this.fixtureMode)) {
+      throw new Error(`Unknown LLM_FIXTURES "${process.env.LLM_FIXTURES}". Use one of: ${FIXTURE_MODES.join(', ')}`);
     }
+    this.fixtures = this.fixtureMode ? new FixtureStore() : null;
 
-    try {
-      this.genAI = new GoogleGenerativeAI(apiKey);
-      this.model = this.genAI.getGenerativeModel({
-        model: 'gemini-1.5-flash',
-        safetySettings: [
-          { category: 'HARM_CATEGORY_MEDICAL', threshold: 'BLOCK_NONE' },
-          { category: 'HARM_CATEGORY_SELF_HARM', threshold: 'BLOCK_NONE' }
-        ]
-      });
-      console.log('✅ Gemini service initialized');
-    } catch (error) {
-      console.error('❌ Failed to initialize Gemini:', error.message);
-      this.model = null;
+    if (this.fixtureMode === 'replay') {
+      this.provider = new ReplayProvider(this.fixtures);
+    } else if (this.fixtureMode === 'record') {
+      this.provider = new RecordingProvider(createProvider(), this.fixtures);
+    } else {
+      this.provider = createProvider();
+    }
+
+    // The local provider answers fallbacks and users who are over their quota
+    this.localProvider = this.provider.name === 'local' ? this.provider : createProvider('local');
+    this.fallbackProvider = this.provider === this.localProvider || process.env.LLM_FALLBACK === 'false'
+      ? null
+      : this.localProvider;
+
+    this.retries = Number(process.env.LLM_MAX_RETRIES ?? 2);
+    this.defaultTimeoutMs = Number(process.env.LLM_TIMEOUT_MS || 30000);
+    this.taskTimeouts = { ...DEFAULT_TASK_TIMEOUTS, ...parseTaskTimeouts(process.env.LLM_TASK_TIMEOUTS) };
+    this.breaker = new CircuitBreaker(this.provider.name, {
+      failureThreshold: Number(process.env.LLM_BREAKER_THRESHOLD || 5),
+      cooldownMs: Number(process.env.LLM_BREAKER_COOLDOWN_MS || 30000)
+    });
+    metrics.gauge('levixia_llm_circuit_open', 'Whether the LLM circuit breaker is refusing calls (1) or not (0)', ['provider'], () => [
+      { labels: { provider: this.provider.name }, value: this.breaker.getState().state === 'open' ? 1 : 0 }
+    ]);
+
+    logger.info(`🔌 LLM provider: ${this.provider.name}${this.fallbackProvider ? ` (fallback: ${this.fallbackProvider.name})` : ''}`);
+    if (this.fixtureMode === 'record') {
+      logger.info(`📼 Recording LLM exchanges to ${this.fixtures.dir}`);
+    } else if (this.fixtureMode === 'replay') {
+      const count = Object.values(this.fixtures.summary().tasks).reduce((sum, n) => sum + n, 0);
+      logger.info(`📼 Replaying ${count} recorded LLM exchanges from ${this.fixtures.dir}`);
     }
   }
 
   /**
-   * Generic Gemini call with logging
+   * Name of the active provider
+   */
+  getProviderName() {
+    return this.provider.name;
+  }
+
+  /**
+   * Whether the active provider can serve requests
+   */
+  isAvailable() {
+    return this.provider.isAvailable();
+  }
+
+  /**
+   * Circuit breaker state for health checks
+   */
+  getCircuitState() {
+    return {
+      ...this.breaker.getState(),
+      fallbackProvider: this.fallbackProvider ? this.fallbackProvider.name : null
+    };
+  }
+
+  /**
+   * Record/replay mode, fixture counts and unmatched replay calls
+   */
+  getFixtureState() {
+    return this.fixtures
+      ? { mode: this.fixtureMode, ...this.fixtures.summary() }
+      : { mode: null };
+  }
+
+  /**
+   * Timeout for a task in milliseconds
+   */
+  getTimeout(task) {
+    return this.taskTimeouts[task] || this.defaultTimeoutMs;
+  }
+
+  /**
+   * Generic LLM call with logging
    * @param {string} task - Task description for logging
    * @param {string} prompt - The prompt to send
-   * @param {Object} options - Generation options
+   * @param {Object} options - Generation options ({ temperature, maxTokens, input, timeoutMs })
    * @returns {Promise<string>} - Generated text
    */
   async generate(task, prompt, options = {}) {
-    if (!this.model) {
-      throw new Error('Gemini service not initialized. Set GOOGLE_API_KEY in server/.env');
+    const { text } = await this.invoke(task, prompt, options);
+    return text;
+  }
+
+  /**
+   * Send a prompt through timeout, retries and the circuit breaker
+   * @returns {Promise<Object>} - { text, provider } - provider is the one that answered
+   */
+  async invoke(task, prompt, options = {}) {
+    const { timeoutMs = this.getTimeout(task), ...providerOptions } = options;
+
+    const userId = requestContext.getUserId();
+    if (this.provider.billable && usageTracker.isOverQuota(userId)) {
+      logger.warn(`💸 ${userId} is over their AI quota, sending ${task} to ${this.localProvider.name}`, { task });
+      return this.invokeFallback(task, prompt, providerOptions, 'quota', this.localProvider);
+    }
+
+    if (!this.breaker.allowRequest()) {
+      if (!this.fallbackProvider) {
+        throw new CircuitOpenError(this.provider.name, this.breaker.retryAt());
+      }
+      logger.warn(`⏭️  Circuit ${this.provider.name} open, sending ${task} to ${this.fallbackProvider.name}`, { task });
+      return this.invokeFallback(task, prompt, providerOptions, 'circuit_open');
     }
 
     const startTime = Date.now();
-    console.log(`🧠 Gemini invoked for ${task}`);
-    console.log(`📝 Prompt length: ${prompt.length} characters`);
+    // Set once the breaker has heard how the call went; otherwise its trial slot is released
+    let outcomeRecorded = false;
+    logger.info(`🧠 ${this.provider.name} invoked for ${task}`, { task, provider: this.provider.name, promptLength: prompt.length });
 
     try {
-      const { temperature = 0.2, maxTokens = 2048 } = options;
-
-      const result = await this.model.generateContent({
-        contents: [{ role: 'user', parts: [{ text: prompt }] }],
-        generationConfig: {
-          temperature,
-          maxOutputTokens: maxTokens
+      let usage = null;
+      const text = await retry(
+        () => withTimeout(
+          signal => this.provider.generate(task, prompt, {
+            ...providerOptions,
+            signal,
+            onUsage: reported => { usage = reported; }
+          }),
+          timeoutMs,
+          `${this.provider.name} ${task}`
+        ),
+        {
+          retries: this.retries,
+          onRetry: (error, attempt, delay) => {
+            logger.warn(`🔁 Retrying ${task} (${attempt}/${this.retries}) in ${delay}ms: ${error.message}`, { task, attempt, delayMs: delay });
+          }
         }
+      );
+      const duration = Date.now() - startTime;
+      this.breaker.recordSuccess();
+      outcomeRecorded = true;
+      this.recordUsage(task, prompt, text, this.provider, usage);
+      metrics.recordLlmCall(task, this.provider.name, 'success', duration);
+
+      logger.info(`✅ ${this.provider.name} completed ${task} in ${duration}ms`, {
+        task,
+        provider: this.provider.name,
+        durationMs: duration,
+        responseLength: text.length
       });
 
-      const response = await result.response;
-      const text = response.text();
-      const duration = Date.now() - startTime;
+      return { text, provider: this.provider.name };
+    } catch (error) {
+      // A missing recording must surface, and says nothing about provider health
+      if (error instanceof UnmatchedFixtureError) throw error;
 
-      console.log(`✅ Gemini completed ${task} in ${duration}ms`);
-      console.log(`📊 Response length: ${text.length} characters`);
+      const duration = Date.now() - startTime;
+      logger.error(`❌ ${this.provider.name} failed for ${task} after ${duration}ms: ${error.message}`, {
+        task,
+        provider: this.provider.name,
+        durationMs: duration
+      });
+      this.breaker.recordFailure();
+      outcomeRecorded = true;
+      metrics.recordLlmCall(task, this.provider.name, 'failure', duration);
 
-      // Add artificial latency to make AI usage visible (300-700ms)
-      const artificialDelay = Math.floor(Math.random() * 400) + 300;
-      await new Promise(resolve => setTimeout(resolve, artificialDelay));
+      if (!this.fallbackProvider) throw error;
+      return this.invokeFallback(task, prompt, providerOptions, 'provider_error');
+    } finally {
+      if (!outcomeRecorded) this.breaker.releaseTrial();
+    }
+  }
 
-      return text;
+  /**
+   * Answer with the deterministic fallback provider
+   * @param {string} reason - Why the primary provider was skipped, for metrics
+   */
+  async invokeFallback(task, prompt, options, reason, provider = this.fallbackProvider) {
+    metrics.recordFallback(task, reason);
+    const startTime = Date.now();
+    let text;
+    try {
+      text = await provider.generate(task, prompt, options);
     } catch (error) {
-      const duration = Date.now() - startTime;
-      console.error(`❌ Gemini failed for ${task} after ${duration}ms:`, error.message);
+      metrics.recordLlmCall(task, provider.name, 'failure', Date.now() - startTime);
       throw error;
     }
+    metrics.recordLlmCall(task, provider.name, 'success', Date.now() - startTime);
+    logger.info(`🧩 ${provider.name} fallback answered ${task}`, { task, reason });
+    this.recordUsage(task, prompt, text, provider, null);
+    return { text, provider: provider.name };
+  }
+
+  /**
+   * Count a call's tokens for the current user
+   * Providers that do not report token counts get an estimate from the text lengths.
+   */
+  recordUsage(task, prompt, text, provider, usage) {
+    usageTracker.record({
+      userId: requestContext.getUserId(),
+      task,
+      promptTokens: usage?.promptTokens ?? usageTracker.estimateTokens(prompt),
+      responseTokens: usage?.responseTokens ?? usageTracker.estimateTokens(text),
+      billable: !!provider.billable,
+      fallback: provider === this.localProvider && provider !== this.provider
+    });
   }
 
   /**
    * Generate structured JSON output
+   * Responses are validated against the task schema (schemas/llmTaskSchemas.js); an
+   * unparseable or invalid response gets one repair re-prompt listing the problems, then
+   * the local fallback. Only validated primary-provider results are cached (see responseCache.js);
+   * the cache is bypassed while recording or replaying fixtures, so every call reaches the provider.
+   * With a guard, the output must also keep its task contract: items not taken from the
+   * source text are dropped, and an output that is rejected outright goes to the fallback.
    * @param {string} task - Task description
    * @param {string} prompt - The prompt with JSON instructions
-   * @returns {Promise<Object>} - Parsed JSON
+   * @param {Object} options - { input, promptVersion, cache, schema, guard } - input is the structured
+   *   task input (used by the local provider); pass cache: false to bypass the response cache;
+   *   schema overrides the registered task schema; guard is { sources: [untrusted input] }
+   * @returns {Promise<Object>} - Parsed and validated JSON
    */
-  async generateJSON(task, prompt) {
-    const jsonPrompt = `${prompt}\n\nRespond ONLY with valid JSON. No markdown, no code blocks, no explanations.`;
-    
-    const response = await this.generate(task, jsonPrompt, { temperature: 0.1 });
-    
-    // Clean response
+  async generateJSON(task, prompt, options = {}) {
+    return (await this.generateJSONFrom(task, prompt, options)).value;
+  }
+
+  /**
+   * generateJSON, also naming the provider whose answer was used
+   * @returns {Promise<Object>} - { value, provider } - cache hits name the active provider,
+   *   since only its answers are cached
+   */
+  async generateJSONFrom(task, prompt, options = {}) {
+    const { cache: useCache = true, promptVersion, schema = taskSchemas[task], guard, ...generateOptions } = options;
+    const cache = useCache && !this.fixtureMode;
+    const jsonPrompt = `${prompt}\n\n${JSON_INSTRUCTION}`;
+
+    const cacheKey = responseCache.buildKey({
+      task,
+      promptVersion,
+      provider: this.provider.name,
+      prompt: jsonPrompt
+    });
+    if (cache) {
+      const cached = await responseCache.get(cacheKey);
+      if (cached !== undefined) {
+        logger.info(`⚡ Cache hit for ${task}`, { task });
+        return { value: cached, provider: this.provider.name };
+      }
+    }
+
+    const llmOptions = { temperature: 0.1, ...generateOptions };
+    const first = await this.invoke(task, jsonPrompt, llmOptions);
+    let answeredBy = first.provider;
+    let result = this.checkResponse(task, first.text, schema);
+
+    if (result.problems) {
+      logger.warn(`🔧 Repairing ${task} output`, { task, problems: result.problems });
+      const repairPrompt = this.buildRepairPrompt(jsonPrompt, first.text, result.problems);
+      const repaired = await this.invoke(task, repairPrompt, { ...llmOptions, temperature: 0 });
+      answeredBy = repaired.provider;
+      result = this.checkResponse(task, repaired.text, schema);
+    }
+
+    if (result.problems && this.fallbackProvider && answeredBy !== this.fallbackProvider.name) {
+      logger.warn(`🧩 ${task} output still invalid after repair, using ${this.fallbackProvider.name} fallback`, { task });
+      const fallback = await this.invokeFallback(task, jsonPrompt, llmOptions, 'invalid_output');
+      answeredBy = fallback.provider;
+      result = this.checkResponse(task, fallback.text, schema);
+    }
+
+    if (result.problems) {
+      logger.error(`❌ ${task} output still invalid after repair`, { task, problems: result.problems });
+      throw new Error(`Invalid JSON response from ${answeredBy} for ${task}:\n${result.problems}`);
+    }
+
+    if (guard) {
+      let contract = this.checkContract(task, result.value, guard);
+
+      if (contract.rejected && this.fallbackProvider && answeredBy !== this.fallbackProvider.name) {
+        logger.warn(`🛡️  ${task} output broke its contract, using ${this.fallbackProvider.name} fallback`, { task });
+        const fallback = await this.invokeFallback(task, jsonPrompt, llmOptions, 'contract_violation');
+        answeredBy = fallback.provider;
+        const checked = this.checkResponse(task, fallback.text, schema);
+        if (checked.problems) {
+          throw new Error(`Invalid JSON response from ${answeredBy} for ${task}:\n${checked.problems}`);
+        }
+        contract = this.checkContract(task, checked.value, guard);
+      }
+
+      if (contract.rejected) {
+        const reasons = contract.violations.map(v => v.message).join('; ');
+        throw new Error(`Response from ${answeredBy} for ${task} broke its output contract: ${reasons}`);
+      }
+      result = { value: contract.value };
+    }
+
+    // Fallback answers are not cached, so the primary provider is retried once it recovers
+    if (cache && answeredBy === this.provider.name) {
+      await responseCache.set(cacheKey, result.value, { task, promptVersion });
+    }
+    return { value: result.value, provider: answeredBy };
+  }
+
+  /**
+   * Render a registered prompt template and generate structured JSON from it
+   * The result is stamped with promptTemplate: { id, version } and the llmProvider that
+   * answered, so every AI-produced result can be traced back to the prompt and provider
+   * that produced it.
+   * @param {string} templateId - Template id in the prompt registry (see promptRegistry.js)
+   * @param {Object} variables - Values for the template's declared variables
+   * @param {Object} options - generateJSON options, plus templateVersion to override the active version
+   * @returns {Promise<Object>} - Parsed and validated JSON with promptTemplate and llmProvider
+   */
+  async generateFromTemplate(templateId, variables, options = {}) {
+    const { templateVersion, ...jsonOptions } = options;
+    const { id, version, task, prompt, untrusted, injection } = promptRegistry.render(templateId, variables, { version: templateVersion });
+
+    injection.matches.forEach(match => {
+      logger.warn(`🛡️  Possible prompt injection in ${id}.${match.variable}`, {
+        template: id,
+        variable: match.variable,
+        pattern: match.pattern,
+        excerpt: match.excerpt
+      });
+    });
+
+    const { value, provider } = await this.generateJSONFrom(task, prompt, {
+      ...jsonOptions,
+      promptVersion: `${id}@v${version}`,
+      guard: untrusted.length ? { sources: untrusted } : undefined
+    });
+    return { ...value, promptTemplate: { id, version }, llmProvider: provider };
+  }
+
+  /**
+   * Parse a raw response and validate it against the task schema
+   * @returns {Object} - { value } on success, { problems } describing what is wrong otherwise
+   */
+  checkResponse(task, response, schema) {
     const cleaned = response
       .replace(/```json/gi, '')
       .replace(/```/g, '')
       .trim();
 
+    let parsed;
     try {
-      return JSON.parse(cleaned);
+      parsed = JSON.parse(cleaned);
     } catch (e) {
-      console.error(`❌ Failed to parse JSON for ${task}:`, cleaned.substring(0, 200));
-      throw new Error(`Invalid JSON response from Gemini: ${e.message}`);
+      logger.error(`❌ Failed to parse JSON for ${task}`, { task, response: cleaned.substring(0, 200) });
+      return { problems: `- (root) is not valid JSON: ${e.message}` };
     }
+
+    if (!schema) return { value: parsed };
+
+    const { valid, value, errors } = validate(schema, parsed, { coerce: true });
+    return valid ? { value } : { problems: formatErrors(errors) };
+  }
+
+  /**
+   * Check a validated output against its task contract, logging neutralised items
+   * @returns {Object} - { value, rejected, violations } (see promptGuard.enforceContract)
+   */
+  checkContract(task, value, guard) {
+    const contract = enforceContract(task, value, guard);
+    contract.violations.forEach(v => {
+      logger.warn(`🛡️  ${task} output ${v.action}: ${v.message}`, { task });
+    });
+    return contract;
+  }
+
+  /**
+   * Re-prompt asking the model to fix its previous answer
+   */
+  buildRepairPrompt(jsonPrompt, response, problems) {
+    return `${jsonPrompt}
+
+Your previous response did not match the required JSON format.
+
+PREVIOUS RESPONSE:
+${response.substring(0, 4000)}
+
+PROBLEMS:
+${problems}
+
+Return the corrected JSON only, keeping every valid field from the previous response. ${JSON_INSTRUCTION}`;
   }
 }
 
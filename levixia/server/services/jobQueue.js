@@ -0,0 +1,258 @@
+/**
+ * Job Queue
+ * Background jobs for work too slow for one HTTP request, such as processing a long
+ * document through the NLP pipeline. Clients submit a job, poll its progress and fetch
+ * the result once it has completed.
+ *
+ * Jobs live in the jobs table (see database.js), so they survive a restart: jobs still
+ * queued run once the server is back, and jobs that were running start again from the
+ * beginning (at most MAX_ATTEMPTS times). Up to JOB_CONCURRENCY jobs (default 2) run at
+ * once in this process; finished jobs are deleted after JOB_RETENTION_DAYS (default 7).
+ *
+ * A handler is registered per job type and called as handler(input, { progress, signal }):
+ * progress(value) stores any JSON progress report, and signal is aborted when the job is
+ * cancelled. It runs in a request context carrying the job id and its user, so logs and
+ * AI usage are attributed as for the request that submitted it.
+ */
+
+const crypto = require('crypto');
+const database = require('./database');
+const requestContext = require('./requestContext');
+const logger = require('./logger');
+
+const FINISHED = ['completed', 'failed', 'cancelled'];
+const MAX_ATTEMPTS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parse = value => (value === null || value === undefined ? null : JSON.parse(value));
+const now = () => new Date().toISOString();
+
+const toJob = row => row && {
+  id: row.id,
+  type: row.type,
+  status: row.status,
+  progress: parse(row.progress),
+  error: row.error,
+  attempts: row.attempts,
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+  startedAt: row.started_at,
+  finishedAt: row.finished_at
+};
+
+class JobQueue {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, Number(options.concurrency || process.env.JOB_CONCURRENCY || 2));
+    this.retentionDays = Number(options.retentionDays || process.env.JOB_RETENTION_DAYS || 7);
+    this.handlers = new Map();
+    this.active = new Map(); // job id -> AbortController
+    this.idleWaiters = [];
+    this.started = false;
+  }
+
+  /**
+   * Set the function that runs jobs of a type
+   * @param {string} type - Job type, e.g. 'process-document'
+   * @param {Function} handler - async (input, { progress, signal }) => result
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Start running jobs: requeue those interrupted by a restart, then work through the queue
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    const timestamp = now();
+    const abandoned = database.db.prepare(`
+      UPDATE jobs SET status = 'failed', error = 'Interrupted too many times', updated_at = ?, finished_at = ?
+      WHERE status = 'running' AND attempts >= ?
+    `).run(timestamp, timestamp, MAX_ATTEMPTS).changes;
+    const requeued = database.db.prepare(`
+      UPDATE jobs SET status = 'queued', progress = NULL, updated_at = ? WHERE status = 'running'
+    `).run(timestamp).changes;
+    if (requeued || abandoned) {
+      logger.warn(`♻️  Requeued ${requeued} interrupted job(s), gave up on ${abandoned}`);
+    }
+
+    this.purge();
+    this.drain();
+  }
+
+  /**
+   * Stop starting new jobs; running ones finish
+   */
+  stop() {
+    this.started = false;
+  }
+
+  /**
+   * Queue a job
+   * @param {string} userId - Owner
+   * @param {string} type - Registered job type
+   * @param {Object} input - Handler input, stored as JSON
+   * @returns {Object} - The queued job
+   */
+  submit(userId, type, input) {
+    if (!this.handlers.has(type)) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    const id = crypto.randomUUID();
+    const timestamp = now();
+    database.db.prepare(`
+      INSERT INTO jobs (id, user_id, type, status, input, created_at, updated_at) VALUES (?, ?, ?, 'queued', ?, ?, ?)
+    `).run(id, userId, type, JSON.stringify(input), timestamp, timestamp);
+    logger.info(`📥 Queued ${type} job ${id}`, { jobId: id });
+
+    this.drain();
+    return this.get(userId, id);
+  }
+
+  get(userId, id) {
+    return toJob(database.db.prepare('SELECT * FROM jobs WHERE user_id = ? AND id = ?').get(userId, id)) || null;
+  }
+
+  /**
+   * Jobs, newest first
+   * @param {Object} options - { limit }
+   */
+  list(userId, { limit = 20 } = {}) {
+    return database.db.prepare('SELECT * FROM jobs WHERE user_id = ? ORDER BY created_at DESC, rowid DESC LIMIT ?')
+      .all(userId, limit)
+      .map(toJob);
+  }
+
+  /**
+   * Result of a completed job (null until then)
+   */
+  getResult(userId, id) {
+    const row = database.db.prepare("SELECT result FROM jobs WHERE user_id = ? AND id = ? AND status = 'completed'").get(userId, id);
+    return row ? parse(row.result) : null;
+  }
+
+  /**
+   * Cancel a queued or running job; finished jobs are returned unchanged
+   * @returns {Object|null} - The job, or null when it does not exist
+   */
+  cancel(userId, id) {
+    const job = this.get(userId, id);
+    if (!job || FINISHED.includes(job.status)) return job;
+
+    const timestamp = now();
+    database.db.prepare(`
+      UPDATE jobs SET status = 'cancelled', updated_at = ?, finished_at = ? WHERE id = ? AND status IN ('queued', 'running')
+    `).run(timestamp, timestamp, id);
+    this.active.get(id)?.abort();
+    logger.info(`🛑 Cancelled ${job.type} job ${id}`, { jobId: id });
+
+    return this.get(userId, id);
+  }
+
+  /**
+   * Resolves once no job is running or queued (tests, shutdown)
+   */
+  whenIdle() {
+    if (!this.active.size && !this.nextQueued()) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Start queued jobs while there are free workers
+   */
+  drain() {
+    while (this.started && this.active.size < this.concurrency) {
+      const job = this.claim();
+      if (!job) break;
+      this.run(job);
+    }
+
+    if (!this.active.size) {
+      this.idleWaiters.splice(0).forEach(resolve => resolve());
+    }
+  }
+
+  nextQueued() {
+    return database.db.prepare("SELECT * FROM jobs WHERE status = 'queued' ORDER BY created_at, rowid LIMIT 1").get();
+  }
+
+  /**
+   * Mark the oldest queued job as running and return it
+   */
+  claim() {
+    return database.transaction(() => {
+      const row = this.nextQueued();
+      if (!row) return null;
+
+      const timestamp = now();
+      database.db.prepare(`
+        UPDATE jobs SET status = 'running', attempts = attempts + 1, started_at = ?, updated_at = ? WHERE id = ?
+      `).run(timestamp, timestamp, row.id);
+      return { ...row, attempts: row.attempts + 1 };
+    });
+  }
+
+  async run(row) {
+    const controller = new AbortController();
+    this.active.set(row.id, controller);
+    const start = Date.now();
+
+    try {
+      const handler = this.handlers.get(row.type);
+      if (!handler) {
+        throw new Error(`No handler registered for ${row.type} jobs`);
+      }
+
+      const result = await requestContext.run({ requestId: row.id, userId: row.user_id }, () => handler(parse(row.input), {
+        progress: progress => this.setProgress(row.id, progress),
+        signal: controller.signal
+      }));
+
+      if (!controller.signal.aborted) {
+        this.finish(row.id, 'completed', { result: JSON.stringify(result ?? null) });
+        logger.info(`✅ Finished ${row.type} job ${row.id} in ${Date.now() - start}ms`, { jobId: row.id, durationMs: Date.now() - start });
+      }
+    } catch (error) {
+      if (!controller.signal.aborted) {
+        this.finish(row.id, 'failed', { error: error.message });
+        logger.error(`❌ ${row.type} job ${row.id} failed`, { jobId: row.id, error });
+      }
+    } finally {
+      this.active.delete(row.id);
+      this.drain();
+    }
+  }
+
+  /**
+   * Store a running job's progress report
+   */
+  setProgress(id, progress) {
+    database.db.prepare("UPDATE jobs SET progress = ?, updated_at = ? WHERE id = ? AND status = 'running'")
+      .run(JSON.stringify(progress), now(), id);
+  }
+
+  /**
+   * Record a running job's outcome (a cancelled job keeps its status)
+   */
+  finish(id, status, { result = null, error = null }) {
+    const timestamp = now();
+    database.db.prepare(`
+      UPDATE jobs SET status = ?, result = ?, error = ?, updated_at = ?, finished_at = ? WHERE id = ? AND status = 'running'
+    `).run(status, result, error, timestamp, timestamp, id);
+  }
+
+  /**
+   * Delete finished jobs older than the retention period
+   */
+  purge() {
+    const cutoff = new Date(Date.now() - this.retentionDays * DAY_MS).toISOString();
+    const placeholders = FINISHED.map(() => '?').join(', ');
+    return database.db.prepare(`DELETE FROM jobs WHERE status IN (${placeholders}) AND finished_at < ?`)
+      .run(...FINISHED, cutoff).changes;
+  }
+}
+
+module.exports = new JobQueue();
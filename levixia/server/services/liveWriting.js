@@ -0,0 +1,312 @@
+/**
+ * Live Writing
+ * Incremental spelling and grammar checks for text that is still being typed, behind the
+ * WebSocket channel in liveWritingSocket.js.
+ *
+ * Each session receives the whole text on every edit. Edits are debounced (LIVE_WRITING_DEBOUNCE_MS,
+ * default 400), then the text is split into sentences and only sentences not seen before are
+ * checked: every word with spellingAnalyzer.checkWord, and finished sentences (ending in . ! ?
+ * or a line break) with grammarSimplifier.correctGrammar. Results are cached per sentence and
+ * per word, so typing in one sentence never re-checks the others and a word is checked once per
+ * session. Failed word checks are not cached, nor is the sentence they were in, so the next edit
+ * tries again. At most LIVE_WRITING_CONCURRENCY checker calls (default 3) are in flight per
+ * session; the rest wait their turn. The last word is skipped while it is still being typed.
+ *
+ * Suggestions are anchored to character offsets in the text that was checked:
+ *   { id, type: 'spelling'|'grammar'|'punctuation', start, end, original, corrected,
+ *     explanation, errorType, alternatives }
+ * Ids depend on the sentence and the offset within it, so a suggestion keeps its id while
+ * other sentences change.
+ */
+
+const crypto = require('crypto');
+const spellingAnalyzer = require('./nlpPipeline/spellingAnalyzer');
+const grammarSimplifier = require('./nlpPipeline/grammarSimplifier');
+const requestContext = require('./requestContext');
+const logger = require('./logger');
+
+const DEBOUNCE_MS = Number(process.env.LIVE_WRITING_DEBOUNCE_MS || 400);
+const CONCURRENCY = Math.max(1, Number(process.env.LIVE_WRITING_CONCURRENCY || 3));
+const MAX_CACHED_SENTENCES = 500;
+const MAX_CACHED_WORDS = 2000;
+
+const WORD_PATTERN = /[A-Za-z]+(?:'[A-Za-z]+)*/g;
+
+/**
+ * Split text into sentences with their offsets
+ * A sentence ends at . ! ? (with any closing quotes or brackets) or a line break.
+ * @returns {Array} - [{ text, start, end, complete }]
+ */
+function splitSentences(text) {
+  const sentences = [];
+  const pattern = /[^.!?\n]*(?:[.!?]+["'”’)\]]*|\n|$)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex++;
+      continue;
+    }
+    const leading = match[0].length - match[0].trimStart().length;
+    const sentence = match[0].trim();
+    if (!sentence) continue;
+
+    const start = match.index + leading;
+    sentences.push({
+      text: sentence,
+      start,
+      end: start + sentence.length,
+      complete: /[.!?]["'”’)\]]*$/.test(sentence) || match[0].endsWith('\n')
+    });
+  }
+  return sentences;
+}
+
+/**
+ * Grammar error types shown as punctuation, as in the writing feedback categories
+ */
+const grammarCategory = type => (/capital|punctuation|comma|apostrophe/i.test(type || '') ? 'punctuation' : 'grammar');
+
+const shortHash = value => crypto.createHash('sha1').update(value).digest('hex').slice(0, 10);
+
+/**
+ * Remember a value, dropping the oldest entry once the map is full
+ */
+function remember(map, key, value, limit) {
+  map.set(key, value);
+  if (map.size > limit) map.delete(map.keys().next().value);
+  return value;
+}
+
+class LiveWritingSession {
+  /**
+   * @param {Object} options
+   * @param {Function} options.onSuggestions - Called with { version, suggestions, sentences: { total, checked, reused } }
+   * @param {Function} options.onError - Called with an Error when a check fails
+   * @param {Object} options.context - Request context for the checks ({ requestId, userId })
+   * @param {number} options.debounceMs - Quiet time before checking (default LIVE_WRITING_DEBOUNCE_MS)
+   * @param {Object} options.checkers - { checkWord, correctGrammar } (defaults: the NLP pipeline modules)
+   * @param {number} options.concurrency - Checker calls in flight at once (default LIVE_WRITING_CONCURRENCY)
+   */
+  constructor({ onSuggestions, onError = () => {}, context = {}, debounceMs = DEBOUNCE_MS, checkers = {}, concurrency = CONCURRENCY }) {
+    this.onSuggestions = onSuggestions;
+    this.onError = onError;
+    this.context = context;
+    this.debounceMs = debounceMs;
+    this.concurrency = Math.max(1, concurrency);
+    this.checkWord = checkers.checkWord || (word => spellingAnalyzer.checkWord(word));
+    this.correctGrammar = checkers.correctGrammar || (text => grammarSimplifier.correctGrammar(text, { enabled: true }));
+
+    this.sentenceCache = new Map(); // sentence key -> [{ ...suggestion, start, end relative to the sentence }]
+    this.wordCache = new Map(); // lower-case word -> Promise of checkWord result
+    this.inFlight = 0; // checker calls running
+    this.waiting = []; // resolvers of calls waiting for a free slot
+    this.pending = null; // { text, version } waiting to be checked
+    this.timer = null;
+    this.checking = false;
+    this.closed = false;
+  }
+
+  /**
+   * Receive the latest text; it is checked once edits pause
+   * @param {string} text - Whole text
+   * @param {number} version - Client's edit counter, echoed with the suggestions
+   */
+  update(text, version = null) {
+    if (this.closed) return;
+    this.pending = { text, version };
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.flush(), this.debounceMs);
+  }
+
+  /**
+   * Check the pending text now; a check already running picks it up when it finishes
+   */
+  async flush() {
+    clearTimeout(this.timer);
+    if (this.checking || !this.pending || this.closed) return;
+
+    const { text, version } = this.pending;
+    this.pending = null;
+    this.checking = true;
+
+    try {
+      const result = await requestContext.run(this.context, () => this.check(text));
+      // A newer edit arrived while checking: its results replace these
+      if (!this.pending && !this.closed) {
+        this.onSuggestions({ version, ...result });
+      }
+    } catch (error) {
+      logger.error('Live writing check failed', { error });
+      this.onError(error);
+    } finally {
+      this.checking = false;
+      if (this.pending) this.flush();
+    }
+  }
+
+  /**
+   * Suggestions for a text, checking only sentences that are not cached
+   * @returns {Promise<Object>} - { suggestions, sentences: { total, checked, reused } }
+   */
+  async check(text) {
+    const sentences = splitSentences(text);
+    const last = sentences[sentences.length - 1];
+    const typing = last && !last.complete && /[A-Za-z']$/.test(text);
+    let checked = 0;
+
+    const perSentence = await Promise.all(sentences.map(async sentence => {
+      const partial = typing && sentence === last;
+      const key = `${sentence.complete ? 'complete' : partial ? 'typing' : 'open'}\u0000${sentence.text}`;
+
+      let found = this.sentenceCache.get(key);
+      if (!found) {
+        checked++;
+        const result = await this.checkSentence(sentence, partial);
+        found = result.suggestions;
+        if (result.complete) remember(this.sentenceCache, key, found, MAX_CACHED_SENTENCES);
+      }
+      return found.map(suggestion => ({
+        ...suggestion,
+        start: sentence.start + suggestion.start,
+        end: sentence.start + suggestion.end
+      }));
+    }));
+
+    return {
+      suggestions: perSentence.flat().sort((a, b) => a.start - b.start),
+      sentences: { total: sentences.length, checked, reused: sentences.length - checked }
+    };
+  }
+
+  /**
+   * Spelling (and, for finished sentences, grammar) suggestions with offsets relative to the sentence
+   * @param {Object} sentence - From splitSentences
+   * @param {boolean} partial - The last word is still being typed
+   * @returns {Promise<Object>} - { suggestions, complete: false when a word check failed }
+   */
+  async checkSentence(sentence, partial) {
+    const id = shortHash(sentence.text);
+    const words = [...sentence.text.matchAll(WORD_PATTERN)];
+    if (partial) words.pop();
+
+    let complete = true;
+    const spelling = await Promise.all(words.map(async match => {
+      const result = await this.lookupWord(match[0]);
+      if (!result) complete = false;
+      if (!result || result.correct !== false || !result.corrected) return null;
+      return {
+        id: `spelling-${id}-${match.index}`,
+        type: 'spelling',
+        start: match.index,
+        end: match.index + match[0].length,
+        original: match[0],
+        corrected: matchCase(match[0], result.corrected),
+        explanation: `Did you mean "${matchCase(match[0], result.corrected)}"?`,
+        errorType: result.errorType || null,
+        alternatives: (result.suggestions || []).filter(s => s !== result.corrected).slice(0, 3)
+      };
+    }));
+
+    const grammar = sentence.complete ? await this.checkGrammar(sentence.text, id) : [];
+
+    // Grammar suggestions overlapping a spelling one are dropped; spelling is more specific
+    const spellingFound = spelling.filter(Boolean);
+    const overlaps = g => spellingFound.some(s => g.start < s.end && s.start < g.end);
+    return { suggestions: [...spellingFound, ...grammar.filter(g => !overlaps(g))], complete };
+  }
+
+  /**
+   * checkWord result for a word, shared by every sentence that uses it
+   * A failed check resolves to null and is forgotten, so the next edit checks the word again.
+   */
+  lookupWord(word) {
+    const key = word.toLowerCase();
+    if (!this.wordCache.has(key)) {
+      const lookup = this.limited(() => this.checkWord(word)).catch(() => {
+        if (this.wordCache.get(key) === lookup) this.wordCache.delete(key);
+        return null;
+      });
+      remember(this.wordCache, key, lookup, MAX_CACHED_WORDS);
+    }
+    return this.wordCache.get(key);
+  }
+
+  /**
+   * Grammar errors anchored in the sentence; errors whose text cannot be found are dropped
+   */
+  async checkGrammar(text, id) {
+    const result = await this.limited(() => this.correctGrammar(text));
+
+    return (result.errors || []).flatMap(error => {
+      const original = String(error.original || '');
+      if (!original || !error.corrected || original === error.corrected) return [];
+
+      const start = findNear(text, original, Number(error.position) || 0);
+      if (start === -1) return [];
+      return [{
+        id: `grammar-${id}-${start}`,
+        type: grammarCategory(error.type),
+        start,
+        end: start + original.length,
+        original,
+        corrected: error.corrected,
+        explanation: error.explanation || null,
+        errorType: error.type || null,
+        alternatives: []
+      }];
+    });
+  }
+
+  /**
+   * Run a checker call once fewer than `concurrency` are in flight
+   * A finishing call hands its slot straight to the next waiting one.
+   */
+  async limited(call) {
+    if (this.inFlight < this.concurrency) {
+      this.inFlight++;
+    } else {
+      await new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    try {
+      return await call();
+    } finally {
+      const next = this.waiting.shift();
+      if (next) next();
+      else this.inFlight--;
+    }
+  }
+
+  close() {
+    this.closed = true;
+    clearTimeout(this.timer);
+  }
+}
+
+/**
+ * Occurrence of a phrase closest to a suggested position (-1 when absent)
+ */
+function findNear(text, phrase, position) {
+  let best = -1;
+  for (let at = text.indexOf(phrase); at !== -1; at = text.indexOf(phrase, at + 1)) {
+    if (best === -1 || Math.abs(at - position) < Math.abs(best - position)) best = at;
+  }
+  return best;
+}
+
+/**
+ * Give a correction the capitalisation of the word it replaces
+ */
+function matchCase(original, corrected) {
+  if (original === original.toUpperCase() && original.length > 1) return corrected.toUpperCase();
+  if (original[0] === original[0].toUpperCase()) return corrected[0].toUpperCase() + corrected.slice(1);
+  return corrected;
+}
+
+module.exports = {
+  CONCURRENCY,
+  DEBOUNCE_MS,
+  LiveWritingSession,
+  splitSentences
+};
@@ -0,0 +1,146 @@
+/**
+ * Live Writing Socket
+ * WebSocket channel for real-time writing assistance at /api/v1/assistant/live. The
+ * unversioned /api/assistant/live still connects, with deprecation headers on the handshake.
+ *
+ * Browsers cannot set an Authorization header on a WebSocket, so the session token is
+ * passed as ?token=<token> (an Authorization: Bearer header also works for other clients).
+ * Connections without a valid token are refused with 401 before the upgrade.
+ *
+ * Client -> server (JSON):
+ *   { type: 'edit', text, version }   - the whole text after an edit
+ * Server -> client (JSON):
+ *   { type: 'ready' }
+ *   { type: 'suggestions', version, suggestions, sentences }  - see liveWriting.js
+ *   { type: 'error', error, message, fields? }
+ */
+
+const crypto = require('crypto');
+const { WebSocketServer } = require('ws');
+const authService = require('./authService');
+const { LiveWritingSession } = require('./liveWriting');
+const { validate } = require('./schemaValidator');
+const schemas = require('../schemas/requestSchemas');
+const logger = require('./logger');
+const { API_PREFIX, LEGACY_PREFIX, deprecationHeaders } = require('./apiVersioning');
+
+const LIVE_WRITING_PATH = `${API_PREFIX}/assistant/live`;
+const LEGACY_LIVE_WRITING_PATH = `${LEGACY_PREFIX}/assistant/live`;
+const MAX_MESSAGE_BYTES = 4 * (schemas.MAX_TEXT_LENGTH + 1024);
+const HEARTBEAT_MS = 30000;
+
+const send = (ws, message) => {
+  if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+};
+
+/**
+ * Token from ?token= or an Authorization: Bearer header
+ */
+function readToken(req, url) {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  return url.searchParams.get('token') || (scheme === 'Bearer' ? token : null);
+}
+
+/**
+ * Serve one connection: every valid edit goes to the user's live writing session
+ */
+function handleConnection(ws, user, options) {
+  const connectionId = crypto.randomUUID();
+  const context = { requestId: connectionId, userId: user.id };
+  const session = new LiveWritingSession({
+    context,
+    debounceMs: options.debounceMs,
+    checkers: options.checkers,
+    onSuggestions: result => send(ws, { type: 'suggestions', ...result }),
+    onError: error => send(ws, { type: 'error', error: 'Check failed', message: error.message })
+  });
+
+  logger.info('✍️ Live writing connected', context);
+  ws.isAlive = true;
+  ws.on('pong', () => { ws.isAlive = true; });
+
+  ws.on('message', (data, isBinary) => {
+    let message;
+    try {
+      message = isBinary ? null : JSON.parse(data.toString());
+    } catch (error) {
+      message = null;
+    }
+    if (!message) {
+      return send(ws, { type: 'error', error: 'Invalid message', message: 'Messages must be JSON text' });
+    }
+
+    const { errors } = validate(schemas.liveWritingMessage, message);
+    if (errors.length) {
+      const fields = errors.map(error => ({ location: 'message', field: error.path || 'message', message: error.message }));
+      return send(ws, {
+        type: 'error',
+        error: 'Invalid message',
+        message: fields.map(f => `${f.field} ${f.message}`).join('; '),
+        fields
+      });
+    }
+
+    session.update(message.text, message.version ?? null);
+  });
+
+  ws.on('close', () => {
+    session.close();
+    logger.info('✍️ Live writing disconnected', context);
+  });
+
+  send(ws, { type: 'ready' });
+}
+
+/**
+ * Serve the live writing channel on an HTTP server
+ * @param {http.Server} server - The server Express listens on
+ * @param {Object} options - { debounceMs, checkers } passed to each LiveWritingSession
+ * @returns {WebSocketServer}
+ */
+function attachLiveWriting(server, options = {}) {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== LIVE_WRITING_PATH && url.pathname !== LEGACY_LIVE_WRITING_PATH) {
+      socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    const token = readToken(req, url);
+    const verified = token ? authService.verify(token) : null;
+    if (!verified) {
+      logger.warn('🚫 Rejected live writing connection without a valid session');
+      socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => handleConnection(ws, verified.user, options));
+  });
+
+  wss.on('headers', (headers, req) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== LEGACY_LIVE_WRITING_PATH) return;
+    Object.entries(deprecationHeaders('/assistant/live')).forEach(([name, value]) => headers.push(`${name}: ${value}`));
+  });
+
+  // Drop connections whose client stopped answering pings
+  const heartbeat = setInterval(() => {
+    wss.clients.forEach(ws => {
+      if (!ws.isAlive) return ws.terminate();
+      ws.isAlive = false;
+      ws.ping();
+    });
+  }, HEARTBEAT_MS);
+  heartbeat.unref();
+  wss.on('close', () => clearInterval(heartbeat));
+  server.on('close', () => wss.close());
+
+  return wss;
+}
+
+module.exports = {
+  LIVE_WRITING_PATH,
+  attachLiveWriting
+};
@@ -0,0 +1,181 @@
+/**
+ * LLM Fixture Store
+ * Recorded prompt/response pairs for replaying AI interactions without network access.
+ *
+ * One JSON file per task in the fixture directory (default server/tests/fixtures/llm):
+ *   { "task": "reading analysis", "fixtures": [{ key, prompt, response, provider, recordedAt }] }
+ *
+ * Exchanges are matched on task + normalised prompt, so whitespace, line endings and
+ * ISO timestamps in the input do not break a match.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'tests', 'fixtures', 'llm');
+const ISO_TIMESTAMP = /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:?\d{2})?/g;
+// promptGuard marker tags hash their content; masking them points mismatches at the content line
+const MARKER_TAG = /(\[(?:BEGIN|END) UNTRUSTED \w+) #[0-9a-f]+\]/g;
+
+class UnmatchedFixtureError extends Error {
+  constructor(task, key, detail) {
+    super(`No recorded fixture for ${task} (key ${key}). ${detail}Record it with LLM_FIXTURES=record.`);
+    this.name = 'UnmatchedFixtureError';
+    this.task = task;
+    this.key = key;
+  }
+}
+
+/**
+ * Normalise a prompt for matching
+ * Collapses whitespace, drops blank lines and masks ISO timestamps and marker tags.
+ */
+function normalisePrompt(prompt = '') {
+  return String(prompt)
+    .replace(ISO_TIMESTAMP, '<timestamp>')
+    .replace(MARKER_TAG, '$1]')
+    .split(/\r?\n/)
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+function taskFile(task) {
+  return `${task.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '')}.json`;
+}
+
+class FixtureStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.LLM_FIXTURE_DIR || DEFAULT_DIR;
+    this.tasks = new Map(); // task -> Map(key -> fixture)
+    this.unmatched = [];
+    this.writes = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Read every fixture file in the directory (a missing directory is empty)
+   */
+  load() {
+    this.tasks.clear();
+    if (!fs.existsSync(this.dir)) return;
+
+    fs.readdirSync(this.dir)
+      .filter(file => file.endsWith('.json'))
+      .forEach(file => {
+        const { task, fixtures = [] } = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf-8'));
+        if (!task) {
+          throw new Error(`LLM fixture file ${file} does not name its task`);
+        }
+        this.tasks.set(task, new Map(fixtures.map(fixture => [fixture.key, fixture])));
+      });
+  }
+
+  /**
+   * Match key for a task and prompt
+   * @returns {string} - 16 hex characters of a SHA-256
+   */
+  keyFor(task, prompt) {
+    return crypto
+      .createHash('sha256')
+      .update(`${task}\n${normalisePrompt(prompt)}`)
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Look up the recorded response for a call
+   * @returns {Object|undefined} - Fixture { key, prompt, response, provider, recordedAt }
+   */
+  find(task, prompt) {
+    return this.tasks.get(task)?.get(this.keyFor(task, prompt));
+  }
+
+  /**
+   * Save an exchange, replacing any earlier recording of the same call
+   * @returns {Promise<Object>} - The stored fixture
+   */
+  async record(task, prompt, response, meta = {}) {
+    const fixture = {
+      key: this.keyFor(task, prompt),
+      prompt: normalisePrompt(prompt),
+      response,
+      provider: meta.provider || null,
+      recordedAt: new Date().toISOString()
+    };
+
+    if (!this.tasks.has(task)) this.tasks.set(task, new Map());
+    this.tasks.get(task).set(fixture.key, fixture);
+
+    // Writes are chained so concurrent calls for one task cannot interleave
+    this.writes = this.writes.then(() => this.writeTask(task));
+    await this.writes;
+    return fixture;
+  }
+
+  async writeTask(task) {
+    const file = path.join(this.dir, taskFile(task));
+    const fixtures = [...this.tasks.get(task).values()].sort((a, b) => a.key.localeCompare(b.key));
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(`${file}.tmp`, `${JSON.stringify({ task, fixtures }, null, 2)}\n`);
+    await fs.promises.rename(`${file}.tmp`, file);
+  }
+
+  /**
+   * Note a call with no recording and build an error that says why
+   * The error points at the first line where the prompt departs from the closest
+   * recording for the same task, which is usually the input that changed.
+   * @returns {UnmatchedFixtureError}
+   */
+  reportUnmatched(task, prompt) {
+    const key = this.keyFor(task, prompt);
+    const fixtures = [...(this.tasks.get(task)?.values() || [])];
+    let detail = `No fixtures are recorded for this task in ${this.dir}. `;
+    let difference = null;
+
+    if (fixtures.length) {
+      const lines = normalisePrompt(prompt).split('\n');
+      const closest = fixtures
+        .map(fixture => {
+          const recorded = fixture.prompt.split('\n');
+          let line = 0;
+          while (line < lines.length && lines[line] === recorded[line]) line++;
+          return { fixture, line, recorded: recorded[line] };
+        })
+        .sort((a, b) => b.line - a.line)[0];
+
+      difference = {
+        closestKey: closest.fixture.key,
+        line: closest.line + 1,
+        recorded: (closest.recorded ?? '<end of prompt>').substring(0, 160),
+        received: (lines[closest.line] ?? '<end of prompt>').substring(0, 160)
+      };
+      detail = `Closest recording ${difference.closestKey} differs at prompt line ${difference.line}:\n`
+        + `  recorded: ${difference.recorded}\n`
+        + `  received: ${difference.received}\n`;
+    }
+
+    this.unmatched.push({ task, key, difference, at: new Date().toISOString() });
+    logger.warn(`❓ Unmatched ${task} call (key ${key})`);
+    return new UnmatchedFixtureError(task, key, detail);
+  }
+
+  /**
+   * Fixture counts and unmatched calls for inspection
+   */
+  summary() {
+    return {
+      dir: this.dir,
+      tasks: Object.fromEntries([...this.tasks.entries()].map(([task, fixtures]) => [task, fixtures.size])),
+      unmatched: this.unmatched
+    };
+  }
+}
+
+module.exports = {
+  FixtureStore,
+  UnmatchedFixtureError,
+  normalisePrompt
+};
@@ -0,0 +1,85 @@
+/**
+ * Gemini LLM Provider
+ * Sends prompts to Google Gemini via @google/generative-ai
+ */
+
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+const logger = require('../logger');
+
+class GeminiProvider {
+  constructor(apiKey = process.env.GOOGLE_API_KEY || '') {
+    this.name = 'gemini';
+    this.billable = true;
+    this.model = null;
+
+    if (!apiKey) {
+      logger.error('❌ GOOGLE_API_KEY not found in environment. Set it in the server/.env file');
+      // Don't throw - allow server to start but AI calls will fail gracefully
+      return;
+    }
+
+    try {
+      this.genAI = new GoogleGenerativeAI(apiKey);
+      this.model = this.genAI.getGenerativeModel({
+        model: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+        safetySettings: [
+          { category: 'HARM_CATEGORY_MEDICAL', threshold: 'BLOCK_NONE' },
+          { category: 'HARM_CATEGORY_SELF_HARM', threshold: 'BLOCK_NONE' }
+        ]
+      });
+      logger.info('✅ Gemini service initialized');
+    } catch (error) {
+      logger.error('❌ Failed to initialize Gemini', { error });
+      this.model = null;
+    }
+  }
+
+  /**
+   * Whether the provider can serve requests
+   */
+  isAvailable() {
+    return !!this.model;
+  }
+
+  /**
+   * Send a prompt to Gemini
+   * @param {string} task - Task description for logging
+   * @param {string} prompt - The prompt to send
+   * @param {Object} options - { temperature, maxTokens, signal, onUsage } - signal aborts the request;
+   *   onUsage receives the token counts Gemini reports
+   * @returns {Promise<string>} - Generated text
+   */
+  async generate(task, prompt, options = {}) {
+    if (!this.model) {
+      throw new Error('Gemini service not initialized. Set GOOGLE_API_KEY in server/.env');
+    }
+
+    const { temperature = 0.2, maxTokens = 2048, signal, onUsage } = options;
+
+    const result = await this.model.generateContent({
+      contents: [{ role: 'user', parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature,
+        maxOutputTokens: maxTokens
+      }
+    }, { signal });
+
+    const response = await result.response;
+    const text = response.text();
+
+    if (onUsage && response.usageMetadata) {
+      onUsage({
+        promptTokens: response.usageMetadata.promptTokenCount || 0,
+        responseTokens: response.usageMetadata.candidatesTokenCount || 0
+      });
+    }
+
+    // Add artificial latency to make AI usage visible (300-700ms)
+    const artificialDelay = Math.floor(Math.random() * 400) + 300;
+    await new Promise(resolve => setTimeout(resolve, artificialDelay));
+
+    return text;
+  }
+}
+
+module.exports = GeminiProvider;
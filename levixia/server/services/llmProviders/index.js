@@ -0,0 +1,54 @@
+/**
+ * LLM Provider Registry
+ * Selects the backend that geminiService sends prompts to.
+ *
+ * LLM_PROVIDER=gemini  - Google Gemini (needs GOOGLE_API_KEY)
+ * LLM_PROVIDER=local   - deterministic rule-based provider (offline, tests)
+ * unset / auto         - gemini when GOOGLE_API_KEY is set, otherwise local
+ *
+ * A provider is any object with:
+ *   name: string
+ *   billable: boolean (optional) - calls cost money and count toward user quotas
+ *   isAvailable(): boolean
+ *   generate(task, prompt, options): Promise<string>
+ *     options.onUsage({ promptTokens, responseTokens }) may be called with token counts
+ */
+
+const GeminiProvider = require('./geminiProvider');
+const LocalProvider = require('./localProvider');
+
+const PROVIDERS = {
+  gemini: () => new GeminiProvider(),
+  local: () => new LocalProvider()
+};
+
+/**
+ * Resolve the provider name from the environment
+ * @param {string} requested - Requested provider name (defaults to LLM_PROVIDER)
+ * @returns {string} - Provider name
+ */
+function resolveProviderName(requested = process.env.LLM_PROVIDER) {
+  const name = (requested || 'auto').trim().toLowerCase();
+  if (name === 'auto') {
+    return process.env.GOOGLE_API_KEY ? 'gemini' : 'local';
+  }
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown LLM_PROVIDER "${requested}". Use one of: auto, ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return name;
+}
+
+/**
+ * Create an LLM provider
+ * @param {string} requested - Provider name (defaults to LLM_PROVIDER)
+ * @returns {Object} - Provider instance
+ */
+function createProvider(requested) {
+  return PROVIDERS[resolveProviderName(requested)]();
+}
+
+module.exports = {
+  createProvider,
+  resolveProviderName,
+  providerNames: Object.keys(PROVIDERS)
+};
@@ -0,0 +1,635 @@
+/**
+ * Local LLM Provider
+ * Deterministic, rule-based stand-in for Gemini so the app runs offline and in tests.
+ * Each task handler reads the structured input passed as options.input and returns
+ * JSON in the same shape the corresponding prompt asks Gemini for.
+ */
+
+const heuristics = require('./textHeuristics');
+const miscueAnalysis = require('../miscueAnalysis');
+const readingHesitations = require('../readingHesitations');
+const passageBank = require('../passageBank');
+
+const FEATURE_KEYS = ['bionicReading', 'dyslexiaFont', 'smartSpacing', 'tts', 'writingSupport', 'cognitiveLoadReduction', 'focusMode'];
+
+const clamp = (value, min = 0, max = 100) => Math.max(min, Math.min(max, Math.round(value || 0)));
+
+class LocalProvider {
+  constructor() {
+    this.name = 'local';
+  }
+
+  /**
+   * Local provider needs no credentials or network
+   */
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Produce a deterministic response for a task
+   * @param {string} task - Task name (same names services pass to geminiService)
+   * @param {string} prompt - Rendered prompt (unused except as a seed)
+   * @param {Object} options - { input } structured task input
+   * @returns {Promise<string>} - JSON response text
+   */
+  async generate(task, prompt, options = {}) {
+    const handler = TASK_HANDLERS[task];
+    if (!handler) {
+      throw new Error(`Local provider has no handler for task: ${task}`);
+    }
+    const result = this[handler](options.input || {}, prompt);
+    return JSON.stringify(result);
+  }
+
+  /**
+   * Tasks the local provider can answer
+   */
+  supportedTasks() {
+    return Object.keys(TASK_HANDLERS);
+  }
+
+  // ========== SCREENING TASKS ==========
+
+  // A bank passage for the age group stands in for a generated one
+  readingPassage(input) {
+    const passages = passageBank.passagesFor(passageBank.ageGroupOf(input.ageGroup));
+    const passage = passages[heuristics.hashString(JSON.stringify(input)) % passages.length];
+    return {
+      text: passage.text,
+      difficulty: passage.difficulty,
+      wordCount: passage.wordCount,
+      targetPhonemes: passage.targetPhonemes,
+      questions: passage.questions
+    };
+  }
+
+  readingAnalysis(input) {
+    const { originalText = '', transcript = '', timeSeconds = 0, wordTimings = [] } = input;
+    const analysis = miscueAnalysis.analyze(originalText, transcript, timeSeconds);
+    const hesitations = readingHesitations.analyze(originalText, transcript, wordTimings);
+    const { accuracyPercent, wpm } = analysis;
+
+    const phonologicalIssues = [];
+    const visualIssues = [];
+    analysis.miscues.forEach(({ type, expected, said }) => {
+      if (type === 'reversal') {
+        visualIssues.push(`"${expected}" read as "${said}" (letter order or reversal)`);
+      } else if (type === 'substitution' && heuristics.editDistance(expected.toLowerCase(), said.toLowerCase()) <= 2) {
+        phonologicalIssues.push(`"${expected}" read as "${said}" (sound substitution)`);
+      }
+    });
+    if (analysis.counts.omission > 0) {
+      visualIssues.push(`${analysis.counts.omission} word(s) skipped`);
+    }
+
+    // Pauses, regressions and restarts are fluency patterns (the median gap line is not one)
+    const errorPatterns = [
+      ...miscueAnalysis.describe(analysis),
+      ...readingHesitations.describe(hesitations).slice(1)
+    ].slice(0, 10);
+
+    let errorType = 'Mixed';
+    if (errorPatterns.length === 0) errorType = 'None';
+    else if (phonologicalIssues.length > 0 && visualIssues.length === 0) errorType = 'Phonological';
+    else if (visualIssues.length > 0 && phonologicalIssues.length === 0) errorType = 'Visual';
+    else if (phonologicalIssues.length === 0 && visualIssues.length === 0) errorType = 'Fluency';
+
+    const strengths = [];
+    if (accuracyPercent >= 80) strengths.push('Read most words accurately');
+    if (wpm >= 90) strengths.push('Comfortable reading pace');
+    if (analysis.counts.selfCorrection > 0) strengths.push('Noticed and fixed own mistakes');
+    if (hesitations && hesitations.counts.longPauses === 0) strengths.push('Steady pace without long pauses');
+    if (analysis.wordsAttempted === analysis.totalWords && analysis.totalWords > 0) strengths.push('Completed the passage');
+
+    return {
+      accuracyPercent,
+      wpm,
+      errorType,
+      errorPatterns,
+      phonologicalIssues,
+      visualIssues,
+      dyslexiaLikelihood: accuracyPercent < 60 ? 'High' : accuracyPercent < 80 ? 'Moderate' : 'Low',
+      strengths: strengths.length ? strengths : ['Willingness to try'],
+      feedback: accuracyPercent >= 80
+        ? 'Great reading! You read most of the passage smoothly.'
+        : 'Good effort! Taking your time with tricky words will help.'
+    };
+  }
+
+  spellingAnalysis(input) {
+    const errors = Array.isArray(input.errors) ? input.errors : [];
+    const errorClassifications = errors.map(e => {
+      const word = String(e.word || '');
+      const attempt = String(e.typed || e.attempt || '');
+      return { word, attempt, ...heuristics.classifySpellingError(word, attempt) };
+    });
+    const count = type => errorClassifications.filter(c => c.type === type).length;
+    const total = Math.max(1, errorClassifications.length);
+    const severity = Math.min(1, errorClassifications.length / 5);
+
+    return {
+      errorTypes: [...new Set(errorClassifications.map(c => c.type))],
+      orthographicWeakness: clamp(((count('Visual') + count('Morphological')) / total) * 100 * severity),
+      phonemeGraphemeMismatch: clamp(((count('Phonetic') + count('Phoneme-Grapheme')) / total) * 100 * severity),
+      errorClassifications,
+      feedback: errorClassifications.length <= 2
+        ? 'Nice work! Only a few tricky words to practise.'
+        : 'Good effort! Practising the letter patterns in these words will help.'
+    };
+  }
+
+  cognitiveAnalysis(input) {
+    const {
+      sequence = [],
+      userSequence = [],
+      responseTimes = [],
+      maxLengthReached = 0,
+      correct = 0,
+      total = 0
+    } = input;
+    const accuracy = total > 0 ? (correct / total) * 100 : 0;
+    const workingMemoryScore = clamp((maxLengthReached / 8) * 100);
+
+    let taskSwitchingScore = 75;
+    if (responseTimes.length > 0) {
+      const avg = responseTimes.reduce((a, b) => a + b, 0) / responseTimes.length;
+      const variance = responseTimes.reduce((sum, t) => sum + Math.pow(t - avg, 2), 0) / responseTimes.length;
+      taskSwitchingScore = clamp(100 - variance * 10);
+    }
+    const attentionScore = clamp(accuracy);
+    const cognitiveLoadScore = clamp(100 - (accuracy * 0.6 + workingMemoryScore * 0.4));
+    const executiveFunctionScore = clamp(workingMemoryScore * 0.4 + attentionScore * 0.3 + taskSwitchingScore * 0.3);
+
+    const errorPatterns = [];
+    for (let i = 0; i < Math.min(sequence.length, userSequence.length) - 1; i++) {
+      if (sequence[i] === userSequence[i + 1] && sequence[i + 1] === userSequence[i]) {
+        errorPatterns.push('Transposition');
+        break;
+      }
+    }
+    if (userSequence.length < sequence.length) errorPatterns.push('Omissions');
+    if (userSequence.length > sequence.length) errorPatterns.push('Intrusions');
+
+    const indicators = [];
+    if (workingMemoryScore < 60) indicators.push('Working memory difficulty');
+    if (attentionScore < 60) indicators.push('Attention span challenges');
+    if (taskSwitchingScore < 60) indicators.push('Task-switching inefficiency');
+    if (cognitiveLoadScore > 70) indicators.push('High cognitive load sensitivity');
+
+    return { workingMemoryScore, attentionScore, taskSwitchingScore, cognitiveLoadScore, executiveFunctionScore, errorPatterns, indicators };
+  }
+
+  visualAnalysis(input) {
+    const { hits = 0, falsePositives = 0, correctCount = 0, timeElapsed = 0 } = input;
+    const accuracy = correctCount > 0 ? (hits / correctCount) * 100 : 0;
+    const falsePositiveRate = correctCount > 0 ? (falsePositives / correctCount) * 100 : 0;
+    const visualStressScore = clamp(100 - (falsePositiveRate * 2 + (timeElapsed > 90 ? 20 : 0)));
+    const efficiency = correctCount > 0 ? (hits / (timeElapsed || 1)) * 60 : 0;
+    const trackingDifficultyIndex = clamp(100 - (accuracy * 0.7 + (efficiency < 1 ? 30 : 0)));
+    const crowdingScore = hits > 0 ? clamp(100 - (falsePositives / (hits + falsePositives)) * 150) : 0;
+
+    const indicators = [];
+    if (visualStressScore < 60) indicators.push('Visual stress');
+    if (trackingDifficultyIndex > 50) indicators.push('Line tracking difficulty');
+    if (crowdingScore < 60) indicators.push('Visual crowding');
+    if (accuracy < 60) indicators.push('Symbol discrimination challenges');
+
+    return {
+      visualStressScore,
+      trackingDifficultyIndex,
+      patternRecognitionScore: clamp(accuracy),
+      crowdingScore,
+      discriminationScore: clamp(accuracy),
+      indicators
+    };
+  }
+
+  holisticReport(input) {
+    const aggregated = input.aggregatedResults || {};
+    const inference = aggregated.inference || {};
+    const dimensions = aggregated.severityByDimension || {};
+    const labels = {
+      readingAndLanguage: 'Reading and language',
+      writingAndSpelling: 'Writing and spelling',
+      visualProcessing: 'Visual processing',
+      auditoryProcessing: 'Auditory processing',
+      cognitiveAndAttention: 'Focus and working memory'
+    };
+
+    const strengths = [];
+    const challenges = [];
+    Object.entries(dimensions).forEach(([key, value]) => {
+      const label = labels[key] || key;
+      if (value.severity === 'No Significant Difficulty') strengths.push(label);
+      else if (value.severity === 'Moderate' || value.severity === 'Severe') challenges.push(label);
+    });
+    if (strengths.length === 0) strengths.push('Willingness to engage with every task');
+    if (challenges.length === 0) challenges.push('Keep building on current skills');
+
+    const recommendations = [];
+    if (['readingAndLanguage', 'auditoryProcessing'].some(k => dimensions[k] && dimensions[k].severity !== 'No Significant Difficulty')) {
+      recommendations.push({ category: 'Reading Aids', items: ['Text-to-speech', 'Bionic Reading', 'Chunked text'] });
+    }
+    if (dimensions.visualProcessing && dimensions.visualProcessing.severity !== 'No Significant Difficulty') {
+      recommendations.push({ category: 'Visual Adjustments', items: ['Dyslexia-friendly font', 'Letter spacing', 'Color contrast'] });
+    }
+    if (dimensions.writingAndSpelling && dimensions.writingAndSpelling.severity !== 'No Significant Difficulty') {
+      recommendations.push({ category: 'Writing Support', items: ['Spelling suggestions', 'Writing support'] });
+    }
+    if (dimensions.cognitiveAndAttention && dimensions.cognitiveAndAttention.severity !== 'No Significant Difficulty') {
+      recommendations.push({ category: 'Cognitive Support', items: ['Cognitive load reduction', 'Focus line highlighting'] });
+    }
+
+    const severityLevel = inference.severity || 'Mild';
+    const perTestBreakdown = {};
+    ['cognitive', 'visual', 'reading', 'spelling'].forEach(test => {
+      const normalized = (aggregated[test] && aggregated[test].normalized) || {};
+      perTestBreakdown[test] = `Overall ${test} score: ${Math.round(normalized.overall || 0)}%.`;
+    });
+
+    return {
+      executiveSummary: `This screening suggests a ${severityLevel.toLowerCase()} profile overall. The recommended tools below can make everyday reading and writing easier.`,
+      detectedConditions: (inference.dyslexiaTypes || []).filter(t => t !== 'None identified'),
+      primaryType: inference.primaryType || 'None identified',
+      adhdIndicators: inference.adhdIndicators || [],
+      severityLevel,
+      confidenceScore: inference.confidence ?? 0.6,
+      strengths,
+      challenges,
+      perTestBreakdown,
+      personalizedFeedback: 'You showed real effort across every task. Use the suggested tools and adjust them until reading and writing feel comfortable.',
+      recommendations: recommendations.length ? recommendations : [{ category: 'General', items: ['Personalized assistant settings'] }],
+      disclaimer: 'This report is from a screening and personalization tool only. It is not a medical or clinical diagnosis. For diagnosis or treatment, please see a qualified professional.',
+      recommendProfessionalEvaluation: severityLevel === 'Moderate' || severityLevel === 'Severe'
+    };
+  }
+
+  dyslexiaScreeningReport(input) {
+    const { severity = 'Mild', recommendedAssistant = 'Both', readingSpeed = 0, writingCoherence = 0 } = input;
+    const supportAreas = [];
+    if ((input.spellingErrorCount || 0) > 0) supportAreas.push('Spelling patterns');
+    if ((input.readingHesitationCount || 0) > 0) supportAreas.push('Reading fluency');
+    if ((input.letterReversalCount || 0) > 0) supportAreas.push('Letter orientation');
+    if (supportAreas.length === 0) supportAreas.push('Building confidence');
+
+    return {
+      executiveSummary: `This screening shows a ${severity.toLowerCase()} pattern. Helpful tools are suggested below.`,
+      reading_speed_assessment: readingSpeed >= 100 ? 'Reading speed is within a comfortable range.' : 'Reading speed is slower than typical; extra time will help.',
+      writing_coherence_assessment: writingCoherence >= 70 ? 'Writing is generally clear and organised.' : 'Writing would benefit from planning and review support.',
+      severity_justification: `Severity was set to ${severity} from the measured error counts, accuracy and speed.`,
+      assistant_reasoning: `The ${recommendedAssistant} assistant targets the areas where the most difficulty was seen.`,
+      strengths: ['Completed the full screening', 'Engaged with every task'],
+      support_areas: supportAreas,
+      recommendations: [
+        { category: 'Reading Support', items: ['Text-to-speech', 'Dyslexia-friendly font'] },
+        { category: 'Writing Support', items: ['Spelling suggestions', 'Read work aloud before finishing'] }
+      ]
+    };
+  }
+
+  // ========== ASSISTANT TASKS ==========
+
+  userProfile(input) {
+    const results = input.assessmentResults || {};
+    const report = input.report || {};
+    const cognitive = results.cognitive || {};
+    const visual = results.visual || {};
+    const reading = results.reading || {};
+    const spelling = results.spelling || {};
+
+    const readingAccuracy = reading.accuracyPercent || 0;
+    const visualAccuracy = visual.accuracy || visual.patternRecognitionScore || 0;
+    const visualStress = visual.visualStressScore || 0;
+    const attention = cognitive.attentionScore || cognitive.accuracy || 0;
+    const executive = cognitive.executiveFunctionScore || cognitive.accuracy || 0;
+    const spellingAccuracy = spelling.accuracyPercent || 0;
+
+    const enabledFeatures = {
+      bionicReading: visualStress < 60 || readingAccuracy < 70,
+      dyslexiaFont: visualStress < 60 || visualAccuracy < 60,
+      smartSpacing: (visual.crowdingScore || 100) < 60 || (visual.trackingDifficultyIndex || 0) > 50,
+      tts: readingAccuracy < 75 || (reading.phonologicalIssues || []).length > 0,
+      writingSupport: spellingAccuracy < 70 || (spelling.orthographicWeakness || 0) > 50,
+      cognitiveLoadReduction: (cognitive.cognitiveLoadScore || 0) > 60 || attention < 70,
+      focusMode: attention < 65 || executive < 70
+    };
+    const enabledCount = FEATURE_KEYS.filter(k => enabledFeatures[k]).length;
+
+    return {
+      enabledFeatures,
+      readingPreferences: {
+        preferredPace: reading.wpm || 120,
+        chunkSize: attention < 70 ? 5 : 7,
+        highlightKeywords: true,
+        showProgress: true
+      },
+      writingPreferences: {
+        realTimeCorrection: spellingAccuracy < 80,
+        suggestionLevel: spellingAccuracy < 70 ? 'comprehensive' : 'moderate',
+        grammarCheck: true,
+        spellingCheck: true
+      },
+      attentionProfile: {
+        focusDuration: attention < 60 ? 10 : 20,
+        breakFrequency: 5,
+        distractionReduction: attention < 70,
+        timeTracking: true
+      },
+      learningStyle: {
+        dominantModality: enabledFeatures.tts ? 'auditory' : 'mixed',
+        processingSpeed: (reading.wpm || 0) < 80 ? 'slow' : (reading.wpm || 0) > 150 ? 'fast' : 'moderate',
+        detailPreference: 'moderate'
+      },
+      strengths: report.strengths || [],
+      challenges: report.challenges || [],
+      personalizationLevel: enabledCount >= 4 ? 'high' : enabledCount >= 2 ? 'moderate' : 'low'
+    };
+  }
+
+  assistantConfig(input) {
+    const userProfile = input.userProfile || {};
+    const context = input.context || {};
+    const enabled = userProfile.enabledFeatures || {};
+    const reading = userProfile.readingPreferences || {};
+    const writing = userProfile.writingPreferences || {};
+    const isWriting = context.taskType === 'writing';
+    const isLong = (context.characteristics || {}).length === 'long';
+
+    const assistantConfig = {
+      bionicReading: !!enabled.bionicReading && !isWriting,
+      dyslexiaFont: !!enabled.dyslexiaFont,
+      smartSpacing: {
+        enabled: !!enabled.smartSpacing,
+        letterSpacing: 1.2,
+        wordSpacing: 1.5,
+        lineSpacing: 1.8
+      },
+      tts: {
+        enabled: !!enabled.tts && !isWriting,
+        reason: enabled.tts ? 'Listening along supports decoding' : 'Not needed from screening results'
+      },
+      writingSupport: {
+        enabled: !!enabled.writingSupport && context.taskType !== 'reading',
+        level: writing.suggestionLevel || 'moderate'
+      },
+      cognitiveLoadReduction: {
+        enabled: !!enabled.cognitiveLoadReduction,
+        chunkSize: reading.chunkSize || 6
+      },
+      focusMode: !!enabled.focusMode
+    };
+
+    const activeFeatures = FEATURE_KEYS.filter(k => {
+      const value = assistantConfig[k];
+      return typeof value === 'object' ? value.enabled : value;
+    });
+
+    return {
+      assistantConfig,
+      explanation: `Configured for a ${context.taskType || 'reading'} task using the features from your screening results.`,
+      activeFeatures,
+      recommendedActions: [
+        assistantConfig.cognitiveLoadReduction.enabled ? 'Read in short chunks' : 'Read at your own pace',
+        `Take a break every ${(userProfile.attentionProfile || {}).focusDuration || 20} minutes`
+      ],
+      processingStrategy: {
+        simplify: isLong && !!enabled.cognitiveLoadReduction,
+        chunk: !!enabled.cognitiveLoadReduction,
+        highlight: reading.highlightKeywords !== false,
+        pace: reading.preferredPace || 120
+      }
+    };
+  }
+
+  contextDetection(input) {
+    const text = String(input.text || '');
+    const words = heuristics.tokenize(text);
+    const questions = (text.match(/\?/g) || []).length;
+    const firstPerson = words.filter(w => ['i', 'my', 'me', "i'm"].includes(w)).length;
+    let taskType = 'reading';
+    if (firstPerson / Math.max(1, words.length) > 0.05) taskType = 'writing';
+    if (questions > 2) taskType = 'mixed';
+
+    return {
+      taskType,
+      confidence: 0.75,
+      characteristics: {
+        complexity: words.length < 100 ? 'simple' : words.length < 500 ? 'moderate' : 'complex',
+        purpose: taskType === 'writing' ? 'expression' : 'learning',
+        contentType: /(once upon|story|chapter)/i.test(text) ? 'narrative' : 'informational'
+      }
+    };
+  }
+
+  textSimplification(input) {
+    const text = String(input.text || '');
+    const { simplified, changes } = heuristics.simplifyText(text);
+    const before = heuristics.tokenize(text).length;
+    const after = heuristics.tokenize(simplified).length;
+    return {
+      simplified,
+      changes,
+      complexityReduction: before > 0 ? Math.round((changes.length / before) * 100) / 100 : 0,
+      wordCountChange: after - before
+    };
+  }
+
+  keywordExtraction(input) {
+    const text = String(input.text || '');
+    const keywords = heuristics.extractKeywords(text, 5);
+    let highlightedText = text;
+    keywords.forEach(keyword => {
+      highlightedText = highlightedText.replace(new RegExp(`\\b${keyword}\\b`, 'gi'), m => `<mark>${m}</mark>`);
+    });
+    return {
+      keywords,
+      keyPhrases: heuristics.extractKeyPhrases(text, 3),
+      highlightedText
+    };
+  }
+
+  keywordIdentification(input) {
+    const words = String(input.text || '').split(/\s+/).filter(Boolean);
+    const keywords = new Set(heuristics.extractKeywords(input.text, 5));
+    const importantWords = [];
+    const emphasisWords = [];
+    words.forEach((word, idx) => {
+      const clean = word.toLowerCase().replace(/[^a-z']/g, '');
+      if (keywords.has(clean) && importantWords.length < 5) importantWords.push(idx);
+      else if (clean.length >= 8 && emphasisWords.length < 3) emphasisWords.push(idx);
+    });
+    return { importantWords, emphasisWords };
+  }
+
+  grammarSimplification(input) {
+    const text = String(input.text || '');
+    const { simplified, changes } = heuristics.simplifyText(text, 14);
+    return {
+      simplified,
+      changes: changes.filter(c => c.reason === 'sentence structure simplification'),
+      complexityReduction: changes.length > 0 ? 0.2 : 0
+    };
+  }
+
+  grammarCorrection(input) {
+    const text = String(input.text || '');
+    const errors = heuristics.findGrammarIssues(text);
+    return {
+      corrected: heuristics.applyCorrections(text, errors),
+      errors,
+      suggestions: errors.length > 0 ? ['Read each sentence aloud to check it sounds right.'] : []
+    };
+  }
+
+  textSpellingAnalysis(input) {
+    const text = String(input.text || '');
+    const misspellings = heuristics.findMisspellings(text);
+    const errors = misspellings.map(m => ({
+      ...m,
+      type: heuristics.isVisualError(m.corrected, m.original.toLowerCase()) ? 'Visual' : 'Phonetic',
+      confidence: 0.9
+    }));
+    return {
+      corrected: heuristics.applyCorrections(text, misspellings),
+      errors,
+      suggestions: [...new Set(errors.map(e => e.corrected))]
+    };
+  }
+
+  wordSpellingCheck(input) {
+    const word = String(input.word || '');
+    const corrected = heuristics.COMMON_MISSPELLINGS[word.toLowerCase()];
+    if (!corrected) {
+      return { correct: true, corrected: word, errorType: 'None', suggestions: [] };
+    }
+    return {
+      correct: false,
+      corrected,
+      errorType: heuristics.isVisualError(corrected, word.toLowerCase()) ? 'Visual' : 'Phonetic',
+      suggestions: [corrected]
+    };
+  }
+
+  writingFeedback(input) {
+    const text = String(input.userText || '');
+    const spelling = heuristics.findMisspellings(text).map(m => ({
+      type: heuristics.isVisualError(m.corrected, m.original.toLowerCase()) ? 'reversal' : 'spelling',
+      original: m.original,
+      suggestion: m.corrected,
+      message: `Try "${m.corrected}" instead of "${m.original}".`
+    }));
+    const grammar = heuristics.findGrammarIssues(text).map(g => ({
+      type: g.type === 'capitalization' ? 'punctuation' : 'grammar',
+      original: g.original,
+      suggestion: g.corrected,
+      message: g.explanation
+    }));
+    const errors = [...spelling, ...grammar];
+
+    const waysToOvercome = [];
+    if (spelling.length > 0) waysToOvercome.push('Practise the sound-letter patterns in words you often misspell.');
+    if (spelling.some(e => e.type === 'reversal')) waysToOvercome.push('Say each letter aloud as you write tricky words.');
+    if (grammar.length > 0) waysToOvercome.push('Write one sentence at a time and reread it before continuing.');
+    if (waysToOvercome.length < 2) waysToOvercome.push('Read your writing aloud to hear what to change.');
+
+    return {
+      errors,
+      suggestions: ['Read your text aloud to catch missing or repeated words.', 'Keep sentences short and clear.'],
+      feedback: errors.length === 0
+        ? 'Your writing is clear and we did not find any errors. Keep it up!'
+        : `Good work getting your ideas down. We found ${errors.length} thing(s) to fix; the list above shows how.`,
+      waysToOvercome
+    };
+  }
+
+  textTransformation(input) {
+    const text = String(input.originalText || '');
+    const chunkSize = (input.readingPreferences || {}).chunkSize || 6;
+    const { simplified, changes } = heuristics.simplifyText(text, chunkSize * 3);
+    const syllableHighlights = heuristics.tokenize(simplified)
+      .filter(w => w.length >= 8)
+      .slice(0, 10)
+      .map(word => ({ word, syllables: heuristics.syllabify(word) }))
+      .filter(s => s.syllables.length > 1);
+
+    const appliedTransformations = ['chunking'];
+    if (changes.length > 0) appliedTransformations.unshift('simplification');
+    if (syllableHighlights.length > 0) appliedTransformations.push('syllable_highlighting');
+
+    return {
+      transformedText: heuristics.splitSentences(simplified).join('\n\n') || text,
+      complexityReduction: changes.length > 0 ? 0.15 : 0,
+      appliedTransformations,
+      keyChanges: changes.map(c => ({ original: c.original, transformed: c.simplified, reason: c.reason })),
+      syllableHighlights
+    };
+  }
+
+  syllableHighlighting(input) {
+    const syllables = [];
+    const regex = /\b[A-Za-z]{5,}\b/g;
+    let match;
+    while ((match = regex.exec(String(input.text || ''))) !== null) {
+      const parts = heuristics.syllabify(match[0]);
+      if (parts.length > 1) {
+        syllables.push({ word: match[0], syllables: parts, position: match.index });
+      }
+    }
+    return {
+      highlightedText: syllables.reduce(
+        (text, s) => text.replace(new RegExp(`\\b${s.word}\\b`), s.syllables.join('-')),
+        String(input.text || '')
+      ),
+      syllables
+    };
+  }
+
+  /**
+   * Simplification, keywords and syllables in one answer (input.steps selects which)
+   */
+  fusedTextProcessing(input) {
+    const steps = input.steps || {};
+    const simplification = steps.simplification ? this.textSimplification(input) : null;
+    // Keywords are highlighted in the simplified text, so they are taken from it
+    const keywords = steps.keywords
+      ? this.keywordExtraction(simplification ? { ...input, text: simplification.simplified } : input)
+      : null;
+    const syllables = steps.syllables ? this.syllableHighlighting(input) : null;
+    return {
+      simplified: simplification ? simplification.simplified : null,
+      changes: simplification ? simplification.changes : null,
+      complexityReduction: simplification ? simplification.complexityReduction : null,
+      keywords: keywords ? keywords.keywords : null,
+      keyPhrases: keywords ? keywords.keyPhrases : null,
+      syllables: syllables ? syllables.syllables : null
+    };
+  }
+}
+
+// Task name -> handler method
+const TASK_HANDLERS = {
+  'reading passage generation': 'readingPassage',
+  'reading analysis': 'readingAnalysis',
+  'spelling analysis': 'spellingAnalysis',
+  'cognitive analysis': 'cognitiveAnalysis',
+  'visual analysis': 'visualAnalysis',
+  'holistic report generation': 'holisticReport',
+  'dyslexia screening report': 'dyslexiaScreeningReport',
+  'user profile generation': 'userProfile',
+  'adaptive assistant configuration': 'assistantConfig',
+  'context detection': 'contextDetection',
+  'text simplification': 'textSimplification',
+  'keyword extraction': 'keywordExtraction',
+  'keyword identification': 'keywordIdentification',
+  'grammar simplification': 'grammarSimplification',
+  'grammar correction': 'grammarCorrection',
+  'text spelling analysis': 'textSpellingAnalysis',
+  'word spelling check': 'wordSpellingCheck',
+  'standalone writing feedback': 'writingFeedback',
+  'text transformation': 'textTransformation',
+  'syllable highlighting': 'syllableHighlighting',
+  'fused text processing': 'fusedTextProcessing'
+};
+
+module.exports = LocalProvider;
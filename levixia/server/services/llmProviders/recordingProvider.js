@@ -0,0 +1,38 @@
+/**
+ * Recording LLM Provider
+ * Wraps another provider and saves every prompt/response pair to the fixture store
+ * (LLM_FIXTURES=record), so a live session can be replayed later.
+ */
+
+const logger = require('../logger');
+
+class RecordingProvider {
+  /**
+   * @param {Object} provider - Provider that answers the calls
+   * @param {FixtureStore} store - Where exchanges are saved (see ../llmFixtures.js)
+   */
+  constructor(provider, store) {
+    // Keep the wrapped name so cache keys, logs and the breaker are unchanged
+    this.name = provider.name;
+    this.billable = !!provider.billable;
+    this.provider = provider;
+    this.store = store;
+  }
+
+  isAvailable() {
+    return this.provider.isAvailable();
+  }
+
+  /**
+   * Forward a prompt and record the answer
+   * Failed calls are not recorded.
+   */
+  async generate(task, prompt, options = {}) {
+    const text = await this.provider.generate(task, prompt, options);
+    const { key } = await this.store.record(task, prompt, text, { provider: this.provider.name });
+    logger.info(`📼 Recorded ${task} (key ${key})`);
+    return text;
+  }
+}
+
+module.exports = RecordingProvider;
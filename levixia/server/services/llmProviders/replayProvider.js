@@ -0,0 +1,32 @@
+/**
+ * Replay LLM Provider
+ * Answers from recorded fixtures only (LLM_FIXTURES=replay). A call with no recording
+ * fails with UnmatchedFixtureError instead of reaching the network or the fallback.
+ */
+
+class ReplayProvider {
+  /**
+   * @param {FixtureStore} store - Recorded exchanges (see ../llmFixtures.js)
+   */
+  constructor(store) {
+    this.name = 'replay';
+    this.store = store;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Return the recorded response for a task and prompt
+   */
+  async generate(task, prompt) {
+    const fixture = this.store.find(task, prompt);
+    if (!fixture) {
+      throw this.store.reportUnmatched(task, prompt);
+    }
+    return fixture.response;
+  }
+}
+
+module.exports = ReplayProvider;
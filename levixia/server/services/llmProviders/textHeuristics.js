@@ -0,0 +1,314 @@
+/**
+ * Text Heuristics
+ * Small deterministic text utilities used by the local (offline) LLM provider
+ */
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'if', 'then', 'so', 'of', 'to', 'in', 'on', 'at', 'by',
+  'for', 'with', 'from', 'as', 'is', 'are', 'was', 'were', 'be', 'been', 'being', 'it', 'its',
+  'this', 'that', 'these', 'those', 'he', 'she', 'they', 'we', 'you', 'i', 'his', 'her', 'their',
+  'our', 'your', 'my', 'me', 'him', 'them', 'us', 'not', 'no', 'do', 'does', 'did', 'have', 'has',
+  'had', 'will', 'would', 'can', 'could', 'should', 'may', 'might', 'must', 'about', 'into',
+  'over', 'after', 'before', 'than', 'there', 'here', 'when', 'where', 'which', 'who', 'what',
+  'how', 'all', 'any', 'some', 'more', 'most', 'very', 'also', 'just', 'only', 'such', 'each',
+  'through', 'because', 'while'
+]);
+
+// Common misspellings (attempt -> correct)
+const COMMON_MISSPELLINGS = {
+  teh: 'the', hte: 'the', adn: 'and', nad: 'and', taht: 'that', thier: 'their', wich: 'which',
+  becuase: 'because', becasue: 'because', beacuse: 'because', recieve: 'receive', beleive: 'believe',
+  acheive: 'achieve', freind: 'friend', definately: 'definitely', definatly: 'definitely',
+  seperate: 'separate', neccessary: 'necessary', necesary: 'necessary', beutiful: 'beautiful',
+  beautifull: 'beautiful', untill: 'until', tommorow: 'tomorrow', tomorow: 'tomorrow',
+  goverment: 'government', enviroment: 'environment', occured: 'occurred', wierd: 'weird',
+  alot: 'a lot', probaly: 'probably', realy: 'really', finaly: 'finally', begining: 'beginning',
+  enuf: 'enough', thru: 'through', freinds: 'friends', whith: 'with', wen: 'when', wat: 'what',
+  waz: 'was', sed: 'said', becos: 'because', bcause: 'because', woud: 'would', coud: 'could',
+  shoud: 'should', dose: 'does', scool: 'school', skool: 'school', frend: 'friend', peple: 'people',
+  pepole: 'people', diffrent: 'different', importent: 'important', intresting: 'interesting'
+};
+
+// Long or formal words and plainer replacements
+const SIMPLER_WORDS = {
+  utilize: 'use', utilise: 'use', approximately: 'about', commence: 'start', terminate: 'end',
+  demonstrate: 'show', sufficient: 'enough', assistance: 'help', purchase: 'buy', require: 'need',
+  requires: 'needs', numerous: 'many', additional: 'more', obtain: 'get', endeavor: 'try',
+  subsequently: 'later', consequently: 'so', nevertheless: 'still', furthermore: 'also',
+  therefore: 'so', individuals: 'people', individual: 'person', facilitate: 'help',
+  comprehend: 'understand', objective: 'goal', residence: 'home', inquire: 'ask', indicate: 'show',
+  modification: 'change', initiate: 'start', beneficial: 'helpful', frequently: 'often',
+  immediately: 'now', component: 'part', components: 'parts', sufficiently: 'enough'
+};
+
+/**
+ * Split text into lower-case word tokens without punctuation
+ */
+function tokenize(text = '') {
+  return String(text)
+    .toLowerCase()
+    .replace(/[^a-z0-9'\s-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+/**
+ * Split text into sentences, keeping terminal punctuation
+ */
+function splitSentences(text = '') {
+  return (String(text).match(/[^.!?]+[.!?]*/g) || [])
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Stable 32-bit hash of a string (FNV-1a)
+ */
+function hashString(value = '') {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Levenshtein distance between two words
+ */
+function editDistance(a = '', b = '') {
+  const dp = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) dp[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      dp[i][j] = Math.min(
+        dp[i - 1][j] + 1,
+        dp[i][j - 1] + 1,
+        dp[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+  }
+  return dp[a.length][b.length];
+}
+
+/**
+ * True when attempt looks like a visual (letter order / mirror letter) error
+ */
+function isVisualError(correct, attempt) {
+  if (!correct || !attempt || correct === attempt) return false;
+  const sorted = w => w.split('').sort().join('');
+  if (correct.length === attempt.length && sorted(correct) === sorted(attempt)) return true;
+  const mirror = { b: 'd', d: 'b', p: 'q', q: 'p', m: 'w', w: 'm', n: 'u', u: 'n' };
+  const swapped = attempt.split('').map(c => mirror[c] || c).join('');
+  return correct.length === attempt.length &&
+    [...correct].some((c, i) => mirror[c] === attempt[i]) &&
+    editDistance(correct, swapped) < editDistance(correct, attempt);
+}
+
+/**
+ * Consonant skeleton of a word (used for sound-alike checks)
+ */
+function consonantSkeleton(word = '') {
+  return word.replace(/[aeiouy]/g, '').replace(/(.)\1+/g, '$1');
+}
+
+/**
+ * Classify a misspelling as Visual, Phonetic, Morphological or Phoneme-Grapheme
+ */
+function classifySpellingError(correct = '', attempt = '') {
+  const c = correct.toLowerCase();
+  const a = attempt.toLowerCase();
+  if (isVisualError(c, a)) return { type: 'Visual', pattern: 'letter reversal or transposition' };
+  if (consonantSkeleton(c) === consonantSkeleton(a)) {
+    return { type: 'Morphological', pattern: 'vowel or doubled-letter confusion' };
+  }
+  if (a && c[0] === a[0] && Math.abs(c.length - a.length) <= 2) {
+    return { type: 'Phonetic', pattern: 'spelled as it sounds' };
+  }
+  return { type: 'Phoneme-Grapheme', pattern: 'sound-to-letter mapping' };
+}
+
+/**
+ * Split a word into approximate syllables using vowel groups
+ */
+function syllabify(word = '') {
+  const clean = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (clean.length <= 3) return [clean];
+  const groups = clean.match(/[^aeiouy]*[aeiouy]+(?:[^aeiouy]*$|[^aeiouy](?=[^aeiouy]))?/g);
+  if (!groups || groups.length < 2) return [clean];
+  // Silent trailing "e" belongs to the previous syllable
+  const last = groups[groups.length - 1];
+  if (/^[^aeiouy]*e$/.test(last) && groups.length > 1) {
+    groups[groups.length - 2] += groups.pop();
+  }
+  return groups.join('') === clean ? groups : [clean];
+}
+
+/**
+ * Most frequent content words in a text
+ */
+function extractKeywords(text = '', limit = 5) {
+  const counts = new Map();
+  const firstSeen = new Map();
+  tokenize(text).forEach((word, idx) => {
+    if (word.length < 4 || STOPWORDS.has(word)) return;
+    counts.set(word, (counts.get(word) || 0) + 1);
+    if (!firstSeen.has(word)) firstSeen.set(word, idx);
+  });
+  return [...counts.keys()]
+    .sort((a, b) => (counts.get(b) - counts.get(a)) || (b.length - a.length) || (firstSeen.get(a) - firstSeen.get(b)))
+    .slice(0, limit);
+}
+
+/**
+ * Most frequent two-word content phrases in a text
+ */
+function extractKeyPhrases(text = '', limit = 3) {
+  const counts = new Map();
+  splitSentences(text).forEach(sentence => {
+    const words = tokenize(sentence);
+    for (let i = 0; i < words.length - 1; i++) {
+      if (STOPWORDS.has(words[i]) || STOPWORDS.has(words[i + 1])) continue;
+      const phrase = `${words[i]} ${words[i + 1]}`;
+      counts.set(phrase, (counts.get(phrase) || 0) + 1);
+    }
+  });
+  return [...counts.keys()].sort((a, b) => counts.get(b) - counts.get(a)).slice(0, limit);
+}
+
+/**
+ * Replace formal words with simpler ones and split long sentences
+ * @returns {Object} - { simplified, changes }
+ */
+function simplifyText(text = '', maxSentenceWords = 18) {
+  const changes = [];
+  const swapped = String(text).replace(/\b[A-Za-z]+\b/g, word => {
+    const replacement = SIMPLER_WORDS[word.toLowerCase()];
+    if (!replacement) return word;
+    changes.push({ original: word, simplified: replacement, reason: 'vocabulary simplification' });
+    return word[0] === word[0].toUpperCase()
+      ? replacement[0].toUpperCase() + replacement.slice(1)
+      : replacement;
+  });
+
+  const sentences = splitSentences(swapped).map(sentence => {
+    if (sentence.split(/\s+/).length <= maxSentenceWords) return sentence;
+    const parts = sentence.split(/,\s+(?:and|but|which|because|so)\s+|;\s+/);
+    if (parts.length < 2) return sentence;
+    const rebuilt = parts
+      .map(p => p.trim().replace(/[.!?]*$/, ''))
+      .map(p => p[0].toUpperCase() + p.slice(1) + '.')
+      .join(' ');
+    changes.push({ original: sentence, simplified: rebuilt, reason: 'sentence structure simplification' });
+    return rebuilt;
+  });
+
+  return { simplified: sentences.join(' ') || String(text), changes };
+}
+
+/**
+ * Find misspelled words in a text using the common misspelling list
+ * @returns {Array} - [{ original, corrected, position }]
+ */
+function findMisspellings(text = '') {
+  const errors = [];
+  const regex = /\b[A-Za-z]+\b/g;
+  let match;
+  while ((match = regex.exec(String(text))) !== null) {
+    const corrected = COMMON_MISSPELLINGS[match[0].toLowerCase()];
+    if (corrected) {
+      errors.push({ original: match[0], corrected, position: match.index });
+    }
+  }
+  return errors;
+}
+
+/**
+ * Find simple grammar problems: repeated words, lower-case "i", sentence capitals, a/an
+ * @returns {Array} - [{ original, corrected, type, position, explanation }]
+ */
+function findGrammarIssues(text = '') {
+  const source = String(text);
+  const issues = [];
+  const rules = [
+    {
+      regex: /\b(\w+)\s+\1\b/gi,
+      type: 'repeated word',
+      fix: m => m.split(/\s+/)[0],
+      explanation: 'The same word appears twice in a row.'
+    },
+    {
+      regex: /(?<=^|\s)i(?=[\s,.!?']|$)/g,
+      type: 'capitalization',
+      fix: () => 'I',
+      explanation: 'The word "I" is always a capital letter.'
+    },
+    {
+      regex: /(?<=^|[.!?]\s+)[a-z]\w*/g,
+      type: 'capitalization',
+      fix: m => m[0].toUpperCase() + m.slice(1),
+      explanation: 'Start each sentence with a capital letter.'
+    },
+    {
+      regex: /\b(a)\s+([aeiou]\w*)/gi,
+      type: 'article',
+      fix: m => m.replace(/^a/i, c => (c === 'A' ? 'An' : 'an')),
+      explanation: 'Use "an" before a vowel sound.'
+    }
+  ];
+
+  rules.forEach(rule => {
+    let match;
+    while ((match = rule.regex.exec(source)) !== null) {
+      if (match[0].length === 0) {
+        rule.regex.lastIndex++;
+        continue;
+      }
+      issues.push({
+        original: match[0].trim(),
+        corrected: rule.fix(match[0]).trim(),
+        type: rule.type,
+        position: match.index,
+        explanation: rule.explanation
+      });
+    }
+  });
+
+  const seen = new Set();
+  return issues
+    .sort((a, b) => a.position - b.position)
+    .filter(issue => !seen.has(issue.position) && seen.add(issue.position));
+}
+
+/**
+ * Apply a list of { original, corrected, position } fixes to a text
+ */
+function applyCorrections(text = '', corrections = []) {
+  let result = String(text);
+  [...corrections]
+    .sort((a, b) => b.position - a.position)
+    .forEach(({ original, corrected, position }) => {
+      const at = result.indexOf(original, Math.max(0, position - 1));
+      if (at === -1) return;
+      result = result.slice(0, at) + corrected + result.slice(at + original.length);
+    });
+  return result;
+}
+
+module.exports = {
+  STOPWORDS,
+  COMMON_MISSPELLINGS,
+  tokenize,
+  splitSentences,
+  hashString,
+  editDistance,
+  isVisualError,
+  classifySpellingError,
+  syllabify,
+  extractKeywords,
+  extractKeyPhrases,
+  simplifyText,
+  findMisspellings,
+  findGrammarIssues,
+  applyCorrections
+};
@@ -0,0 +1,110 @@
+/**
+ * Logger
+ * Structured logs: one JSON object per line with time, level, message, the request id and
+ * user from the request context (see requestContext.js), and any fields passed in:
+ *   {"time":"...","level":"info","msg":"✅ gemini completed reading analysis in 812ms","requestId":"...","userId":"...","task":"reading analysis"}
+ *
+ * LOG_LEVEL picks the lowest level written: debug | info (default) | warn | error | silent.
+ * LOG_FORMAT=pretty writes readable lines instead of JSON for local development.
+ *
+ * Learner-provided text and LLM prompts and responses are screening data about children, so
+ * fields named in REDACTED_FIELDS are replaced with their length wherever they appear (also
+ * nested). Put such text in those fields, never in the message. LOG_REDACT=false turns
+ * redaction off for local debugging only.
+ */
+
+const requestContext = require('./requestContext');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const REDACTED_FIELDS = new Set([
+  'text', 'userText', 'originalText', 'referenceText', 'transcript', 'passage', 'word',
+  'typed', 'original', 'corrected', 'content', 'excerpt', 'prompt', 'response', 'email'
+]);
+
+const MAX_DEPTH = 4;
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.status && { status: error.status }),
+    ...(error.code && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+class Logger {
+  constructor(options = {}) {
+    const level = (options.level || process.env.LOG_LEVEL || 'info').toLowerCase();
+    this.threshold = LEVELS[level] ?? LEVELS.info;
+    this.format = options.format || process.env.LOG_FORMAT || 'json';
+    this.redact = options.redact ?? process.env.LOG_REDACT !== 'false';
+    this.write = options.write || ((line, levelName) => {
+      (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`);
+    });
+  }
+
+  debug(msg, fields) {
+    this.log('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this.log('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.log('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this.log('error', msg, fields);
+  }
+
+  /**
+   * Write one entry
+   * @param {string} level - debug | info | warn | error
+   * @param {string} msg - Human-readable message; must not contain learner text
+   * @param {Object} fields - Extra fields; an Error under `error` is serialised with its stack
+   */
+  log(level, msg, fields = {}) {
+    if (LEVELS[level] < this.threshold) return;
+
+    const { requestId, userId } = requestContext.get();
+    const entry = {
+      time: new Date().toISOString(),
+      level,
+      msg,
+      ...(requestId && { requestId }),
+      ...(userId && { userId }),
+      ...this.prepare(fields, 0)
+    };
+
+    this.write(this.format === 'pretty' ? this.pretty(entry) : JSON.stringify(entry), level);
+  }
+
+  /**
+   * Copy fields for output: errors serialised, learner and LLM text redacted
+   */
+  prepare(value, depth, key) {
+    if (this.redact && REDACTED_FIELDS.has(key) && value !== null && value !== undefined) {
+      return `[redacted ${String(typeof value === 'string' ? value : JSON.stringify(value)).length} chars]`;
+    }
+    if (value instanceof Error) return serializeError(value);
+    if (depth >= MAX_DEPTH || value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(item => this.prepare(item, depth + 1, key));
+
+    return Object.fromEntries(
+      Object.entries(value).map(([name, item]) => [name, this.prepare(item, depth + 1, name)])
+    );
+  }
+
+  pretty({ time, level, msg, requestId, userId, error, ...fields }) {
+    const context = requestId ? ` [${requestId.slice(0, 8)} ${userId}]` : '';
+    const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+    const stack = error ? `\n${error.stack || error.message}` : '';
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)}${context} ${msg}${extra}${stack}`;
+  }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,222 @@
+/**
+ * Metrics
+ * Counters, gauges and histograms rendered in the Prometheus text format for GET /api/metrics.
+ *
+ * Built in:
+ * - levixia_http_requests_total / levixia_http_request_duration_seconds - per method, route
+ *   pattern (e.g. /api/me/reports/:id) and status; unrouted requests count as "unmatched"
+ * - levixia_llm_calls_total / levixia_llm_call_duration_seconds - per task, provider and
+ *   outcome (success | failure), one per provider call including retries
+ * - levixia_llm_fallbacks_total - per task and reason (quota, circuit_open, provider_error,
+ *   invalid_output, contract_violation) each time the local provider answers instead, and
+ *   service_error when the call failed outright and the service used its own fallback
+ *
+ * Other modules register their own with counter(), gauge() and histogram(). Values live in
+ * memory and start from zero when the server restarts, as Prometheus expects.
+ */
+
+const DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+/**
+ * Render labels as {name="value",...}, or an empty string without labels
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base for labelled metrics: one value per distinct label set
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();
+  }
+
+  /**
+   * Stable key for a label set, keeping only the declared labels in declared order
+   */
+  key(labels = {}) {
+    return JSON.stringify(this.labelNames.map(name => String(labels[name] ?? '')));
+  }
+
+  labelsFor(key) {
+    const values = JSON.parse(key);
+    return Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+  }
+
+  render() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`, ...this.lines()].join('\n');
+  }
+
+  reset() {
+    this.values.clear();
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels, value = 1) {
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  get(labels) {
+    return this.values.get(this.key(labels)) || 0;
+  }
+
+  lines() {
+    return [...this.values].map(([key, value]) => `${this.name}${formatLabels(this.labelsFor(key))} ${value}`);
+  }
+}
+
+/**
+ * Gauge whose samples are read at scrape time from a collect function
+ * collect() returns [{ labels, value }]
+ */
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  lines() {
+    return this.collect().map(({ labels = {}, value }) => `${this.name}${formatLabels(labels)} ${Number(value)}`);
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = this.key(labels);
+    let entry = this.values.get(key);
+    if (!entry) {
+      entry = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, entry);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  get(labels) {
+    return this.values.get(this.key(labels)) || null;
+  }
+
+  lines() {
+    return [...this.values].flatMap(([key, { counts, sum, count }]) => {
+      const labels = this.labelsFor(key);
+      return [
+        ...this.buckets.map((bound, i) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+        `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${this.name}_sum${formatLabels(labels)} ${sum}`,
+        `${this.name}_count${formatLabels(labels)} ${count}`
+      ];
+    });
+  }
+}
+
+class Metrics {
+  constructor() {
+    this.registry = new Map();
+    this.contentType = 'text/plain; version=0.0.4; charset=utf-8';
+
+    this.httpRequests = this.counter('levixia_http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+    this.httpDuration = this.histogram('levixia_http_request_duration_seconds', 'HTTP request latency in seconds', ['method', 'route']);
+    this.llmCalls = this.counter('levixia_llm_calls_total', 'LLM provider calls by task, provider and outcome', ['task', 'provider', 'outcome']);
+    this.llmDuration = this.histogram('levixia_llm_call_duration_seconds', 'LLM provider call latency in seconds', ['task', 'provider']);
+    this.llmFallbacks = this.counter('levixia_llm_fallbacks_total', 'Calls answered by a fallback instead of the configured provider, by task and reason', ['task', 'reason']);
+
+    this.middleware = this.middleware.bind(this);
+  }
+
+  counter(name, help, labelNames) {
+    return this.register(new Counter(name, help, labelNames));
+  }
+
+  /**
+   * @param {Function} collect - () => [{ labels, value }], called on every scrape
+   */
+  gauge(name, help, labelNames, collect) {
+    return this.register(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.register(new Histogram(name, help, labelNames, buckets));
+  }
+
+  register(metric) {
+    if (this.registry.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.registry.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Count one LLM provider call
+   * @param {string} outcome - 'success' | 'failure'
+   * @param {number} durationMs - Time taken, including retries
+   */
+  recordLlmCall(task, provider, outcome, durationMs) {
+    this.llmCalls.inc({ task, provider, outcome });
+    this.llmDuration.observe({ task, provider }, durationMs / 1000);
+  }
+
+  /**
+   * Count a call answered by the fallback provider, or by the calling service's own fallback
+   */
+  recordFallback(task, reason) {
+    this.llmFallbacks.inc({ task, reason });
+  }
+
+  /**
+   * Express middleware: time each request and count it when the response ends
+   * Requests the client abandons before the response finishes are counted with status 499.
+   */
+  middleware(req, res, next) {
+    const start = process.hrtime.bigint();
+
+    res.once('close', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : req.baseUrl || 'unmatched';
+      const status = res.writableFinished ? res.statusCode : 499;
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+      this.httpRequests.inc({ method: req.method, route, status });
+      this.httpDuration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+  }
+
+  /**
+   * All metrics in the Prometheus text exposition format
+   */
+  format() {
+    return `${[...this.registry.values()].map(metric => metric.render()).join('\n')}\n`;
+  }
+
+  /**
+   * Clear recorded values (collected gauges keep reading live state)
+   */
+  reset() {
+    this.registry.forEach(metric => metric.reset());
+  }
+}
+
+module.exports = new Metrics();
@@ -0,0 +1,291 @@
+/**
+ * Miscue Analysis
+ * Deterministic scoring of a read-aloud transcript against its passage. This is the
+ * ground truth of the reading test: readingAnalysis passes it to the LLM to explain,
+ * and its accuracy and rates replace whatever the LLM computes. It needs no network.
+ *
+ * The passage and transcript are aligned word by word with a weighted edit distance
+ * (substituting a similar word is cheaper than an unrelated one), so one skipped word
+ * does not shift every later word out of place. Each difference is then classified:
+ *   substitution     - another word read in its place ("ship" -> "sip")
+ *   omission         - a passage word not read
+ *   insertion        - an extra word read
+ *   reversal         - letters reversed ("was" -> "saw", "big" -> "dig") or two
+ *                      neighbouring words read in swapped order
+ *   repetition       - words read again ("the cat the cat")
+ *   self-correction  - an attempt immediately corrected ("sip ship")
+ * Substitutions, omissions and reversals are errors. Insertions, repetitions and
+ * self-corrections are reported but do not count against accuracy, as in curriculum-based
+ * measurement. Passage words after the last one attempted are "not reached" rather than omitted.
+ *
+ * The alignment costs passage words x transcript words, so a transcript is scored on its first
+ * MAX_TRANSCRIPT_RATIO times as many words as the passage has; the rest are counted as ignored.
+ *
+ * Words correct per minute (wcpm) is the number of passage words read correctly divided by
+ * the reading time in minutes.
+ */
+
+const heuristics = require('./llmProviders/textHeuristics');
+
+const WORD_PATTERN = /[A-Za-z0-9]+(?:['’][A-Za-z0-9]+)*/g;
+
+// Substitution cost is 1 for a near-identical word up to SUBSTITUTION_SPREAD more for an
+// unrelated one; it stays below an omission plus an insertion (2)
+const SUBSTITUTION_SPREAD = 0.5;
+const SIMILAR = 0.5;
+
+// Transcript words aligned per passage word; a reading longer than this is not of the passage
+const MAX_TRANSCRIPT_RATIO = 2;
+
+/**
+ * Words of a text with their normalised form for comparison, and whether each one
+ * starts a sentence (the first word, or the first after . ! or ?)
+ * @returns {Array} - [{ word, norm, sentenceStart }]
+ */
+function tokenize(text = '') {
+  const source = String(text);
+  let previousEnd = 0;
+  return Array.from(source.matchAll(WORD_PATTERN), match => {
+    const sentenceStart = previousEnd === 0 || /[.!?]/.test(source.slice(previousEnd, match.index));
+    previousEnd = match.index + match[0].length;
+    return { word: match[0], norm: match[0].toLowerCase().replace(/’/g, "'"), sentenceStart };
+  });
+}
+
+/**
+ * 1 for identical words, 0 for words with nothing in common
+ */
+function similarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest ? 1 - heuristics.editDistance(a, b) / longest : 1;
+}
+
+/**
+ * Whether an attempt looks like a try at a word (similar, or its first letters)
+ */
+const isAttemptAt = (attempt, word) => similarity(attempt, word) >= SIMILAR ||
+  (attempt.length >= 2 && word.startsWith(attempt));
+
+/**
+ * Align passage and transcript words
+ * @returns {Array} - Operations in reading order: { op: 'match'|'substitute'|'omit'|'insert', i, j }
+ *   with i the passage word index and j the transcript word index (null when absent)
+ */
+function align(expected, actual) {
+  const n = expected.length;
+  const m = actual.length;
+
+  // Passages repeat words, so pair costs are computed once per distinct pair
+  const pairCosts = new Map();
+  const pairCost = (a, b) => {
+    if (a === b) return 0;
+    const key = `${a}\u0000${b}`;
+    if (!pairCosts.has(key)) pairCosts.set(key, 1 + (1 - similarity(a, b)) * SUBSTITUTION_SPREAD);
+    return pairCosts.get(key);
+  };
+
+  // cost[i][j]: cheapest alignment of expected[i..] with actual[j..]
+  const cost = Array.from({ length: n + 1 }, () => new Float64Array(m + 1));
+  for (let i = n; i >= 0; i--) {
+    for (let j = m; j >= 0; j--) {
+      if (i === n) cost[i][j] = m - j;
+      else if (j === m) cost[i][j] = n - i;
+      else {
+        const pair = pairCost(expected[i].norm, actual[j].norm);
+        cost[i][j] = Math.min(pair + cost[i + 1][j + 1], 1 + cost[i + 1][j], 1 + cost[i][j + 1]);
+      }
+    }
+  }
+
+  // Walk the cheapest path, preferring a pairing, then an omission, then an insertion
+  const ops = [];
+  const same = (a, b) => Math.abs(a - b) < 1e-9;
+  let i = 0;
+  let j = 0;
+  while (i < n || j < m) {
+    if (i < n && j < m) {
+      const pair = pairCost(expected[i].norm, actual[j].norm);
+      if (same(cost[i][j], pair + cost[i + 1][j + 1])) {
+        ops.push({ op: pair === 0 ? 'match' : 'substitute', i: i++, j: j++ });
+        continue;
+      }
+    }
+    if (i < n && (j === m || same(cost[i][j], 1 + cost[i + 1][j]))) {
+      ops.push({ op: 'omit', i: i++, j: null });
+    } else {
+      ops.push({ op: 'insert', i: null, j: j++ });
+    }
+  }
+  return ops;
+}
+
+/**
+ * Word-order reversals: an omitted word read right after the next passage word
+ * ("the big" read "big the") shows up as omit / match / insert of the same word
+ */
+function markTranspositions(ops, expected, actual) {
+  for (let k = 0; k + 2 < ops.length; k++) {
+    const [a, b, c] = ops.slice(k, k + 3);
+    const omitted = a.op === 'omit' ? a : c.op === 'omit' ? c : null;
+    const inserted = a.op === 'insert' ? a : c.op === 'insert' ? c : null;
+    if (!omitted || !inserted || b.op !== 'match') continue;
+    if (expected[omitted.i].norm !== actual[inserted.j].norm) continue;
+
+    omitted.op = 'transpose';
+    omitted.j = inserted.j;
+    omitted.with = b;
+    inserted.op = 'consumed';
+    k += 2;
+  }
+}
+
+/**
+ * Word-by-word alignment of a reading, for analyses that build on it (readingHesitations)
+ * @returns {Object} - { expected, actual, ops, ignoredWords } with expected/actual from tokenize()
+ *   (actual cut to MAX_TRANSCRIPT_RATIO times the passage words, ignoredWords the number cut) and
+ *   ops as from align(), reversed word pairs marked 'transpose' (its j the word read out of order)
+ *   and 'consumed' (the insertion it absorbed)
+ */
+function alignTranscript(originalText, transcript) {
+  const expected = tokenize(originalText);
+  const heard = tokenize(transcript);
+  const actual = heard.slice(0, expected.length * MAX_TRANSCRIPT_RATIO);
+  const ops = align(expected, actual);
+  markTranspositions(ops, expected, actual);
+  return { expected, actual, ops, ignoredWords: heard.length - actual.length };
+}
+
+/**
+ * Runs of consecutive inserted words, each with the operation after it and the first
+ * passage word after it
+ */
+function insertedRuns(ops) {
+  const runs = [];
+  let run = null;
+  ops.forEach((op, k) => {
+    if (op.op === 'insert') {
+      if (!run) runs.push(run = { start: k, ops: [] });
+      run.ops.push(op);
+    } else {
+      run = null;
+    }
+  });
+  return runs.map(r => {
+    const rest = ops.slice(r.start + r.ops.length);
+    return { ops: r.ops, next: rest[0] || null, following: rest.find(op => op.i !== null) || null };
+  });
+}
+
+/**
+ * Analyse a reading
+ * @param {string} originalText - The passage
+ * @param {string} transcript - What was read
+ * @param {number} timeSeconds - Reading time
+ * @returns {Object} - { totalWords, wordsAttempted, wordsCorrect, errors, accuracyPercent,
+ *   wcpm, wpm, counts, miscues: [{ type, position, expected, said }], words: [{ word, status, said }],
+ *   ignoredWords }
+ */
+function analyze(originalText, transcript, timeSeconds = 0) {
+  const { expected, actual, ops, ignoredWords } = alignTranscript(originalText, transcript);
+
+  const words = expected.map(({ word }) => ({ word, status: 'correct', said: word }));
+  const miscues = [];
+  const add = (type, position, expectedWord, said) => miscues.push({ type, position, expected: expectedWord, said });
+
+  ops.forEach(op => {
+    if (op.op === 'substitute') {
+      const word = expected[op.i].norm;
+      const said = actual[op.j].word;
+      const reversed = heuristics.isVisualError(word, actual[op.j].norm);
+      words[op.i] = { word: expected[op.i].word, status: reversed ? 'reversal' : 'substitution', said };
+      add(reversed ? 'reversal' : 'substitution', op.i, expected[op.i].word, said);
+    } else if (op.op === 'omit') {
+      words[op.i] = { word: expected[op.i].word, status: 'omission', said: null };
+    } else if (op.op === 'transpose') {
+      const [first, second] = [op.i, op.with.i].sort((a, b) => a - b);
+      words[op.i] = { word: expected[op.i].word, status: 'reversal', said: actual[op.j].word };
+      add('reversal', first, `${expected[first].word} ${expected[second].word}`, `${expected[second].word} ${expected[first].word}`);
+    }
+  });
+
+  // Trailing omissions were never reached
+  let lastAttempted = -1;
+  ops.forEach(op => {
+    if (op.i !== null && op.op !== 'omit') lastAttempted = Math.max(lastAttempted, op.i);
+  });
+  words.forEach((entry, i) => {
+    if (i > lastAttempted) Object.assign(entry, { status: 'not-reached', said: null });
+    else if (entry.status === 'omission') add('omission', i, entry.word, null);
+  });
+
+  insertedRuns(ops).forEach(({ ops: run, next, following }) => {
+    const said = run.map(op => actual[op.j]);
+    const first = run[0].j;
+    const last = run[run.length - 1].j;
+    const sameAs = neighbours => neighbours.map(w => w.norm).join(' ') === said.map(w => w.norm).join(' ');
+    const saidText = said.map(w => w.word).join(' ');
+    const position = following ? following.i : expected.length;
+
+    // "the cat the cat": the words just before or after, read again
+    if (sameAs(actual.slice(Math.max(0, first - run.length), first)) || sameAs(actual.slice(last + 1, last + 1 + run.length))) {
+      add('repetition', position, null, saidText);
+      return;
+    }
+    // "sip ship": an attempt at the next passage word, then the word itself
+    if (next && next.op === 'match' && said.some(w => isAttemptAt(w.norm, expected[next.i].norm))) {
+      words[next.i].status = 'self-correction';
+      words[next.i].said = `${saidText} ${actual[next.j].word}`;
+      add('self-correction', next.i, expected[next.i].word, saidText);
+      return;
+    }
+    said.forEach(w => add('insertion', position, null, w.word));
+  });
+
+  miscues.sort((a, b) => a.position - b.position);
+
+  const wordsAttempted = lastAttempted + 1;
+  const wordsCorrect = words.filter(w => w.status === 'correct' || w.status === 'self-correction').length;
+  const minutes = timeSeconds > 0 ? timeSeconds / 60 : 0;
+  const count = type => miscues.filter(m => m.type === type).length;
+
+  return {
+    totalWords: expected.length,
+    wordsAttempted,
+    wordsCorrect,
+    errors: wordsAttempted - wordsCorrect,
+    accuracyPercent: wordsAttempted ? Math.round((wordsCorrect / wordsAttempted) * 100) : 0,
+    wcpm: minutes ? Math.round(wordsCorrect / minutes) : 0,
+    wpm: minutes ? Math.round(wordsAttempted / minutes) : 0,
+    counts: {
+      substitution: count('substitution'),
+      omission: count('omission'),
+      insertion: count('insertion'),
+      reversal: count('reversal'),
+      repetition: count('repetition'),
+      selfCorrection: count('self-correction')
+    },
+    miscues,
+    words,
+    ignoredWords
+  };
+}
+
+/**
+ * One line per miscue, e.g. 'substitution: "ship" read as "sip"'
+ */
+function describe(analysis) {
+  return analysis.miscues.map(({ type, expected, said }) => {
+    if (type === 'omission') return `omission: "${expected}" not read`;
+    if (type === 'insertion' || type === 'repetition') return `${type}: "${said}"`;
+    if (type === 'self-correction') return `self-correction: "${said}" corrected to "${expected}"`;
+    return `${type}: "${expected}" read as "${said}"`;
+  });
+}
+
+module.exports = {
+  MAX_TRANSCRIPT_RATIO,
+  alignTranscript,
+  analyze,
+  describe,
+  tokenize
+};
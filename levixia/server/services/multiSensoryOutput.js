@@ -4,6 +4,8 @@
  */
 
 const geminiService = require('./geminiService');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 class MultiSensoryOutput {
   /**
@@ -28,19 +30,13 @@ class MultiSensoryOutput {
     }));
 
     // Use AI to identify important words for highlighting
+    let promptTemplate;
     if (config.identifyKeywords) {
       try {
-        const prompt = `Identify 3-5 most important words in this text for highlighting:
-
-"${text}"
-
-Return JSON with word indices (0-based):
-{
-  "importantWords": [0, 5, 12],
-  "emphasisWords": [2, 8]
-}`;
-
-        const result = await geminiService.generateJSON('keyword identification', prompt);
+        const result = await geminiService.generateFromTemplate('keyword-identification', { text }, {
+          input: { text }
+        });
+        promptTemplate = result.promptTemplate;
         
         (result.importantWords || []).forEach(idx => {
           if (wordMetadata[idx]) wordMetadata[idx].highlight = true;
@@ -50,7 +46,8 @@ Return JSON with word indices (0-based):
           if (wordMetadata[idx]) wordMetadata[idx].emphasis = true;
         });
       } catch (error) {
-        console.warn('Keyword identification failed:', error);
+        logger.warn('Keyword identification failed', { error });
+        metrics.recordFallback('keyword identification', 'service_error');
       }
     }
 
@@ -59,7 +56,8 @@ Return JSON with word indices (0-based):
       metadata: {
         totalWords: words.length,
         highlightedCount: wordMetadata.filter(w => w.highlight).length,
-        emphasisCount: wordMetadata.filter(w => w.emphasis).length
+        emphasisCount: wordMetadata.filter(w => w.emphasis).length,
+        promptTemplate
       }
     };
   }
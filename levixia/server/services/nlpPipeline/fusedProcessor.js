@@ -0,0 +1,73 @@
+/**
+ * Fused Processor Module
+ * Answers every AI step of the NLP pipeline with a single LLM call:
+ * simplification, keywords + key phrases, and syllable breakdowns
+ */
+
+const geminiService = require('../geminiService');
+const logger = require('../logger');
+const metrics = require('../metrics');
+
+const STEPS = ['simplification', 'keywords', 'syllables'];
+
+class FusedProcessor {
+  /**
+   * Run the requested steps in one call
+   * A step comes back null when it was not requested or not answered, so the
+   * pipeline can run that step on its own instead.
+   * @param {string} text - Original text
+   * @param {Object} steps - { simplification, keywords, syllables } - which steps to run
+   * @param {Object} config - { level, preserveMeaning }
+   * @returns {Promise<Object>} - { simplification, keywords, syllables, requested, promptTemplate, durationMs, error }
+   */
+  async process(text, steps = {}, config = {}) {
+    const { level = 'moderate', preserveMeaning = true } = config;
+    const requested = STEPS.filter(step => steps[step]);
+    const unanswered = { simplification: null, keywords: null, syllables: null, requested };
+    if (!requested.length) {
+      return { ...unanswered, durationMs: 0 };
+    }
+
+    const startTime = Date.now();
+    logger.info(`🔗 Running fused NLP steps: ${requested.join(', ')}`);
+
+    try {
+      const result = await geminiService.generateFromTemplate('text-processing', {
+        text,
+        steps: requested.map(step => `- ${step}`).join('\n'),
+        level,
+        preserveMeaning
+      }, {
+        input: { text, level, steps }
+      });
+      const { promptTemplate } = result;
+
+      return {
+        simplification: steps.simplification && result.simplified ? {
+          simplified: result.simplified,
+          changes: result.changes || [],
+          complexityReduction: result.complexityReduction || 0,
+          promptTemplate
+        } : null,
+        keywords: steps.keywords && result.keywords?.length ? {
+          keywords: result.keywords,
+          keyPhrases: result.keyPhrases || [],
+          promptTemplate
+        } : null,
+        syllables: steps.syllables && Array.isArray(result.syllables) ? {
+          syllables: result.syllables,
+          promptTemplate
+        } : null,
+        requested,
+        promptTemplate,
+        durationMs: Date.now() - startTime
+      };
+    } catch (error) {
+      logger.error('Fused text processing failed', { error });
+      metrics.recordFallback('fused text processing', 'service_error');
+      return { ...unanswered, durationMs: Date.now() - startTime, error: error.message };
+    }
+  }
+}
+
+module.exports = new FusedProcessor();
@@ -4,6 +4,8 @@
  */
 
 const geminiService = require('../geminiService');
+const logger = require('../logger');
+const metrics = require('../metrics');
 
 class GrammarSimplifier {
   /**
@@ -19,41 +21,19 @@ class GrammarSimplifier {
 
     const { level = 'moderate', preserveMeaning = true } = config;
 
-    const prompt = `Simplify the grammar and sentence structures in this text for better comprehension.
-
-ORIGINAL TEXT:
-"${text}"
-
-Requirements:
-- Preserve core meaning: ${preserveMeaning}
-- Break complex sentences into shorter ones
-- Simplify verb tenses where possible
-- Use active voice instead of passive
-- Reduce subordinate clauses
-- Keep important information
-
-Return JSON:
-{
-  "simplified": "simplified text here",
-  "changes": [
-    {
-      "original": "complex sentence",
-      "simplified": "simple sentence",
-      "reason": "sentence structure simplification"
-    }
-  ],
-  "complexityReduction": 0.25
-}`;
-
     try {
-      const result = await geminiService.generateJSON('grammar simplification', prompt);
+      const result = await geminiService.generateFromTemplate('grammar-simplification', { text, preserveMeaning }, {
+        input: { text, level }
+      });
       return {
         simplified: result.simplified || text,
         changes: result.changes || [],
-        complexityReduction: result.complexityReduction || 0
+        complexityReduction: result.complexityReduction || 0,
+        promptTemplate: result.promptTemplate
       };
     } catch (error) {
-      console.error('Grammar simplification failed:', error);
+      logger.error('Grammar simplification failed', { error });
+      metrics.recordFallback('grammar simplification', 'service_error');
       return { simplified: text, changes: [], complexityReduction: 0 };
     }
   }
@@ -68,41 +48,19 @@ Return JSON:
       return { corrected: text, errors: [], suggestions: [] };
     }
 
-    const prompt = `Identify and correct grammar errors in this text. Provide suggestions.
-
-TEXT:
-"${text}"
-
-For each error, identify:
-- Error type (subject-verb agreement, tense, punctuation, etc.)
-- Location (word/phrase)
-- Correction
-- Explanation
-
-Return JSON:
-{
-  "corrected": "corrected text",
-  "errors": [
-    {
-      "original": "incorrect phrase",
-      "corrected": "correct phrase",
-      "type": "grammar error type",
-      "position": 10,
-      "explanation": "brief explanation"
-    }
-  ],
-  "suggestions": ["suggestion 1", "suggestion 2"]
-}`;
-
     try {
-      const result = await geminiService.generateJSON('grammar correction', prompt);
+      const result = await geminiService.generateFromTemplate('grammar-correction', { text }, {
+        input: { text }
+      });
       return {
         corrected: result.corrected || text,
         errors: result.errors || [],
-        suggestions: result.suggestions || []
+        suggestions: result.suggestions || [],
+        promptTemplate: result.promptTemplate
       };
     } catch (error) {
-      console.error('Grammar correction failed:', error);
+      logger.error('Grammar correction failed', { error });
+      metrics.recordFallback('grammar correction', 'service_error');
       return { corrected: text, errors: [], suggestions: [] };
     }
   }
@@ -1,11 +1,26 @@
 /**
  * NLP Pipeline - Main Orchestrator
  * Coordinates all NLP processing modules
+ *
+ * Modes (processingStrategy.mode, default NLP_PIPELINE_MODE or 'sequential'):
+ * - sequential: one LLM call per AI step (simplification, then keywords on the processed text)
+ * - fused: one LLM call answers simplification, keywords, key phrases and syllables together;
+ *   any step it does not answer falls back to its own module
+ *
+ * Keywords are always taken from the simplified text they are highlighted in. Syllable
+ * breakdowns of the original text are reported when processingStrategy.syllables is set.
+ *
+ * processParagraphs() runs the same steps one paragraph at a time for streamed responses.
  */
 
 const textSimplifier = require('./textSimplifier');
 const sentenceChunker = require('./sentenceChunker');
 const keywordHighlighter = require('./keywordHighlighter');
+const fusedProcessor = require('./fusedProcessor');
+const syllableHighlighter = require('../syllableHighlighter');
+const logger = require('../logger');
+
+const MODES = ['sequential', 'fused'];
 
 class NLPPipeline {
   /**
@@ -16,21 +31,38 @@ class NLPPipeline {
    */
   async process(text, config) {
     const { processingStrategy = {}, assistantConfig = {} } = config;
+    const mode = this.resolveMode(processingStrategy.mode);
     let processedText = text;
     const appliedTransforms = [];
     const metadata = {
+      mode,
       originalLength: text.length,
       originalWordCount: text.split(/\s+/).length
     };
 
+    // Fused mode: every requested AI step in one call on the original text, up front
+    const fused = mode === 'fused'
+      ? await fusedProcessor.process(text, {
+        simplification: !!processingStrategy.simplify,
+        keywords: !!processingStrategy.highlight,
+        syllables: !!processingStrategy.syllables
+      }, { level: 'moderate', preserveMeaning: true })
+      : null;
+    // Fused keywords come from the fused simplification, so they only fit the text it rendered
+    const fusedKeywords = fused?.keywords && (!processingStrategy.simplify || fused.simplification)
+      ? fused.keywords
+      : null;
+    const stepSources = {};
+
     // Step 1: Simplify if needed
     if (processingStrategy.simplify) {
-      console.log('📝 Applying text simplification');
-      const simplified = await textSimplifier.simplify(processedText, {
+      logger.info('📝 Applying text simplification');
+      const simplified = fused?.simplification || await textSimplifier.simplify(processedText, {
         enabled: true,
         level: 'moderate',
         preserveMeaning: true
       });
+      stepSources.simplification = fused?.simplification ? 'fused' : 'fallback';
       processedText = simplified.simplified;
       appliedTransforms.push('simplification');
       metadata.simplification = simplified;
@@ -38,7 +70,7 @@ class NLPPipeline {
 
     // Step 2: Chunk if needed
     if (processingStrategy.chunk) {
-      console.log('📦 Applying sentence chunking');
+      logger.info('📦 Applying sentence chunking');
       const chunked = sentenceChunker.chunk(processedText, {
         enabled: true,
         chunkSize: processingStrategy.chunkSize || 6,
@@ -51,10 +83,11 @@ class NLPPipeline {
 
     // Step 3: Highlight keywords if needed
     if (processingStrategy.highlight) {
-      console.log('✨ Applying keyword highlighting');
-      const highlighted = await keywordHighlighter.highlight(processedText, {
-        enabled: true
-      });
+      logger.info('✨ Applying keyword highlighting');
+      const highlighted = fusedKeywords
+        ? keywordHighlighter.apply(processedText, fusedKeywords)
+        : await keywordHighlighter.highlight(processedText, { enabled: true });
+      stepSources.highlighting = fusedKeywords ? 'fused' : 'fallback';
       processedText = highlighted.highlighted;
       appliedTransforms.push('highlighting');
       metadata.highlighting = highlighted;
@@ -62,11 +95,28 @@ class NLPPipeline {
 
     // Step 4: Apply bionic reading if enabled
     if (assistantConfig.bionicReading) {
-      console.log('🧠 Applying bionic reading');
+      logger.info('🧠 Applying bionic reading');
       processedText = this.applyBionicReading(processedText);
       appliedTransforms.push('bionicReading');
     }
 
+    // Syllable breakdowns are reported for the original text, not applied to the output
+    if (processingStrategy.syllables) {
+      metadata.syllables = fused?.syllables
+        ? syllableHighlighter.apply(text, fused.syllables)
+        : await syllableHighlighter.highlight(text, { enabled: true });
+      if (fused) stepSources.syllables = fused.syllables ? 'fused' : 'fallback';
+    }
+
+    if (fused) {
+      metadata.fused = {
+        steps: stepSources,
+        promptTemplate: fused.promptTemplate || null,
+        durationMs: fused.durationMs,
+        ...(fused.error && { error: fused.error })
+      };
+    }
+
     metadata.processedLength = processedText.length;
     metadata.processedWordCount = processedText.split(/\s+/).length;
     metadata.appliedTransforms = appliedTransforms;
@@ -77,6 +127,68 @@ class NLPPipeline {
     };
   }
 
+  /**
+   * Process text paragraph by paragraph, reporting each one as soon as it is done
+   * Paragraphs run in order through process(), so the first ones can be shown
+   * while the rest of a long text is still being transformed.
+   * @param {string} text - Input text (paragraphs separated by blank lines)
+   * @param {Object} config - Processing configuration
+   * @param {Function} onParagraph - Called with { index, total, originalText, processedText, metadata }
+   * @param {Object} options - { signal } - an aborted signal stops before the next paragraph
+   * @returns {Promise<Object>} - Processed paragraphs joined by blank lines + combined metadata
+   */
+  async processParagraphs(text, config, onParagraph = () => {}, options = {}) {
+    const paragraphs = this.splitParagraphs(text);
+    const results = [];
+
+    for (const [index, paragraph] of paragraphs.entries()) {
+      if (options.signal?.aborted) break;
+
+      const result = await this.process(paragraph, config);
+      results.push(result);
+      await onParagraph({
+        index,
+        total: paragraphs.length,
+        originalText: paragraph,
+        processedText: result.processedText,
+        metadata: result.metadata
+      });
+    }
+
+    const processedText = results.map(result => result.processedText).join('\n\n');
+    return {
+      processedText,
+      metadata: {
+        mode: this.resolveMode(config.processingStrategy?.mode),
+        originalLength: text.length,
+        originalWordCount: text.split(/\s+/).length,
+        processedLength: processedText.length,
+        processedWordCount: processedText.split(/\s+/).length,
+        appliedTransforms: [...new Set(results.flatMap(result => result.metadata.appliedTransforms))],
+        paragraphCount: paragraphs.length,
+        completedParagraphs: results.length,
+        paragraphs: results.map(result => result.metadata)
+      }
+    };
+  }
+
+  /**
+   * Split text into paragraphs on blank lines
+   */
+  splitParagraphs(text) {
+    return text.split(/\r?\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+  }
+
+  /**
+   * Pick the pipeline mode for a request
+   * @param {string} requested - Mode from the processing strategy
+   * @returns {string} - 'sequential' or 'fused'
+   */
+  resolveMode(requested) {
+    const mode = (requested || process.env.NLP_PIPELINE_MODE || 'sequential').toLowerCase();
+    return MODES.includes(mode) ? mode : 'sequential';
+  }
+
   /**
    * Apply bionic reading (bold first part of words)
    */
@@ -4,6 +4,8 @@
  */
 
 const geminiService = require('../geminiService');
+const logger = require('../logger');
+const metrics = require('../metrics');
 
 class KeywordHighlighter {
   /**
@@ -17,49 +19,44 @@ class KeywordHighlighter {
       return { highlighted: text, keywords: [] };
     }
 
-    const prompt = `Extract important keywords and key phrases from this text.
-
-TEXT:
-"${text}"
-
-Identify:
-1. Main topic keywords (3-5)
-2. Important concepts (2-4)
-3. Key phrases that summarize ideas
-
-Return JSON:
-{
-  "keywords": ["keyword1", "keyword2"],
-  "keyPhrases": ["phrase1", "phrase2"],
-  "highlightedText": "text with <mark>keywords</mark> highlighted"
-}`;
-
     try {
-      const result = await geminiService.generateJSON('keyword extraction', prompt);
-      
-      // Apply highlighting
-      let highlighted = text;
-      const keywords = result.keywords || [];
-      
-      keywords.forEach(keyword => {
-        const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
-        highlighted = highlighted.replace(regex, `<mark>${keyword}</mark>`);
+      const result = await geminiService.generateFromTemplate('keyword-extraction', { text }, {
+        input: { text }
       });
-
-      return {
-        highlighted,
-        keywords: result.keywords || [],
-        keyPhrases: result.keyPhrases || [],
-        metadata: {
-          keywordCount: keywords.length,
-          highlightCount: (highlighted.match(/<mark>/g) || []).length
-        }
-      };
+      return this.apply(text, result);
     } catch (error) {
-      console.error('Keyword highlighting failed:', error);
+      logger.error('Keyword highlighting failed', { error });
+      metrics.recordFallback('keyword extraction', 'service_error');
       return { highlighted: text, keywords: [], keyPhrases: [] };
     }
   }
+
+  /**
+   * Mark extracted keywords in a text
+   * @param {string} text - Text to highlight
+   * @param {Object} result - { keywords, keyPhrases, promptTemplate } from the LLM
+   * @returns {Object} - Highlighted text + keywords
+   */
+  apply(text, result) {
+    let highlighted = text;
+    const keywords = result.keywords || [];
+
+    keywords.forEach(keyword => {
+      const regex = new RegExp(`\\b${keyword}\\b`, 'gi');
+      highlighted = highlighted.replace(regex, `<mark>${keyword}</mark>`);
+    });
+
+    return {
+      highlighted,
+      keywords,
+      keyPhrases: result.keyPhrases || [],
+      metadata: {
+        keywordCount: keywords.length,
+        highlightCount: (highlighted.match(/<mark>/g) || []).length,
+        promptTemplate: result.promptTemplate
+      }
+    };
+  }
 }
 
 module.exports = new KeywordHighlighter();
@@ -4,6 +4,8 @@
  */
 
 const geminiService = require('../geminiService');
+const logger = require('../logger');
+const metrics = require('../metrics');
 
 class SpellingAnalyzer {
   /**
@@ -17,42 +19,20 @@ class SpellingAnalyzer {
       return { corrected: text, errors: [], suggestions: [] };
     }
 
-    const prompt = `Identify spelling errors in this text and provide corrections.
-
-TEXT:
-"${text}"
-
-For each error:
-- Identify misspelled word
-- Provide correction
-- Classify error type (phonetic, visual, typo)
-- Suggest alternative if applicable
-
-Return JSON:
-{
-  "corrected": "text with corrections",
-  "errors": [
-    {
-      "original": "misspelled",
-      "corrected": "correct spelling",
-      "type": "Phonetic|Visual|Typo",
-      "position": 5,
-      "confidence": 0.9
-    }
-  ],
-  "suggestions": ["alternative 1", "alternative 2"]
-}`;
-
     try {
-      const result = await geminiService.generateJSON('spelling analysis', prompt);
+      const result = await geminiService.generateFromTemplate('text-spelling-analysis', { text }, {
+        input: { text }
+      });
       return {
         corrected: result.corrected || text,
         errors: result.errors || [],
         suggestions: result.suggestions || [],
-        errorCount: result.errors?.length || 0
+        errorCount: result.errors?.length || 0,
+        promptTemplate: result.promptTemplate
       };
     } catch (error) {
-      console.error('Spelling analysis failed:', error);
+      logger.error('Spelling analysis failed', { error });
+      metrics.recordFallback('text spelling analysis', 'service_error');
       return { corrected: text, errors: [], suggestions: [], errorCount: 0 };
     }
   }
@@ -63,25 +43,13 @@ Return JSON:
    * @returns {Promise<Object>} - Spelling check result
    */
   async checkWord(word) {
-    const prompt = `Check if this word is spelled correctly: "${word}"
-
-If incorrect, provide:
-- Correct spelling
-- Error type
-- Suggestions
-
-Return JSON:
-{
-  "correct": true|false,
-  "corrected": "correct spelling if wrong",
-  "errorType": "Phonetic|Visual|Typo|None",
-  "suggestions": ["suggestion 1", "suggestion 2"]
-}`;
-
     try {
-      return await geminiService.generateJSON('word spelling check', prompt);
+      return await geminiService.generateFromTemplate('word-spelling-check', { word }, {
+        input: { word }
+      });
     } catch (error) {
-      console.error('Word spelling check failed:', error);
+      logger.error('Word spelling check failed', { error });
+      metrics.recordFallback('word spelling check', 'service_error');
       return { correct: true, corrected: word, errorType: 'None', suggestions: [] };
     }
   }
@@ -4,6 +4,8 @@
  */
 
 const geminiService = require('../geminiService');
+const logger = require('../logger');
+const metrics = require('../metrics');
 
 class TextSimplifier {
   /**
@@ -19,40 +21,19 @@ class TextSimplifier {
 
     const { level = 'moderate', preserveMeaning = true } = config;
 
-    const prompt = `Simplify this text for better comprehension. Level: ${level}
-
-ORIGINAL TEXT:
-"${text}"
-
-Requirements:
-- Preserve core meaning: ${preserveMeaning}
-- Simplify vocabulary (use common words)
-- Shorten complex sentences
-- Keep important information
-- Maintain readability
-
-Return JSON:
-{
-  "simplified": "simplified text here",
-  "changes": [
-    {
-      "original": "complex phrase",
-      "simplified": "simple phrase",
-      "reason": "vocabulary simplification"
-    }
-  ],
-  "complexityReduction": 0.3
-}`;
-
     try {
-      const result = await geminiService.generateJSON('text simplification', prompt);
+      const result = await geminiService.generateFromTemplate('text-simplification', { text, level, preserveMeaning }, {
+        input: { text, level }
+      });
       return {
         simplified: result.simplified || text,
         changes: result.changes || [],
-        complexityReduction: result.complexityReduction || 0
+        complexityReduction: result.complexityReduction || 0,
+        promptTemplate: result.promptTemplate
       };
     } catch (error) {
-      console.error('Text simplification failed:', error);
+      logger.error('Text simplification failed', { error });
+      metrics.recordFallback('text simplification', 'service_error');
       return { simplified: text, changes: [], complexityReduction: 0 };
     }
   }
@@ -4,6 +4,8 @@
  * Note: Requires Tesseract.js or similar OCR library
  */
 
+const logger = require('./logger');
+
 class OCRService {
   /**
    * Extract text from image using OCR
@@ -22,7 +24,7 @@ class OCRService {
       // Placeholder implementation
       throw new Error('OCR requires tesseract.js library. Install with: npm install tesseract.js');
     } catch (error) {
-      console.error('OCR extraction error:', error);
+      logger.error('OCR extraction error', { error });
       throw new Error(`OCR extraction failed: ${error.message}`);
     }
   }
@@ -41,7 +43,7 @@ class OCRService {
 
       throw new Error('OCR requires tesseract.js library. Install with: npm install tesseract.js');
     } catch (error) {
-      console.error('OCR extraction error:', error);
+      logger.error('OCR extraction error', { error });
       throw new Error(`OCR extraction failed: ${error.message}`);
     }
   }
@@ -0,0 +1,318 @@
+/**
+ * OpenAPI
+ * Generates the OpenAPI 3.1 document for the API from the routers themselves, so it
+ * cannot drift from what the server accepts:
+ *   - paths and methods come from the Express routes (":id" becomes "{id}")
+ *   - parameters and request bodies are the schemas the routes validate against
+ *     (validateRequest's .requestSchemas); uploads are described as multipart/form-data
+ *   - responses use the schemas' `response` entry, the LLM task schema geminiService
+ *     validates results against, and the shared error shapes
+ *   - summaries, descriptions and success statuses ("Returns: 201 ...") come from the
+ *     JSDoc block above each route in routes/*.js
+ *   - operations behind authService.requireAuth need a bearer token; admin groups also answer 403
+ */
+
+const fs = require('fs');
+const path = require('path');
+const authService = require('./authService');
+const { API_VERSION } = require('./apiVersioning');
+
+const ROUTES_DIR = path.join(__dirname, '..', 'routes');
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const errorSchema = {
+  type: 'object',
+  required: ['error'],
+  properties: {
+    error: { type: 'string' },
+    message: { type: 'string' },
+    fallback: { type: 'boolean', description: 'The LLM was unavailable' }
+  }
+};
+
+const validationErrorSchema = {
+  type: 'object',
+  required: ['error', 'message', 'fields'],
+  properties: {
+    error: { type: 'string' },
+    message: { type: 'string' },
+    fields: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          location: { type: 'string', enum: ['params', 'query', 'body'] },
+          field: { type: 'string' },
+          message: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const errorResponse = (description, schema = 'Error') => ({
+  description,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+
+const documents = new WeakMap();
+
+/**
+ * Convert one of our schemas (schemaValidator keywords) to an OpenAPI 3.1 schema:
+ * `nullable` becomes a 'null' type and empty `required` lists are dropped
+ */
+function toOpenApiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return {};
+  const { nullable, properties, items, required, ...rest } = schema;
+  const converted = { ...rest };
+
+  if (properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(properties).map(([name, property]) => [name, toOpenApiSchema(property)])
+    );
+  }
+  if (items) converted.items = toOpenApiSchema(items);
+  if (Array.isArray(required) && required.length) converted.required = required;
+  if (nullable && converted.type) converted.type = [...[].concat(converted.type), 'null'];
+  return converted;
+}
+
+/**
+ * Route documentation from the JSDoc blocks in routes/*.js, keyed by "METHOD /path"
+ * (the path as written in the block, without its /api prefix)
+ * @returns {Object} - { summary, description, status, contentType }
+ */
+function readRouteDocs() {
+  const docs = {};
+
+  fs.readdirSync(ROUTES_DIR).filter(file => file.endsWith('.js')).forEach(file => {
+    const source = fs.readFileSync(path.join(ROUTES_DIR, file), 'utf8');
+
+    for (const [, block] of source.matchAll(/\/\*\*([\s\S]*?)\*\//g)) {
+      const lines = block.split('\n').map(line => line.replace(/^\s*\*\s?/, '').trim()).filter(Boolean);
+      const heading = /^([A-Z]+) \/api(\/\S*)$/.exec(lines[0] || '');
+      if (!heading) continue;
+
+      const [summary, ...details] = lines.slice(1);
+      const returns = details.find(line => line.startsWith('Returns:')) || '';
+      const status = /^Returns: (\d{3})\b/.exec(returns);
+
+      docs[`${heading[1]} ${heading[2]}`] = {
+        summary: summary || null,
+        description: details.join('\n') || null,
+        status: status ? status[1] : '200',
+        contentType: returns.includes('text/event-stream') ? 'text/event-stream' : 'application/json'
+      };
+    }
+  });
+  return docs;
+}
+
+const joinPath = (base, routePath) => (`${base}${routePath === '/' ? '' : routePath}`) || '/';
+
+/**
+ * Every route of the router, with the mount it belongs to (null for routes on the router itself)
+ */
+function collectRoutes(router, mounts) {
+  const routes = [];
+
+  router.stack.forEach(layer => {
+    if (layer.route) {
+      routes.push({ path: layer.route.path, route: layer.route, mount: null });
+      return;
+    }
+    const mount = mounts.find(m => m.router === layer.handle);
+    if (!mount) return;
+    mount.router.stack.filter(inner => inner.route).forEach(inner => {
+      routes.push({ path: joinPath(mount.path, inner.route.path), route: inner.route, mount });
+    });
+  });
+  return routes;
+}
+
+/**
+ * Operation id from the method and path, e.g. getJobsByIdResult for GET /jobs/:id/result
+ */
+const operationId = (method, routePath) => method + routePath
+  .replace(/:(\w+)/g, 'by-$1')
+  .split(/[/.-]/)
+  .filter(Boolean)
+  .map(word => word[0].toUpperCase() + word.slice(1))
+  .join('');
+
+/**
+ * Request body: JSON, or multipart/form-data when the route receives an upload
+ */
+function requestBody(bodySchema, uploadField) {
+  const schema = toOpenApiSchema(bodySchema || { type: 'object' });
+
+  if (!uploadField) {
+    return { required: true, content: { 'application/json': { schema } } };
+  }
+
+  const jsonFields = Object.keys(schema.properties || {});
+  return {
+    required: true,
+    content: {
+      'multipart/form-data': {
+        schema: {
+          ...schema,
+          properties: { [uploadField]: { type: 'string', format: 'binary' }, ...schema.properties },
+          required: [uploadField, ...(schema.required || [])]
+        },
+        encoding: Object.fromEntries(jsonFields.map(field => [field, { contentType: 'application/json' }]))
+      }
+    }
+  };
+}
+
+/**
+ * One operation of the document
+ */
+function operation(method, routePath, { route, mount }, docs) {
+  const handlers = route.stack.map(layer => layer.handle);
+  const schemas = Object.assign({}, ...handlers.map(handler => handler.requestSchemas || {}));
+  const uploadField = handlers.map(handler => handler.uploadField).find(Boolean);
+  const secured = Boolean(mount?.auth) || handlers.includes(authService.requireAuth);
+  const doc = docs[`${method.toUpperCase()} ${routePath}`] || {};
+
+  const parameters = ['params', 'query'].flatMap(location => {
+    const properties = schemas[location]?.properties || {};
+    const required = schemas[location]?.required || [];
+    return Object.entries(properties).map(([name, schema]) => ({
+      name,
+      in: location === 'params' ? 'path' : 'query',
+      required: location === 'params' || required.includes(name),
+      schema: toOpenApiSchema(schema)
+    }));
+  });
+
+  const success = doc.contentType === 'text/event-stream'
+    ? { 'text/event-stream': { schema: { type: 'string' } } }
+    : { 'application/json': { schema: schemas.response ? toOpenApiSchema(schemas.response) : {} } };
+
+  const responses = { [doc.status || '200']: { description: doc.summary || 'Success', content: success } };
+  if (schemas.body || schemas.query || schemas.params || uploadField) {
+    responses['400'] = errorResponse('Invalid request', 'ValidationError');
+  }
+  if (secured) responses['401'] = errorResponse('Missing, invalid or expired session');
+  if (mount?.admin) responses['403'] = errorResponse('Signed-in user is not an admin');
+  responses['500'] = errorResponse('Server error');
+
+  return {
+    operationId: operationId(method, routePath),
+    ...(doc.summary && { summary: doc.summary }),
+    ...(doc.description && { description: doc.description }),
+    tags: [mount ? mount.tag : 'Service'],
+    ...(secured && { security: [{ bearerAuth: [] }] }),
+    ...(parameters.length && { parameters }),
+    ...((schemas.body || uploadField) && { requestBody: requestBody(schemas.body, uploadField) }),
+    responses
+  };
+}
+
+/**
+ * OpenAPI document for an API router (built once per router)
+ * @param {express.Router} router - Router with the API's routes and route groups
+ * @param {Array} mounts - Route groups mounted on it: [{ path, router, tag, description, auth, admin }]
+ * @param {Object} options - { basePath } the router is served under
+ * @returns {Object} - OpenAPI 3.1 document
+ */
+function document(router, mounts, { basePath = '' } = {}) {
+  if (documents.has(router)) return documents.get(router);
+
+  const docs = readRouteDocs();
+  const paths = {};
+
+  collectRoutes(router, mounts).forEach(entry => {
+    const openApiPath = entry.path.replace(/:(\w+)/g, '{$1}');
+    METHODS.filter(method => entry.route.methods[method]).forEach(method => {
+      paths[openApiPath] = paths[openApiPath] || {};
+      paths[openApiPath][method] = operation(method, entry.path, entry, docs);
+    });
+  });
+
+  const spec = {
+    openapi: '3.1.0',
+    info: {
+      title: 'Levixia API',
+      version: API_VERSION,
+      description: 'Dyslexia screening and adaptive reading and writing assistance.'
+    },
+    servers: [{ url: basePath }],
+    tags: [
+      { name: 'Service', description: 'Health and API documentation' },
+      ...mounts.map(({ tag, description }) => ({ name: tag, description }))
+    ],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Session token from /auth/login or /auth/register' }
+      },
+      schemas: {
+        Error: errorSchema,
+        ValidationError: validationErrorSchema
+      }
+    }
+  };
+
+  documents.set(router, spec);
+  return spec;
+}
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[c]));
+
+/**
+ * Self-contained HTML reference for a document (no external scripts, works offline)
+ */
+function renderDocs(spec) {
+  const base = spec.servers[0]?.url || '';
+  const schemaBlock = (label, schema) => `<details><summary>${escapeHtml(label)}</summary><pre>${escapeHtml(JSON.stringify(schema, null, 2))}</pre></details>`;
+
+  const sections = spec.tags.map(tag => {
+    const operations = Object.entries(spec.paths).flatMap(([routePath, methods]) => Object.entries(methods)
+      .filter(([, op]) => op.tags.includes(tag.name))
+      .map(([method, op]) => {
+        const body = op.requestBody && Object.entries(op.requestBody.content)[0];
+        return `<article>
+<h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(base + routePath)}</code>${op.security ? ' <span class="lock" title="Requires a bearer token">🔒</span>' : ''}</h3>
+${op.description ? `<p>${escapeHtml(op.description).replace(/\n/g, '<br>')}</p>` : op.summary ? `<p>${escapeHtml(op.summary)}</p>` : ''}
+${op.parameters ? schemaBlock('Parameters', op.parameters) : ''}
+${body ? schemaBlock(`Request body (${body[0]})`, body[1].schema) : ''}
+${schemaBlock(`Responses (${Object.keys(op.responses).join(', ')})`, op.responses)}
+</article>`;
+      }));
+    if (!operations.length) return '';
+    return `<section><h2>${escapeHtml(tag.name)}</h2><p>${escapeHtml(tag.description || '')}</p>${operations.join('\n')}</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(spec.info.title)} ${escapeHtml(spec.info.version)}</title>
+<style>
+body { font-family: system-ui, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; color: #1f2933; }
+article { border: 1px solid #d9e2ec; border-radius: 6px; padding: 0.5rem 1rem; margin: 0.75rem 0; }
+h3 { font-size: 1rem; margin: 0.5rem 0; }
+.method { display: inline-block; min-width: 4.5rem; font-weight: bold; }
+.get { color: #2f855a; } .post { color: #2b6cb0; } .put { color: #b7791f; } .delete { color: #c53030; }
+pre { background: #f5f7fa; padding: 0.75rem; overflow-x: auto; font-size: 0.85rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(spec.info.title)} <small>${escapeHtml(spec.info.version)}</small></h1>
+<p>${escapeHtml(spec.info.description)} Base path: <code>${escapeHtml(base)}</code>. Machine-readable document: <a href="${escapeHtml(base)}/openapi.json">openapi.json</a>.</p>
+${sections.join('\n')}
+</body>
+</html>
+`;
+}
+
+module.exports = {
+  document,
+  renderDocs,
+  toOpenApiSchema
+};
@@ -0,0 +1,77 @@
+/**
+ * Passage Bank
+ * Curated reading-test passages (passages/bank.json), so learners in the same age group read
+ * passages of the same level and their results can be compared. Each passage has:
+ *   id              - stable id, recorded when a learner reads the passage
+ *   ageGroup        - the profile age group it is written for: child (under 12), teen (12-17),
+ *                     adult (18-25) or adult_plus (26+)
+ *   level           - difficulty on a Lexile-like scale, from about 500 (child) to 1150
+ *                     (adult_plus); one age group's passages stay within a narrow range so they
+ *                     are interchangeable forms of the same test
+ *   difficulty, wordCount, targetPhonemes, text
+ *   questions       - comprehension questions (see readingAnalysis.generatePassage)
+ * A learner gets the first passage of their age group they have not read before, and once
+ * they have read them all, the one read longest ago.
+ */
+
+const bank = require('../passages/bank.json');
+
+const AGE_GROUPS = {
+  child: 'a child under 12',
+  teen: 'a teenager aged 12 to 17',
+  adult: 'an adult aged 18 to 25',
+  adult_plus: 'an adult aged 26 or over'
+};
+
+// Profiles without an age group get the passages the test has always started with
+const DEFAULT_AGE_GROUP = 'child';
+
+/**
+ * Age group for a profile's ageGroup: one of AGE_GROUPS, or an age or age range
+ * ("10-12", "14") from older clients
+ */
+function ageGroupOf(value) {
+  const group = String(value || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  if (AGE_GROUPS[group]) return group;
+
+  const age = parseInt(group, 10);
+  if (Number.isNaN(age)) return DEFAULT_AGE_GROUP;
+  if (age < 12) return 'child';
+  if (age < 18) return 'teen';
+  if (age < 26) return 'adult';
+  return 'adult_plus';
+}
+
+/**
+ * Passages for an age group, in the order they are given out
+ */
+const passagesFor = ageGroup => bank.filter(passage => passage.ageGroup === ageGroup);
+
+/**
+ * Whether an id names a bank passage
+ */
+const has = id => bank.some(passage => passage.id === id);
+
+/**
+ * Choose the passage for a learner
+ * @param {string} ageGroup - One of AGE_GROUPS
+ * @param {Array} history - Ids of the passages the learner has read, least recently first
+ * @returns {Object} - { passage, repeat } with repeat true when every passage of the age group
+ *   has been read before
+ */
+function select(ageGroup, history = []) {
+  const passages = passagesFor(ageGroup);
+  const unseen = passages.find(passage => !history.includes(passage.id));
+  if (unseen) return { passage: unseen, repeat: false };
+
+  const oldest = history.find(id => passages.some(passage => passage.id === id));
+  return { passage: passages.find(passage => passage.id === oldest), repeat: true };
+}
+
+module.exports = {
+  AGE_GROUPS,
+  ageGroupOf,
+  passagesFor,
+  has,
+  select
+};
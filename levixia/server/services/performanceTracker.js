@@ -41,7 +41,7 @@ class PerformanceTracker {
    */
   trackWritingSession(sessionData) {
     const {
-      userText,
+      userText = '',
       referenceText,
       timeSpent,
       corrections = [],
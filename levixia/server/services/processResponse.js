@@ -0,0 +1,47 @@
+/**
+ * Process Response
+ * The /api/assistant/process response, shared by /process, /process/stream (its done event)
+ * and the background document job so the three cannot drift apart.
+ */
+
+const accessibilityEngine = require('./accessibilityEngine');
+
+/**
+ * Accessibility settings for a /process config: the assistant config plus the reading pace
+ * @param {Object} config - { assistantConfig, processingStrategy, activeFeatures }
+ * @returns {Object}
+ */
+function accessibilityConfigFor(config) {
+  return {
+    ...config.assistantConfig,
+    readingPace: config.processingStrategy?.pace
+  };
+}
+
+/**
+ * Apply accessibility adaptations to a pipeline result and shape the /process response
+ * @param {Object} params - { text, config, userProfile, nlpResult }
+ * @returns {Object} - { originalText, processedText, layoutConfig, readingPace, metadata, config, activeFeatures }
+ */
+function buildProcessResponse({ text, config, userProfile, nlpResult }) {
+  const accessibilityResult = accessibilityEngine.applyAdaptations(nlpResult.processedText, accessibilityConfigFor(config));
+  const readingPace = accessibilityEngine.generateReadingPace(userProfile || {}, text);
+
+  return {
+    originalText: text,
+    processedText: accessibilityResult.styledText,
+    layoutConfig: accessibilityResult.layoutConfig,
+    readingPace,
+    metadata: {
+      ...nlpResult.metadata,
+      ...accessibilityResult.metadata
+    },
+    config: config.assistantConfig,
+    activeFeatures: config.activeFeatures || []
+  };
+}
+
+module.exports = {
+  accessibilityConfigFor,
+  buildProcessResponse
+};
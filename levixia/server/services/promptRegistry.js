@@ -0,0 +1,215 @@
+/**
+ * Prompt Registry
+ * Loads named, versioned prompt templates from server/prompts and renders them.
+ *
+ * Each template lives in prompts/<id>/v<version>.txt and starts with a header:
+ *
+ *   ---
+ *   task: reading analysis
+ *   variables: originalText, transcript
+ *   untrusted: originalText, transcript
+ *   ---
+ *   Prompt text with {{originalText}} placeholders...
+ *
+ * `task` selects the output schema, local provider handler and cache namespace.
+ * Every {{placeholder}} must be declared in `variables` and vice versa.
+ * `untrusted` variables hold user-supplied text; they are escaped and fenced by
+ * promptGuard.js, and the prompt is prefixed with the guard notice.
+ *
+ * The newest version of each template is active unless PROMPT_VERSIONS pins another,
+ * e.g. PROMPT_VERSIONS=reading-analysis@1,holistic-report@2
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { GUARD_NOTICE, wrapUntrusted, detectInjection } = require('./promptGuard');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'prompts');
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+/**
+ * Parse a template file into header fields and body
+ */
+function parseTemplate(source, file) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+  if (!match) {
+    throw new Error(`Prompt template ${file} is missing its --- header`);
+  }
+
+  const header = {};
+  match[1].split(/\r?\n/).forEach(line => {
+    const idx = line.indexOf(':');
+    if (idx > 0) header[line.slice(0, idx).trim()] = line.slice(idx + 1).trim();
+  });
+
+  return {
+    task: header.task,
+    description: header.description || '',
+    variables: (header.variables || '').split(',').map(v => v.trim()).filter(Boolean),
+    untrusted: (header.untrusted || '').split(',').map(v => v.trim()).filter(Boolean),
+    body: match[2].replace(/\s+$/, '')
+  };
+}
+
+/**
+ * Parse PROMPT_VERSIONS ("id@version,id@version") into { id: version }
+ */
+function parsePins(value = '') {
+  const pins = {};
+  value.split(',').map(p => p.trim()).filter(Boolean).forEach(pin => {
+    const [id, version] = pin.split('@');
+    if (id && Number(version)) pins[id.trim()] = Number(version);
+  });
+  return pins;
+}
+
+class PromptRegistry {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.PROMPT_DIR || DEFAULT_DIR;
+    this.pins = parsePins(options.pins ?? process.env.PROMPT_VERSIONS);
+    this.templates = new Map(); // id -> Map(version -> template)
+    this.load();
+  }
+
+  /**
+   * Read and check every template on disk
+   */
+  load() {
+    this.templates.clear();
+
+    fs.readdirSync(this.dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        const id = entry.name;
+        const versions = new Map();
+
+        fs.readdirSync(path.join(this.dir, id))
+          .filter(file => /^v\d+\.txt$/.test(file))
+          .forEach(file => {
+            const version = Number(file.slice(1, -4));
+            const source = fs.readFileSync(path.join(this.dir, id, file), 'utf-8');
+            const template = { id, version, ...parseTemplate(source, `${id}/${file}`) };
+            this.check(template);
+            versions.set(version, template);
+          });
+
+        if (versions.size) this.templates.set(id, versions);
+      });
+
+    Object.entries(this.pins).forEach(([id, version]) => {
+      if (!this.templates.get(id)?.has(version)) {
+        throw new Error(`PROMPT_VERSIONS pins ${id}@${version}, which does not exist`);
+      }
+    });
+  }
+
+  /**
+   * Ensure header and placeholders agree
+   */
+  check(template) {
+    const name = `${template.id}@v${template.version}`;
+    if (!template.task) {
+      throw new Error(`Prompt template ${name} does not declare a task`);
+    }
+
+    const used = new Set([...template.body.matchAll(PLACEHOLDER)].map(m => m[1]));
+    const undeclared = [...used].filter(v => !template.variables.includes(v));
+    const unused = template.variables.filter(v => !used.has(v));
+    if (undeclared.length) {
+      throw new Error(`Prompt template ${name} uses undeclared variables: ${undeclared.join(', ')}`);
+    }
+    if (unused.length) {
+      throw new Error(`Prompt template ${name} declares unused variables: ${unused.join(', ')}`);
+    }
+    const unknownUntrusted = template.untrusted.filter(v => !template.variables.includes(v));
+    if (unknownUntrusted.length) {
+      throw new Error(`Prompt template ${name} marks unknown variables untrusted: ${unknownUntrusted.join(', ')}`);
+    }
+  }
+
+  /**
+   * Look up a template
+   * @param {string} id - Template id
+   * @param {number} version - Specific version (defaults to the active one)
+   * @returns {Object} - { id, version, task, description, variables, untrusted, body }
+   */
+  get(id, version) {
+    const versions = this.templates.get(id);
+    if (!versions) {
+      throw new Error(`Unknown prompt template: ${id}`);
+    }
+
+    const wanted = version ?? this.activeVersion(id);
+    const template = versions.get(Number(wanted));
+    if (!template) {
+      throw new Error(`Unknown prompt template version: ${id}@v${wanted}`);
+    }
+    return template;
+  }
+
+  /**
+   * Version used when the caller does not ask for one
+   */
+  activeVersion(id) {
+    return this.pins[id] ?? Math.max(...this.templates.get(id).keys());
+  }
+
+  /**
+   * Render a template with its variables
+   * Strings and numbers are inserted as-is; objects and arrays as indented JSON.
+   * Untrusted variables are fenced with promptGuard and scanned for injection attempts.
+   * Every declared variable must be supplied, even when its value is undefined.
+   * @param {string} id - Template id
+   * @param {Object} variables - Values for every declared variable
+   * @param {Object} options - { version }
+   * @returns {Object} - { id, version, task, prompt, untrusted: [raw values], injection }
+   */
+  render(id, variables = {}, options = {}) {
+    const template = this.get(id, options.version);
+
+    const missing = template.variables.filter(v => !(v in variables));
+    if (missing.length) {
+      throw new Error(`Prompt template ${id}@v${template.version} is missing variables: ${missing.join(', ')}`);
+    }
+
+    const body = template.body.replace(PLACEHOLDER, (_, name) => {
+      const value = variables[name];
+      if (template.untrusted.includes(name)) return wrapUntrusted(value ?? '', name);
+      return value !== null && typeof value === 'object' ? JSON.stringify(value, null, 2) : String(value);
+    });
+
+    const untrusted = template.untrusted.map(name => variables[name] ?? '');
+    const matches = template.untrusted.flatMap(name => (
+      detectInjection(variables[name] ?? '').matches.map(match => ({ variable: name, ...match }))
+    ));
+
+    return {
+      id,
+      version: template.version,
+      task: template.task,
+      prompt: untrusted.length ? `${GUARD_NOTICE}\n\n${body}` : body,
+      untrusted,
+      injection: { suspicious: matches.length > 0, matches }
+    };
+  }
+
+  /**
+   * Summary of every template for inspection
+   */
+  list() {
+    return [...this.templates.entries()].map(([id, versions]) => {
+      const active = this.get(id);
+      return {
+        id,
+        task: active.task,
+        description: active.description,
+        variables: active.variables,
+        untrusted: active.untrusted,
+        versions: [...versions.keys()].sort((a, b) => a - b),
+        activeVersion: active.version
+      };
+    });
+  }
+}
+
+module.exports = new PromptRegistry();
@@ -0,0 +1,256 @@
+/**
+ * Pseudoword Decoding
+ * Deterministic scoring of the nonword reading subtest. Pronounceable nonwords ("blim",
+ * "floke") cannot be read from sight-word memory, so reading them aloud tests
+ * sound-letter decoding on its own, which real-word reading and spelling cannot.
+ *
+ * Each item has its expected pronunciations as phonemes. What the speech recognizer heard
+ * is turned into phonemes with regular English letter-sound rules (toPhonemes), and the two
+ * are aligned phoneme by phoneme with an edit distance, so "blip" for "blim" is one
+ * substituted sound rather than a wrong word. Recognizers favour real words and may hear a
+ * correctly read nonword as a near one, so the test sends every alternative the recognizer
+ * offered and the closest one is scored.
+ *
+ * Phonemes are written as: consonants b ch d f g h j k l m n ng p r s sh t th v w y z zh;
+ * short vowels a e i o u; long and other vowels ay ee ie oa oo ow oy aw ar or er.
+ */
+
+const VOWELS = new Set(['a', 'e', 'i', 'o', 'u', 'ay', 'ee', 'ie', 'oa', 'oo', 'ow', 'oy', 'aw', 'ar', 'or', 'er']);
+
+// Word patterns, easiest first; an item's pattern is the hardest one it needs
+const PATTERNS = ['cvc', 'blend', 'digraph', 'long vowel', 'multisyllable'];
+
+const ITEMS = [
+  { word: 'dap', pattern: 'cvc', pronunciations: [['d', 'a', 'p']] },
+  { word: 'vop', pattern: 'cvc', pronunciations: [['v', 'o', 'p']] },
+  { word: 'lem', pattern: 'cvc', pronunciations: [['l', 'e', 'm']] },
+  { word: 'blim', pattern: 'blend', pronunciations: [['b', 'l', 'i', 'm']] },
+  { word: 'grop', pattern: 'blend', pronunciations: [['g', 'r', 'o', 'p']] },
+  { word: 'fisk', pattern: 'blend', pronunciations: [['f', 'i', 's', 'k']] },
+  { word: 'shob', pattern: 'digraph', pronunciations: [['sh', 'o', 'b']] },
+  { word: 'thrip', pattern: 'digraph', pronunciations: [['th', 'r', 'i', 'p']] },
+  { word: 'cheg', pattern: 'digraph', pronunciations: [['ch', 'e', 'g']] },
+  { word: 'tave', pattern: 'long vowel', pronunciations: [['t', 'ay', 'v']] },
+  { word: 'floke', pattern: 'long vowel', pronunciations: [['f', 'l', 'oa', 'k']] },
+  { word: 'meep', pattern: 'long vowel', pronunciations: [['m', 'ee', 'p']] },
+  { word: 'gomtip', pattern: 'multisyllable', pronunciations: [['g', 'o', 'm', 't', 'i', 'p']] },
+  { word: 'sumbat', pattern: 'multisyllable', pronunciations: [['s', 'u', 'm', 'b', 'a', 't']] },
+  // Like "tinder" or like "binder"
+  { word: 'plinder', pattern: 'multisyllable', pronunciations: [['p', 'l', 'i', 'n', 'd', 'er'], ['p', 'l', 'ie', 'n', 'd', 'er']] }
+];
+
+// Letter groups read as one sound (or, for nk, qu and x, two), longer spellings first
+const CONSONANT_GRAPHEMES = [
+  ['tch', ['ch']], ['dge', ['j']],
+  ['sh', ['sh']], ['ch', ['ch']], ['th', ['th']], ['ph', ['f']], ['wh', ['w']], ['ck', ['k']],
+  ['ng', ['ng']], ['nk', ['ng', 'k']], ['qu', ['k', 'w']], ['x', ['k', 's']]
+];
+const VOWEL_GRAPHEMES = [
+  ['eigh', ['ay']], ['igh', ['ie']],
+  ['ai', ['ay']], ['ay', ['ay']], ['ee', ['ee']], ['ea', ['ee']], ['ey', ['ay']],
+  ['oa', ['oa']], ['oe', ['oa']], ['ou', ['ow']], ['ow', ['ow']], ['oi', ['oy']], ['oy', ['oy']],
+  ['oo', ['oo']], ['ue', ['oo']], ['ew', ['oo']], ['au', ['aw']], ['aw', ['aw']],
+  ['ar', ['ar']], ['or', ['or']], ['er', ['er']], ['ir', ['er']], ['ur', ['er']]
+];
+const LONG_VOWEL = { a: 'ay', e: 'ee', i: 'ie', o: 'oa', u: 'oo' };
+const isVowelLetter = letter => 'aeiou'.includes(letter);
+
+/**
+ * Phonemes of one word by regular letter-sound rules: a final e is silent and lengthens
+ * the vowel before a single consonant ("tave"), c is soft before e, i or y, g is always
+ * hard, and a doubled consonant is one sound
+ */
+function wordPhonemes(word) {
+  const letters = word.toLowerCase().replace(/[^a-z]/g, '');
+  const hasVowelBefore = k => /[aeiouy]/.test(letters.slice(0, k));
+  const silentE = letters.endsWith('e') && hasVowelBefore(letters.length - 1);
+  const longVowelAt = silentE && /[aeiou][^aeiouwxy]e$/.test(letters) ? letters.length - 3 : -1;
+  const phonemes = [];
+  let k = 0;
+
+  while (k < letters.length) {
+    const rest = letters.slice(k);
+    const letter = letters[k];
+
+    if (silentE && k === letters.length - 1) break;
+    if (k === longVowelAt) {
+      phonemes.push(LONG_VOWEL[letter]);
+      k += 1;
+      continue;
+    }
+
+    const grapheme = [...CONSONANT_GRAPHEMES, ...VOWEL_GRAPHEMES].find(([spelling]) => rest.startsWith(spelling));
+    if (grapheme) {
+      phonemes.push(...grapheme[1]);
+      k += grapheme[0].length;
+      continue;
+    }
+
+    if (letter === 'y') {
+      // A consonant before a vowel; at the end of a word "ee" ("happy") or "ie" ("my")
+      if (k === 0 || isVowelLetter(letters[k - 1])) phonemes.push('y');
+      else if (k === letters.length - 1) phonemes.push(hasVowelBefore(k) ? 'ee' : 'ie');
+      else phonemes.push('i');
+    } else if (isVowelLetter(letter)) {
+      // A lone vowel ending a word is long ("go", "hi")
+      const open = k === letters.length - 1 && k > 0 && letter !== 'a';
+      phonemes.push(open ? LONG_VOWEL[letter] : letter);
+    } else if (letter === 'c') {
+      phonemes.push('eiy'.includes(letters[k + 1]) ? 's' : 'k');
+    } else if (letter !== letters[k - 1]) {
+      phonemes.push(letter);
+    }
+    k += 1;
+  }
+  return phonemes;
+}
+
+/**
+ * Phonemes of what was heard; a nonword heard as two words ("gom tip") is read as one
+ */
+function toPhonemes(text = '') {
+  return String(text).split(/\s+/).filter(Boolean).flatMap(wordPhonemes);
+}
+
+/**
+ * Align heard phonemes with expected ones
+ * @returns {Object} - { edits, correct, errors: [{ type: 'substitution' | 'omission' |
+ *   'insertion', position, expected, said }] } with position the expected phoneme's index
+ */
+function comparePhonemes(expected, heard) {
+  const rows = expected.length + 1;
+  const cols = heard.length + 1;
+  const cost = Array.from({ length: rows }, (_, i) => Array.from({ length: cols }, (_, j) => (i === 0 ? j : j === 0 ? i : 0)));
+
+  for (let i = 1; i < rows; i++) {
+    for (let j = 1; j < cols; j++) {
+      cost[i][j] = Math.min(
+        cost[i - 1][j - 1] + (expected[i - 1] === heard[j - 1] ? 0 : 1),
+        cost[i - 1][j] + 1,
+        cost[i][j - 1] + 1
+      );
+    }
+  }
+
+  const errors = [];
+  let i = expected.length;
+  let j = heard.length;
+  while (i > 0 || j > 0) {
+    if (i > 0 && j > 0 && cost[i][j] === cost[i - 1][j - 1] + (expected[i - 1] === heard[j - 1] ? 0 : 1)) {
+      if (expected[i - 1] !== heard[j - 1]) {
+        errors.unshift({ type: 'substitution', position: i - 1, expected: expected[i - 1], said: heard[j - 1] });
+      }
+      i -= 1;
+      j -= 1;
+    } else if (i > 0 && cost[i][j] === cost[i - 1][j] + 1) {
+      errors.unshift({ type: 'omission', position: i - 1, expected: expected[i - 1], said: null });
+      i -= 1;
+    } else {
+      errors.unshift({ type: 'insertion', position: i, expected: null, said: heard[j - 1] });
+      j -= 1;
+    }
+  }
+
+  const missed = errors.filter(error => error.type !== 'insertion').length;
+  return { edits: cost[expected.length][heard.length], correct: expected.length - missed, errors };
+}
+
+/**
+ * Words for the subtest, easiest pattern first
+ */
+const words = () => ITEMS.map(item => item.word);
+
+/**
+ * Score one item: the heard alternative and expected pronunciation that align best
+ * @param {Object} item - One of ITEMS
+ * @param {Array} heard - What the recognizer heard, most likely first (empty if nothing)
+ */
+function scoreItem(item, heard) {
+  const candidates = heard.map(text => text.trim()).filter(Boolean);
+  let best = null;
+
+  item.pronunciations.forEach(expected => {
+    (candidates.length ? candidates : ['']).forEach(text => {
+      const said = toPhonemes(text);
+      const comparison = comparePhonemes(expected, said);
+      if (!best || comparison.edits < best.comparison.edits) best = { expected, text, said, comparison };
+    });
+  });
+
+  const { expected, text, said, comparison } = best;
+  return {
+    word: item.word,
+    pattern: item.pattern,
+    heard: text || null,
+    expected,
+    said,
+    correct: comparison.edits === 0,
+    phonemesCorrect: comparison.correct,
+    // Credit for the sounds read correctly, less any added; never below zero
+    phonemeScore: Math.max(0, expected.length - comparison.edits) / expected.length,
+    errors: comparison.errors
+  };
+}
+
+const percent = (part, whole) => (whole ? Math.round((part / whole) * 100) : 0);
+
+/**
+ * Score the subtest
+ * @param {Array} responses - [{ word, heard: [alternatives, most likely first] }]; words not
+ *   in ITEMS are ignored, and a word answered more than once counts its first response only.
+ *   Words skipped (nothing heard) are counted in itemsSkipped and left out of the scores.
+ * @returns {Object} - { itemsCorrect, itemsTotal, itemsSkipped, wordAccuracy, phonemeAccuracy,
+ *   decodingScore, counts: { substitution, omission, insertion, vowel, consonant },
+ *   byPattern: { [pattern]: { correct, total, percent } }, items }; the accuracies and
+ *   decodingScore are null when no word was attempted
+ */
+function score(responses = []) {
+  const seen = new Set();
+  const answered = responses
+    .map(response => ({ item: ITEMS.find(entry => entry.word === String(response.word).toLowerCase()), heard: response.heard || [] }))
+    .filter(({ item }) => item && !seen.has(item) && seen.add(item));
+  const attempted = answered.filter(({ heard }) => heard.some(text => String(text).trim()));
+  const items = attempted.map(({ item, heard }) => scoreItem(item, heard));
+
+  const counts = { substitution: 0, omission: 0, insertion: 0, vowel: 0, consonant: 0 };
+  items.forEach(item => item.errors.forEach(error => {
+    counts[error.type] += 1;
+    counts[VOWELS.has(error.expected || error.said) ? 'vowel' : 'consonant'] += 1;
+  }));
+
+  const byPattern = {};
+  PATTERNS.forEach(pattern => {
+    const ofPattern = items.filter(item => item.pattern === pattern);
+    if (!ofPattern.length) return;
+    const correct = ofPattern.filter(item => item.correct).length;
+    byPattern[pattern] = { correct, total: ofPattern.length, percent: percent(correct, ofPattern.length) };
+  });
+
+  const itemsCorrect = items.filter(item => item.correct).length;
+  const phonemesTotal = items.reduce((sum, item) => sum + item.expected.length, 0);
+  const phonemesCorrect = items.reduce((sum, item) => sum + item.phonemesCorrect, 0);
+  const measured = items.length > 0;
+  const decodingScore = measured
+    ? Math.round((items.reduce((sum, item) => sum + item.phonemeScore, 0) / items.length) * 100)
+    : null;
+
+  return {
+    itemsCorrect,
+    itemsTotal: items.length,
+    itemsSkipped: answered.length - attempted.length,
+    wordAccuracy: measured ? percent(itemsCorrect, items.length) : null,
+    phonemeAccuracy: measured ? percent(phonemesCorrect, phonemesTotal) : null,
+    decodingScore,
+    counts,
+    byPattern,
+    items
+  };
+}
+
+module.exports = {
+  ITEMS,
+  comparePhonemes,
+  score,
+  toPhonemes,
+  words
+};
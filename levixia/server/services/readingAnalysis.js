@@ -1,93 +1,138 @@
 /**
  * Reading Test Analysis - Backend AI Service
- * Generates passages and analyzes reading performance using Gemini
+ * Chooses passages from the passage bank, with comprehension questions asked after reading,
+ * and analyzes reading performance using Gemini.
+ * Accuracy, rates and miscues come from miscueAnalysis and, when the test captured word
+ * timings, pauses, regressions and restarts from readingHesitations; Gemini explains them.
  */
 
 const geminiService = require('./geminiService');
+const miscueAnalysis = require('./miscueAnalysis');
+const passageBank = require('./passageBank');
+const readingHesitations = require('./readingHesitations');
+const logger = require('./logger');
+const metrics = require('./metrics');
+
+/**
+ * Questions that can be scored: the answer is one of the options (compared trimmed), and
+ * no option is listed twice
+ */
+function scorableQuestions(questions = []) {
+  return questions
+    .map(q => ({ ...q, options: q.options.map(option => option.trim()), answer: q.answer.trim() }))
+    .filter(q => q.options.includes(q.answer) && new Set(q.options).size === q.options.length);
+}
 
 class ReadingAnalysis {
   /**
-   * Generate reading passage
-   * @param {Object} userProfile - User profile (age, etc.)
-   * @returns {Promise<Object>} - Generated passage
+   * Choose the reading passage for a learner from the passage bank (see passageBank.js).
+   * Once the learner has read every bank passage for their age group, and READING_PASSAGE_LLM
+   * is 'true', Gemini writes a new one at the same level instead of repeating one.
+   * @param {Object} userProfile - User profile; ageGroup is a profile age group (child, teen,
+   *   adult, adult_plus) or an age range from older clients
+   * @param {Object} options - { history } with the ids of the passages the learner has read,
+   *   least recently first
+   * @returns {Promise<Object>} - { id, text, ageGroup, level, difficulty, wordCount,
+   *   targetPhonemes, questions, source: 'bank' | 'llm' } with questions: [{ type: 'literal' |
+   *   'inferential' | 'vocabulary', question, options, answer }]; id is null for generated
+   *   passages
    */
-  async generatePassage(userProfile = {}) {
-    const ageGroup = userProfile.ageGroup || '10-12';
-
-    const prompt = `Generate a 40-60 word reading passage for a ${ageGroup} year old child.
-Include phonetic challenges: 'th', 'sh', 'ch', 'ph' sounds.
-Make it engaging, story-like, and age-appropriate.
-
-Return JSON:
-{
-  "text": "the passage text here",
-  "difficulty": "Easy|Medium",
-  "wordCount": 50,
-  "targetPhonemes": ["th", "sh", "ch"]
-}`;
+  async generatePassage(userProfile = {}, { history = [] } = {}) {
+    const ageGroup = passageBank.ageGroupOf(userProfile.ageGroup);
+    const { passage, repeat } = passageBank.select(ageGroup, history);
+    const fromBank = {
+      id: passage.id,
+      text: passage.text,
+      ageGroup,
+      level: passage.level,
+      difficulty: passage.difficulty,
+      wordCount: passage.wordCount,
+      targetPhonemes: passage.targetPhonemes,
+      questions: passage.questions,
+      source: 'bank'
+    };
+    if (!repeat || process.env.READING_PASSAGE_LLM !== 'true') return fromBank;
 
     try {
-      return await geminiService.generateJSON('reading passage generation', prompt);
-    } catch (error) {
-      console.error('Passage generation failed:', error);
-      // Fallback passage
-      return {
-        text: "The ship sailed through the shining sea. The captain thought about sharing the treasure with the shore.",
-        difficulty: 'Medium',
-        wordCount: 22,
-        targetPhonemes: ['th', 'sh']
+      const variables = {
+        audience: passageBank.AGE_GROUPS[ageGroup],
+        level: passage.level,
+        wordCount: passage.wordCount,
+        targetPhonemes: passage.targetPhonemes.join(', ')
       };
+      // Every learner who has read the whole bank needs a different passage
+      const generated = await geminiService.generateFromTemplate('reading-passage', variables, {
+        input: { ageGroup, ...variables },
+        cache: false
+      });
+      const questions = scorableQuestions(generated.questions);
+      if (questions.length < generated.questions.length) {
+        logger.warn('📝 Dropped comprehension questions without a matching answer', {
+          dropped: generated.questions.length - questions.length
+        });
+      }
+      if (questions.length < 3) return fromBank;
+      return { ...generated, id: null, ageGroup, level: passage.level, questions, source: 'llm' };
+    } catch (error) {
+      logger.error('Passage generation failed, repeating a bank passage', { error });
+      metrics.recordFallback('reading passage generation', 'service_error');
+      return fromBank;
     }
   }
 
   /**
    * Analyze reading performance
-   * @param {Object} data - { originalText, transcript, timeSeconds }
-   * @returns {Promise<Object>} - Analysis results
+   * @param {Object} data - { originalText, transcript, timeSeconds, wordTimings } with the
+   *   optional wordTimings as [{ word, onsetMs }] for the transcript words
+   * @returns {Promise<Object>} - Analysis results, with the measured accuracyPercent, wpm and
+   *   wcpm, the full miscueAnalysis (see miscueAnalysis.analyze) and the hesitations
+   *   (readingHesitations.analyze, null without word timings). When Gemini fails the
+   *   measurements still come back, with an empty narrative and aiError: true
    */
   async analyze(data) {
-    const { originalText, transcript, timeSeconds } = data;
-    const totalWords = originalText.split(/\s+/).length;
-    const wpm = timeSeconds > 0 ? Math.round((totalWords / timeSeconds) * 60) : 0;
-
-    const prompt = `You are an expert in learning disabilities assessment, specifically dyslexia evaluation.
+    const { originalText, transcript, timeSeconds, wordTimings = [] } = data;
+    const measured = miscueAnalysis.analyze(originalText, transcript, timeSeconds);
+    const hesitations = readingHesitations.analyze(originalText, transcript, wordTimings);
 
-Analyze this child's reading performance:
-
-ORIGINAL TEXT:
-"${originalText}"
-
-USER TRANSCRIPT:
-"${transcript}"
-
-READING TIME: ${timeSeconds} seconds
-WORDS PER MINUTE: ${wpm}
-
-Analyze:
-1. Accuracy percentage (word-level and phoneme-level)
-2. Error types: phonological (sound-based), visual (letter reversals/skipping), fluency (hesitations/repetitions)
-3. Specific error patterns (e.g., "ship" read as "sip" = phonological)
-4. Dyslexia indicators
-5. Reading fluency assessment
-
-Return JSON:
-{
-  "accuracyPercent": 85,
-  "wpm": ${wpm},
-  "errorType": "Phonological|Visual|Fluency|Mixed",
-  "errorPatterns": ["specific errors identified"],
-  "phonologicalIssues": ["list of specific sound-based errors"],
-  "visualIssues": ["list of visual processing errors"],
-  "dyslexiaLikelihood": "Low|Moderate|High",
-  "strengths": ["what the reader did well"],
-  "feedback": "Encouraging, non-clinical feedback"
-}`;
+    const measurements = {
+      accuracyPercent: measured.accuracyPercent,
+      wpm: measured.wpm,
+      wcpm: measured.wcpm,
+      miscueAnalysis: measured,
+      hesitations
+    };
 
     try {
-      return await geminiService.generateJSON('reading analysis', prompt);
+      const variables = {
+        originalText,
+        transcript,
+        timeSeconds,
+        wpm: measured.wpm,
+        wcpm: measured.wcpm,
+        accuracyPercent: measured.accuracyPercent,
+        wordsAttempted: measured.wordsAttempted,
+        totalWords: measured.totalWords,
+        miscues: miscueAnalysis.describe(measured).join('\n') || 'None',
+        hesitations: readingHesitations.describe(hesitations).join('\n') || 'Not measured'
+      };
+      const narrative = await geminiService.generateFromTemplate('reading-analysis', variables, {
+        input: { originalText, transcript, timeSeconds, wordTimings }
+      });
+
+      // The measurements are authoritative; the LLM only interprets them
+      return { ...narrative, ...measurements };
     } catch (error) {
-      console.error('Reading analysis failed:', error);
-      throw new Error(`AI analysis failed: ${error.message}`);
+      logger.error('Reading analysis failed, returning the measurements only', { error });
+      metrics.recordFallback('reading analysis', 'service_error');
+      return {
+        ...measurements,
+        errorPatterns: [],
+        phonologicalIssues: [],
+        visualIssues: [],
+        strengths: [],
+        feedback: '',
+        aiError: true
+      };
     }
   }
 }
@@ -0,0 +1,180 @@
+/**
+ * Reading Hesitations
+ * Timing analysis of a read-aloud from the word onset times the reading test captures from
+ * interim speech recognition results (src/utils/readingTiming.js). It builds on the
+ * miscueAnalysis alignment, so every spoken word is tied to the passage word it was read as:
+ *   onset latency  - time from the previous passage word being read to this one being started
+ *                    (for the first word, from the start of recording)
+ *   long pause     - a gap between two spoken words of at least LONG_PAUSE_MS and at least
+ *                    PAUSE_FACTOR times the reader's median gap
+ *   regression     - going back to re-read an earlier passage word
+ *   restart        - a regression to the start of a sentence
+ * The result includes a per-word hesitation map of the passage for the report.
+ *
+ * Recognition reports a word shortly after it is spoken, with a fairly steady delay, so
+ * gaps and latencies are reliable while absolute onsets are late by that delay.
+ */
+
+const miscueAnalysis = require('./miscueAnalysis');
+
+const LONG_PAUSE_MS = 2000;
+const PAUSE_FACTOR = 2.5;
+// How far back an extra word is looked for in the passage to count as a re-read
+const REREAD_WINDOW = 12;
+
+const median = values => {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Onset of each transcript word. Timings are matched in order by word, so a transcript
+ * tokenized slightly differently from the timings still lines up; words without a timing
+ * get null. Onsets never go backwards.
+ */
+function onsetsOf(actual, wordTimings) {
+  const timings = wordTimings.map(({ word, onsetMs }) => ({
+    norm: miscueAnalysis.tokenize(word)[0]?.norm,
+    onsetMs
+  }));
+
+  let next = 0;
+  let latest = 0;
+  return actual.map(token => {
+    const found = timings.findIndex((timing, k) => k >= next && timing.norm === token.norm);
+    if (found === -1) return null;
+    next = found + 1;
+    latest = Math.max(latest, timings[found].onsetMs);
+    return Math.round(latest);
+  });
+}
+
+/**
+ * Passage position of each transcript word: the word it was aligned with, or for an extra
+ * word, the passage word it re-reads (null for extra words that are not in the passage nearby)
+ */
+function positionsOf(expected, actual, ops) {
+  const positions = new Array(actual.length).fill(null);
+  ops.forEach(op => {
+    if (op.i !== null && op.j !== null) positions[op.j] = op.i;
+  });
+
+  let pointer = -1;
+  actual.forEach((token, j) => {
+    if (positions[j] !== null) {
+      pointer = positions[j];
+      return;
+    }
+    // The next passage word again ("the cat the cat"), or one shortly before the last read
+    const lowest = Math.max(0, pointer - REREAD_WINDOW);
+    for (let k = Math.min(pointer + 1, expected.length - 1); k >= lowest; k--) {
+      if (expected[k].norm === token.norm) {
+        positions[j] = pointer = k;
+        return;
+      }
+    }
+  });
+  return positions;
+}
+
+/**
+ * Analyse the timing of a reading
+ * @param {string} originalText - The passage
+ * @param {string} transcript - What was read
+ * @param {Array} wordTimings - [{ word, onsetMs }] for the transcript words, in reading order,
+ *   with onsetMs measured from the start of recording
+ * @returns {Object|null} - null without timings, otherwise { startLatencyMs, medianGapMs,
+ *   longPauseMs, counts: { longPauses, regressions, restarts }, pauses: [{ position, said,
+ *   atMs, durationMs }], regressions: [{ from, to, atMs }], restarts: [{ from, to, atMs }],
+ *   words: [{ word, latencyMs, longPause }] } with positions as passage word indexes
+ */
+function analyze(originalText, transcript, wordTimings = []) {
+  if (!wordTimings?.length) return null;
+
+  const { expected, actual, ops } = miscueAnalysis.alignTranscript(originalText, transcript);
+  const onsets = onsetsOf(actual, wordTimings);
+  const positions = positionsOf(expected, actual, ops);
+
+  const gaps = [];
+  onsets.forEach((onset, j) => {
+    if (j > 0 && onset !== null && onsets[j - 1] !== null) gaps.push({ j, durationMs: onset - onsets[j - 1] });
+  });
+  const medianGapMs = Math.round(median(gaps.map(gap => gap.durationMs)));
+  const longPauseMs = Math.max(LONG_PAUSE_MS, Math.round(PAUSE_FACTOR * medianGapMs));
+
+  const pauses = gaps.filter(gap => gap.durationMs >= longPauseMs).map(({ j, durationMs }) => ({
+    position: positions[j],
+    said: actual[j].word,
+    atMs: onsets[j],
+    durationMs
+  }));
+
+  // Going back: a word read at an earlier passage position than the one before it
+  const regressions = [];
+  const restarts = [];
+  let previous = null;
+  positions.forEach((position, j) => {
+    if (position === null) return;
+    if (previous !== null && position < previous) {
+      (expected[position].sentenceStart ? restarts : regressions).push({ from: previous, to: position, atMs: onsets[j] });
+    }
+    previous = position;
+  });
+
+  // Latency of each passage word the first time it is read
+  const words = expected.map(({ word }) => ({ word, latencyMs: null, longPause: false }));
+  let lastRead = null;
+  positions.forEach((position, j) => {
+    if (position === null) return;
+    const entry = words[position];
+    if (entry.latencyMs === null && onsets[j] !== null) {
+      const since = lastRead === null ? 0 : onsets[lastRead];
+      if (since !== null) {
+        entry.latencyMs = onsets[j] - since;
+        entry.longPause = lastRead !== null && entry.latencyMs >= longPauseMs;
+      }
+    }
+    lastRead = j;
+  });
+
+  const firstOnset = onsets.find(onset => onset !== null);
+
+  return {
+    startLatencyMs: firstOnset ?? null,
+    medianGapMs,
+    longPauseMs,
+    counts: {
+      longPauses: pauses.length,
+      regressions: regressions.length,
+      restarts: restarts.length
+    },
+    pauses,
+    regressions,
+    restarts,
+    words
+  };
+}
+
+/**
+ * One line per hesitation, e.g. 'long pause: 2.4 s before "treasure"'
+ */
+function describe(hesitations) {
+  if (!hesitations) return [];
+  const { words } = hesitations;
+  const word = position => (position === null ? 'an extra word' : `"${words[position].word}"`);
+  const seconds = ms => `${(ms / 1000).toFixed(1)} s`;
+
+  return [
+    `median gap between words: ${seconds(hesitations.medianGapMs)}`,
+    ...hesitations.pauses.map(pause => `long pause: ${seconds(pause.durationMs)} before ${word(pause.position)}`),
+    ...hesitations.regressions.map(({ from, to }) => `regression: from ${word(from)} back to ${word(to)}`),
+    ...hesitations.restarts.map(({ from, to }) => `restart: from ${word(from)} back to ${word(to)} at the start of the sentence`)
+  ];
+}
+
+module.exports = {
+  analyze,
+  describe
+};
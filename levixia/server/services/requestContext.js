@@ -0,0 +1,75 @@
+/**
+ * Request Context
+ * Per-request values (the request id and the calling user) that any service in the call
+ * chain can read without threading them through every function, via AsyncLocalStorage.
+ * Requests start anonymous; authService.requireAuth sets the signed-in user.
+ *
+ * The request id comes from a well-formed X-Request-Id header, or is generated, and is
+ * echoed in the response's X-Request-Id header so clients can quote it.
+ */
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const ANONYMOUS = 'anonymous';
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Express middleware: open a context for the request
+ */
+function middleware(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+  storage.run({ requestId, userId: ANONYMOUS }, next);
+}
+
+/**
+ * Run a function inside a given context (scripts, tests, background work)
+ */
+function run(context, fn) {
+  return storage.run({ userId: ANONYMOUS, ...context }, fn);
+}
+
+/**
+ * Current context, or an empty object outside a request
+ */
+function get() {
+  return storage.getStore() || {};
+}
+
+/**
+ * Set the user of the current request (no-op outside a context)
+ */
+function setUserId(userId) {
+  const context = storage.getStore();
+  if (context) context.userId = userId;
+}
+
+/**
+ * Id of the current request (undefined outside a request)
+ */
+function getRequestId() {
+  return get().requestId;
+}
+
+/**
+ * User of the current request ('anonymous' when unknown)
+ */
+function getUserId() {
+  return get().userId || ANONYMOUS;
+}
+
+module.exports = {
+  ANONYMOUS,
+  middleware,
+  run,
+  get,
+  getRequestId,
+  getUserId,
+  setUserId
+};
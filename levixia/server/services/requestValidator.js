@@ -0,0 +1,70 @@
+/**
+ * Request Validator
+ * Express middleware that checks a request's body, query and params against the
+ * declarative schemas in schemas/requestSchemas.js before the route handler runs.
+ *
+ * Invalid requests get a 400 listing every invalid field:
+ *   { error: 'Invalid request', message, fields: [{ location, field, message }] }
+ * Bodies that are not JSON or exceed the body size limit are answered the same way
+ * (400 / 413) by bodyErrorHandler instead of Express's HTML error page.
+ */
+
+const { validate } = require('./schemaValidator');
+const logger = require('./logger');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * Build middleware for one endpoint's schemas
+ * @param {Object} schemas - { body, query, params } - any of them may be omitted
+ * @returns {Function} - Express middleware; the schemas stay readable as .requestSchemas
+ */
+function validateRequest(schemas) {
+  const middleware = (req, res, next) => {
+    const fields = [];
+
+    LOCATIONS.forEach(location => {
+      if (!schemas[location]) return;
+      const { errors } = validate(schemas[location], req[location] ?? {});
+      errors.forEach(error => fields.push({ location, field: error.path || location, message: error.message }));
+    });
+
+    if (!fields.length) return next();
+
+    logger.warn(`🚫 Rejected ${req.method} ${req.originalUrl}: ${fields.length} invalid field(s)`);
+    res.status(400).json({
+      error: 'Invalid request',
+      message: fields.map(f => `${f.field} ${f.message}`).join('; '),
+      fields
+    });
+  };
+
+  middleware.requestSchemas = schemas;
+  return middleware;
+}
+
+/**
+ * Error middleware for express.json() failures (malformed JSON, oversized bodies)
+ */
+function bodyErrorHandler(err, req, res, next) {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({
+      error: 'Payload too large',
+      message: `Request body exceeds the ${err.limit} byte limit`,
+      fields: [{ location: 'body', field: 'body', message: `must be at most ${err.limit} bytes` }]
+    });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: 'Request body is not valid JSON',
+      fields: [{ location: 'body', field: 'body', message: 'must be valid JSON' }]
+    });
+  }
+  next(err);
+}
+
+module.exports = {
+  validateRequest,
+  bodyErrorHandler
+};
@@ -0,0 +1,202 @@
+/**
+ * Resilience Helpers
+ * Timeouts, jittered exponential retries and a circuit breaker for LLM calls.
+ */
+
+const logger = require('./logger');
+
+const TRANSIENT_STATUS = [408, 429, 500, 502, 503, 504];
+const TRANSIENT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET'];
+
+class TimeoutError extends Error {
+  constructor(label, ms) {
+    super(`${label} timed out after ${ms}ms`);
+    this.name = 'TimeoutError';
+  }
+}
+
+class CircuitOpenError extends Error {
+  /**
+   * @param {number|null} retryAt - When calls may be tried again (ms since epoch), if known
+   */
+  constructor(name, retryAt = null) {
+    const known = Number.isFinite(retryAt);
+    super(`Circuit ${name} is open${known ? ` until ${new Date(retryAt).toISOString()}` : ''}`);
+    this.name = 'CircuitOpenError';
+    this.retryAt = known ? retryAt : null;
+  }
+}
+
+/**
+ * Run an async function with a deadline
+ * The function receives an AbortSignal that fires when the deadline passes.
+ * @param {Function} fn - (signal) => Promise
+ * @param {number} ms - Timeout in milliseconds
+ * @param {string} label - Used in the error message
+ * @returns {Promise<*>} - Result of fn
+ */
+async function withTimeout(fn, ms, label = 'Operation') {
+  const controller = new AbortController();
+  let timer;
+
+  const deadline = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      controller.abort();
+      reject(new TimeoutError(label, ms));
+    }, ms);
+  });
+
+  try {
+    return await Promise.race([fn(controller.signal), deadline]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Whether an error is worth retrying (rate limits, server errors, timeouts, network)
+ */
+function isTransientError(error) {
+  if (!error) return false;
+  if (error.name === 'TimeoutError') return true;
+  if (TRANSIENT_STATUS.includes(error.status)) return true;
+  if (TRANSIENT_CODES.includes(error.code) || TRANSIENT_CODES.includes(error.cause?.code)) return true;
+  return /\[(408|429|50[0234])\b|fetch failed|socket hang up/i.test(error.message || '');
+}
+
+/**
+ * Delay before a retry: full jitter over an exponentially growing window
+ * @param {number} attempt - Retry number, starting at 1
+ */
+function backoffDelay(attempt, { baseDelayMs = 500, maxDelayMs = 8000 } = {}) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * ceiling);
+}
+
+/**
+ * Retry an async function on transient errors
+ * @param {Function} fn - (attempt) => Promise, attempt starts at 0
+ * @param {Object} options - { retries, baseDelayMs, maxDelayMs, shouldRetry, onRetry }
+ * @returns {Promise<*>} - Result of the first successful attempt
+ */
+async function retry(fn, options = {}) {
+  const { retries = 2, shouldRetry = isTransientError, onRetry = () => {} } = options;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || !shouldRetry(error)) throw error;
+      const delay = backoffDelay(attempt + 1, options);
+      onRetry(error, attempt + 1, delay);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * Circuit breaker
+ * closed    - calls flow; consecutive failures are counted
+ * open      - calls are refused until the cooldown passes
+ * half-open - one trial call is let through; success closes, failure re-opens
+ */
+class CircuitBreaker {
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+    this.stats = { successes: 0, failures: 0, rejected: 0, trips: 0 };
+  }
+
+  /**
+   * Whether a call may go through now (claims the half-open trial slot)
+   */
+  allowRequest() {
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      this.trialInFlight = false;
+    }
+
+    if (this.state === 'closed') return true;
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+
+    this.stats.rejected++;
+    return false;
+  }
+
+  recordSuccess() {
+    this.stats.successes++;
+    if (this.state !== 'closed') {
+      logger.info(`🟢 Circuit ${this.name} closed`);
+    }
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.stats.failures++;
+    this.failures++;
+    this.trialInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') this.stats.trips++;
+      this.state = 'open';
+      this.openedAt = Date.now();
+      logger.warn(`🔴 Circuit ${this.name} open after ${this.failures} failures; retrying in ${this.cooldownMs}ms`);
+    }
+  }
+
+  /**
+   * Give back the half-open trial slot when the trial call ended without telling us
+   * whether the provider is healthy (neither recordSuccess nor recordFailure was called)
+   */
+  releaseTrial() {
+    this.trialInFlight = false;
+  }
+
+  /**
+   * When refused calls can next be tried (ms since epoch), or null while closed. While a
+   * half-open trial is in flight this is already past.
+   */
+  retryAt() {
+    return this.openedAt === null ? null : this.openedAt + this.cooldownMs;
+  }
+
+  /**
+   * Snapshot for health checks
+   */
+  getState() {
+    // Report an expired cooldown as half-open without claiming the trial slot
+    const state = this.state === 'open' && Date.now() - this.openedAt >= this.cooldownMs ? 'half-open' : this.state;
+    return {
+      name: this.name,
+      state,
+      consecutiveFailures: this.failures,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: state === 'open' ? new Date(this.openedAt + this.cooldownMs).toISOString() : null,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = {
+  TimeoutError,
+  CircuitOpenError,
+  CircuitBreaker,
+  withTimeout,
+  retry,
+  isTransientError,
+  backoffDelay
+};
@@ -0,0 +1,241 @@
+/**
+ * Response Cache
+ * Content-addressed cache for parsed LLM responses.
+ * Two tiers: an in-memory LRU and JSON files on disk, both with TTL and size limits.
+ *
+ * Keys are a SHA-256 of { task, promptVersion, provider, prompt }. The rendered prompt
+ * already embeds the task input, so identical input yields an identical key.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '.cache', 'llm');
+
+// Callers may mutate values, so never store or hand out their objects
+const clone = value => JSON.parse(JSON.stringify(value));
+
+class ResponseCache {
+  constructor(options = {}) {
+    this.enabled = options.enabled ?? process.env.LLM_CACHE_ENABLED !== 'false';
+    this.dir = options.dir || process.env.LLM_CACHE_DIR || DEFAULT_DIR;
+    this.ttlMs = options.ttlMs ?? Number(process.env.LLM_CACHE_TTL_MS || 24 * 60 * 60 * 1000);
+    this.maxMemoryEntries = options.maxMemoryEntries ?? Number(process.env.LLM_CACHE_MAX_MEMORY_ENTRIES || 500);
+    this.maxDiskEntries = options.maxDiskEntries ?? Number(process.env.LLM_CACHE_MAX_DISK_ENTRIES || 5000);
+
+    // Map preserves insertion order; re-inserting on read keeps it in LRU order
+    this.memory = new Map();
+    this.stats = { hits: 0, memoryHits: 0, diskHits: 0, misses: 0, writes: 0, evictions: 0 };
+  }
+
+  /**
+   * Build the cache key for a request
+   * @param {Object} parts - { task, promptVersion, provider, prompt }
+   * @returns {string} - Hex digest
+   */
+  buildKey({ task, promptVersion = 'inline', provider = '', prompt = '' }) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ task, promptVersion, provider, prompt }))
+      .digest('hex');
+  }
+
+  /**
+   * Look up a cached value
+   * @param {string} key - Cache key
+   * @returns {Promise<*>} - Cached value or undefined
+   */
+  async get(key) {
+    if (!this.enabled) return undefined;
+
+    const memoryEntry = this.memory.get(key);
+    if (memoryEntry) {
+      if (this.isExpired(memoryEntry)) {
+        this.memory.delete(key);
+      } else {
+        this.memory.delete(key);
+        this.memory.set(key, memoryEntry);
+        this.stats.hits++;
+        this.stats.memoryHits++;
+        return clone(memoryEntry.value);
+      }
+    }
+
+    const diskEntry = await this.readDisk(key);
+    if (diskEntry && !this.isExpired(diskEntry)) {
+      this.remember(key, diskEntry);
+      this.stats.hits++;
+      this.stats.diskHits++;
+      return clone(diskEntry.value);
+    }
+    if (diskEntry) {
+      await this.removeDisk(key);
+    }
+
+    this.stats.misses++;
+    return undefined;
+  }
+
+  /**
+   * Store a value in both tiers
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serialisable value
+   * @param {Object} meta - { task, promptVersion } for inspection
+   */
+  async set(key, value, meta = {}) {
+    if (!this.enabled) return;
+
+    const now = Date.now();
+    const entry = {
+      key,
+      task: meta.task || 'unknown',
+      promptVersion: meta.promptVersion || 'inline',
+      createdAt: now,
+      expiresAt: now + this.ttlMs,
+      value: clone(value)
+    };
+
+    this.remember(key, entry);
+    this.stats.writes++;
+
+    try {
+      await fs.mkdir(this.dir, { recursive: true });
+      await fs.writeFile(this.filePath(key), JSON.stringify(entry));
+      await this.enforceDiskLimit();
+    } catch (error) {
+      logger.warn('⚠️  Response cache disk write failed', { error });
+    }
+  }
+
+  /**
+   * Summary of both tiers
+   * @returns {Promise<Object>} - Cache statistics
+   */
+  async inspect() {
+    const diskEntries = await this.listDisk();
+    const byTask = {};
+    diskEntries.forEach(entry => {
+      byTask[entry.task] = (byTask[entry.task] || 0) + 1;
+    });
+
+    return {
+      enabled: this.enabled,
+      ttlMs: this.ttlMs,
+      memory: { entries: this.memory.size, maxEntries: this.maxMemoryEntries },
+      disk: {
+        directory: this.dir,
+        entries: diskEntries.length,
+        maxEntries: this.maxDiskEntries,
+        bytes: diskEntries.reduce((sum, e) => sum + e.bytes, 0),
+        expired: diskEntries.filter(e => this.isExpired(e)).length
+      },
+      byTask,
+      stats: { ...this.stats }
+    };
+  }
+
+  /**
+   * Remove entries from both tiers
+   * @param {Object} filter - { task, expiredOnly }
+   * @returns {Promise<number>} - Number of entries removed
+   */
+  async purge(filter = {}) {
+    const { task, expiredOnly = false } = filter;
+    const matches = entry => (!task || entry.task === task) && (!expiredOnly || this.isExpired(entry));
+
+    for (const [key, entry] of this.memory) {
+      if (matches(entry)) this.memory.delete(key);
+    }
+
+    let removed = 0;
+    for (const entry of await this.listDisk()) {
+      if (matches(entry)) {
+        await this.removeDisk(entry.key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // ========== INTERNALS ==========
+
+  isExpired(entry) {
+    return entry.expiresAt <= Date.now();
+  }
+
+  remember(key, entry) {
+    this.memory.delete(key);
+    this.memory.set(key, entry);
+    while (this.memory.size > this.maxMemoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+      this.stats.evictions++;
+    }
+  }
+
+  filePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  async readDisk(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath(key), 'utf-8'));
+    } catch {
+      return null;
+    }
+  }
+
+  async removeDisk(key) {
+    try {
+      await fs.unlink(this.filePath(key));
+    } catch {
+      // already gone
+    }
+  }
+
+  /**
+   * Metadata for every entry on disk (without values)
+   */
+  async listDisk() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch {
+      return [];
+    }
+
+    const entries = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const raw = await fs.readFile(path.join(this.dir, file), 'utf-8');
+        const { key, task, promptVersion, createdAt, expiresAt } = JSON.parse(raw);
+        entries.push({ key, task, promptVersion, createdAt, expiresAt, bytes: Buffer.byteLength(raw) });
+      } catch {
+        // skip unreadable entries
+      }
+    }
+    return entries;
+  }
+
+  /**
+   * Drop expired entries, then the oldest ones, until under the disk limit
+   */
+  async enforceDiskLimit() {
+    const files = await fs.readdir(this.dir);
+    if (files.length <= this.maxDiskEntries) return;
+
+    const entries = await this.listDisk();
+
+    const ordered = entries.sort((a, b) => {
+      const expiredDiff = Number(this.isExpired(b)) - Number(this.isExpired(a));
+      return expiredDiff || a.createdAt - b.createdAt;
+    });
+    for (const entry of ordered.slice(0, entries.length - this.maxDiskEntries)) {
+      await this.removeDisk(entry.key);
+      this.stats.evictions++;
+    }
+  }
+}
+
+module.exports = new ResponseCache();
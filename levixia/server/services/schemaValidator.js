@@ -0,0 +1,196 @@
+/**
+ * Schema Validator
+ * Validates values against a small JSON Schema subset, optionally coercing them.
+ *
+ * Supported keywords: type, properties, required, additionalProperties, items, enum,
+ * minimum, maximum, minLength, maxLength, pattern, minItems, maxItems, default, nullable.
+ *
+ * With coerce: true the validator repairs what it safely can instead of failing:
+ * numeric strings become numbers, numbers are clamped to minimum/maximum, enum values
+ * match case-insensitively, single values wrap into arrays, "true"/"false" become
+ * booleans, and missing properties with a default are filled in.
+ */
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Try to convert a value to the schema type
+ * @returns {*} - Converted value, or the original when no safe conversion exists
+ */
+function coerceType(value, type) {
+  if (type === 'number' || type === 'integer') {
+    if (typeof value === 'string' && value.trim() !== '') {
+      const parsed = Number(value.replace(/%$/, ''));
+      if (!Number.isNaN(parsed)) return type === 'integer' ? Math.round(parsed) : parsed;
+    }
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (type === 'integer' && typeof value === 'number') return Math.round(value);
+  }
+  if (type === 'string' && (typeof value === 'number' || typeof value === 'boolean')) {
+    return String(value);
+  }
+  if (type === 'boolean' && typeof value === 'string') {
+    if (/^(true|yes)$/i.test(value.trim())) return true;
+    if (/^(false|no)$/i.test(value.trim())) return false;
+  }
+  if (type === 'array' && value !== null && value !== undefined && !Array.isArray(value)) {
+    return [value];
+  }
+  return value;
+}
+
+function walk(schema, value, path, options, errors) {
+  const { coerce } = options;
+
+  if (value === undefined || (value === null && !schema.nullable && schema.type !== 'null')) {
+    if (coerce && schema.default !== undefined) return clone(schema.default);
+    if (value === null && schema.type) {
+      errors.push({ path, message: `must be ${schema.type}, got null` });
+    }
+    return value;
+  }
+  if (value === null) return value;
+
+  const types = Array.isArray(schema.type) ? schema.type : schema.type ? [schema.type] : [];
+  let current = value;
+  if (types.length && !types.some(t => matchesType(current, t))) {
+    if (coerce) {
+      for (const t of types) {
+        const converted = coerceType(current, t);
+        if (matchesType(converted, t)) {
+          current = converted;
+          break;
+        }
+      }
+    }
+    if (!types.some(t => matchesType(current, t))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return value;
+    }
+  }
+  if (coerce && types.includes('integer') && typeof current === 'number') {
+    current = Math.round(current);
+  }
+
+  if (schema.enum) {
+    if (!schema.enum.includes(current)) {
+      const match = coerce && typeof current === 'string'
+        ? schema.enum.find(option => String(option).toLowerCase() === current.trim().toLowerCase())
+        : undefined;
+      if (match !== undefined) {
+        current = match;
+      } else {
+        errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+      }
+    }
+  }
+
+  if (typeof current === 'number') {
+    if (schema.minimum !== undefined && current < schema.minimum) {
+      if (coerce) current = schema.minimum;
+      else errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && current > schema.maximum) {
+      if (coerce) current = schema.maximum;
+      else errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (typeof current === 'string') {
+    if (schema.minLength !== undefined && current.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && current.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(current)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(current)) {
+    if (schema.minItems !== undefined && current.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && current.length > schema.maxItems) {
+      if (coerce) current = current.slice(0, schema.maxItems);
+      else errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      current = current.map((item, idx) => walk(schema.items, item, `${path}[${idx}]`, options, errors));
+    }
+  }
+
+  if (typeOf(current) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    const result = { ...current };
+    const properties = schema.properties || {};
+
+    Object.entries(properties).forEach(([key, propertySchema]) => {
+      const childPath = path ? `${path}.${key}` : key;
+      const child = walk(propertySchema, result[key], childPath, options, errors);
+      if (child !== undefined) result[key] = child;
+    });
+
+    (schema.required || []).forEach(key => {
+      if (result[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+
+    if (schema.additionalProperties === false) {
+      Object.keys(result).forEach(key => {
+        if (!properties[key]) {
+          if (coerce) delete result[key];
+          else errors.push({ path: path ? `${path}.${key}` : key, message: 'is not allowed' });
+        }
+      });
+    } else if (typeOf(schema.additionalProperties) === 'object') {
+      Object.keys(result).forEach(key => {
+        if (!properties[key]) {
+          result[key] = walk(schema.additionalProperties, result[key], path ? `${path}.${key}` : key, options, errors);
+        }
+      });
+    }
+    current = result;
+  }
+
+  return current;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - Schema definition
+ * @param {*} value - Value to validate
+ * @param {Object} options - { coerce: boolean }
+ * @returns {Object} - { valid, value, errors: [{ path, message }] }
+ */
+function validate(schema, value, options = {}) {
+  const errors = [];
+  const result = walk(schema, value, '', { coerce: !!options.coerce }, errors);
+  return { valid: errors.length === 0, value: result, errors };
+}
+
+/**
+ * Render validation errors as one line per error
+ */
+function formatErrors(errors = []) {
+  return errors.map(e => `- ${e.path || '(root)'} ${e.message}`).join('\n');
+}
+
+module.exports = {
+  validate,
+  formatErrors
+};
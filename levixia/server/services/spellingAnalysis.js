@@ -4,6 +4,7 @@
  */
 
 const geminiService = require('./geminiService');
+const logger = require('./logger');
 
 class SpellingAnalysis {
   /**
@@ -36,42 +37,12 @@ class SpellingAnalysis {
       };
     }
 
-    const prompt = `You are an expert in learning disabilities assessment, specifically dyslexia and dysgraphia evaluation.
-
-Analyze these spelling errors:
-
-${JSON.stringify(errors, null, 2)}
-
-Classify each error as:
-- Phonetic: Sound-based errors (e.g., "definately" for "definitely")
-- Visual: Letter reversals, substitutions (e.g., "beuatiful" for "beautiful")
-- Morphological: Word structure errors (e.g., "seperate" for "separate")
-- Phoneme-Grapheme: Sound-to-letter mapping issues
-
-Calculate:
-1. Orthographic weakness index (0-100, higher = more difficulty with word structure)
-2. Phoneme-grapheme mismatch score (0-100, higher = more sound-letter confusion)
-
-Return JSON:
-{
-  "errorTypes": ["Phonetic", "Visual", etc.],
-  "orthographicWeakness": 45,
-  "phonemeGraphemeMismatch": 60,
-  "errorClassifications": [
-    {
-      "word": "definitely",
-      "attempt": "definately",
-      "type": "Phonetic",
-      "pattern": "phoneme substitution"
-    }
-  ],
-  "feedback": "Encouraging feedback about spelling patterns"
-}`;
-
     try {
-      return await geminiService.generateJSON('spelling analysis', prompt);
+      return await geminiService.generateFromTemplate('spelling-analysis', { errors }, {
+        input: { errors }
+      });
     } catch (error) {
-      console.error('Spelling analysis failed:', error);
+      logger.error('Spelling analysis failed', { error });
       throw new Error(`AI analysis failed: ${error.message}`);
     }
   }
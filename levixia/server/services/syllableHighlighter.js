@@ -4,6 +4,8 @@
  */
 
 const geminiService = require('./geminiService');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 class SyllableHighlighter {
   /**
@@ -17,48 +19,40 @@ class SyllableHighlighter {
       return { highlightedText: text, syllables: [] };
     }
 
-    const prompt = `Break down multi-syllable words in this text into syllables and highlight them.
-
-TEXT:
-"${text}"
-
-For each word with 2+ syllables, break it into syllables.
-Example: "comprehension" → "com-pre-hen-sion"
-
-Return JSON:
-{
-  "highlightedText": "Text with syllables highlighted using hyphens",
-  "syllables": [
-    {
-      "word": "comprehension",
-      "syllables": ["com", "pre", "hen", "sion"],
-      "position": 10
-    }
-  ]
-}`;
-
     try {
-      const result = await geminiService.generateJSON('syllable highlighting', prompt);
-      
-      // Apply syllable highlighting to text
-      let highlightedText = text;
-      if (result.syllables && result.syllables.length > 0) {
-        result.syllables.forEach(syllable => {
-          const syllableString = syllable.syllables.join('-');
-          const regex = new RegExp(`\\b${syllable.word}\\b`, 'gi');
-          highlightedText = highlightedText.replace(regex, syllableString);
-        });
-      }
-
-      return {
-        highlightedText: highlightedText || text,
-        syllables: result.syllables || []
-      };
+      const result = await geminiService.generateFromTemplate('syllable-highlighting', { text }, {
+        input: { text }
+      });
+      return this.apply(text, result);
     } catch (error) {
-      console.error('Syllable highlighting failed:', error);
+      logger.error('Syllable highlighting failed', { error });
+      metrics.recordFallback('syllable highlighting', 'service_error');
       return { highlightedText: text, syllables: [] };
     }
   }
+
+  /**
+   * Hyphenate words in a text from their syllable breakdowns
+   * @param {string} text - Text to highlight
+   * @param {Object} result - { syllables, promptTemplate } from the LLM
+   * @returns {Object} - Text with highlighted syllables
+   */
+  apply(text, result) {
+    let highlightedText = text;
+    if (result.syllables && result.syllables.length > 0) {
+      result.syllables.forEach(syllable => {
+        const syllableString = syllable.syllables.join('-');
+        const regex = new RegExp(`\\b${syllable.word}\\b`, 'gi');
+        highlightedText = highlightedText.replace(regex, syllableString);
+      });
+    }
+
+    return {
+      highlightedText: highlightedText || text,
+      syllables: result.syllables || [],
+      promptTemplate: result.promptTemplate
+    };
+  }
 }
 
 module.exports = new SyllableHighlighter();
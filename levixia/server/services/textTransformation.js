@@ -4,6 +4,8 @@
  */
 
 const geminiService = require('./geminiService');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 class TextTransformation {
   /**
@@ -18,68 +20,19 @@ class TextTransformation {
     const enabledFeatures = userProfile.enabledFeatures || {};
     const readingGap = report.readingGapAnalysis || {};
     
-    const prompt = `Transform this text to make it more accessible and readable based on the user's learning profile.
-
-ORIGINAL TEXT:
-"${originalText}"
-
-USER PROFILE:
-- Reading Pace: ${readingPrefs.preferredPace || 120} WPM
-- Average Time Per Word: ${readingGap.averageTimePerWord || 0.5} seconds
-- Reading Gap: ${readingGap.gapPercent || 0}% ${readingGap.gapPercent > 0 ? 'slower' : 'faster'} than average
-- Chunk Size: ${readingPrefs.chunkSize || 6} words per chunk
-- Enabled Features: ${Object.entries(enabledFeatures).filter(([_, v]) => v).map(([k]) => k).join(', ') || 'None'}
-
-TRANSFORMATION REQUIREMENTS:
-1. Simplify sentence structure if cognitive load reduction is enabled
-2. Break long sentences into shorter chunks (${readingPrefs.chunkSize || 6} words per chunk)
-3. Use simpler vocabulary if reading accuracy < 80%
-4. Add spacing between words if smart spacing is enabled
-5. Highlight key concepts if keyword highlighting is enabled
-6. Adjust complexity based on reading pace (slower pace = simpler text)
-7. Maintain original meaning and context
-8. Make text dyslexia-friendly (clear structure, avoid confusing words)
-9. Increase line spacing for better readability
-10. Increase letter spacing if visual stress detected
-11. Break into shorter paragraphs (max 3-4 sentences)
-12. Highlight syllables in complex words (optional, if syllable highlighting enabled)
-
-DYSLEXIA-FRIENDLY FORMATTING:
-- Use increased spacing between letters and words
-- Break text into shorter paragraphs
-- Use simple, clear vocabulary
-- Highlight syllables in multi-syllable words (e.g., "com-pre-hen-sion")
-- Use clear sentence structure
-
-Return JSON:
-{
-  "transformedText": "Transformed text with proper formatting and spacing",
-  "originalWordCount": ${originalText.split(/\s+/).length},
-  "transformedWordCount": 0,
-  "complexityReduction": 0.15,
-  "appliedTransformations": ["simplification", "chunking", "spacing", "syllable_highlighting"],
-  "keyChanges": [
-    {
-      "original": "complex phrase",
-      "transformed": "simpler phrase",
-      "reason": "Simplified for better comprehension"
-    }
-  ],
-  "readingTimeEstimate": {
-    "originalSeconds": 0,
-    "transformedSeconds": 0,
-    "improvementPercent": 0
-  },
-  "syllableHighlights": [
-    {
-      "word": "comprehension",
-      "syllables": ["com", "pre", "hen", "sion"]
-    }
-  ]
-}`;
-
     try {
-      const result = await geminiService.generateJSON('text transformation', prompt);
+      const result = await geminiService.generateFromTemplate('text-transformation', {
+        originalText,
+        preferredPace: readingPrefs.preferredPace || 120,
+        averageTimePerWord: readingGap.averageTimePerWord || 0.5,
+        gapPercent: readingGap.gapPercent || 0,
+        gapDirection: readingGap.gapPercent > 0 ? 'slower' : 'faster',
+        chunkSize: readingPrefs.chunkSize || 6,
+        enabledFeatures: Object.entries(enabledFeatures).filter(([_, v]) => v).map(([k]) => k).join(', ') || 'None',
+        originalWordCount: originalText.split(/\s+/).length
+      }, {
+        input: { originalText, readingPreferences: readingPrefs, enabledFeatures }
+      });
       
       // Calculate reading time estimates
       const originalWordCount = originalText.split(/\s+/).length;
@@ -102,10 +55,12 @@ Return JSON:
           originalSeconds: Math.round(originalSeconds),
           transformedSeconds: Math.round(transformedSeconds),
           improvementPercent: Math.round(improvementPercent * 10) / 10
-        }
+        },
+        promptTemplate: result.promptTemplate
       };
     } catch (error) {
-      console.error('Text transformation failed:', error);
+      logger.error('Text transformation failed', { error });
+      metrics.recordFallback('text transformation', 'service_error');
       // Fallback: return original text
       return {
         transformedText: originalText,
@@ -0,0 +1,251 @@
+/**
+ * Usage Tracker
+ * Token accounting for LLM calls per day, user and task, with per-user quotas.
+ *
+ * Counters are kept as days -> user -> task -> totals and saved to a JSON file
+ * (USAGE_FILE, default server/.data/usage.json). Monthly figures are summed from days.
+ *
+ * Quotas cap billable tokens (answers from a paid provider, not the local fallback).
+ * Defaults come from LLM_USER_DAILY_TOKENS / LLM_USER_MONTHLY_TOKENS (unset or 0 means
+ * unlimited); admins can override them per user. Over-quota users are answered by the
+ * local provider (see geminiService.invoke).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '.data', 'usage.json');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SAVE_DELAY_MS = 1000;
+
+const emptyTotals = () => ({ calls: 0, promptTokens: 0, responseTokens: 0, billableTokens: 0, fallbackCalls: 0 });
+
+function addTotals(target, source) {
+  Object.keys(target).forEach(key => {
+    target[key] += source[key] || 0;
+  });
+  return target;
+}
+
+const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+const monthKey = (date = new Date()) => date.toISOString().slice(0, 7);
+
+/**
+ * Parse a quota value; anything that is not a positive number means unlimited
+ */
+const parseLimit = value => (Number(value) > 0 ? Math.floor(Number(value)) : null);
+
+class UsageTracker {
+  constructor(options = {}) {
+    this.file = options.file || process.env.USAGE_FILE || DEFAULT_FILE;
+    this.retentionDays = options.retentionDays ?? Number(process.env.USAGE_RETENTION_DAYS || 400);
+    this.defaultQuota = {
+      daily: parseLimit(options.dailyTokens ?? process.env.LLM_USER_DAILY_TOKENS),
+      monthly: parseLimit(options.monthlyTokens ?? process.env.LLM_USER_MONTHLY_TOKENS)
+    };
+
+    this.days = {}; // 'YYYY-MM-DD' -> userId -> task -> totals
+    this.quotas = {}; // userId -> { daily, monthly }
+    this.saveTimer = null;
+    this.writes = Promise.resolve();
+    this.load();
+  }
+
+  /**
+   * Read saved counters and quota overrides (a missing file starts empty)
+   */
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf-8'));
+      this.days = saved.days || {};
+      this.quotas = saved.quotas || {};
+    } catch (error) {
+      logger.error(`❌ Could not read usage file ${this.file}, starting empty`, { error });
+    }
+  }
+
+  /**
+   * Rough token count for providers that do not report one (about 4 characters per token)
+   */
+  estimateTokens(text = '') {
+    return Math.ceil(String(text).length / 4);
+  }
+
+  /**
+   * Count one LLM call
+   * @param {Object} call - { userId, task, promptTokens, responseTokens, billable, fallback }
+   *   billable: answered by a paid provider; fallback: answered by the local provider instead of it
+   */
+  record({ userId, task, promptTokens = 0, responseTokens = 0, billable = false, fallback = false }) {
+    const day = (this.days[dayKey()] ??= {});
+    const user = (day[userId] ??= {});
+    const totals = (user[task] ??= emptyTotals());
+
+    totals.calls++;
+    totals.promptTokens += promptTokens;
+    totals.responseTokens += responseTokens;
+    if (billable) totals.billableTokens += promptTokens + responseTokens;
+    if (fallback) totals.fallbackCalls++;
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Quota for a user: their override, else the defaults
+   * @returns {Object} - { daily, monthly, custom } - null limits are unlimited
+   */
+  getQuota(userId) {
+    const custom = this.quotas[userId];
+    return custom
+      ? { daily: custom.daily ?? null, monthly: custom.monthly ?? null, custom: true }
+      : { ...this.defaultQuota, custom: false };
+  }
+
+  /**
+   * Override a user's quota (null or 0 removes that limit)
+   */
+  setQuota(userId, { daily, monthly } = {}) {
+    this.quotas[userId] = { daily: parseLimit(daily), monthly: parseLimit(monthly) };
+    this.scheduleSave();
+    return this.getQuota(userId);
+  }
+
+  /**
+   * Drop a user's override so the defaults apply again
+   */
+  clearQuota(userId) {
+    delete this.quotas[userId];
+    this.scheduleSave();
+    return this.getQuota(userId);
+  }
+
+  /**
+   * Today's and this month's usage for a user, measured against their quota
+   */
+  getUserUsage(userId) {
+    const today = dayKey();
+    const month = monthKey();
+    const totals = { today: emptyTotals(), month: emptyTotals() };
+
+    Object.entries(this.days).forEach(([day, users]) => {
+      if (!day.startsWith(month) || !users[userId]) return;
+      Object.values(users[userId]).forEach(taskTotals => {
+        addTotals(totals.month, taskTotals);
+        if (day === today) addTotals(totals.today, taskTotals);
+      });
+    });
+
+    const quota = this.getQuota(userId);
+    const remaining = {
+      daily: quota.daily === null ? null : Math.max(0, quota.daily - totals.today.billableTokens),
+      monthly: quota.monthly === null ? null : Math.max(0, quota.monthly - totals.month.billableTokens)
+    };
+
+    return {
+      userId,
+      today: totals.today,
+      month: totals.month,
+      quota,
+      remaining,
+      overQuota: remaining.daily === 0 || remaining.monthly === 0
+    };
+  }
+
+  /**
+   * Whether a user has used up their daily or monthly billable tokens
+   */
+  isOverQuota(userId) {
+    const { daily, monthly } = this.getQuota(userId);
+    if (daily === null && monthly === null) return false;
+    return this.getUserUsage(userId).overQuota;
+  }
+
+  /**
+   * Aggregate usage into daily or monthly buckets
+   * @param {Object} options - { period: 'daily'|'monthly', from, to, userId, task }
+   *   from/to are bucket keys (YYYY-MM-DD or YYYY-MM), inclusive; default last 30 days / 12 months
+   * @returns {Object} - { period, from, to, totals, buckets: [{ period, totals, byUser, byTask }] }
+   */
+  aggregate(options = {}) {
+    const period = options.period === 'monthly' ? 'monthly' : 'daily';
+    const bucketOf = period === 'monthly' ? day => day.slice(0, 7) : day => day;
+    const now = new Date();
+    const from = options.from || (period === 'monthly'
+      ? monthKey(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 11, 1)))
+      : dayKey(new Date(now.getTime() - 29 * DAY_MS)));
+    const to = options.to || (period === 'monthly' ? monthKey(now) : dayKey(now));
+
+    const buckets = new Map();
+    const totals = emptyTotals();
+
+    Object.keys(this.days).sort().forEach(day => {
+      const key = bucketOf(day);
+      if (key < from || key > to) return;
+
+      Object.entries(this.days[day]).forEach(([userId, tasks]) => {
+        if (options.userId && userId !== options.userId) return;
+
+        Object.entries(tasks).forEach(([task, taskTotals]) => {
+          if (options.task && task !== options.task) return;
+
+          if (!buckets.has(key)) buckets.set(key, { period: key, totals: emptyTotals(), byUser: {}, byTask: {} });
+          const bucket = buckets.get(key);
+          addTotals(bucket.totals, taskTotals);
+          addTotals((bucket.byUser[userId] ??= emptyTotals()), taskTotals);
+          addTotals((bucket.byTask[task] ??= emptyTotals()), taskTotals);
+          addTotals(totals, taskTotals);
+        });
+      });
+    });
+
+    return { period, from, to, totals, buckets: [...buckets.values()] };
+  }
+
+  /**
+   * Save soon, coalescing bursts of calls into one write
+   */
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.flush();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write counters and quotas to disk now
+   * A failed write is logged, and the next save writes everything again.
+   */
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    this.prune();
+
+    const snapshot = JSON.stringify({ days: this.days, quotas: this.quotas }, null, 2);
+    this.writes = this.writes
+      .then(async () => {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(`${this.file}.tmp`, snapshot);
+        await fs.promises.rename(`${this.file}.tmp`, this.file);
+      })
+      .catch(error => logger.error('❌ Failed to save usage', { error }));
+    return this.writes;
+  }
+
+  /**
+   * Forget days older than the retention window
+   */
+  prune() {
+    const cutoff = dayKey(new Date(Date.now() - this.retentionDays * DAY_MS));
+    Object.keys(this.days).forEach(day => {
+      if (day < cutoff) delete this.days[day];
+    });
+  }
+}
+
+module.exports = new UsageTracker();
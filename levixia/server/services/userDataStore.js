@@ -0,0 +1,271 @@
+/**
+ * User Data Store
+ * Per-account learner data in the embedded database (see database.js):
+ * - profile: basic details from profile setup (name, age group, language)
+ * - reports: screening reports with the assessment results behind them, newest first
+ * - learning profile: the adaptive assistant's current learning profile
+ * - sessions: tracked reading/writing sessions, the history adaptive updates read from
+ * - suggestion feedback: each accepted/rejected writing suggestion, summarised as accept rates
+ * - served passages: the passage bank passages the reading test has given the learner
+ *
+ * Documents are stored as JSON; every method is scoped to one user id.
+ */
+
+const database = require('./database');
+const llmTaskSchemas = require('../schemas/llmTaskSchemas');
+
+const parse = value => (value === null || value === undefined ? null : JSON.parse(value));
+const now = () => new Date().toISOString();
+
+const toReport = row => row && {
+  id: row.id,
+  report: parse(row.report),
+  assessmentResults: parse(row.assessment_results),
+  createdAt: row.created_at
+};
+
+// Error categories suggestions are grouped by: the error types the writing assistant gives
+const FEEDBACK_CATEGORIES = llmTaskSchemas['standalone writing feedback'].properties.errors.items.properties.type.enum;
+
+// Each category's recent decisions, which mutes are judged on so that they can lift again
+const RECENT_DECISIONS = 20;
+const RECENT_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toFeedback = row => row && {
+  id: row.id,
+  suggestionId: row.suggestion_id,
+  action: row.action,
+  errorType: row.error_type,
+  suggestionLevel: row.suggestion_level,
+  original: row.original,
+  corrected: row.corrected,
+  createdAt: row.created_at
+};
+
+const acceptRate = ({ accepted, total }) => (total > 0 ? Math.round((accepted / total) * 100) : null);
+
+/**
+ * Add one group of decisions to an { accepted, rejected, total } tally
+ */
+function tally(totals, key, action, count) {
+  const entry = totals[key] || (totals[key] = { accepted: 0, rejected: 0, total: 0 });
+  entry[action] += count;
+  entry.total += count;
+}
+
+const toSession = row => row && {
+  id: row.id,
+  type: row.type,
+  data: parse(row.data),
+  createdAt: row.created_at
+};
+
+class UserDataStore {
+  // ---------- Profile ----------
+
+  getProfile(userId) {
+    const row = database.db.prepare('SELECT data FROM profiles WHERE user_id = ?').get(userId);
+    return row ? parse(row.data) : null;
+  }
+
+  /**
+   * Replace the user's profile
+   */
+  saveProfile(userId, profile) {
+    database.db.prepare(`
+      INSERT INTO profiles (user_id, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(userId, JSON.stringify(profile), now());
+    return profile;
+  }
+
+  deleteProfile(userId) {
+    return database.db.prepare('DELETE FROM profiles WHERE user_id = ?').run(userId).changes > 0;
+  }
+
+  // ---------- Reports ----------
+
+  /**
+   * Reports, newest first
+   * @param {Object} options - { limit }
+   */
+  listReports(userId, { limit = 20 } = {}) {
+    return database.db.prepare('SELECT * FROM reports WHERE user_id = ? ORDER BY id DESC LIMIT ?')
+      .all(userId, limit)
+      .map(toReport);
+  }
+
+  getReport(userId, id) {
+    return toReport(database.db.prepare('SELECT * FROM reports WHERE user_id = ? AND id = ?').get(userId, id)) || null;
+  }
+
+  getLatestReport(userId) {
+    return this.listReports(userId, { limit: 1 })[0] || null;
+  }
+
+  /**
+   * Store a screening report
+   * @param {Object} entry - { report, assessmentResults }
+   */
+  createReport(userId, { report, assessmentResults = null }) {
+    const { lastInsertRowid } = database.db.prepare(`
+      INSERT INTO reports (user_id, report, assessment_results, created_at) VALUES (?, ?, ?, ?)
+    `).run(userId, JSON.stringify(report), assessmentResults === null ? null : JSON.stringify(assessmentResults), now());
+    return this.getReport(userId, Number(lastInsertRowid));
+  }
+
+  deleteReport(userId, id) {
+    return database.db.prepare('DELETE FROM reports WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+  }
+
+  // ---------- Learning profile ----------
+
+  getLearningProfile(userId) {
+    const row = database.db.prepare('SELECT data FROM learning_profiles WHERE user_id = ?').get(userId);
+    return row ? parse(row.data) : null;
+  }
+
+  saveLearningProfile(userId, learningProfile) {
+    database.db.prepare(`
+      INSERT INTO learning_profiles (user_id, data, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (user_id) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at
+    `).run(userId, JSON.stringify(learningProfile), now());
+    return learningProfile;
+  }
+
+  deleteLearningProfile(userId) {
+    return database.db.prepare('DELETE FROM learning_profiles WHERE user_id = ?').run(userId).changes > 0;
+  }
+
+  // ---------- Performance sessions ----------
+
+  /**
+   * Sessions, newest first
+   * @param {Object} options - { type: 'reading'|'writing', limit }
+   */
+  listSessions(userId, { type, limit = 100 } = {}) {
+    const rows = type
+      ? database.db.prepare('SELECT * FROM performance_sessions WHERE user_id = ? AND type = ? ORDER BY id DESC LIMIT ?')
+        .all(userId, type, limit)
+      : database.db.prepare('SELECT * FROM performance_sessions WHERE user_id = ? ORDER BY id DESC LIMIT ?')
+        .all(userId, limit);
+    return rows.map(toSession);
+  }
+
+  getSession(userId, id) {
+    return toSession(database.db.prepare('SELECT * FROM performance_sessions WHERE user_id = ? AND id = ?').get(userId, id)) || null;
+  }
+
+  /**
+   * Store a tracked session
+   * @param {Object} entry - { type: 'reading'|'writing', data }
+   */
+  createSession(userId, { type, data }) {
+    const { lastInsertRowid } = database.db.prepare(`
+      INSERT INTO performance_sessions (user_id, type, data, created_at) VALUES (?, ?, ?, ?)
+    `).run(userId, type, JSON.stringify(data), now());
+    return this.getSession(userId, Number(lastInsertRowid));
+  }
+
+  deleteSession(userId, id) {
+    return database.db.prepare('DELETE FROM performance_sessions WHERE user_id = ? AND id = ?').run(userId, id).changes > 0;
+  }
+
+  /**
+   * Session metrics oldest first, as performanceTracker and adaptiveLearningEngine expect
+   * @param {number} limit - Most recent sessions to include
+   */
+  getPerformanceHistory(userId, limit = 50) {
+    return this.listSessions(userId, { limit })
+      .reverse()
+      .map(session => ({ timestamp: session.createdAt, ...session.data, sessionType: session.type }));
+  }
+
+  // ---------- Suggestion feedback ----------
+
+  /**
+   * Record an accepted or rejected writing suggestion
+   * Unknown error types are filed under 'other'.
+   * @param {Object} entry - { suggestionId, action: 'accepted'|'rejected', errorType, suggestionLevel, original, corrected }
+   */
+  createFeedback(userId, { suggestionId = null, action, errorType, suggestionLevel = null, original = null, corrected = null }) {
+    const category = FEEDBACK_CATEGORIES.includes(errorType) ? errorType : 'other';
+    const { lastInsertRowid } = database.db.prepare(`
+      INSERT INTO suggestion_feedback (user_id, suggestion_id, action, error_type, suggestion_level, original, corrected, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(userId, suggestionId === null ? null : String(suggestionId), action, category, suggestionLevel, original, corrected, now());
+    return toFeedback(database.db.prepare('SELECT * FROM suggestion_feedback WHERE id = ?').get(lastInsertRowid));
+  }
+
+  /**
+   * Accept rates (0-100, null without decisions) over the user's most recent decisions
+   * recentByCategory only counts each category's last 20 decisions of the last 30 days.
+   * @param {Object} options - { limit: decisions to include, default 500 }
+   * @returns {Object} - { accepted, rejected, total, acceptRate, byCategory, byLevel, recentByCategory }
+   */
+  getFeedbackStats(userId, { limit = 500 } = {}) {
+    const rows = database.db.prepare(`
+      SELECT error_type, suggestion_level, action, COUNT(*) AS count
+      FROM (SELECT * FROM suggestion_feedback WHERE user_id = ? ORDER BY id DESC LIMIT ?)
+      GROUP BY error_type, suggestion_level, action
+    `).all(userId, limit);
+
+    const recentRows = database.db.prepare(`
+      SELECT error_type, action, COUNT(*) AS count
+      FROM (
+        SELECT error_type, action, ROW_NUMBER() OVER (PARTITION BY error_type ORDER BY id DESC) AS position
+        FROM suggestion_feedback WHERE user_id = ? AND created_at >= ?
+      )
+      WHERE position <= ?
+      GROUP BY error_type, action
+    `).all(userId, new Date(Date.now() - RECENT_DAYS * DAY_MS).toISOString(), RECENT_DECISIONS);
+
+    const overall = {};
+    const byCategory = {};
+    const byLevel = {};
+    const recentByCategory = {};
+    rows.forEach(row => {
+      tally(overall, 'all', row.action, row.count);
+      tally(byCategory, row.error_type, row.action, row.count);
+      if (row.suggestion_level) tally(byLevel, row.suggestion_level, row.action, row.count);
+    });
+    recentRows.forEach(row => tally(recentByCategory, row.error_type, row.action, row.count));
+
+    const withRates = totals => Object.fromEntries(
+      Object.entries(totals).map(([key, entry]) => [key, { ...entry, acceptRate: acceptRate(entry) }])
+    );
+    const all = overall.all || { accepted: 0, rejected: 0, total: 0 };
+
+    return {
+      ...all,
+      acceptRate: acceptRate(all),
+      byCategory: withRates(byCategory),
+      byLevel: withRates(byLevel),
+      recentByCategory: withRates(recentByCategory)
+    };
+  }
+
+  // ---------- Served passages ----------
+
+  /**
+   * Record that the user read a passage bank passage in the reading test
+   */
+  recordServedPassage(userId, passageId) {
+    database.db.prepare('INSERT INTO served_passages (user_id, passage_id, served_at) VALUES (?, ?, ?)')
+      .run(userId, passageId, now());
+  }
+
+  /**
+   * Ids of the passages the user has read, least recently first, as
+   * passageBank.select expects
+   */
+  listServedPassages(userId) {
+    return database.db.prepare(`
+      SELECT passage_id FROM served_passages WHERE user_id = ?
+      GROUP BY passage_id ORDER BY MAX(id)
+    `).all(userId).map(row => row.passage_id);
+  }
+}
+
+module.exports = new UserDataStore();
@@ -6,6 +6,8 @@
  */
 
 const geminiService = require('./geminiService');
+const logger = require('./logger');
+const metrics = require('./metrics');
 
 // Map screening report recommendedFeatures (display names) to profile enabledFeatures keys
 const RECOMMENDED_TO_FEATURE = {
@@ -78,114 +80,31 @@ class UserProfileEngine {
     const reading = assessmentResults.reading || {};
     const spelling = assessmentResults.spelling || {};
 
-    const prompt = `You are an expert in personalized learning assistance. Generate a comprehensive user learning profile.
-
-ASSESSMENT RESULTS:
-Cognitive:
-- Working Memory Score: ${cognitive.workingMemoryScore || cognitive.accuracy || 0}%
-- Attention Score: ${cognitive.attentionScore || cognitive.accuracy || 0}%
-- Executive Function: ${cognitive.executiveFunctionScore || cognitive.accuracy || 0}%
-- Error Patterns: ${(cognitive.errorPatterns || []).join(', ') || 'None'}
-
-Visual:
-- Visual Stress Score: ${visual.visualStressScore || visual.accuracy || 0}%
-- Pattern Recognition: ${visual.patternRecognitionScore || visual.accuracy || 0}%
-- Tracking Difficulty: ${visual.trackingDifficultyIndex || 0}%
-- Crowding Score: ${visual.crowdingScore || 0}%
-
-Reading:
-- Accuracy: ${reading.accuracyPercent || 0}%
-- WPM: ${reading.wpm || 0}
-- Error Type: ${reading.errorType || 'Unknown'}
-- Phonological Issues: ${(reading.phonologicalIssues || []).length} identified
-- Visual Issues: ${(reading.visualIssues || []).length} identified
-
-Spelling:
-- Accuracy: ${spelling.accuracyPercent || 0}%
-- Orthographic Weakness: ${spelling.orthographicWeakness || 0}%
-- Phoneme-Grapheme Mismatch: ${spelling.phonemeGraphemeMismatch || 0}%
-
-DIAGNOSTIC REPORT:
-- Level: ${report.level || 'mild'}
-- Strengths: ${(report.strengths || []).join(', ')}
-- Challenges: ${(report.challenges || []).join(', ')}
-- Indicators: ${(report.cognitiveIndicators || []).join(', ')}
-
-Generate a personalized learning profile with:
-
-1. Enabled Features (true/false based on needs):
-   - bionicReading: Enable if visual stress OR reading accuracy < 70%
-   - dyslexiaFont: Enable if visual stress OR visual accuracy < 60%
-   - smartSpacing: Enable if visual crowding OR tracking difficulty
-   - tts: Enable if reading accuracy < 75% OR phonological issues
-   - writingSupport: Enable if spelling accuracy < 70% OR orthographic weakness > 50%
-   - cognitiveLoadReduction: Enable if cognitive load score > 60 OR attention < 70%
-   - focusMode: Enable if attention < 65% OR executive function < 70%
-
-2. Reading Preferences:
-   - preferredPace: WPM recommendation (based on reading speed)
-   - chunkSize: Words per chunk (5-8 based on cognitive load)
-   - highlightKeywords: true/false
-   - showProgress: true/false
-
-3. Writing Preferences:
-   - realTimeCorrection: true/false
-   - suggestionLevel: "minimal" | "moderate" | "comprehensive"
-   - grammarCheck: true/false
-   - spellingCheck: true/false
-
-4. Attention Profile:
-   - focusDuration: Estimated minutes (based on attention score)
-   - breakFrequency: Minutes between breaks
-   - distractionReduction: true/false
-   - timeTracking: true/false
-
-5. Learning Style:
-   - dominantModality: "visual" | "auditory" | "kinesthetic" | "mixed"
-   - processingSpeed: "slow" | "moderate" | "fast"
-   - detailPreference: "high" | "moderate" | "low"
-
-Return JSON:
-{
-  "enabledFeatures": {
-    "bionicReading": true,
-    "dyslexiaFont": true,
-    "smartSpacing": true,
-    "tts": false,
-    "writingSupport": true,
-    "cognitiveLoadReduction": true,
-    "focusMode": false
-  },
-  "readingPreferences": {
-    "preferredPace": 120,
-    "chunkSize": 6,
-    "highlightKeywords": true,
-    "showProgress": true
-  },
-  "writingPreferences": {
-    "realTimeCorrection": true,
-    "suggestionLevel": "moderate",
-    "grammarCheck": true,
-    "spellingCheck": true
-  },
-  "attentionProfile": {
-    "focusDuration": 15,
-    "breakFrequency": 5,
-    "distractionReduction": true,
-    "timeTracking": true
-  },
-  "learningStyle": {
-    "dominantModality": "visual",
-    "processingSpeed": "moderate",
-    "detailPreference": "moderate"
-  },
-  "strengths": ["list from report"],
-  "challenges": ["list from report"],
-  "personalizationLevel": "high" | "moderate" | "low"
-}`;
-
     try {
-      const profile = await geminiService.generateJSON('user profile generation', prompt);
+      const profile = await geminiService.generateFromTemplate('user-profile', {
+        workingMemoryScore: cognitive.workingMemoryScore || cognitive.accuracy || 0,
+        attentionScore: cognitive.attentionScore || cognitive.accuracy || 0,
+        executiveFunctionScore: cognitive.executiveFunctionScore || cognitive.accuracy || 0,
+        cognitiveErrorPatterns: (cognitive.errorPatterns || []).join(', ') || 'None',
+        visualStressScore: visual.visualStressScore || visual.accuracy || 0,
+        patternRecognitionScore: visual.patternRecognitionScore || visual.accuracy || 0,
+        trackingDifficultyIndex: visual.trackingDifficultyIndex || 0,
+        crowdingScore: visual.crowdingScore || 0,
+        readingAccuracy: reading.accuracyPercent || 0,
+        readingWpm: reading.wpm || 0,
+        readingErrorType: reading.errorType || 'Unknown',
+        phonologicalIssueCount: (reading.phonologicalIssues || []).length,
+        visualIssueCount: (reading.visualIssues || []).length,
+        spellingAccuracy: spelling.accuracyPercent || 0,
+        orthographicWeakness: spelling.orthographicWeakness || 0,
+        phonemeGraphemeMismatch: spelling.phonemeGraphemeMismatch || 0,
+        reportLevel: report.level || 'mild',
+        reportStrengths: (report.strengths || []).join(', '),
+        reportChallenges: (report.challenges || []).join(', '),
+        reportIndicators: (report.cognitiveIndicators || []).join(', ')
+      }, {
+        input: { assessmentResults, report }
+      });
       
       // Validate and ensure all required fields
       const rawProfile = {
@@ -224,13 +143,15 @@ Return JSON:
         strengths: profile.strengths || report.strengths || [],
         challenges: profile.challenges || report.challenges || [],
         personalizationLevel: profile.personalizationLevel || 'moderate',
+        promptTemplate: profile.promptTemplate,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
       };
       // Restrict to defect-based only: only enable features that match screening report
       return restrictToDetectedDefects(rawProfile, report);
     } catch (error) {
-      console.error('Profile generation failed, using rule-based fallback:', error);
+      logger.error('Profile generation failed, using rule-based fallback', { error });
+      metrics.recordFallback('user profile generation', 'service_error');
       return this.generateFallbackProfile(assessmentResults, report);
     }
   }
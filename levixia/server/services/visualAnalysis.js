@@ -4,6 +4,7 @@
  */
 
 const geminiService = require('./geminiService');
+const logger = require('./logger');
 
 class VisualAnalysis {
   /**
@@ -22,43 +23,20 @@ class VisualAnalysis {
       clickPattern = []
     } = rawData;
 
-    const prompt = `You are an expert in learning disabilities assessment, specifically visual processing disorders.
-
-Analyze this visual processing test performance:
-
-TEST DATA:
-- Target letter: "${target}"
-- Hits (correct selections): ${hits}
-- False positives (incorrect selections): ${falsePositives}
-- Total correct targets available: ${correctCount}
-- Total selected: ${selectedCount}
-- Time elapsed: ${timeElapsed}s
-
-CLICK PATTERN:
-${clickPattern.map((cp, i) => `
-  Click ${i + 1}: ${cp.correct ? 'CORRECT' : 'WRONG'} at ${cp.timeSinceStart}s
-`).join('')}
-
-Analyze:
-1. Visual stress score (0-100): Based on false positives and time
-2. Tracking difficulty index (0-100): Higher = more difficulty tracking targets
-3. Pattern recognition efficiency (0-100): Based on accuracy
-4. Crowding score (0-100): Visual crowding assessment
-5. Symbol discrimination score (0-100): Ability to distinguish similar letters
-6. Visual indicators: specific challenges identified
-
-Return JSON:
-{
-  "visualStressScore": 75,
-  "trackingDifficultyIndex": 30,
-  "patternRecognitionScore": 80,
-  "crowdingScore": 70,
-  "discriminationScore": 85,
-  "indicators": ["Visual stress", "Line tracking difficulty"]
-}`;
-
     try {
-      const result = await geminiService.generateJSON('visual analysis', prompt);
+      const result = await geminiService.generateFromTemplate('visual-analysis', {
+        target,
+        hits,
+        falsePositives,
+        correctCount,
+        selectedCount,
+        timeElapsed,
+        clickPattern: clickPattern.map((cp, i) => `
+  Click ${i + 1}: ${cp.correct ? 'CORRECT' : 'WRONG'} at ${cp.timeSinceStart}s
+`).join('')
+      }, {
+        input: rawData
+      });
       
       // Validate and ensure all required fields
       return {
@@ -67,10 +45,11 @@ Return JSON:
         patternRecognitionScore: Math.max(0, Math.min(100, result.patternRecognitionScore || 0)),
         crowdingScore: Math.max(0, Math.min(100, result.crowdingScore || 0)),
         discriminationScore: Math.max(0, Math.min(100, result.discriminationScore || 0)),
-        indicators: result.indicators || []
+        indicators: result.indicators || [],
+        promptTemplate: result.promptTemplate
       };
     } catch (error) {
-      console.error('Visual analysis failed:', error);
+      logger.error('Visual analysis failed', { error });
       throw new Error(`AI analysis failed: ${error.message}`);
     }
   }
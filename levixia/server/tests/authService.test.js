@@ -0,0 +1,148 @@
+/**
+ * Authentication tests
+ * Run with: npm run test:server
+ */
+
+process.env.DATABASE_FILE = ':memory:';
+process.env.AUTH_SECRET = 'test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const authService = require('../services/authService');
+const database = require('../services/database');
+const requestContext = require('../services/requestContext');
+
+test.after(() => database.close());
+
+const storedUser = id => database.db.prepare('SELECT * FROM users WHERE id = ?').get(id);
+
+/**
+ * Run requireAuth with an Authorization header; resolves with 'next' or the JSON response
+ */
+function authenticate(authorization, req = {}) {
+  return new Promise(resolve => {
+    const request = Object.assign(req, { get: name => (name === 'Authorization' ? authorization : undefined) });
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      }
+    };
+    authService.requireAuth(request, res, () => resolve('next'));
+  });
+}
+
+test('passwords are stored as salted hashes', async () => {
+  const { user, token } = await authService.register({ email: ' Ada@Example.com ', password: 'correct horse' });
+  const other = await authService.register({ email: 'bo@example.com', password: 'correct horse' });
+
+  assert.strictEqual(user.email, 'ada@example.com');
+  assert.strictEqual(user.name, 'ada');
+  assert.ok(token);
+  assert.strictEqual(user.passwordHash, undefined);
+
+  const stored = storedUser(user.id);
+  assert.notStrictEqual(stored.password_hash, 'correct horse');
+  assert.notStrictEqual(stored.salt, storedUser(other.user.id).salt);
+  assert.notStrictEqual(stored.password_hash, storedUser(other.user.id).password_hash);
+
+  await assert.rejects(authService.register({ email: 'ada@example.com', password: 'another one' }), { status: 409 });
+});
+
+test('two registrations racing for one email create one account', async () => {
+  const results = await Promise.allSettled([
+    authService.register({ email: 'cy@example.com', password: 'first horse' }),
+    authService.register({ email: 'cy@example.com', password: 'second horse' })
+  ]);
+
+  assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(r => r.status === 'rejected').reason.status, 409);
+  assert.strictEqual(database.db.prepare('SELECT COUNT(*) AS n FROM users WHERE email = ?').get('cy@example.com').n, 1);
+});
+
+test('login checks the password and signs a verifiable token', async () => {
+  await assert.rejects(authService.login({ email: 'ada@example.com', password: 'wrong horse' }), { status: 401 });
+  await assert.rejects(authService.login({ email: 'nobody@example.com', password: 'correct horse' }), { status: 401 });
+
+  const { user, token } = await authService.login({ email: 'ADA@example.com', password: 'correct horse' });
+  assert.strictEqual(authService.verify(token).user.id, user.id);
+
+  // Any change to the payload breaks the signature
+  const [body, signature] = token.split('.');
+  const payload = JSON.parse(Buffer.from(body, 'base64url').toString());
+  const forged = Buffer.from(JSON.stringify({ ...payload, sub: 'someone-else' })).toString('base64url');
+  assert.strictEqual(authService.verify(`${forged}.${signature}`), null);
+  assert.strictEqual(authService.verify('not-a-token'), null);
+});
+
+test('logout revokes the token and expired tokens are refused', async () => {
+  const { token } = await authService.login({ email: 'bo@example.com', password: 'correct horse' });
+  authService.logout(token);
+  assert.strictEqual(authService.verify(token), null);
+
+  const session = await authService.login({ email: 'bo@example.com', password: 'correct horse' });
+  const { sid, sub } = JSON.parse(Buffer.from(session.token.split('.')[0], 'base64url').toString());
+  const expired = authService.signToken({ sid, sub, iat: 0, exp: Date.now() - 1 });
+  assert.strictEqual(authService.verify(expired), null);
+
+  // Sessions live in the database, so another server process sharing it accepts the token
+  const AuthService = authService.constructor;
+  const otherProcess = new AuthService({ secret: 'test-secret' });
+  assert.strictEqual(otherProcess.verify(session.token).user.email, 'bo@example.com');
+  otherProcess.logout(session.token);
+  assert.strictEqual(authService.verify(session.token), null);
+});
+
+test('expired sessions are removed when a new one opens', async () => {
+  const AuthService = authService.constructor;
+  const shortLived = new AuthService({ secret: 'test-secret', sessionTtlHours: -1 });
+  const { token } = await shortLived.login({ email: 'ada@example.com', password: 'correct horse' });
+  const { sid } = JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString());
+  assert.ok(database.db.prepare('SELECT id FROM auth_sessions WHERE id = ?').get(sid));
+
+  await authService.login({ email: 'ada@example.com', password: 'correct horse' });
+  assert.strictEqual(database.db.prepare('SELECT id FROM auth_sessions WHERE id = ?').get(sid), undefined);
+});
+
+test('requireAuth rejects missing tokens and sets the request user', async () => {
+  const missing = await authenticate(undefined);
+  assert.strictEqual(missing.status, 401);
+  assert.strictEqual(missing.body.error, 'Authentication required');
+  assert.strictEqual((await authenticate('Basic abc')).status, 401);
+
+  const { user, token } = await authService.login({ email: 'ada@example.com', password: 'correct horse' });
+  const req = {};
+  await requestContext.run({}, async () => {
+    assert.strictEqual(await authenticate(`Bearer ${token}`, req), 'next');
+    assert.strictEqual(requestContext.getUserId(), user.id);
+  });
+  assert.deepStrictEqual(req.user, user);
+});
+
+test('requireAdmin only lets listed admins through', async () => {
+  const AuthService = authService.constructor;
+  const service = new AuthService({ secret: 'test-secret', adminUserIds: ' admin-1 ,, admin-2' });
+  assert.deepStrictEqual([...service.adminIds], ['admin-1', 'admin-2']);
+
+  const run = user => new Promise(resolve => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      }
+    };
+    service.requireAdmin({ user, originalUrl: '/api/v1/admin/cache' }, res, () => resolve('next'));
+  });
+
+  assert.strictEqual(await run({ id: 'admin-2' }), 'next');
+  assert.strictEqual((await run({ id: 'learner' })).status, 403);
+  assert.strictEqual((await run(undefined)).status, 403);
+  assert.ok(!authService.isAdmin({ id: 'admin-1' }));
+});
@@ -0,0 +1,90 @@
+/**
+ * Document upload and text extraction tests
+ * Run with: npm run test:server
+ */
+
+process.env.UPLOAD_MAX_BYTES = '4096';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+
+const fileProcessor = require('../services/fileProcessor');
+const { receiveDocument } = require('../services/documentUpload');
+
+const fixture = name => fs.readFileSync(path.join(__dirname, 'fixtures', 'documents', name));
+
+/**
+ * Post a multipart form to a small app that echoes the received file
+ */
+async function upload(form) {
+  const app = express();
+  app.post('/upload', receiveDocument('file'), (req, res) => {
+    res.json({ type: req.fileType, size: req.file.size });
+  });
+
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}/upload`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+}
+
+const formWith = (contents, fileName, type) => {
+  const form = new FormData();
+  form.append('file', new Blob([contents], { type }), fileName);
+  return form;
+};
+
+test('PDF text is unwrapped into paragraphs', async () => {
+  const text = await fileProcessor.extractText(fixture('sample.pdf'), 'pdf');
+  assert.strictEqual(
+    text,
+    'Reading with dyslexia can feel slow and tiring, but short steps help every day with practice and patience.\n\nTake a break when you need one.'
+  );
+});
+
+test('DOCX paragraphs are separated by blank lines', async () => {
+  const text = await fileProcessor.extractText(fixture('sample.docx'), 'docx');
+  assert.strictEqual(text, 'The cat sat on the mat.\n\nIt was a sunny day.');
+});
+
+test('text files are normalised', async () => {
+  const text = await fileProcessor.extractText(Buffer.from('\uFEFFFirst  line\r\nstill first\t \r\n\r\n\r\n\r\nSecond\u0007 paragraph  '), 'txt');
+  assert.strictEqual(text, 'First line\nstill first\n\nSecond paragraph');
+});
+
+test('file types come from the extension and must match the content', async () => {
+  assert.strictEqual(fileProcessor.detectType('notes.MD', 'text/markdown'), 'txt');
+  assert.strictEqual(fileProcessor.detectType('essay.docx', 'application/octet-stream'), 'docx');
+  assert.strictEqual(fileProcessor.detectType('essay.pdf', 'text/plain'), null);
+  assert.strictEqual(fileProcessor.detectType('image.png', 'image/png'), null);
+  assert.throws(() => fileProcessor.assertSupported('old.doc', 'application/msword'), { status: 415 });
+
+  await assert.rejects(fileProcessor.extractText(Buffer.from('not a pdf'), 'pdf'), { status: 415 });
+  await assert.rejects(fileProcessor.extractText(Buffer.from(' \n\t '), 'txt'), { status: 422 });
+  await assert.rejects(fileProcessor.extractText(Buffer.from('%PDF-1.4 broken'), 'pdf'), { status: 422 });
+});
+
+test('uploads are received in memory with type and size limits', async () => {
+  assert.deepStrictEqual(
+    (await upload(formWith(fixture('sample.docx'), 'sample.docx', 'application/octet-stream'))).body,
+    { type: 'docx', size: fixture('sample.docx').length }
+  );
+
+  const unsupported = await upload(formWith('GIF89a', 'photo.gif', 'image/gif'));
+  assert.strictEqual(unsupported.status, 415);
+  assert.strictEqual(unsupported.body.fields[0].field, 'file');
+
+  const tooLarge = await upload(formWith('a'.repeat(5000), 'long.txt', 'text/plain'));
+  assert.strictEqual(tooLarge.status, 413);
+  assert.strictEqual(tooLarge.body.error, 'Payload too large');
+
+  const missing = new FormData();
+  missing.append('note', 'no file here');
+  assert.deepStrictEqual((await upload(missing)).body.fields, [{ location: 'body', field: 'file', message: 'is required' }]);
+});
@@ -0,0 +1,176 @@
+/**
+ * Job queue tests
+ * Run with: npm run test:server
+ */
+
+process.env.DATABASE_FILE = ':memory:';
+process.env.LLM_PROVIDER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const database = require('../services/database');
+const jobQueue = require('../services/jobQueue');
+const requestContext = require('../services/requestContext');
+const jobRoutes = require('../routes/jobRoutes');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Handler that waits until released (or cancelled), reporting progress as it goes
+ */
+function gate() {
+  let release;
+  const released = new Promise(resolve => { release = resolve; });
+  const handler = async (input, { progress, signal }) => {
+    progress({ stage: 'waiting', seen: requestContext.getUserId() });
+    await Promise.race([released, new Promise(resolve => signal.addEventListener('abort', resolve))]);
+    return { doubled: input.value * 2 };
+  };
+  return { handler, release };
+}
+
+test.after(() => {
+  jobQueue.stop();
+  database.close();
+});
+
+test('jobs run in the background with progress and a stored result', async () => {
+  const { handler, release } = gate();
+  jobQueue.register('test-gate', handler);
+  jobQueue.start();
+
+  const job = jobQueue.submit('ada', 'test-gate', { value: 21 });
+  assert.strictEqual(job.status, 'running');
+  assert.deepStrictEqual(jobQueue.get('ada', job.id).progress, { stage: 'waiting', seen: 'ada' });
+  assert.strictEqual(jobQueue.getResult('ada', job.id), null);
+  assert.strictEqual(jobQueue.get('bo', job.id), null);
+
+  release();
+  await jobQueue.whenIdle();
+
+  const done = jobQueue.get('ada', job.id);
+  assert.strictEqual(done.status, 'completed');
+  assert.strictEqual(done.attempts, 1);
+  assert.ok(done.finishedAt);
+  assert.deepStrictEqual(jobQueue.getResult('ada', job.id), { doubled: 42 });
+  assert.deepStrictEqual(jobQueue.list('ada').map(j => j.id), [job.id]);
+});
+
+test('no more than the configured number of jobs run at once', async () => {
+  const { handler, release } = gate();
+  jobQueue.register('test-gate', handler);
+
+  const jobs = [1, 2, 3].map(value => jobQueue.submit('ada', 'test-gate', { value }));
+  assert.deepStrictEqual(jobs.map(job => jobQueue.get('ada', job.id).status), ['running', 'running', 'queued']);
+
+  release();
+  await jobQueue.whenIdle();
+  assert.deepStrictEqual(jobs.map(job => jobQueue.getResult('ada', job.id).doubled), [2, 4, 6]);
+});
+
+test('failed jobs keep the error message', async () => {
+  jobQueue.register('test-fail', async () => {
+    throw new Error('Pipeline exploded');
+  });
+
+  const job = jobQueue.submit('ada', 'test-fail', {});
+  await jobQueue.whenIdle();
+
+  const failed = jobQueue.get('ada', job.id);
+  assert.strictEqual(failed.status, 'failed');
+  assert.strictEqual(failed.error, 'Pipeline exploded');
+  assert.throws(() => jobQueue.submit('ada', 'test-unknown', {}), /Unknown job type/);
+});
+
+test('cancelling stops a running job and skips a queued one', async () => {
+  const { handler } = gate();
+  jobQueue.register('test-gate', handler);
+
+  const jobs = [1, 2, 3].map(value => jobQueue.submit('ada', 'test-gate', { value }));
+  assert.strictEqual(jobQueue.cancel('ada', jobs[2].id).status, 'cancelled');
+  assert.strictEqual(jobQueue.cancel('ada', jobs[0].id).status, 'cancelled');
+  assert.strictEqual(jobQueue.cancel('ada', jobs[1].id).status, 'cancelled');
+  await jobQueue.whenIdle();
+
+  jobs.forEach(job => {
+    assert.strictEqual(jobQueue.get('ada', job.id).status, 'cancelled');
+    assert.strictEqual(jobQueue.getResult('ada', job.id), null);
+  });
+  assert.strictEqual(jobQueue.cancel('bo', jobs[0].id), null);
+});
+
+test('jobs interrupted by a restart run again, up to the attempt limit', async () => {
+  const { handler, release } = gate();
+  jobQueue.register('test-gate', handler);
+  jobQueue.stop();
+
+  const retried = jobQueue.submit('ada', 'test-gate', { value: 5 });
+  const exhausted = jobQueue.submit('ada', 'test-gate', { value: 6 });
+  // As the database looks after the server died mid-job
+  database.db.prepare("UPDATE jobs SET status = 'running', attempts = 1 WHERE id = ?").run(retried.id);
+  database.db.prepare("UPDATE jobs SET status = 'running', attempts = 3 WHERE id = ?").run(exhausted.id);
+
+  release();
+  jobQueue.start();
+  await jobQueue.whenIdle();
+
+  assert.strictEqual(jobQueue.get('ada', retried.id).status, 'completed');
+  assert.strictEqual(jobQueue.get('ada', retried.id).attempts, 2);
+  assert.strictEqual(jobQueue.get('ada', exhausted.id).status, 'failed');
+  assert.strictEqual(jobQueue.get('ada', exhausted.id).error, 'Interrupted too many times');
+});
+
+test('finished jobs are purged after the retention period', () => {
+  const old = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString();
+  const job = jobQueue.submit('bo', 'test-fail', {});
+  database.db.prepare("UPDATE jobs SET status = 'failed', finished_at = ? WHERE id = ?").run(old, job.id);
+
+  assert.strictEqual(jobQueue.purge(), 1);
+  assert.strictEqual(jobQueue.get('bo', job.id), null);
+});
+
+test('documents are processed through the job API', async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'cy' };
+    next();
+  });
+  app.use('/api/jobs', jobRoutes);
+
+  const server = app.listen(0);
+  const base = `http://localhost:${server.address().port}/api/jobs`;
+  try {
+    const text = 'The first paragraph is here.\n\nThe second paragraph follows it.\n\nA third one ends the text.';
+    const submitted = await fetch(base, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, config: { processingStrategy: { chunk: true }, assistantConfig: {} } })
+    });
+    assert.strictEqual(submitted.status, 202);
+    const job = await submitted.json();
+    assert.strictEqual(submitted.headers.get('location'), `/api/jobs/${job.id}`);
+
+    let status = await (await fetch(`${base}/${job.id}`)).json();
+    for (let i = 0; i < 100 && status.status !== 'completed'; i++) {
+      await sleep(20);
+      status = await (await fetch(`${base}/${job.id}`)).json();
+    }
+    assert.strictEqual(status.status, 'completed');
+    assert.deepStrictEqual(status.progress, { stage: 'finishing', completed: 3, total: 3, percent: 100 });
+
+    const result = await (await fetch(`${base}/${job.id}/result`)).json();
+    assert.strictEqual(result.originalText, text);
+    assert.strictEqual(result.metadata.paragraphCount, 3);
+    assert.ok(result.metadata.appliedTransforms.includes('chunking'));
+
+    assert.strictEqual((await fetch(`${base}/${job.id}`, { method: 'DELETE' })).status, 409);
+    assert.strictEqual((await fetch(`${base}/${job.id.replace(/.$/, '0')}0`)).status, 400);
+    assert.strictEqual((await fetch(`${base}/00000000-0000-0000-0000-000000000000/result`)).status, 404);
+    assert.strictEqual((await fetch(base, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{}' })).status, 400);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,230 @@
+/**
+ * Live writing tests
+ * Run with: npm run test:server
+ */
+
+process.env.DATABASE_FILE = ':memory:';
+process.env.AUTH_SECRET = 'test-secret';
+process.env.LLM_PROVIDER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const WebSocket = require('ws');
+
+const { LiveWritingSession, splitSentences } = require('../services/liveWriting');
+const { attachLiveWriting } = require('../services/liveWritingSocket');
+const authService = require('../services/authService');
+const requestContext = require('../services/requestContext');
+
+/**
+ * Checkers that flag "teh" and "i", and count what they were asked
+ */
+function fakeCheckers() {
+  const calls = { words: [], sentences: [] };
+  return {
+    calls,
+    checkers: {
+      checkWord: async word => {
+        calls.words.push(word);
+        return word.toLowerCase() === 'teh'
+          ? { correct: false, corrected: 'the', errorType: 'Visual', suggestions: ['the', 'ten'] }
+          : { correct: true, corrected: word, errorType: 'None', suggestions: [] };
+      },
+      correctGrammar: async text => {
+        calls.sentences.push(text);
+        const position = text.search(/\bi\b/);
+        return position === -1 ? { errors: [] } : {
+          errors: [{ original: 'i', corrected: 'I', type: 'capitalization', position, explanation: 'Capital I' }]
+        };
+      }
+    }
+  };
+}
+
+/**
+ * Session whose results are collected; check() runs directly, without debouncing
+ */
+function session(checkers, options = {}) {
+  const results = [];
+  const live = new LiveWritingSession({ checkers, debounceMs: 5, onSuggestions: r => results.push(r), ...options });
+  return { live, results };
+}
+
+test('sentences are split with their offsets', () => {
+  assert.deepStrictEqual(splitSentences('  One here. Two?\nthree'), [
+    { text: 'One here.', start: 2, end: 11, complete: true },
+    { text: 'Two?', start: 12, end: 16, complete: true },
+    { text: 'three', start: 17, end: 22, complete: false }
+  ]);
+  assert.deepStrictEqual(splitSentences('A line\nNext "quoted." '), [
+    { text: 'A line', start: 0, end: 6, complete: true },
+    { text: 'Next "quoted."', start: 7, end: 21, complete: true }
+  ]);
+  assert.deepStrictEqual(splitSentences(''), []);
+});
+
+test('suggestions are anchored to offsets in the whole text', async () => {
+  const { checkers } = fakeCheckers();
+  const { live } = session(checkers);
+  const text = 'We saw teh dog. Then i ran home.';
+
+  const { suggestions, sentences } = await live.check(text);
+  assert.deepStrictEqual(sentences, { total: 2, checked: 2, reused: 0 });
+  assert.deepStrictEqual(suggestions.map(s => [s.type, s.original, s.corrected, text.slice(s.start, s.end)]), [
+    ['spelling', 'teh', 'the', 'teh'],
+    ['punctuation', 'i', 'I', 'i']
+  ]);
+  assert.deepStrictEqual(suggestions[0].alternatives, ['ten']);
+  assert.strictEqual(suggestions[1].explanation, 'Capital I');
+});
+
+test('only changed sentences are checked again', async () => {
+  const { checkers, calls } = fakeCheckers();
+  const { live } = session(checkers);
+
+  const first = await live.check('We saw teh dog. It ran.');
+  calls.words.length = 0;
+  calls.sentences.length = 0;
+
+  const second = await live.check('New words first. We saw teh dog. It ran.');
+  assert.deepStrictEqual(second.sentences, { total: 3, checked: 1, reused: 2 });
+  assert.deepStrictEqual(calls.sentences, ['New words first.']);
+  assert.deepStrictEqual(calls.words, ['New', 'words', 'first']);
+  // The reused suggestion moved with its sentence and kept its id
+  assert.strictEqual(second.suggestions[0].id, first.suggestions[0].id);
+  assert.strictEqual(second.suggestions[0].start, first.suggestions[0].start + 'New words first. '.length);
+});
+
+test('the word being typed and unfinished sentences are not checked', async () => {
+  const { checkers, calls } = fakeCheckers();
+  const { live } = session(checkers);
+
+  const typing = await live.check('Then i saw teh');
+  assert.deepStrictEqual(calls.words, ['Then', 'i', 'saw']);
+  assert.deepStrictEqual(calls.sentences, []);
+  assert.deepStrictEqual(typing.suggestions, []);
+
+  const spaced = await live.check('Then i saw teh ');
+  assert.deepStrictEqual(spaced.suggestions.map(s => s.original), ['teh']);
+  assert.deepStrictEqual(calls.words, ['Then', 'i', 'saw', 'teh']);
+});
+
+test('checker calls are capped per session and repeated words are checked once', async () => {
+  const { checkers, calls } = fakeCheckers();
+  let inFlight = 0;
+  let peak = 0;
+  const slow = call => async text => {
+    inFlight++;
+    peak = Math.max(peak, inFlight);
+    await new Promise(resolve => setTimeout(resolve, 2));
+    inFlight--;
+    return call(text);
+  };
+  const { live } = session({
+    checkWord: slow(checkers.checkWord),
+    correctGrammar: slow(checkers.correctGrammar)
+  }, { concurrency: 2 });
+
+  const { suggestions } = await live.check('The dog saw teh cat. Then teh dog ran. The cat ran too. Dog and cat.');
+  assert.strictEqual(peak, 2);
+  assert.strictEqual(inFlight, 0);
+  assert.deepStrictEqual(calls.words, ['The', 'dog', 'saw', 'teh', 'cat', 'Then', 'ran', 'too', 'and']);
+  assert.strictEqual(calls.sentences.length, 4);
+  assert.deepStrictEqual(suggestions.map(s => s.original), ['teh', 'teh']);
+});
+
+test('a failed word check is tried again on the next edit', async () => {
+  const { checkers, calls } = fakeCheckers();
+  let failures = 1;
+  const { live } = session({
+    ...checkers,
+    checkWord: async word => {
+      if (word === 'teh' && failures-- > 0) throw new Error('timeout');
+      return checkers.checkWord(word);
+    }
+  });
+
+  const first = await live.check('We saw teh dog.');
+  assert.deepStrictEqual(first.suggestions, []);
+  assert.strictEqual(live.wordCache.has('teh'), false);
+
+  const second = await live.check('We saw teh dog.');
+  assert.deepStrictEqual(second.sentences, { total: 1, checked: 1, reused: 0 });
+  assert.deepStrictEqual(second.suggestions.map(s => s.original), ['teh']);
+  assert.deepStrictEqual(calls.words, ['We', 'saw', 'dog', 'teh']);
+
+  const third = await live.check('We saw teh dog.');
+  assert.deepStrictEqual(third.sentences, { total: 1, checked: 0, reused: 1 });
+});
+
+test('edits are debounced and checked in the request context of the connection', async () => {
+  const { checkers, calls } = fakeCheckers();
+  let userId;
+  checkers.correctGrammar = async text => {
+    userId = requestContext.getUserId();
+    calls.sentences.push(text);
+    return { errors: [] };
+  };
+  const { live, results } = session(checkers, { context: { requestId: 'conn-1', userId: 'ada' } });
+
+  live.update('One.', 1);
+  live.update('One. Two.', 2);
+  live.update('One. Two. Three.', 3);
+  await new Promise(resolve => setTimeout(resolve, 50));
+
+  assert.strictEqual(results.length, 1);
+  assert.strictEqual(results[0].version, 3);
+  assert.deepStrictEqual(calls.sentences, ['One.', 'Two.', 'Three.']);
+  assert.strictEqual(userId, 'ada');
+  live.close();
+});
+
+test('the WebSocket channel requires a session and streams suggestions', async () => {
+  const { token } = await authService.register({ email: 'live@example.com', password: 'correct horse' });
+  const server = http.createServer();
+  attachLiveWriting(server, { debounceMs: 5 });
+  await new Promise(resolve => server.listen(0, resolve));
+  const url = `ws://localhost:${server.address().port}/api/v1/assistant/live`;
+
+  try {
+    const refused = new WebSocket(url);
+    const status = await new Promise(resolve => refused.on('unexpected-response', (req, res) => resolve(res.statusCode)));
+    assert.strictEqual(status, 401);
+    refused.on('error', () => {});
+
+    const ws = new WebSocket(`${url}?token=${token}`);
+    const messages = [];
+    const next = () => new Promise(resolve => {
+      if (messages.length) return resolve(messages.shift());
+      ws.once('message', () => resolve(messages.shift()));
+    });
+    ws.on('message', data => messages.push(JSON.parse(data)));
+
+    assert.deepStrictEqual(await next(), { type: 'ready' });
+
+    ws.send('not json');
+    assert.strictEqual((await next()).error, 'Invalid message');
+    ws.send(JSON.stringify({ type: 'edit' }));
+    assert.deepStrictEqual((await next()).fields.map(f => f.field), ['text']);
+
+    ws.send(JSON.stringify({ type: 'edit', text: 'I saw teh cat. ', version: 7 }));
+    const result = await next();
+    assert.strictEqual(result.type, 'suggestions');
+    assert.strictEqual(result.version, 7);
+    assert.deepStrictEqual(result.suggestions.map(s => [s.type, s.original, s.corrected, s.start]), [['spelling', 'teh', 'the', 6]]);
+
+    ws.close();
+    await new Promise(resolve => ws.on('close', resolve));
+
+    // The unversioned path still connects, marked as deprecated
+    const legacy = new WebSocket(`${url.replace('/api/v1/', '/api/')}?token=${token}`);
+    const upgrade = await new Promise(resolve => legacy.on('upgrade', resolve));
+    assert.strictEqual(upgrade.headers.link, '</api/v1/assistant/live>; rel="successor-version"');
+    assert.ok(upgrade.headers.deprecation);
+    legacy.close();
+    await new Promise(resolve => legacy.on('close', resolve));
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
@@ -0,0 +1,126 @@
+/**
+ * LLM record/replay tests
+ * Run with: npm run test:server
+ */
+
+process.env.LLM_PROVIDER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { FixtureStore, UnmatchedFixtureError, normalisePrompt } = require('../services/llmFixtures');
+const RecordingProvider = require('../services/llmProviders/recordingProvider');
+const ReplayProvider = require('../services/llmProviders/replayProvider');
+const geminiService = require('../services/geminiService');
+const { CircuitBreaker } = require('../services/resilience');
+
+const dirs = [];
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  dirs.push(dir);
+  return dir;
+};
+
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const stubProvider = () => ({
+  name: 'stub',
+  calls: 0,
+  isAvailable: () => true,
+  async generate(task, prompt) {
+    this.calls++;
+    return JSON.stringify({ task, length: normalisePrompt(prompt).length });
+  }
+});
+
+test('normalisePrompt ignores whitespace, line endings and timestamps', () => {
+  assert.strictEqual(
+    normalisePrompt('Read  this:\r\n\r\n  text at 2026-03-01T10:00:00.000Z  \n'),
+    normalisePrompt('Read this:\ntext at 2025-12-31T23:59:59Z')
+  );
+});
+
+test('recorded exchanges replay from disk', async () => {
+  const dir = tempDir();
+  const inner = stubProvider();
+  const recorder = new RecordingProvider(inner, new FixtureStore({ dir }));
+
+  const recorded = await recorder.generate('reading analysis', 'Analyse:\nThe cat sat.');
+  await recorder.generate('spelling analysis', 'Spelling:\nbecuase');
+  assert.strictEqual(inner.calls, 2);
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['reading-analysis.json', 'spelling-analysis.json']);
+
+  const replay = new ReplayProvider(new FixtureStore({ dir }));
+  assert.strictEqual(await replay.generate('reading analysis', 'Analyse:\n  The cat sat.\n'), recorded);
+});
+
+test('unmatched replay calls name the line that changed', async () => {
+  const dir = tempDir();
+  const recorder = new RecordingProvider(stubProvider(), new FixtureStore({ dir }));
+  await recorder.generate('reading analysis', 'Analyse:\nThe cat sat.\nTime: 5');
+
+  const store = new FixtureStore({ dir });
+  const replay = new ReplayProvider(store);
+
+  await assert.rejects(replay.generate('reading analysis', 'Analyse:\nThe dog sat.\nTime: 5'), error => {
+    assert.ok(error instanceof UnmatchedFixtureError);
+    assert.match(error.message, /differs at prompt line 2/);
+    assert.match(error.message, /recorded: The cat sat\./);
+    assert.match(error.message, /received: The dog sat\./);
+    return true;
+  });
+  await assert.rejects(replay.generate('visual analysis', 'Anything'), /No fixtures are recorded for this task/);
+
+  const { unmatched } = store.summary();
+  assert.deepStrictEqual(unmatched.map(u => u.task), ['reading analysis', 'visual analysis']);
+  assert.strictEqual(unmatched[0].difference.line, 2);
+});
+
+test('geminiService replays a recorded template call without fallback or cache', async () => {
+  const dir = tempDir();
+  const originals = {
+    provider: geminiService.provider,
+    fallbackProvider: geminiService.fallbackProvider,
+    breaker: geminiService.breaker,
+    fixtureMode: geminiService.fixtureMode
+  };
+  const variables = {
+    originalText: 'The big dog ran.',
+    transcript: 'The dig dog ran.',
+    timeSeconds: 4,
+    wpm: 60,
+    wcpm: 45,
+    accuracyPercent: 75,
+    wordsAttempted: 4,
+    totalWords: 4,
+    miscues: 'reversal: "big" read as "dig"',
+    hesitations: 'Not measured'
+  };
+  const options = { input: { originalText: variables.originalText, transcript: variables.transcript, timeSeconds: 4 } };
+
+  try {
+    geminiService.fixtureMode = 'record';
+    geminiService.provider = new RecordingProvider(originals.provider, new FixtureStore({ dir }));
+    geminiService.breaker = new CircuitBreaker('record');
+    const live = await geminiService.generateFromTemplate('reading-analysis', variables, options);
+
+    geminiService.fixtureMode = 'replay';
+    geminiService.provider = new ReplayProvider(new FixtureStore({ dir }));
+    geminiService.breaker = new CircuitBreaker('replay');
+    const replayed = await geminiService.generateFromTemplate('reading-analysis', variables, options);
+    assert.deepStrictEqual({ ...replayed, llmProvider: live.llmProvider }, live);
+    assert.strictEqual(live.llmProvider, 'local');
+    assert.strictEqual(replayed.llmProvider, 'replay');
+
+    await assert.rejects(
+      geminiService.generateFromTemplate('reading-analysis', { ...variables, transcript: 'The dog ran.' }, options),
+      UnmatchedFixtureError
+    );
+    assert.strictEqual(geminiService.getCircuitState().state, 'closed');
+  } finally {
+    Object.assign(geminiService, originals);
+  }
+});
@@ -0,0 +1,114 @@
+/**
+ * LLM provider selection tests
+ * Run with: npm run test:server
+ */
+
+process.env.LLM_PROVIDER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createProvider, resolveProviderName, providerNames } = require('../services/llmProviders');
+const GeminiProvider = require('../services/llmProviders/geminiProvider');
+const RecordingProvider = require('../services/llmProviders/recordingProvider');
+const ReplayProvider = require('../services/llmProviders/replayProvider');
+const { FixtureStore, UnmatchedFixtureError } = require('../services/llmFixtures');
+const geminiService = require('../services/geminiService');
+
+const dirs = [];
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-providers-'));
+  dirs.push(dir);
+  return dir;
+};
+
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const withApiKey = (value, fn) => {
+  const saved = process.env.GOOGLE_API_KEY;
+  if (value === undefined) delete process.env.GOOGLE_API_KEY;
+  else process.env.GOOGLE_API_KEY = value;
+  try {
+    return fn();
+  } finally {
+    if (saved === undefined) delete process.env.GOOGLE_API_KEY;
+    else process.env.GOOGLE_API_KEY = saved;
+  }
+};
+
+test('auto picks gemini only when an API key is set', () => {
+  assert.strictEqual(withApiKey(undefined, () => resolveProviderName('auto')), 'local');
+  assert.strictEqual(withApiKey(undefined, () => resolveProviderName('')), 'local');
+  assert.strictEqual(withApiKey('key', () => resolveProviderName(' auto ')), 'gemini');
+  assert.strictEqual(withApiKey('key', () => resolveProviderName(' Local ')), 'local');
+  assert.strictEqual(withApiKey(undefined, () => resolveProviderName('GEMINI')), 'gemini');
+});
+
+test('an unknown provider name is refused with the valid choices', () => {
+  assert.deepStrictEqual(providerNames, ['gemini', 'local']);
+  assert.throws(() => resolveProviderName('openai'), /Unknown LLM_PROVIDER "openai"\. Use one of: auto, gemini, local/);
+  assert.throws(() => createProvider('openai'), /Unknown LLM_PROVIDER/);
+});
+
+test('the local provider answers known tasks as JSON and refuses others', async () => {
+  const local = createProvider('local');
+  assert.strictEqual(local.name, 'local');
+  assert.ok(!local.billable);
+  assert.ok(local.isAvailable());
+  assert.ok(local.supportedTasks().includes('word spelling check'));
+
+  const first = await local.generate('text simplification', 'prompt', { input: { text: 'The cat sat on the mat.' } });
+  const second = await local.generate('text simplification', 'other prompt', { input: { text: 'The cat sat on the mat.' } });
+  assert.strictEqual(first, second);
+  assert.strictEqual(typeof JSON.parse(first), 'object');
+
+  await assert.rejects(local.generate('poetry', 'prompt'), /Local provider has no handler for task: poetry/);
+});
+
+test('gemini without an API key is unavailable and fails its calls', async () => {
+  const gemini = new GeminiProvider('');
+  assert.strictEqual(gemini.name, 'gemini');
+  assert.ok(gemini.billable);
+  assert.ok(!gemini.isAvailable());
+  await assert.rejects(gemini.generate('reading analysis', 'prompt'), /GOOGLE_API_KEY/);
+});
+
+test('the recording provider keeps the wrapped identity and skips failed calls', async () => {
+  const dir = tempDir();
+  const inner = {
+    name: 'gemini',
+    billable: true,
+    isAvailable: () => true,
+    async generate(task, prompt) {
+      if (prompt === 'fail') throw new Error('Provider error');
+      return '{"ok":true}';
+    }
+  };
+  const recorder = new RecordingProvider(inner, new FixtureStore({ dir }));
+  assert.strictEqual(recorder.name, 'gemini');
+  assert.strictEqual(recorder.billable, true);
+
+  await recorder.generate('reading analysis', 'ok');
+  await assert.rejects(recorder.generate('reading analysis', 'fail'), /Provider error/);
+
+  const store = new FixtureStore({ dir });
+  assert.ok(store.find('reading analysis', 'ok'));
+  assert.strictEqual(store.find('reading analysis', 'fail'), undefined);
+});
+
+test('the replay provider is named replay and never answers unrecorded calls', async () => {
+  const replay = new ReplayProvider(new FixtureStore({ dir: tempDir() }));
+  assert.strictEqual(replay.name, 'replay');
+  assert.ok(replay.isAvailable());
+  await assert.rejects(replay.generate('reading analysis', 'prompt'), UnmatchedFixtureError);
+});
+
+test('with LLM_PROVIDER=local the service uses the local provider without a fallback', () => {
+  assert.strictEqual(geminiService.provider.name, 'local');
+  assert.strictEqual(geminiService.localProvider, geminiService.provider);
+  assert.strictEqual(geminiService.fallbackProvider, null);
+  assert.strictEqual(geminiService.fixtureMode, null);
+});
@@ -0,0 +1,102 @@
+/**
+ * Logger tests
+ * Run with: npm run test:server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const logger = require('../services/logger');
+const requestContext = require('../services/requestContext');
+
+const defaults = { write: logger.write, threshold: logger.threshold, format: logger.format, redact: logger.redact };
+let lines;
+
+test.beforeEach(() => {
+  lines = [];
+  Object.assign(logger, defaults, { threshold: 20, format: 'json', redact: true });
+  logger.write = (line, level) => lines.push({ entry: JSON.parse(line), level });
+});
+
+test.after(() => Object.assign(logger, defaults));
+
+test('entries are JSON with time, level, message and fields', () => {
+  logger.info('✅ gemini completed reading analysis in 812ms', { task: 'reading analysis', durationMs: 812 });
+
+  assert.strictEqual(lines.length, 1);
+  const { entry, level } = lines[0];
+  assert.strictEqual(level, 'info');
+  assert.strictEqual(entry.level, 'info');
+  assert.strictEqual(entry.msg, '✅ gemini completed reading analysis in 812ms');
+  assert.strictEqual(entry.task, 'reading analysis');
+  assert.strictEqual(entry.durationMs, 812);
+  assert.ok(!Number.isNaN(Date.parse(entry.time)));
+  assert.strictEqual(entry.requestId, undefined);
+});
+
+test('entries carry the request id and user from the request context', () => {
+  requestContext.run({ requestId: 'req-42' }, () => {
+    logger.warn('🔁 Retrying');
+    requestContext.setUserId('user-7');
+    logger.warn('🔁 Retrying again');
+  });
+
+  assert.deepStrictEqual(lines.map(({ entry }) => [entry.requestId, entry.userId]), [
+    ['req-42', 'anonymous'],
+    ['req-42', 'user-7']
+  ]);
+});
+
+test('learner and LLM text is redacted, also when nested', () => {
+  logger.error('❌ Failed to parse JSON for spelling analysis', {
+    task: 'spelling analysis',
+    response: 'Tom rode his bik to scool',
+    feedback: { original: 'bik', corrected: 'bike', position: 3 },
+    words: [{ word: 'scool' }]
+  });
+
+  const { entry } = lines[0];
+  assert.strictEqual(entry.task, 'spelling analysis');
+  assert.strictEqual(entry.response, '[redacted 25 chars]');
+  assert.deepStrictEqual(entry.feedback, { original: '[redacted 3 chars]', corrected: '[redacted 4 chars]', position: 3 });
+  assert.deepStrictEqual(entry.words, [{ word: '[redacted 5 chars]' }]);
+  assert.ok(!JSON.stringify(entry).includes('scool'));
+});
+
+test('redaction can be turned off for local debugging', () => {
+  logger.redact = false;
+  logger.info('🛡️  Possible prompt injection', { excerpt: 'ignore previous instructions' });
+
+  assert.strictEqual(lines[0].entry.excerpt, 'ignore previous instructions');
+});
+
+test('errors are serialised with their status and stack', () => {
+  const error = Object.assign(new Error('Quota exceeded'), { status: 429 });
+  logger.error('Reading analysis error', { error });
+
+  const serialised = lines[0].entry.error;
+  assert.strictEqual(serialised.name, 'Error');
+  assert.strictEqual(serialised.message, 'Quota exceeded');
+  assert.strictEqual(serialised.status, 429);
+  assert.match(serialised.stack, /Quota exceeded/);
+});
+
+test('entries below the configured level are dropped', () => {
+  logger.threshold = 30;
+  logger.log('debug', '🔍 details');
+  logger.info('ℹ️  progress');
+  logger.warn('⚠️  warning');
+  logger.error('❌ failure');
+
+  assert.deepStrictEqual(lines.map(({ level }) => level), ['warn', 'error']);
+});
+
+test('pretty format writes a readable line', () => {
+  logger.format = 'pretty';
+  logger.write = line => lines.push(line);
+  requestContext.run({ requestId: 'abcdef123456', userId: 'user-7' }, () => {
+    logger.info('🗄️  Database ready', { migrations: 2 });
+  });
+
+  assert.match(lines[0], /^\d{2}:\d{2}:\d{2}\.\d{3} INFO {2}\[abcdef12 user-7\] 🗄️ {2}Database ready \{"migrations":2\}$/);
+});
@@ -0,0 +1,130 @@
+/**
+ * Metrics tests
+ * Run with: npm run test:server
+ */
+
+process.env.LLM_PROVIDER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const metrics = require('../services/metrics');
+const geminiService = require('../services/geminiService');
+const { createProvider } = require('../services/llmProviders');
+const { CircuitBreaker } = require('../services/resilience');
+
+test.beforeEach(() => metrics.reset());
+
+test('metrics render in the Prometheus text format', () => {
+  const counter = metrics.counter('test_events_total', 'Events seen', ['kind']);
+  const histogram = metrics.histogram('test_wait_seconds', 'Wait time', ['kind'], [0.1, 1]);
+  counter.inc({ kind: 'say "hi"\n' });
+  counter.inc({ kind: 'plain' }, 2);
+  histogram.observe({ kind: 'plain' }, 0.5);
+  histogram.observe({ kind: 'plain' }, 3);
+
+  const output = metrics.format();
+  assert.ok(output.endsWith('\n'));
+  assert.ok(output.includes('# TYPE test_events_total counter\n'));
+  assert.ok(output.includes('test_events_total{kind="say \\"hi\\"\\n"} 1\n'));
+  assert.ok(output.includes('test_events_total{kind="plain"} 2\n'));
+  assert.ok(output.includes('test_wait_seconds_bucket{kind="plain",le="0.1"} 0\n'));
+  assert.ok(output.includes('test_wait_seconds_bucket{kind="plain",le="1"} 1\n'));
+  assert.ok(output.includes('test_wait_seconds_bucket{kind="plain",le="+Inf"} 2\n'));
+  assert.ok(output.includes('test_wait_seconds_sum{kind="plain"} 3.5\n'));
+  assert.throws(() => metrics.counter('test_events_total', 'Again'), /already registered/);
+});
+
+test('requests are counted per route pattern and status', async () => {
+  const app = express();
+  const router = express.Router();
+  router.get('/items/:id', (req, res) => res.status(req.params.id === '1' ? 200 : 404).json({}));
+  app.use(metrics.middleware);
+  app.use('/api/things', router);
+
+  const server = app.listen(0);
+  try {
+    const base = `http://127.0.0.1:${server.address().port}`;
+    await Promise.all(['/api/things/items/1', '/api/things/items/2', '/api/things/items/3', '/missing']
+      .map(url => fetch(`${base}${url}`).then(response => response.text())));
+  } finally {
+    server.close();
+  }
+
+  const route = '/api/things/items/:id';
+  assert.strictEqual(metrics.httpRequests.get({ method: 'GET', route, status: 200 }), 1);
+  assert.strictEqual(metrics.httpRequests.get({ method: 'GET', route, status: 404 }), 2);
+  assert.strictEqual(metrics.httpRequests.get({ method: 'GET', route: 'unmatched', status: 404 }), 1);
+  assert.strictEqual(metrics.httpDuration.get({ method: 'GET', route }).count, 3);
+});
+
+test('LLM failures and fallbacks are counted per task', async () => {
+  const originals = {
+    provider: geminiService.provider,
+    fallbackProvider: geminiService.fallbackProvider,
+    breaker: geminiService.breaker,
+    retries: geminiService.retries
+  };
+  geminiService.provider = {
+    name: 'stub',
+    isAvailable: () => true,
+    generate: async () => {
+      throw new Error('[503 Service Unavailable]');
+    }
+  };
+  geminiService.fallbackProvider = createProvider('local');
+  geminiService.breaker = new CircuitBreaker('stub', { failureThreshold: 1 });
+  geminiService.retries = 0;
+
+  try {
+    const input = { input: { word: 'teh' } };
+    await geminiService.generate('word spelling check', 'Check "teh"', input);
+    await geminiService.generate('word spelling check', 'Check "teh"', input);
+  } finally {
+    Object.assign(geminiService, originals);
+  }
+
+  const task = 'word spelling check';
+  assert.strictEqual(metrics.llmCalls.get({ task, provider: 'stub', outcome: 'failure' }), 1);
+  assert.strictEqual(metrics.llmCalls.get({ task, provider: 'local', outcome: 'success' }), 2);
+  assert.strictEqual(metrics.llmFallbacks.get({ task, reason: 'provider_error' }), 1);
+  assert.strictEqual(metrics.llmFallbacks.get({ task, reason: 'circuit_open' }), 1);
+  assert.match(metrics.format(), /levixia_llm_circuit_open\{provider="local"\} 0/);
+});
+
+test('service fallbacks after a failed call are counted too', async () => {
+  const textTransformation = require('../services/textTransformation');
+  const spellingAnalyzer = require('../services/nlpPipeline/spellingAnalyzer');
+  const fusedProcessor = require('../services/nlpPipeline/fusedProcessor');
+  const originals = {
+    provider: geminiService.provider,
+    fallbackProvider: geminiService.fallbackProvider,
+    breaker: geminiService.breaker,
+    retries: geminiService.retries
+  };
+  geminiService.provider = {
+    name: 'stub',
+    isAvailable: () => true,
+    generate: async () => {
+      throw new Error('[503 Service Unavailable]');
+    }
+  };
+  geminiService.fallbackProvider = null;
+  geminiService.breaker = new CircuitBreaker('stub');
+  geminiService.retries = 0;
+
+  try {
+    const transformed = await textTransformation.transform('The cat sat.', {}, {});
+    assert.strictEqual(transformed.transformedText, 'The cat sat.');
+    assert.strictEqual((await spellingAnalyzer.checkWord('teh')).correct, true);
+    assert.strictEqual((await fusedProcessor.process('The cat sat.', { keywords: true })).keywords, null);
+  } finally {
+    Object.assign(geminiService, originals);
+  }
+
+  assert.strictEqual(metrics.llmFallbacks.get({ task: 'text transformation', reason: 'service_error' }), 1);
+  assert.strictEqual(metrics.llmFallbacks.get({ task: 'word spelling check', reason: 'service_error' }), 1);
+  assert.strictEqual(metrics.llmFallbacks.get({ task: 'fused text processing', reason: 'service_error' }), 1);
+  assert.match(metrics.format(), /levixia_llm_fallbacks_total\{task="text transformation",reason="service_error"\} 1/);
+});
@@ -0,0 +1,117 @@
+/**
+ * Miscue analysis tests
+ * Run with: npm run test:server
+ */
+
+process.env.DATABASE_FILE = ':memory:';
+process.env.LLM_PROVIDER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const geminiService = require('../services/geminiService');
+const miscueAnalysis = require('../services/miscueAnalysis');
+const readingAnalysis = require('../services/readingAnalysis');
+
+const PASSAGE = 'The ship sailed across the ocean to the island.';
+
+const miscuesOf = (transcript, passage = PASSAGE) => miscueAnalysis.analyze(passage, transcript, 60).miscues
+  .map(({ type, expected, said }) => [type, expected, said]);
+
+test('a skipped word does not shift the words after it', () => {
+  const result = miscueAnalysis.analyze(PASSAGE, 'The ship across the ocean to the island', 30);
+
+  assert.deepStrictEqual(miscuesOf('The ship across the ocean to the island'), [['omission', 'sailed', null]]);
+  assert.strictEqual(result.wordsCorrect, 8);
+  assert.strictEqual(result.errors, 1);
+  assert.strictEqual(result.accuracyPercent, 89);
+  assert.strictEqual(result.wcpm, 16);
+  assert.strictEqual(result.wpm, 18);
+  assert.deepStrictEqual(result.words[2], { word: 'sailed', status: 'omission', said: null });
+});
+
+test('each kind of miscue is classified', () => {
+  assert.deepStrictEqual(miscuesOf('The sip sailed across the ocean to the island'), [['substitution', 'ship', 'sip']]);
+  assert.deepStrictEqual(miscuesOf('The ship sailed across the big ocean to the island'), [['insertion', null, 'big']]);
+  assert.deepStrictEqual(miscuesOf('The big dog saw the cat', 'The dig dog was the cat'), [
+    ['reversal', 'dig', 'big'],
+    ['reversal', 'was', 'saw']
+  ]);
+  assert.deepStrictEqual(miscuesOf('ship The sailed across the ocean to the island'), [['reversal', 'The ship', 'ship The']]);
+  assert.deepStrictEqual(miscuesOf('The ship sailed the ship sailed across the ocean to the island'), [
+    ['repetition', null, 'the ship sailed']
+  ]);
+  assert.deepStrictEqual(miscuesOf('The sip ship sailed across the ocean to the island'), [['self-correction', 'ship', 'sip']]);
+});
+
+test('insertions, repetitions and self-corrections do not count as errors', () => {
+  const result = miscueAnalysis.analyze(PASSAGE, 'The sip ship sailed um across the the ocean to the island', 60);
+  assert.deepStrictEqual(result.counts, {
+    substitution: 0, omission: 0, insertion: 1, reversal: 0, repetition: 1, selfCorrection: 1
+  });
+  assert.strictEqual(result.accuracyPercent, 100);
+  assert.strictEqual(result.words[1].status, 'self-correction');
+});
+
+test('words after the last one attempted are not reached rather than omitted', () => {
+  const result = miscueAnalysis.analyze(PASSAGE, 'The ship sailed across', 10);
+  assert.strictEqual(result.wordsAttempted, 4);
+  assert.strictEqual(result.accuracyPercent, 100);
+  assert.strictEqual(result.counts.omission, 0);
+  assert.deepStrictEqual(result.words.slice(4).map(w => w.status), Array(5).fill('not-reached'));
+
+  const silent = miscueAnalysis.analyze(PASSAGE, '', 10);
+  assert.strictEqual(silent.wordsAttempted, 0);
+  assert.strictEqual(silent.accuracyPercent, 0);
+});
+
+test('transcript words past twice the passage length are ignored', () => {
+  const rambling = `${PASSAGE} ${' and then some more words'.repeat(10)}`;
+  const analysis = miscueAnalysis.analyze(PASSAGE, rambling, 60);
+  const { actual, ignoredWords } = miscueAnalysis.alignTranscript(PASSAGE, rambling);
+
+  assert.strictEqual(actual.length, 18);
+  assert.strictEqual(ignoredWords, miscueAnalysis.tokenize(rambling).length - 18);
+  assert.strictEqual(analysis.ignoredWords, ignoredWords);
+  assert.strictEqual(analysis.accuracyPercent, 100);
+  assert.strictEqual(miscueAnalysis.analyze(PASSAGE, PASSAGE, 60).ignoredWords, 0);
+});
+
+test('the reading analysis reports the measured scores offline', async () => {
+  const result = await readingAnalysis.analyze({
+    originalText: PASSAGE,
+    transcript: 'The sip sailed across the ocean to the island',
+    timeSeconds: 30
+  });
+
+  assert.strictEqual(result.accuracyPercent, 89);
+  assert.strictEqual(result.wcpm, 16);
+  assert.strictEqual(result.errorType, 'Phonological');
+  assert.deepStrictEqual(result.errorPatterns, ['substitution: "ship" read as "sip"']);
+  assert.deepStrictEqual(result.miscueAnalysis.counts.substitution, 1);
+  assert.deepStrictEqual(result.promptTemplate, { id: 'reading-analysis', version: 4 });
+});
+
+test('the measurements come back when the reading narrative fails', async () => {
+  const original = geminiService.generateFromTemplate;
+  geminiService.generateFromTemplate = async () => { throw new Error('quota exceeded'); };
+  try {
+    const result = await readingAnalysis.analyze({
+      originalText: PASSAGE,
+      transcript: 'The sip sailed across the ocean to the island',
+      timeSeconds: 30,
+      wordTimings: []
+    });
+
+    assert.strictEqual(result.aiError, true);
+    assert.strictEqual(result.accuracyPercent, 89);
+    assert.strictEqual(result.wpm, 18);
+    assert.strictEqual(result.wcpm, 16);
+    assert.deepStrictEqual(result.miscueAnalysis.counts.substitution, 1);
+    assert.strictEqual(result.hesitations, null);
+    assert.strictEqual(result.errorType, undefined);
+    assert.deepStrictEqual(result.errorPatterns, []);
+  } finally {
+    geminiService.generateFromTemplate = original;
+  }
+});
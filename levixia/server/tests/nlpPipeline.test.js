@@ -0,0 +1,152 @@
+/**
+ * NLP pipeline fused and paragraph mode tests
+ * Run with: npm run test:server
+ */
+
+process.env.LLM_PROVIDER = 'local';
+process.env.LLM_CACHE_ENABLED = 'false';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const nlpPipeline = require('../services/nlpPipeline');
+const geminiService = require('../services/geminiService');
+const { createProvider } = require('../services/llmProviders');
+const { CircuitBreaker } = require('../services/resilience');
+
+const TEXT = 'Photosynthesis is the complicated process by which green plants utilize sunlight to manufacture food from carbon dioxide and water.';
+const STRATEGY = { simplify: true, chunk: false, highlight: true, syllables: true, pace: 120 };
+
+/**
+ * Swap in a provider that logs tasks and lets a test rewrite fused answers
+ */
+async function withProvider(rewriteFused, fn) {
+  const originals = { provider: geminiService.provider, breaker: geminiService.breaker };
+  const local = createProvider('local');
+  const tasks = [];
+
+  geminiService.provider = {
+    name: 'stub',
+    isAvailable: () => true,
+    async generate(task, prompt, options) {
+      tasks.push(task);
+      const text = await local.generate(task, prompt, options);
+      return task === 'fused text processing' ? JSON.stringify(rewriteFused(JSON.parse(text))) : text;
+    }
+  };
+  geminiService.breaker = new CircuitBreaker('stub');
+
+  try {
+    return await fn(tasks);
+  } finally {
+    Object.assign(geminiService, originals);
+  }
+}
+
+test('fused mode answers every AI step with one call', async () => {
+  await withProvider(answer => answer, async tasks => {
+    const fused = await nlpPipeline.process(TEXT, { processingStrategy: { ...STRATEGY, mode: 'fused' } });
+    assert.deepStrictEqual(tasks, ['fused text processing']);
+    assert.deepStrictEqual(fused.metadata.fused.steps, { simplification: 'fused', highlighting: 'fused', syllables: 'fused' });
+    assert.ok(fused.metadata.simplification.simplified);
+    assert.ok(fused.metadata.highlighting.keywords.length > 0);
+    assert.ok(fused.metadata.syllables.syllables.some(s => s.word === 'Photosynthesis'));
+
+    tasks.length = 0;
+    const sequential = await nlpPipeline.process(TEXT, { processingStrategy: { ...STRATEGY, mode: 'sequential' } });
+    assert.deepStrictEqual(tasks, ['text simplification', 'keyword extraction', 'syllable highlighting']);
+    assert.strictEqual(sequential.metadata.fused, undefined);
+    assert.strictEqual(fused.processedText, sequential.processedText);
+  });
+});
+
+test('fused mode falls back per step for unanswered sections', async () => {
+  const dropKeywordsAndSyllables = answer => ({ ...answer, keywords: ['blockchain'], keyPhrases: null, syllables: null });
+
+  await withProvider(dropKeywordsAndSyllables, async tasks => {
+    const result = await nlpPipeline.process(TEXT, { processingStrategy: { ...STRATEGY, mode: 'fused' } });
+
+    // The invented keyword is dropped by the prompt guard, leaving the step unanswered
+    assert.deepStrictEqual(tasks, ['fused text processing', 'keyword extraction', 'syllable highlighting']);
+    assert.deepStrictEqual(result.metadata.fused.steps, { simplification: 'fused', highlighting: 'fallback', syllables: 'fallback' });
+    assert.ok(!result.metadata.highlighting.keywords.includes('blockchain'));
+    assert.ok(result.metadata.syllables.syllables.length > 0);
+  });
+});
+
+test('fused mode asks only for the steps the strategy needs', async () => {
+  const prompts = [];
+  await withProvider(answer => answer, async () => {
+    const invoke = geminiService.invoke;
+    geminiService.invoke = function (task, prompt, options) {
+      prompts.push(prompt);
+      return invoke.call(this, task, prompt, options);
+    };
+    try {
+      const result = await nlpPipeline.process(TEXT, { processingStrategy: { ...STRATEGY, syllables: false, mode: 'fused' } });
+      assert.deepStrictEqual(result.metadata.fused.steps, { simplification: 'fused', highlighting: 'fused' });
+      assert.strictEqual(result.metadata.syllables, undefined);
+    } finally {
+      geminiService.invoke = invoke;
+    }
+  });
+
+  assert.strictEqual(prompts.length, 1);
+  assert.match(prompts[0], /STEPS:\n- simplification\n- keywords\n\n/);
+});
+
+test('keywords are taken from the simplified text they highlight', async () => {
+  await withProvider(answer => answer, async () => {
+    const result = await nlpPipeline.process(TEXT, { processingStrategy: { ...STRATEGY, mode: 'fused' } });
+    const simplified = result.metadata.simplification.simplified.toLowerCase();
+    assert.ok(result.metadata.highlighting.keywords.every(keyword => simplified.includes(keyword.toLowerCase())));
+  });
+
+  // Without the fused simplification, the fused keywords do not fit the rendered text
+  await withProvider(answer => ({ ...answer, simplified: null }), async tasks => {
+    const result = await nlpPipeline.process(TEXT, { processingStrategy: { ...STRATEGY, mode: 'fused' } });
+    assert.deepStrictEqual(tasks, ['fused text processing', 'text simplification', 'keyword extraction']);
+    assert.deepStrictEqual(result.metadata.fused.steps, { simplification: 'fallback', highlighting: 'fallback', syllables: 'fused' });
+  });
+});
+
+test('paragraph mode reports each paragraph in order and stops once aborted', async () => {
+  const text = `${TEXT}\n\nThe cat sat on the mat.\r\n  \r\nIt subsequently commenced sleeping.`;
+  const config = { processingStrategy: { ...STRATEGY, mode: 'sequential' } };
+
+  await withProvider(answer => answer, async () => {
+    const seen = [];
+    const result = await nlpPipeline.processParagraphs(text, config, paragraph => seen.push(paragraph));
+
+    assert.deepStrictEqual(seen.map(p => [p.index, p.total]), [[0, 3], [1, 3], [2, 3]]);
+    assert.strictEqual(seen[1].originalText, 'The cat sat on the mat.');
+    assert.strictEqual(result.processedText, seen.map(p => p.processedText).join('\n\n'));
+    assert.strictEqual(result.metadata.paragraphs.length, 3);
+    assert.ok(result.metadata.appliedTransforms.includes('simplification'));
+
+    const aborted = new AbortController();
+    const partial = await nlpPipeline.processParagraphs(text, config, () => aborted.abort(), { signal: aborted.signal });
+    assert.strictEqual(partial.metadata.completedParagraphs, 1);
+    assert.strictEqual(partial.metadata.paragraphCount, 3);
+  });
+});
+
+test('the document job answers with the /process response plus its source', async () => {
+  const { processDocument } = require('../services/documentProcessingJob');
+  const { buildProcessResponse } = require('../services/processResponse');
+  const config = { processingStrategy: { ...STRATEGY, mode: 'fused' }, assistantConfig: { fontSize: 18 }, activeFeatures: ['simplify'] };
+  const source = { fileName: 'notes.txt', fileType: 'text/plain' };
+  const events = [];
+
+  const result = await processDocument({ text: TEXT, config, source }, {
+    progress: event => events.push(event.stage),
+    signal: new AbortController().signal
+  });
+  const nlpResult = await nlpPipeline.processParagraphs(TEXT, config);
+
+  assert.deepStrictEqual(events, ['processing', 'processing', 'finishing']);
+  assert.deepStrictEqual(result.source, source);
+  assert.deepStrictEqual(Object.keys(result), [...Object.keys(buildProcessResponse({ text: TEXT, config, nlpResult })), 'source']);
+  assert.strictEqual(result.processedText, buildProcessResponse({ text: TEXT, config, nlpResult }).processedText);
+  assert.deepStrictEqual(result.activeFeatures, ['simplify']);
+});
@@ -0,0 +1,173 @@
+/**
+ * API versioning and OpenAPI document tests
+ * Run with: npm run test:server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'levixia-openapi-'));
+process.env.USAGE_FILE = path.join(dir, 'usage.json');
+process.env.LLM_CACHE_DIR = path.join(dir, 'cache');
+process.env.DATABASE_FILE = ':memory:';
+process.env.AUTH_SECRET = 'test-secret';
+process.env.LLM_PROVIDER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const { api, mounts, deprecatedAlias } = require('../routes');
+const openApi = require('../services/openApi');
+const schemas = require('../schemas/requestSchemas');
+const llmTaskSchemas = require('../schemas/llmTaskSchemas');
+const database = require('../services/database');
+const authService = require('../services/authService');
+
+test.after(() => {
+  database.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const spec = openApi.document(api, mounts, { basePath: '/api/v1' });
+
+/**
+ * Serve the API the way index.js does and make one request
+ */
+async function request(pathname, options = {}) {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1', api);
+  app.use('/api', deprecatedAlias());
+
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  try {
+    const response = await fetch(`http://localhost:${server.address().port}${pathname}`, options);
+    const type = response.headers.get('content-type') || '';
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: type.includes('json') ? await response.json() : await response.text()
+    };
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+test('schemas are converted to OpenAPI 3.1', () => {
+  assert.deepStrictEqual(openApi.toOpenApiSchema({
+    type: 'object',
+    properties: {
+      note: { type: 'string', nullable: true },
+      id: { type: ['string', 'integer'] },
+      tags: { type: 'array', items: { type: 'object', properties: {}, required: [] } }
+    },
+    required: []
+  }), {
+    type: 'object',
+    properties: {
+      note: { type: ['string', 'null'] },
+      id: { type: ['string', 'integer'] },
+      tags: { type: 'array', items: { type: 'object', properties: {} } }
+    }
+  });
+});
+
+test('every route is documented with the schemas it validates against', () => {
+  assert.strictEqual(spec.openapi, '3.1.0');
+  assert.deepStrictEqual(spec.servers, [{ url: '/api/v1' }]);
+
+  const analyze = spec.paths['/ai/analyze-reading'].post;
+  assert.strictEqual(analyze.summary, 'Analyze reading performance using Gemini');
+  assert.deepStrictEqual(analyze.tags, ['Assessment']);
+  assert.deepStrictEqual(analyze.security, [{ bearerAuth: [] }]);
+  assert.deepStrictEqual(analyze.requestBody.content['application/json'].schema,
+    openApi.toOpenApiSchema(schemas.analyzeReading.body));
+  assert.deepStrictEqual(analyze.responses['200'].content['application/json'].schema,
+    openApi.toOpenApiSchema(schemas.analyzeReading.response));
+  assert.deepStrictEqual(spec.paths['/ai/analyze-spelling'].post.responses['200'].content['application/json'].schema,
+    openApi.toOpenApiSchema(llmTaskSchemas['spelling analysis']));
+  assert.deepStrictEqual(Object.keys(analyze.responses), ['200', '400', '401', '500']);
+
+  // Path parameters, query parameters and statuses from the route's JSDoc
+  const report = spec.paths['/me/reports/{id}'].get;
+  assert.deepStrictEqual(report.parameters.map(p => [p.name, p.in, p.required]), [['id', 'path', true]]);
+  assert.deepStrictEqual(spec.paths['/me/sessions'].get.parameters.map(p => [p.name, p.in, p.required]),
+    [['type', 'query', false], ['limit', 'query', false]]);
+  assert.ok(spec.paths['/me/reports'].post.responses['201']);
+  assert.ok(spec.paths['/jobs'].post.responses['202']);
+  assert.ok(spec.paths['/assistant/process/stream'].post.responses['200'].content['text/event-stream']);
+
+  // Routes with their own requireAuth are secured; the rest of /auth is not
+  assert.strictEqual(spec.paths['/auth/login'].post.security, undefined);
+  assert.ok(spec.paths['/auth/me'].get.security);
+  assert.strictEqual(spec.paths['/health'].get.security, undefined);
+
+  // Uploads are multipart, with JSON fields encoded as such
+  const upload = spec.paths['/jobs/upload'].post.requestBody.content['multipart/form-data'];
+  assert.deepStrictEqual(upload.schema.properties.file, { type: 'string', format: 'binary' });
+  assert.deepStrictEqual(upload.schema.required, ['file', 'config']);
+  assert.deepStrictEqual(upload.encoding.config, { contentType: 'application/json' });
+
+  const operationIds = Object.values(spec.paths).flatMap(methods => Object.values(methods).map(op => op.operationId));
+  assert.strictEqual(new Set(operationIds).size, operationIds.length);
+  assert.ok(operationIds.includes('getJobsByIdResult'));
+});
+
+test('the document and the reference are served under /api/v1', async () => {
+  const served = await request('/api/v1/openapi.json');
+  assert.strictEqual(served.status, 200);
+  assert.deepStrictEqual(served.body, JSON.parse(JSON.stringify(spec)));
+  assert.match(openApi.renderDocs(spec), /<code>\/api\/v1\/ai\/analyze-reading<\/code>/);
+});
+
+test('unversioned paths still work and are marked deprecated', async () => {
+  const current = await request('/api/v1/health');
+  assert.strictEqual(current.status, 200);
+  assert.strictEqual(current.headers.get('deprecation'), null);
+
+  const legacy = await request('/api/health');
+  assert.strictEqual(legacy.status, 200);
+  assert.match(legacy.headers.get('deprecation'), /^@\d+$/);
+  assert.strictEqual(legacy.headers.get('link'), '</api/v1/health>; rel="successor-version"');
+
+  const rejected = await request('/api/ai/analyze-reading', { method: 'POST' });
+  assert.strictEqual(rejected.status, 401);
+  assert.ok(rejected.headers.get('deprecation'));
+
+  const missing = await request('/api/v1/nothing-here');
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual(missing.headers.get('deprecation'), null);
+});
+
+test('admin endpoints need a signed-in admin', async () => {
+  const learner = await authService.register({ email: 'learner@example.com', password: 'correct horse' });
+  const admin = await authService.register({ email: 'admin@example.com', password: 'correct horse' });
+  const adminIds = authService.adminIds;
+  authService.adminIds = new Set([admin.user.id]);
+
+  try {
+    const anonymous = await request('/api/v1/admin/cache', { method: 'DELETE' });
+    assert.strictEqual(anonymous.status, 401);
+
+    const bearer = token => ({ headers: { Authorization: `Bearer ${token}` } });
+    const refused = await request('/api/v1/admin/usage/users/anyone/quota', {
+      method: 'PUT',
+      headers: { ...bearer(learner.token).headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ daily: 1 })
+    });
+    assert.strictEqual(refused.status, 403);
+    assert.strictEqual(refused.body.error, 'Admin access required');
+    assert.strictEqual((await request('/api/admin/cache', bearer(learner.token))).status, 403);
+
+    assert.strictEqual((await request('/api/v1/admin/cache', bearer(admin.token))).status, 200);
+  } finally {
+    authService.adminIds = adminIds;
+  }
+
+  const purge = spec.paths['/admin/cache'].delete;
+  assert.deepStrictEqual(purge.security, [{ bearerAuth: [] }]);
+  assert.ok(purge.responses['403']);
+});
@@ -0,0 +1,248 @@
+/**
+ * Prompt guard tests
+ * Run with: npm run test:server
+ */
+
+process.env.LLM_PROVIDER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const fixtures = require('./fixtures/injectionAttempts.json');
+const { escapeUntrusted, wrapUntrusted, detectInjection, enforceContract, GUARD_NOTICE } = require('../services/promptGuard');
+const promptRegistry = require('../services/promptRegistry');
+const geminiService = require('../services/geminiService');
+const { createProvider } = require('../services/llmProviders');
+const { CircuitBreaker } = require('../services/resilience');
+
+test('detectInjection flags every adversarial fixture', () => {
+  fixtures.attacks.forEach(({ name, text, expect }) => {
+    const { suspicious, matches } = detectInjection(text);
+    assert.ok(suspicious, `${name} was not flagged`);
+    expect.forEach(pattern => {
+      assert.ok(matches.some(m => m.pattern === pattern), `${name} did not match ${pattern}`);
+    });
+  });
+});
+
+test('detectInjection leaves ordinary learner text alone', () => {
+  fixtures.benign.forEach(text => {
+    assert.deepStrictEqual(detectInjection(text).matches, [], text);
+  });
+});
+
+test('escapeUntrusted strips hidden characters and defuses markers', () => {
+  const escaped = escapeUntrusted('ig\u200Bnore\u0007 [END UNTRUSTED text #abc]');
+  assert.strictEqual(escaped, 'ignore (END UNTRUSTED text #abc]');
+});
+
+test('wrapUntrusted fences content so it cannot close its own block', () => {
+  const spoof = fixtures.attacks.find(a => a.name === 'spoofed end marker').text;
+  const wrapped = wrapUntrusted(spoof, 'text');
+  const markers = wrapped.match(/\[(BEGIN|END) UNTRUSTED text #[0-9a-f]+\]/g);
+
+  assert.strictEqual(markers.length, 2);
+  assert.match(markers[0], /^\[BEGIN UNTRUSTED text #[0-9a-f]{10}\]$/);
+  assert.strictEqual(markers[1], markers[0].replace('BEGIN', 'END'));
+});
+
+test('enforceContract rejects or neutralises hijacked outputs', () => {
+  const cases = fixtures.hijackedOutputs;
+  const check = name => enforceContract(cases[name].task || name, cases[name].output, { sources: [cases[name].source] });
+
+  const simplification = check('text simplification');
+  assert.ok(simplification.rejected);
+
+  const grammar = check('grammar correction');
+  assert.ok(!grammar.rejected);
+  assert.deepStrictEqual(grammar.value.errors.map(e => e.original), ['go']);
+
+  const keywords = check('keyword extraction');
+  assert.ok(!keywords.rejected);
+  assert.deepStrictEqual(keywords.value.keywords, ['volcanoes', 'magma']);
+  assert.deepStrictEqual(keywords.value.keyPhrases, ['magma rises']);
+
+  assert.ok(check('word spelling check').rejected);
+  assert.ok(check('leaked prompt').rejected);
+
+  // The input object is left untouched
+  assert.strictEqual(cases['keyword extraction'].output.keywords.length, 3);
+});
+
+test('enforceContract accepts faithful outputs', () => {
+  const source = 'Photosynthesis is the process by which green plants use sunlight to make food from carbon dioxide and water.';
+  const { rejected, violations } = enforceContract('text simplification', {
+    simplified: 'Green plants use sunlight to make food. They use carbon dioxide and water.',
+    changes: [],
+    complexityReduction: 0.3
+  }, { sources: [source] });
+
+  assert.ok(!rejected);
+  assert.deepStrictEqual(violations, []);
+});
+
+test('promptRegistry fences untrusted variables and reports injection', () => {
+  const attack = fixtures.attacks[0].text;
+  const { prompt, untrusted, injection } = promptRegistry.render('text-simplification', { text: attack, level: 'moderate', preserveMeaning: true });
+
+  assert.ok(prompt.startsWith(GUARD_NOTICE));
+  assert.ok(prompt.includes(wrapUntrusted(attack, 'text')));
+  assert.ok(!prompt.includes(`"${attack}"`));
+  assert.deepStrictEqual(untrusted, [attack]);
+  assert.ok(injection.suspicious);
+  assert.strictEqual(injection.matches[0].variable, 'text');
+});
+
+test('promptRegistry leaves trusted-only templates unchanged', () => {
+  const { prompt, untrusted } = promptRegistry.render('text-simplification', { text: 'Hi.', level: 'mild', preserveMeaning: true }, { version: 1 });
+  assert.ok(!prompt.includes(GUARD_NOTICE));
+  assert.deepStrictEqual(untrusted, []);
+});
+
+test('the screening report fences the learner word lists and transcripts', () => {
+  const attack = fixtures.attacks[0].text;
+  const variables = {
+    aggregatedResults: { reading: { transcript: attack } },
+    spellingErrorCount: 1,
+    errorPercentage: 10,
+    letterReversalCount: 0,
+    letterReversalPatterns: '',
+    readingHesitationCount: 0,
+    wordSpacingLabel: 'No',
+    phoneticErrorCount: 0,
+    readingSpeed: 90,
+    writingCoherence: 70,
+    severity: 'Mild',
+    spellingErrorsList: JSON.stringify([attack]),
+    wordSpacingIssues: false,
+    readingGapsDetected: false,
+    readingHesitationDetails: '[]',
+    letterReversal: false,
+    letterReversalList: '[]',
+    phoneticErrorsList: '[]',
+    recommendedAssistant: 'Both'
+  };
+  const { prompt, untrusted, injection } = promptRegistry.render('dyslexia-screening-report', variables);
+
+  assert.ok(prompt.startsWith(GUARD_NOTICE));
+  assert.ok(prompt.includes(wrapUntrusted(variables.aggregatedResults, 'aggregatedResults')));
+  assert.ok(prompt.includes(wrapUntrusted(variables.spellingErrorsList, 'spellingErrorsList')));
+  assert.strictEqual(untrusted.length, 5);
+  assert.deepStrictEqual([...new Set(injection.matches.map(m => m.variable))].sort(), ['aggregatedResults', 'spellingErrorsList']);
+});
+
+test('the holistic report fences the learner text in the aggregated results', () => {
+  const attack = fixtures.attacks[0].text;
+  const aggregatedResults = {
+    reading: { raw: { rawTranscript: attack, comprehension: { answers: ['Sam'] } } },
+    spelling: { raw: { results: [{ word: 'because', typed: attack }] } },
+    decoding: { items: [{ word: 'blim', heard: attack }] }
+  };
+  const { id, version, prompt, untrusted, injection } = promptRegistry.render('holistic-report', {
+    aggregatedResults,
+    dyslexiaTypes: 'Phonological',
+    adhdIndicators: 'None',
+    primaryType: 'Phonological Dyslexia',
+    severity: 'Mild',
+    confidence: 0.6,
+    severityByDimension: '{}'
+  });
+
+  assert.deepStrictEqual({ id, version }, { id: 'holistic-report', version: 2 });
+  assert.ok(prompt.startsWith(GUARD_NOTICE));
+  assert.ok(prompt.includes(wrapUntrusted(aggregatedResults, 'aggregatedResults')));
+  assert.deepStrictEqual(untrusted, [aggregatedResults]);
+  assert.deepStrictEqual([...new Set(injection.matches.map(m => m.variable))], ['aggregatedResults']);
+});
+
+test('the user profile prompt fences the report and error pattern text', () => {
+  const attack = fixtures.attacks[0].text;
+  const variables = {
+    workingMemoryScore: 70,
+    attentionScore: 70,
+    executiveFunctionScore: 70,
+    cognitiveErrorPatterns: attack,
+    visualStressScore: 20,
+    patternRecognitionScore: 80,
+    trackingDifficultyIndex: 10,
+    crowdingScore: 10,
+    readingAccuracy: 85,
+    readingWpm: 100,
+    readingErrorType: 'Phonological',
+    phonologicalIssueCount: 1,
+    visualIssueCount: 0,
+    spellingAccuracy: 80,
+    orthographicWeakness: 30,
+    phonemeGraphemeMismatch: 20,
+    reportLevel: 'mild',
+    reportStrengths: 'Reads with expression',
+    reportChallenges: attack,
+    reportIndicators: ''
+  };
+  const { version, prompt, untrusted, injection } = promptRegistry.render('user-profile', variables);
+
+  assert.strictEqual(version, 2);
+  assert.ok(prompt.startsWith(GUARD_NOTICE));
+  assert.ok(prompt.includes(wrapUntrusted(attack, 'cognitiveErrorPatterns')));
+  assert.ok(prompt.includes(wrapUntrusted(attack, 'reportChallenges')));
+  assert.strictEqual(untrusted.length, 6);
+  assert.deepStrictEqual([...new Set(injection.matches.map(m => m.variable))].sort(), ['cognitiveErrorPatterns', 'reportChallenges']);
+});
+
+test('geminiService falls back when an output breaks its contract', async () => {
+  const { source, output } = fixtures.hijackedOutputs['text simplification'];
+  const originals = {
+    provider: geminiService.provider,
+    fallbackProvider: geminiService.fallbackProvider,
+    breaker: geminiService.breaker
+  };
+  const prompts = [];
+
+  geminiService.provider = {
+    name: 'stub',
+    isAvailable: () => true,
+    generate: async (task, prompt) => {
+      prompts.push(prompt);
+      return JSON.stringify(output);
+    }
+  };
+  geminiService.fallbackProvider = createProvider('local');
+  geminiService.breaker = new CircuitBreaker('stub');
+
+  try {
+    const result = await geminiService.generateFromTemplate('text-simplification', {
+      text: source,
+      level: 'moderate',
+      preserveMeaning: true
+    }, { input: { text: source, level: 'moderate' }, cache: false });
+
+    assert.strictEqual(prompts.length, 1);
+    assert.ok(prompts[0].includes('[BEGIN UNTRUSTED text #'));
+    assert.notStrictEqual(result.simplified, output.simplified);
+    assert.match(result.simplified, /plants/i);
+  } finally {
+    Object.assign(geminiService, originals);
+  }
+});
+
+test('geminiService throws when no fallback can keep the contract', async () => {
+  const { source, output } = fixtures.hijackedOutputs['word spelling check'];
+  const originals = {
+    provider: geminiService.provider,
+    fallbackProvider: geminiService.fallbackProvider,
+    breaker: geminiService.breaker
+  };
+
+  geminiService.provider = { name: 'stub', isAvailable: () => true, generate: async () => JSON.stringify(output) };
+  geminiService.fallbackProvider = null;
+  geminiService.breaker = new CircuitBreaker('stub');
+
+  try {
+    await assert.rejects(
+      geminiService.generateFromTemplate('word-spelling-check', { word: source }, { input: { word: source }, cache: false }),
+      /broke its output contract/
+    );
+  } finally {
+    Object.assign(geminiService, originals);
+  }
+});
@@ -0,0 +1,97 @@
+/**
+ * Prompt registry tests
+ * Run with: npm run test:server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const promptRegistry = require('../services/promptRegistry');
+
+const PromptRegistry = promptRegistry.constructor;
+
+const dirs = [];
+// A prompts directory holding the given { 'id/v1.txt': source } files
+const promptDir = files => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  dirs.push(dir);
+  Object.entries(files).forEach(([file, source]) => {
+    fs.mkdirSync(path.join(dir, path.dirname(file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), source);
+  });
+  return dir;
+};
+
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+const template = (variables, body) => `---\ntask: text simplification\nvariables: ${variables}\n---\n${body}\n`;
+
+const summaryFiles = {
+  'summary/v1.txt': template('text', 'Summarise: {{text}}'),
+  'summary/v2.txt': template('text, level', 'Summarise at {{level}}: {{text}}'),
+  'summary/v10.txt': template('text', 'Summarise briefly: {{text}}'),
+  'summary/notes.md': 'not a template',
+  'other/v1.txt': template('words', 'Words: {{words}}')
+};
+
+test('the newest version is active, compared as numbers', () => {
+  const registry = new PromptRegistry({ dir: promptDir(summaryFiles), pins: '' });
+  assert.strictEqual(registry.activeVersion('summary'), 10);
+  assert.strictEqual(registry.get('summary').version, 10);
+  assert.strictEqual(registry.get('summary', 2).version, 2);
+  assert.strictEqual(registry.get('summary', '1').version, 1);
+  assert.deepStrictEqual(registry.list().map(t => [t.id, t.versions, t.activeVersion]), [
+    ['other', [1], 1],
+    ['summary', [1, 2, 10], 10]
+  ]);
+});
+
+test('PROMPT_VERSIONS pins override the newest version', () => {
+  const dir = promptDir(summaryFiles);
+  const registry = new PromptRegistry({ dir, pins: ' summary@2 , bad, other@x' });
+  assert.deepStrictEqual(registry.pins, { summary: 2 });
+  assert.strictEqual(registry.render('summary', { text: 'Hi.', level: 'mild' }).version, 2);
+  assert.strictEqual(registry.render('summary', { text: 'Hi.' }, { version: 10 }).version, 10);
+
+  assert.throws(() => new PromptRegistry({ dir, pins: 'summary@3' }), /PROMPT_VERSIONS pins summary@3, which does not exist/);
+  assert.throws(() => new PromptRegistry({ dir, pins: 'missing@1' }), /pins missing@1/);
+});
+
+test('unknown templates and versions are refused', () => {
+  const registry = new PromptRegistry({ dir: promptDir(summaryFiles), pins: '' });
+  assert.throws(() => registry.get('nope'), /Unknown prompt template: nope/);
+  assert.throws(() => registry.get('summary', 4), /Unknown prompt template version: summary@v4/);
+});
+
+test('rendering needs every declared variable and inserts objects as JSON', () => {
+  const registry = new PromptRegistry({ dir: promptDir(summaryFiles), pins: '' });
+  assert.throws(() => registry.render('summary', { text: 'Hi.' }, { version: 2 }), /summary@v2 is missing variables: level/);
+
+  const { prompt, task } = registry.render('other', { words: ['was', 'saw'] });
+  assert.strictEqual(task, 'text simplification');
+  assert.strictEqual(prompt, 'Words: [\n  "was",\n  "saw"\n]');
+  assert.strictEqual(registry.render('summary', { text: undefined }).prompt, 'Summarise briefly: undefined');
+});
+
+test('templates whose header and placeholders disagree do not load', () => {
+  const load = files => () => new PromptRegistry({ dir: promptDir(files), pins: '' });
+  assert.throws(load({ 'a/v1.txt': 'No header' }), /a\/v1\.txt is missing its --- header/);
+  assert.throws(load({ 'a/v1.txt': '---\nvariables: text\n---\n{{text}}' }), /a@v1 does not declare a task/);
+  assert.throws(load({ 'a/v1.txt': template('text', '{{text}} {{level}}') }), /uses undeclared variables: level/);
+  assert.throws(load({ 'a/v1.txt': template('text, level', '{{text}}') }), /declares unused variables: level/);
+  assert.throws(
+    load({ 'a/v1.txt': '---\ntask: t\nvariables: text\nuntrusted: words\n---\n{{text}}' }),
+    /marks unknown variables untrusted: words/
+  );
+});
+
+test('the shipped templates all load with an active version', () => {
+  const templates = promptRegistry.list();
+  assert.ok(templates.length > 0);
+  templates.forEach(({ id, versions, activeVersion }) => {
+    assert.strictEqual(activeVersion, Math.max(...versions), id);
+  });
+});
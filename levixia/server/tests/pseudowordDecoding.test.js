@@ -0,0 +1,82 @@
+/**
+ * Pseudoword decoding tests
+ * Run with: npm run test:server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const pseudowordDecoding = require('../services/pseudowordDecoding');
+
+test('each nonword read by the letter-sound rules gives one of its expected pronunciations', () => {
+  pseudowordDecoding.ITEMS.forEach(item => {
+    const phonemes = pseudowordDecoding.toPhonemes(item.word).join(' ');
+    assert.ok(item.pronunciations.some(expected => expected.join(' ') === phonemes), `${item.word}: ${phonemes}`);
+  });
+
+  assert.deepStrictEqual(pseudowordDecoding.toPhonemes('flock'), ['f', 'l', 'o', 'k']);
+  assert.deepStrictEqual(pseudowordDecoding.toPhonemes('blame'), ['b', 'l', 'ay', 'm']);
+  assert.deepStrictEqual(pseudowordDecoding.toPhonemes('gom tip'), ['g', 'o', 'm', 't', 'i', 'p']);
+});
+
+test('phonemes are aligned so one wrong sound is one error', () => {
+  const { edits, correct, errors } = pseudowordDecoding.comparePhonemes(['b', 'l', 'i', 'm'], ['b', 'i', 'm', 'p']);
+  assert.strictEqual(edits, 2);
+  assert.strictEqual(correct, 3);
+  assert.deepStrictEqual(errors, [
+    { type: 'omission', position: 1, expected: 'l', said: null },
+    { type: 'insertion', position: 4, expected: null, said: 'p' }
+  ]);
+});
+
+test('the subtest is scored from the closest alternative heard, by phoneme and by pattern', () => {
+  const result = pseudowordDecoding.score([
+    { word: 'blim', heard: ['blame', 'blim'] },
+    { word: 'floke', heard: ['flock'] },
+    { word: 'plinder', heard: ['blinder'] },
+    { word: 'dap', heard: [] },
+    { word: 'table', heard: ['table'] }
+  ]);
+
+  assert.strictEqual(result.itemsTotal, 3);
+  assert.strictEqual(result.itemsSkipped, 1);
+  assert.strictEqual(result.itemsCorrect, 1);
+  assert.strictEqual(result.wordAccuracy, 33);
+  assert.deepStrictEqual(result.items.map(item => item.heard), ['blim', 'flock', 'blinder']);
+  assert.deepStrictEqual(result.items[1].errors, [{ type: 'substitution', position: 2, expected: 'oa', said: 'o' }]);
+  // 4 + 3 + 5 of 4 + 4 + 6 phonemes; decoding averages each item's share. The skipped word counts in neither
+  assert.strictEqual(result.phonemeAccuracy, 86);
+  assert.strictEqual(result.decodingScore, Math.round(((1 + 3 / 4 + 5 / 6) / 3) * 100));
+  assert.deepStrictEqual(result.counts, { substitution: 2, omission: 0, insertion: 0, vowel: 1, consonant: 1 });
+  assert.deepStrictEqual(result.byPattern.blend, { correct: 1, total: 1, percent: 100 });
+  assert.strictEqual(result.byPattern.digraph, undefined);
+});
+
+test('a run with every word skipped leaves decoding unmeasured', () => {
+  const result = pseudowordDecoding.score(pseudowordDecoding.words().map(word => ({ word, heard: word === 'dap' ? [' '] : [] })));
+  assert.strictEqual(result.itemsTotal, 0);
+  assert.strictEqual(result.itemsSkipped, pseudowordDecoding.ITEMS.length);
+  assert.strictEqual(result.decodingScore, null);
+  assert.strictEqual(result.wordAccuracy, null);
+  assert.strictEqual(result.phonemeAccuracy, null);
+  assert.deepStrictEqual(result.items, []);
+  assert.deepStrictEqual(result.byPattern, {});
+});
+
+test('the alternative pronunciation of an item counts as correct', () => {
+  assert.strictEqual(pseudowordDecoding.score([{ word: 'Plinder', heard: ['plinder'] }]).itemsCorrect, 1);
+  const result = pseudowordDecoding.score([{ word: 'plinder', heard: ['pline der'] }]);
+  assert.strictEqual(result.itemsCorrect, 1);
+  assert.deepStrictEqual(result.items[0].said, ['p', 'l', 'ie', 'n', 'd', 'er']);
+});
+
+test('a word answered more than once is scored from its first response', () => {
+  const result = pseudowordDecoding.score([
+    { word: 'blim', heard: ['blom'] },
+    { word: 'BLIM', heard: ['blim'] },
+    { word: 'blim', heard: ['blim'] }
+  ]);
+  assert.strictEqual(result.itemsTotal, 1);
+  assert.strictEqual(result.itemsCorrect, 0);
+  assert.strictEqual(result.items[0].heard, 'blom');
+});
@@ -0,0 +1,92 @@
+/**
+ * Reading hesitation tests
+ * Run with: npm run test:server
+ */
+
+process.env.DATABASE_FILE = ':memory:';
+process.env.LLM_PROVIDER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const readingHesitations = require('../services/readingHesitations');
+const readingAnalysis = require('../services/readingAnalysis');
+
+const PASSAGE = 'The ship sailed across the ocean. The captain saw the island.';
+
+/**
+ * Word timings for a transcript read at a steady pace, with extra delays before some words
+ * @param {Object} delays - Transcript word index -> extra ms before it
+ */
+const timed = (transcript, delays = {}, pace = 400) => {
+  let onsetMs = 600;
+  return transcript.split(' ').map((word, k) => {
+    if (k > 0) onsetMs += pace + (delays[k] || 0);
+    return { word, onsetMs };
+  });
+};
+
+test('per-word latency and long pauses are measured against the reader\'s own pace', () => {
+  const transcript = 'The ship sailed across the ocean The captain saw the island';
+  const result = readingHesitations.analyze(PASSAGE, transcript, timed(transcript, { 7: 2600 }));
+
+  assert.strictEqual(result.startLatencyMs, 600);
+  assert.strictEqual(result.medianGapMs, 400);
+  assert.strictEqual(result.longPauseMs, 2000);
+  assert.deepStrictEqual(result.pauses, [{ position: 7, said: 'captain', atMs: 6000, durationMs: 3000 }]);
+  assert.deepStrictEqual(result.words[7], { word: 'captain', latencyMs: 3000, longPause: true });
+  assert.deepStrictEqual(result.words[8], { word: 'saw', latencyMs: 400, longPause: false });
+  assert.deepStrictEqual(result.counts, { longPauses: 1, regressions: 0, restarts: 0 });
+
+  // A slow reader's usual gaps are not pauses
+  const slow = readingHesitations.analyze(PASSAGE, transcript, timed(transcript, {}, 1500));
+  assert.strictEqual(slow.longPauseMs, 3750);
+  assert.strictEqual(slow.counts.longPauses, 0);
+});
+
+test('going back is a regression, or a restart when it is to the start of a sentence', () => {
+  const transcript = 'The ship sailed across the ocean The captain saw the captain saw the island';
+  const result = readingHesitations.analyze(PASSAGE, transcript, timed(transcript));
+  assert.deepStrictEqual(result.regressions.map(({ from, to }) => [from, to]), [[9, 7]]);
+  assert.deepStrictEqual(result.restarts, []);
+
+  const restarted = 'The ship sailed the ship sailed across the ocean The captain saw the island';
+  const restart = readingHesitations.analyze(PASSAGE, restarted, timed(restarted));
+  assert.deepStrictEqual(restart.restarts.map(({ from, to }) => [from, to]), [[2, 0]]);
+  assert.deepStrictEqual(restart.counts, { longPauses: 0, regressions: 0, restarts: 1 });
+  assert.deepStrictEqual(readingHesitations.describe(restart), [
+    'median gap between words: 0.4 s',
+    'restart: from "sailed" back to "The" at the start of the sentence'
+  ]);
+});
+
+test('timings line up with the transcript even when words are missing from them', () => {
+  const transcript = 'The ship sailed across the ocean';
+  const timings = timed(transcript).filter(timing => timing.word !== 'across');
+  const result = readingHesitations.analyze(PASSAGE, transcript, timings);
+
+  assert.strictEqual(result.words[3].latencyMs, null);
+  assert.strictEqual(result.words[4].latencyMs, null);
+  assert.strictEqual(result.words[5].latencyMs, 400);
+  assert.strictEqual(result.words[6].latencyMs, null);
+  assert.strictEqual(readingHesitations.analyze(PASSAGE, transcript, []), null);
+});
+
+test('the reading analysis includes the hesitation map and explains it offline', async () => {
+  const transcript = 'The ship sailed across the ocean The captain saw the island';
+  const result = await readingAnalysis.analyze({
+    originalText: PASSAGE,
+    transcript,
+    timeSeconds: 10,
+    wordTimings: timed(transcript, { 9: 2600 })
+  });
+
+  assert.strictEqual(result.hesitations.counts.longPauses, 1);
+  assert.strictEqual(result.hesitations.words[9].longPause, true);
+  assert.strictEqual(result.errorType, 'Fluency');
+  assert.deepStrictEqual(result.errorPatterns, ['long pause: 3.0 s before "the"']);
+
+  const untimed = await readingAnalysis.analyze({ originalText: PASSAGE, transcript, timeSeconds: 10 });
+  assert.strictEqual(untimed.hesitations, null);
+  assert.strictEqual(untimed.errorType, 'None');
+});
@@ -0,0 +1,156 @@
+/**
+ * Reading passage, passage bank and comprehension question tests
+ * Run with: npm run test:server
+ */
+
+process.env.DATABASE_FILE = ':memory:';
+process.env.LLM_PROVIDER = 'local';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const express = require('express');
+
+const aiRoutes = require('../routes/aiRoutes');
+const geminiService = require('../services/geminiService');
+const passageBank = require('../services/passageBank');
+const readingAnalysis = require('../services/readingAnalysis');
+
+const GROUPS = Object.keys(passageBank.AGE_GROUPS);
+
+test('bank passages come with scorable literal, inferential and vocabulary questions', () => {
+  const ids = new Set();
+  GROUPS.forEach(ageGroup => {
+    const passages = passageBank.passagesFor(ageGroup);
+    assert.ok(passages.length >= 3, ageGroup);
+
+    passages.forEach(passage => {
+      assert.ok(!ids.has(passage.id), passage.id);
+      ids.add(passage.id);
+      assert.strictEqual(passage.wordCount, passage.text.split(/\s+/).length, passage.id);
+      passage.targetPhonemes.forEach(phoneme => assert.ok(passage.text.toLowerCase().includes(phoneme), `${passage.id}: ${phoneme}`));
+
+      assert.ok(passage.questions.length >= 3 && passage.questions.length <= 5);
+      assert.deepStrictEqual([...new Set(passage.questions.map(q => q.type))].sort(), ['inferential', 'literal', 'vocabulary']);
+      passage.questions.forEach(q => assert.ok(q.options.includes(q.answer), q.question));
+    });
+  });
+});
+
+test('levels rise with the age group and stay close within it', () => {
+  const ranges = GROUPS.map(ageGroup => {
+    const levels = passageBank.passagesFor(ageGroup).map(passage => passage.level);
+    return [Math.min(...levels), Math.max(...levels)];
+  });
+  ranges.forEach(([low, high], k) => {
+    assert.ok(high - low <= 100, GROUPS[k]);
+    if (k > 0) assert.ok(low > ranges[k - 1][1], GROUPS[k]);
+  });
+});
+
+test('profile age groups and older age ranges map to a bank age group', () => {
+  assert.strictEqual(passageBank.ageGroupOf('teen'), 'teen');
+  assert.strictEqual(passageBank.ageGroupOf('adult_plus'), 'adult_plus');
+  assert.strictEqual(passageBank.ageGroupOf('Adult Plus'), 'adult_plus');
+  assert.strictEqual(passageBank.ageGroupOf('10-12'), 'child');
+  assert.strictEqual(passageBank.ageGroupOf('13-15'), 'teen');
+  assert.strictEqual(passageBank.ageGroupOf(30), 'adult_plus');
+  assert.strictEqual(passageBank.ageGroupOf(undefined), 'child');
+});
+
+test('re-screenings get a passage not read before, then the one read longest ago', async () => {
+  const history = [];
+  for (let k = 0; k < 3; k++) {
+    const passage = await readingAnalysis.generatePassage({ ageGroup: 'adult' }, { history });
+    assert.strictEqual(passage.source, 'bank');
+    assert.strictEqual(passage.ageGroup, 'adult');
+    assert.ok(!history.includes(passage.id), passage.id);
+    history.push(passage.id);
+  }
+
+  const repeat = await readingAnalysis.generatePassage({ ageGroup: 'adult' }, { history });
+  assert.strictEqual(repeat.id, history[0]);
+  const next = await readingAnalysis.generatePassage({ ageGroup: 'adult' }, { history: [...history.slice(1), history[0]] });
+  assert.strictEqual(next.id, history[1]);
+});
+
+test('generated passages supplement a read-through bank, keeping scorable questions only', async () => {
+  const history = passageBank.passagesFor('child').map(passage => passage.id);
+  const original = geminiService.generateFromTemplate;
+  const calls = [];
+  try {
+    geminiService.generateFromTemplate = async (templateId, variables, options) => {
+      calls.push({ templateId, variables, options });
+      return {
+        text: 'Sam found a map in the shed.',
+        questions: [
+          { type: 'literal', question: 'Who found the map?', options: ['Sam ', 'Kim'], answer: 'Sam' },
+          { type: 'literal', question: 'Where was the map?', options: ['Shed', 'Shop'], answer: 'In the shed' },
+          { type: 'inferential', question: 'Was Sam surprised?', options: ['Yes', 'No'], answer: 'Yes' },
+          { type: 'vocabulary', question: 'What is a shed?', options: ['A hut', 'A boat'], answer: 'A hut' }
+        ]
+      };
+    };
+
+    const repeat = await readingAnalysis.generatePassage({ ageGroup: 'child' }, { history });
+    assert.strictEqual(repeat.source, 'bank');
+    assert.strictEqual(calls.length, 0);
+
+    process.env.READING_PASSAGE_LLM = 'true';
+    const passage = await readingAnalysis.generatePassage({ ageGroup: 'child' }, { history });
+    assert.strictEqual(passage.source, 'llm');
+    assert.strictEqual(passage.id, null);
+    assert.strictEqual(passage.level, passageBank.passagesFor('child')[0].level);
+    assert.strictEqual(calls[0].variables.audience, passageBank.AGE_GROUPS.child);
+    assert.strictEqual(calls[0].options.cache, false);
+    assert.deepStrictEqual(passage.questions.map(q => q.question), ['Who found the map?', 'Was Sam surprised?', 'What is a shed?']);
+    assert.deepStrictEqual(passage.questions[0].options, ['Sam', 'Kim']);
+
+    geminiService.generateFromTemplate = async () => { throw new Error('quota exceeded'); };
+    const fallback = await readingAnalysis.generatePassage({ ageGroup: 'child' }, { history });
+    assert.strictEqual(fallback.id, history[0]);
+  } finally {
+    geminiService.generateFromTemplate = original;
+    delete process.env.READING_PASSAGE_LLM;
+  }
+});
+
+test('a passage counts as read when its reading is analyzed, not when it is fetched', async () => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { id: 'dee' };
+    next();
+  });
+  app.use('/api/ai', aiRoutes);
+
+  const server = app.listen(0);
+  const base = `http://localhost:${server.address().port}/api/ai`;
+  const post = async (path, body) => (await fetch(`${base}${path}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  })).json();
+  try {
+    const userProfile = { ageGroup: 'teen' };
+    const first = await post('/reading-passage', { userProfile });
+    const again = await post('/reading-passage', { userProfile });
+    assert.strictEqual(again.id, first.id);
+
+    const analysis = await post('/analyze-reading', {
+      originalText: first.text,
+      transcript: first.text,
+      timeSeconds: 60,
+      passageId: first.id
+    });
+    assert.strictEqual(analysis.accuracyPercent, 100);
+
+    const next = await post('/reading-passage', { userProfile });
+    assert.strictEqual(next.id, passageBank.passagesFor('teen')[1].id);
+    assert.notStrictEqual(next.id, first.id);
+
+    await post('/analyze-reading', { originalText: next.text, transcript: next.text, passageId: 'no-such-passage' });
+    assert.strictEqual((await post('/reading-passage', { userProfile })).id, next.id);
+  } finally {
+    server.close();
+  }
+});
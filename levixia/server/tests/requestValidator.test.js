@@ -0,0 +1,91 @@
+/**
+ * Request validation tests
+ * Run with: npm run test:server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateRequest, bodyErrorHandler } = require('../services/requestValidator');
+const schemas = require('../schemas/requestSchemas');
+
+/**
+ * Run a middleware against a fake request; resolves with 'next' or the JSON response
+ */
+function run(middleware, req, err) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        resolve({ status: this.statusCode, body });
+      }
+    };
+    const next = error => resolve(error ? { error } : 'next');
+    const request = { method: 'POST', originalUrl: '/test', body: {}, query: {}, params: {}, ...req };
+    if (err) middleware(err, request, res, next);
+    else middleware(request, res, next);
+  });
+}
+
+test('valid requests reach the handler', async () => {
+  const body = {
+    text: 'The cat sat on the mat.',
+    config: { processingStrategy: { simplify: true, highlight: false, pace: 120, mode: 'fused' } }
+  };
+  assert.strictEqual(await run(validateRequest(schemas.processText), { body }), 'next');
+  assert.strictEqual(await run(validateRequest(schemas.readingPassage), {}), 'next');
+});
+
+test('invalid requests get a 400 listing every invalid field', async () => {
+  const body = {
+    target: '',
+    clickPattern: [{ index: 3, correct: 'yes' }],
+    timeElapsed: -2
+  };
+  const { status, body: response } = await run(validateRequest(schemas.analyzeVisual), { body });
+
+  assert.strictEqual(status, 400);
+  assert.strictEqual(response.error, 'Invalid request');
+  assert.deepStrictEqual(response.fields.map(f => f.field).sort(), ['clickPattern[0].correct', 'hits', 'target', 'timeElapsed']);
+  assert.ok(response.fields.every(f => f.location === 'body'));
+  assert.match(response.message, /hits is required/);
+});
+
+test('text fields over the size limit are rejected by name', async () => {
+  const body = { userText: 'a'.repeat(schemas.MAX_TEXT_LENGTH + 1) };
+  const { status, body: response } = await run(validateRequest(schemas.analyzeWriting), { body });
+
+  assert.strictEqual(status, 400);
+  assert.deepStrictEqual(response.fields, [{
+    location: 'body',
+    field: 'userText',
+    message: `must be at most ${schemas.MAX_TEXT_LENGTH} characters`
+  }]);
+});
+
+test('query and params are checked alongside the body', async () => {
+  const { status, body } = await run(validateRequest(schemas.userQuota), {
+    params: { userId: 'bad id!' },
+    body: { daily: -5 }
+  });
+
+  assert.strictEqual(status, 400);
+  assert.deepStrictEqual(body.fields.map(f => `${f.location}:${f.field}`), ['params:userId', 'body:daily']);
+  assert.deepStrictEqual(validateRequest(schemas.usage).requestSchemas, schemas.usage);
+});
+
+test('malformed and oversized bodies get structured errors', async () => {
+  const tooLarge = await run(bodyErrorHandler, {}, Object.assign(new Error('too large'), { type: 'entity.too.large', limit: 1024 }));
+  assert.strictEqual(tooLarge.status, 413);
+  assert.match(tooLarge.body.message, /1024 byte limit/);
+
+  const badJson = await run(bodyErrorHandler, {}, Object.assign(new Error('bad'), { type: 'entity.parse.failed' }));
+  assert.strictEqual(badJson.status, 400);
+  assert.strictEqual(badJson.body.fields[0].message, 'must be valid JSON');
+
+  const other = new Error('boom');
+  assert.deepStrictEqual(await run(bodyErrorHandler, {}, other), { error: other });
+});
@@ -0,0 +1,143 @@
+/**
+ * Timeout, retry and circuit breaker tests
+ * Run with: npm run test:server
+ */
+
+process.env.LLM_PROVIDER = 'local';
+process.env.LLM_CACHE_ENABLED = 'false';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { CircuitBreaker, CircuitOpenError, TimeoutError, withTimeout, retry, isTransientError } = require('../services/resilience');
+const { UnmatchedFixtureError } = require('../services/llmFixtures');
+const geminiService = require('../services/geminiService');
+const reportGeneration = require('../services/reportGeneration');
+
+const failing = (error = Object.assign(new Error('boom'), { status: 400 })) => ({
+  name: 'flaky',
+  calls: 0,
+  isAvailable: () => true,
+  async generate() {
+    this.calls++;
+    throw error;
+  }
+});
+
+/**
+ * Run fn with geminiService calling `provider` through `breaker`, and no fallback
+ */
+async function withProvider(provider, breaker, fn) {
+  const originals = { provider: geminiService.provider, breaker: geminiService.breaker, fallbackProvider: geminiService.fallbackProvider, retries: geminiService.retries };
+  try {
+    Object.assign(geminiService, { provider, breaker, fallbackProvider: null, retries: 0 });
+    return await fn();
+  } finally {
+    Object.assign(geminiService, originals);
+  }
+}
+
+test('withTimeout rejects with a TimeoutError and aborts the signal', async () => {
+  let signal;
+  await assert.rejects(
+    withTimeout(s => { signal = s; return new Promise(() => {}); }, 20, 'slow call'),
+    error => error instanceof TimeoutError && /slow call timed out after 20ms/.test(error.message)
+  );
+  assert.strictEqual(signal.aborted, true);
+  assert.strictEqual(await withTimeout(async () => 'done', 1000), 'done');
+});
+
+test('retry retries transient errors only, up to the limit', async () => {
+  let attempts = 0;
+  const result = await retry(async () => {
+    attempts++;
+    if (attempts < 3) throw Object.assign(new Error('busy'), { status: 503 });
+    return 'ok';
+  }, { retries: 2, baseDelayMs: 1 });
+  assert.strictEqual(result, 'ok');
+  assert.strictEqual(attempts, 3);
+
+  attempts = 0;
+  await assert.rejects(retry(async () => { attempts++; throw Object.assign(new Error('bad'), { status: 400 }); }, { baseDelayMs: 1 }));
+  assert.strictEqual(attempts, 1);
+
+  assert.strictEqual(isTransientError(new TimeoutError('x', 1)), true);
+  assert.strictEqual(isTransientError({ message: 'x', cause: { code: 'ECONNRESET' } }), true);
+});
+
+test('the breaker opens after the threshold, lets one trial through after the cooldown, and closes on success', () => {
+  const breaker = new CircuitBreaker('test', { failureThreshold: 2, cooldownMs: 50 });
+  const realNow = Date.now;
+  let now = 1000;
+  Date.now = () => now;
+  try {
+    assert.strictEqual(breaker.retryAt(), null);
+    breaker.recordFailure();
+    assert.strictEqual(breaker.allowRequest(), true);
+    breaker.recordFailure();
+    assert.strictEqual(breaker.getState().state, 'open');
+    assert.strictEqual(breaker.retryAt(), 1050);
+    assert.strictEqual(breaker.allowRequest(), false);
+
+    now = 1050;
+    assert.strictEqual(breaker.getState().state, 'half-open');
+    assert.strictEqual(breaker.allowRequest(), true);
+    assert.strictEqual(breaker.allowRequest(), false);
+    assert.strictEqual(breaker.getState().retryAt, null);
+
+    // A failed trial re-opens at once
+    breaker.recordFailure();
+    assert.strictEqual(breaker.getState().state, 'open');
+    now = 1100;
+    assert.strictEqual(breaker.allowRequest(), true);
+    breaker.recordSuccess();
+    assert.deepStrictEqual([breaker.getState().state, breaker.retryAt()], ['closed', null]);
+    assert.deepStrictEqual(breaker.getState().stats, { successes: 1, failures: 3, rejected: 2, trips: 2 });
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test('a call refused while a half-open trial is in flight gets a CircuitOpenError', async () => {
+  const breaker = new CircuitBreaker('flaky', { failureThreshold: 1, cooldownMs: 0 });
+  breaker.recordFailure();
+  assert.strictEqual(breaker.allowRequest(), true);
+
+  const provider = failing();
+  await withProvider(provider, breaker, () => assert.rejects(
+    geminiService.generate('word spelling check', 'prompt'),
+    error => error instanceof CircuitOpenError && error.retryAt === breaker.retryAt()
+  ));
+  assert.strictEqual(provider.calls, 0);
+
+  const unknown = new CircuitOpenError('flaky', NaN);
+  assert.strictEqual(unknown.message, 'Circuit flaky is open');
+  assert.strictEqual(unknown.retryAt, null);
+});
+
+test('a half-open trial that ends without an outcome gives its slot back', async () => {
+  const breaker = new CircuitBreaker('flaky', { failureThreshold: 1, cooldownMs: 0 });
+  breaker.recordFailure();
+
+  const provider = failing(new UnmatchedFixtureError('word spelling check', 'abc', ''));
+  await withProvider(provider, breaker, async () => {
+    await assert.rejects(geminiService.generate('word spelling check', 'prompt'), UnmatchedFixtureError);
+    await assert.rejects(geminiService.generate('word spelling check', 'prompt'), UnmatchedFixtureError);
+  });
+  assert.strictEqual(provider.calls, 2);
+  assert.strictEqual(breaker.trialInFlight, false);
+  assert.strictEqual(breaker.getState().state, 'half-open');
+});
+
+test('a report answered by the fallback names the fallback provider', async () => {
+  const provider = failing();
+  const originals = { provider: geminiService.provider, breaker: geminiService.breaker, fallbackProvider: geminiService.fallbackProvider, retries: geminiService.retries };
+  try {
+    Object.assign(geminiService, { provider, breaker: new CircuitBreaker('flaky'), fallbackProvider: geminiService.localProvider, retries: 0 });
+    const report = await reportGeneration.generate({ inference: { primaryType: 'None identified' } });
+    assert.strictEqual(provider.calls, 1);
+    assert.strictEqual(report.metadata.llmProvider, 'local');
+  } finally {
+    Object.assign(geminiService, originals);
+  }
+});
@@ -0,0 +1,131 @@
+/**
+ * Response cache tests
+ * Run with: npm run test:server
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ResponseCache = require('../services/responseCache').constructor;
+
+const dirs = [];
+const newCache = (options = {}) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-'));
+  dirs.push(dir);
+  return new ResponseCache({ enabled: true, dir, ttlMs: 1000, ...options });
+};
+
+test.after(() => dirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// Run fn with Date.now reading the given time
+const at = async (time, fn) => {
+  const realNow = Date.now;
+  Date.now = () => time;
+  try {
+    return await fn();
+  } finally {
+    Date.now = realNow;
+  }
+};
+
+test('keys depend on task, prompt version, provider and prompt', () => {
+  const cache = newCache();
+  const parts = { task: 'text simplification', promptVersion: 'v1', provider: 'gemini', prompt: 'Simplify: a' };
+  assert.strictEqual(cache.buildKey(parts), cache.buildKey({ ...parts }));
+  ['task', 'promptVersion', 'provider', 'prompt'].forEach(field => {
+    assert.notStrictEqual(cache.buildKey(parts), cache.buildKey({ ...parts, [field]: 'other' }), field);
+  });
+});
+
+test('values are copied in and out and survive a restart on disk', async () => {
+  const cache = newCache();
+  const value = { simplified: 'The cat sat.', changes: ['a'] };
+  await cache.set('k1', value, { task: 'text simplification' });
+
+  value.changes.push('mutated');
+  const first = await cache.get('k1');
+  first.changes.push('mutated');
+  assert.deepStrictEqual(await cache.get('k1'), { simplified: 'The cat sat.', changes: ['a'] });
+  assert.strictEqual(cache.stats.memoryHits, 2);
+
+  const restarted = newCache({ dir: cache.dir });
+  assert.deepStrictEqual(await restarted.get('k1'), { simplified: 'The cat sat.', changes: ['a'] });
+  assert.strictEqual(restarted.stats.diskHits, 1);
+  assert.ok(restarted.memory.has('k1'));
+});
+
+test('the memory tier evicts the least recently used entry', async () => {
+  const cache = newCache({ maxMemoryEntries: 2 });
+  await cache.set('a', 1);
+  await cache.set('b', 2);
+  await cache.get('a');
+  await cache.set('c', 3);
+
+  assert.deepStrictEqual([...cache.memory.keys()], ['a', 'c']);
+  assert.strictEqual(cache.stats.evictions, 1);
+  // Still on disk, so not lost
+  assert.strictEqual(await cache.get('b'), 2);
+  assert.strictEqual(cache.stats.diskHits, 1);
+});
+
+test('the disk tier drops expired entries first, then the oldest', async () => {
+  const cache = newCache({ maxDiskEntries: 2, ttlMs: 100 });
+  const files = () => fs.readdirSync(cache.dir).sort();
+  await at(1000, () => cache.set('a', 1));
+  await at(1150, () => cache.set('b', 2));
+
+  await at(1160, () => cache.set('c', 3));
+  assert.deepStrictEqual(files(), ['b.json', 'c.json']);
+
+  await at(1170, () => cache.set('d', 4));
+  assert.deepStrictEqual(files(), ['c.json', 'd.json']);
+  assert.strictEqual(cache.stats.evictions, 2);
+});
+
+test('expired entries are misses and are removed from disk', async () => {
+  const cache = newCache({ ttlMs: 100 });
+  await at(1000, () => cache.set('k', 'value'));
+
+  assert.strictEqual(await at(1099, () => cache.get('k')), 'value');
+  assert.strictEqual(await at(1100, () => cache.get('k')), undefined);
+  assert.strictEqual(cache.memory.has('k'), false);
+  assert.strictEqual(fs.existsSync(cache.filePath('k')), false);
+  assert.strictEqual(cache.stats.misses, 1);
+});
+
+test('a corrupt file is a miss, is skipped by inspect and is replaced on the next write', async () => {
+  const cache = newCache();
+  fs.writeFileSync(cache.filePath('broken'), '{"key":"broken","value":');
+
+  assert.strictEqual(await cache.get('broken'), undefined);
+  assert.strictEqual(cache.stats.misses, 1);
+  assert.strictEqual((await cache.inspect()).disk.entries, 0);
+
+  await cache.set('broken', { ok: true });
+  const restarted = newCache({ dir: cache.dir });
+  assert.deepStrictEqual(await restarted.get('broken'), { ok: true });
+});
+
+test('purge removes by task or expiry from both tiers', async () => {
+  const cache = newCache({ ttlMs: 100 });
+  await at(1000, async () => {
+    await cache.set('a', 1, { task: 'keyword extraction' });
+    await cache.set('b', 2, { task: 'text simplification' });
+  });
+  await at(1150, () => cache.set('c', 3, { task: 'text simplification' }));
+
+  assert.strictEqual(await at(1150, () => cache.purge({ expiredOnly: true })), 2);
+  assert.deepStrictEqual([...cache.memory.keys()], ['c']);
+  assert.strictEqual(await at(1150, () => cache.purge({ task: 'text simplification' })), 1);
+  assert.deepStrictEqual(fs.readdirSync(cache.dir), []);
+});
+
+test('a disabled cache stores nothing', async () => {
+  const cache = newCache({ enabled: false });
+  await cache.set('k', 1);
+  assert.strictEqual(await cache.get('k'), undefined);
+  assert.strictEqual(fs.readdirSync(cache.dir).length, 0);
+});
@@ -0,0 +1,137 @@
+/**
+ * Schema coercion and output repair tests
+ * Run with: npm run test:server
+ */
+
+process.env.LLM_PROVIDER = 'local';
+process.env.LLM_CACHE_ENABLED = 'false';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validate, formatErrors } = require('../services/schemaValidator');
+const geminiService = require('../services/geminiService');
+const { CircuitBreaker } = require('../services/resilience');
+
+const schema = {
+  type: 'object',
+  required: ['score', 'level', 'tags'],
+  additionalProperties: false,
+  properties: {
+    score: { type: 'integer', minimum: 0, maximum: 100 },
+    level: { type: 'string', enum: ['low', 'medium', 'high'] },
+    tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+    flagged: { type: 'boolean', default: false },
+    note: { type: 'string', nullable: true }
+  }
+};
+
+// Swap in a stub provider (and fallback) for the length of fn
+const withProviders = async (provider, fallbackProvider, fn) => {
+  const originals = {
+    provider: geminiService.provider,
+    fallbackProvider: geminiService.fallbackProvider,
+    breaker: geminiService.breaker,
+    retries: geminiService.retries
+  };
+  geminiService.provider = provider;
+  geminiService.fallbackProvider = fallbackProvider;
+  geminiService.breaker = new CircuitBreaker(provider.name);
+  geminiService.retries = 0;
+  try {
+    return await fn();
+  } finally {
+    Object.assign(geminiService, originals);
+  }
+};
+
+// Provider answering each call with the next scripted response
+const scripted = (name, responses) => ({
+  name,
+  prompts: [],
+  isAvailable: () => true,
+  async generate(task, prompt) {
+    this.prompts.push(prompt);
+    return responses[this.prompts.length - 1];
+  }
+});
+
+test('coercion repairs what it safely can', () => {
+  const { valid, value } = validate(schema, {
+    score: '87.6%',
+    level: ' High ',
+    tags: 'reversal',
+    note: null,
+    extra: 'dropped'
+  }, { coerce: true });
+
+  assert.ok(valid);
+  assert.deepStrictEqual(value, { score: 88, level: 'high', tags: ['reversal'], flagged: false, note: null });
+  assert.strictEqual(validate(schema, { score: 140, level: 'low', tags: ['a', 'b', 'c'] }, { coerce: true }).value.score, 100);
+  assert.deepStrictEqual(validate(schema, { score: 1, level: 'low', tags: ['a', 'b', 'c'] }, { coerce: true }).value.tags, ['a', 'b']);
+  assert.strictEqual(validate(schema, { score: 1, level: 'low', tags: [], flagged: 'yes' }, { coerce: true }).value.flagged, true);
+});
+
+test('without coercion every problem is reported by path', () => {
+  const { valid, errors } = validate(schema, { score: '87', level: 'extreme', tags: [1], extra: true });
+  assert.ok(!valid);
+  assert.strictEqual(formatErrors(errors), [
+    '- score must be integer, got string',
+    '- level must be one of: low, medium, high',
+    '- tags[0] must be string, got integer',
+    '- extra is not allowed'
+  ].join('\n'));
+});
+
+test('what cannot be coerced still fails', () => {
+  const { valid, errors } = validate(schema, { score: 'lots', level: 'none', tags: null }, { coerce: true });
+  assert.ok(!valid);
+  assert.deepStrictEqual(errors.map(e => e.path), ['score', 'level', 'tags']);
+});
+
+test('an invalid response gets one repair prompt listing the problems', async () => {
+  const provider = scripted('stub', [
+    '```json\n{"score": "high", "level": "low", "tags": []}\n```',
+    '{"score": 40, "level": "low", "tags": []}'
+  ]);
+
+  const result = await withProviders(provider, null, () =>
+    geminiService.generateJSON('test task', 'Score this.', { schema, cache: false })
+  );
+
+  assert.deepStrictEqual(result, { score: 40, level: 'low', tags: [], flagged: false });
+  assert.strictEqual(provider.prompts.length, 2);
+  assert.ok(provider.prompts[1].startsWith(provider.prompts[0]));
+  assert.match(provider.prompts[1], /PREVIOUS RESPONSE:\n```json\n\{"score": "high"/);
+  assert.match(provider.prompts[1], /PROBLEMS:\n- score must be integer, got string/);
+});
+
+test('unparseable JSON is repaired too', async () => {
+  const provider = scripted('stub', ['Sure! {"score": 40,', '{"score": 40, "level": "low", "tags": []}']);
+
+  const result = await withProviders(provider, null, () =>
+    geminiService.generateJSON('test task', 'Score this.', { schema, cache: false })
+  );
+
+  assert.strictEqual(result.score, 40);
+  assert.match(provider.prompts[1], /- \(root\) is not valid JSON/);
+});
+
+test('a failed repair goes to the fallback, or throws without one', async () => {
+  const invalid = '{"score": "high"}';
+  const fallback = scripted('local', ['{"score": 10, "level": "medium", "tags": ["x"]}']);
+
+  const result = await withProviders(scripted('stub', [invalid, invalid]), fallback, () =>
+    geminiService.generateJSON('test task', 'Score this.', { schema, cache: false })
+  );
+  assert.strictEqual(result.level, 'medium');
+  assert.strictEqual(fallback.prompts.length, 1);
+  assert.doesNotMatch(fallback.prompts[0], /PREVIOUS RESPONSE/);
+
+  const provider = scripted('stub', [invalid, invalid, invalid]);
+  await assert.rejects(
+    withProviders(provider, null, () => geminiService.generateJSON('test task', 'Score this.', { schema, cache: false })),
+    /Invalid JSON response from stub for test task:\n- score must be integer/
+  );
+  assert.strictEqual(provider.prompts.length, 2);
+});
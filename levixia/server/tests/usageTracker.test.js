@@ -0,0 +1,111 @@
+/**
+ * Usage accounting and quota tests
+ * Run with: npm run test:server
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-usage-'));
+process.env.USAGE_FILE = path.join(dir, 'usage.json');
+process.env.LLM_PROVIDER = 'local';
+process.env.LLM_CACHE_ENABLED = 'false';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const usageTracker = require('../services/usageTracker');
+const requestContext = require('../services/requestContext');
+const geminiService = require('../services/geminiService');
+const { CircuitBreaker } = require('../services/resilience');
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('usage aggregates into daily and monthly buckets by user and task', () => {
+  usageTracker.record({ userId: 'ada', task: 'reading analysis', promptTokens: 100, responseTokens: 20, billable: true });
+  usageTracker.record({ userId: 'ada', task: 'spelling analysis', promptTokens: 50, responseTokens: 10, fallback: true });
+  usageTracker.record({ userId: 'bo', task: 'reading analysis', promptTokens: 30, responseTokens: 5, billable: true });
+
+  const daily = usageTracker.aggregate({ period: 'daily', userId: 'ada' });
+  assert.strictEqual(daily.buckets.length, 1);
+  assert.deepStrictEqual(daily.totals, { calls: 2, promptTokens: 150, responseTokens: 30, billableTokens: 120, fallbackCalls: 1 });
+  assert.deepStrictEqual(Object.keys(daily.buckets[0].byTask).sort(), ['reading analysis', 'spelling analysis']);
+
+  const monthly = usageTracker.aggregate({ period: 'monthly', task: 'reading analysis' });
+  assert.match(monthly.buckets[0].period, /^\d{4}-\d{2}$/);
+  assert.deepStrictEqual(Object.keys(monthly.buckets[0].byUser).sort(), ['ada', 'bo']);
+  assert.strictEqual(monthly.totals.billableTokens, 155);
+});
+
+test('quota overrides are measured against billable tokens and can be cleared', async () => {
+  usageTracker.setQuota('ada', { daily: 100 });
+  const usage = usageTracker.getUserUsage('ada');
+  assert.deepStrictEqual(usage.quota, { daily: 100, monthly: null, custom: true });
+  assert.deepStrictEqual(usage.remaining, { daily: 0, monthly: null });
+  assert.strictEqual(usageTracker.isOverQuota('ada'), true);
+
+  usageTracker.clearQuota('ada');
+  assert.strictEqual(usageTracker.isOverQuota('ada'), false);
+
+  await usageTracker.flush();
+  const saved = JSON.parse(fs.readFileSync(process.env.USAGE_FILE, 'utf-8'));
+  assert.strictEqual(saved.days[Object.keys(saved.days)[0]].bo['reading analysis'].calls, 1);
+});
+
+test('a failed save does not stop later saves', async () => {
+  const file = usageTracker.file;
+  // A file where the data directory should be makes the write fail
+  const blocked = path.join(dir, 'blocked');
+  fs.writeFileSync(blocked, '');
+  usageTracker.file = path.join(blocked, 'usage.json');
+
+  try {
+    await usageTracker.flush();
+  } finally {
+    usageTracker.file = file;
+  }
+
+  usageTracker.record({ userId: 'dee', task: 'reading analysis', promptTokens: 1, responseTokens: 1 });
+  await usageTracker.flush();
+  const saved = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  assert.ok(Object.values(saved.days).some(users => users.dee));
+});
+
+test('geminiService counts reported tokens and answers over-quota users locally', async () => {
+  const originals = { provider: geminiService.provider, breaker: geminiService.breaker };
+  const paid = {
+    name: 'paid',
+    billable: true,
+    calls: 0,
+    isAvailable: () => true,
+    async generate(task, prompt, options) {
+      this.calls++;
+      options.onUsage({ promptTokens: 400, responseTokens: 100 });
+      return geminiService.localProvider.generate(task, prompt, options);
+    }
+  };
+
+  try {
+    geminiService.provider = paid;
+    geminiService.breaker = new CircuitBreaker('paid');
+    usageTracker.setQuota('cy', { daily: 600 });
+    const ask = word => requestContext.run({ userId: 'cy' }, () => geminiService.generateFromTemplate('word-spelling-check', { word }, { input: { word } }));
+
+    await ask('becuase');
+    assert.strictEqual(paid.calls, 1);
+    assert.strictEqual(usageTracker.getUserUsage('cy').today.billableTokens, 500);
+
+    await ask('freind');
+    assert.strictEqual(usageTracker.isOverQuota('cy'), true);
+
+    await ask('thier');
+    assert.strictEqual(paid.calls, 2);
+    const { today } = usageTracker.getUserUsage('cy');
+    assert.strictEqual(today.calls, 3);
+    assert.strictEqual(today.fallbackCalls, 1);
+    assert.strictEqual(today.billableTokens, 1000);
+  } finally {
+    Object.assign(geminiService, originals);
+  }
+});
@@ -0,0 +1,164 @@
+/**
+ * Stored learner data tests
+ * Run with: npm run test:server
+ */
+
+process.env.DATABASE_FILE = ':memory:';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+const database = require('../services/database');
+const userDataStore = require('../services/userDataStore');
+const adaptiveLearningEngine = require('../services/adaptiveLearningEngine');
+
+test.after(() => database.close());
+
+test('migrations run once and record the schema version', () => {
+  assert.strictEqual(database.db.pragma('user_version', { simple: true }), 5);
+  database.migrate();
+  const tables = database.db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'").all();
+  assert.deepStrictEqual(tables.map(t => t.name).sort(), ['auth_sessions', 'jobs', 'learning_profiles', 'performance_sessions', 'profiles', 'reports', 'served_passages', 'suggestion_feedback', 'users']);
+});
+
+test('profiles and learning profiles are upserted per user', () => {
+  assert.strictEqual(userDataStore.getProfile('ada'), null);
+  userDataStore.saveProfile('ada', { name: 'Ada', ageGroup: 'adult' });
+  userDataStore.saveProfile('ada', { name: 'Ada L.', ageGroup: 'adult' });
+  assert.deepStrictEqual(userDataStore.getProfile('ada'), { name: 'Ada L.', ageGroup: 'adult' });
+  assert.strictEqual(userDataStore.getProfile('bo'), null);
+
+  userDataStore.saveLearningProfile('ada', { readingPreferences: { preferredPace: 110 } });
+  assert.strictEqual(userDataStore.getLearningProfile('ada').readingPreferences.preferredPace, 110);
+  assert.strictEqual(userDataStore.deleteLearningProfile('ada'), true);
+  assert.strictEqual(userDataStore.deleteLearningProfile('ada'), false);
+});
+
+test('reports are listed newest first and scoped to their owner', () => {
+  const first = userDataStore.createReport('ada', { report: { level: 'mild' }, assessmentResults: { reading: { wpm: 90 } } });
+  const second = userDataStore.createReport('ada', { report: { level: 'moderate' } });
+
+  assert.deepStrictEqual(userDataStore.listReports('ada').map(r => r.id), [second.id, first.id]);
+  assert.strictEqual(userDataStore.getLatestReport('ada').report.level, 'moderate');
+  assert.strictEqual(second.assessmentResults, null);
+  assert.strictEqual(userDataStore.getReport('bo', first.id), null);
+  assert.strictEqual(userDataStore.deleteReport('bo', first.id), false);
+  assert.strictEqual(userDataStore.deleteReport('ada', first.id), true);
+  assert.deepStrictEqual(userDataStore.listReports('ada').map(r => r.id), [second.id]);
+});
+
+test('performance history comes back oldest first and feeds profile updates', async () => {
+  [60, 62, 61, 64, 63, 65, 80, 85, 88, 90, 92, 95].forEach((accuracy, i) => {
+    userDataStore.createSession('cy', { type: i % 2 ? 'writing' : 'reading', data: { accuracy } });
+  });
+  userDataStore.createSession('bo', { type: 'reading', data: { accuracy: 10 } });
+
+  assert.strictEqual(userDataStore.listSessions('cy', { type: 'writing' }).length, 6);
+  assert.strictEqual(userDataStore.listSessions('cy', { limit: 2 })[0].data.accuracy, 95);
+
+  const history = userDataStore.getPerformanceHistory('cy', 10);
+  assert.deepStrictEqual(history.map(h => h.accuracy), [61, 64, 63, 65, 80, 85, 88, 90, 92, 95]);
+  assert.ok(history.every(h => h.timestamp && h.sessionType));
+
+  const profile = { readingPreferences: { chunkSize: 5 }, enabledFeatures: { focusMode: true } };
+  const updated = await adaptiveLearningEngine.updateProfile(profile, userDataStore.getPerformanceHistory('cy'));
+  assert.strictEqual(updated.enabledFeatures.focusMode, false);
+  assert.ok(updated.updatedAt);
+});
+
+test('suggestion feedback is summarised as accept rates by category and level', () => {
+  const decide = (action, errorType, count, suggestionLevel = 'moderate') => {
+    for (let i = 0; i < count; i++) {
+      userDataStore.createFeedback('di', { suggestionId: `s${i}`, action, errorType, suggestionLevel, original: 'teh', corrected: 'the' });
+    }
+  };
+  decide('accepted', 'spelling', 9);
+  decide('rejected', 'spelling', 1);
+  decide('rejected', 'grammar', 10);
+  decide('accepted', 'grammar', 2);
+  decide('rejected', 'tone', 1, null);
+  userDataStore.createFeedback('bo', { action: 'accepted', errorType: 'grammar' });
+
+  const stats = userDataStore.getFeedbackStats('di');
+  assert.strictEqual(stats.total, 23);
+  assert.strictEqual(stats.acceptRate, 48);
+  assert.deepStrictEqual(stats.byCategory.spelling, { accepted: 9, rejected: 1, total: 10, acceptRate: 90 });
+  assert.strictEqual(stats.byCategory.grammar.acceptRate, 17);
+  assert.strictEqual(stats.byCategory.other.total, 1);
+  assert.deepStrictEqual(Object.keys(stats.byLevel), ['moderate']);
+  assert.strictEqual(userDataStore.getFeedbackStats('di', { limit: 3 }).total, 3);
+  assert.strictEqual(userDataStore.getFeedbackStats('nobody').acceptRate, null);
+
+  userDataStore.createFeedback('di', { action: 'accepted', errorType: 'word_choice' });
+  userDataStore.createFeedback('di', { action: 'rejected', errorType: 'reversal' });
+  const { byCategory } = userDataStore.getFeedbackStats('di');
+  assert.strictEqual(byCategory.word_choice.total, 1);
+  assert.strictEqual(byCategory.reversal.total, 1);
+  assert.strictEqual(byCategory.other.total, 1);
+});
+
+test('recent accept rates count each category\'s last 20 decisions of the last 30 days', () => {
+  const decide = (action, count) => {
+    for (let i = 0; i < count; i++) userDataStore.createFeedback('el', { action, errorType: 'grammar' });
+  };
+  database.db.prepare(`
+    INSERT INTO suggestion_feedback (user_id, action, error_type, created_at) VALUES ('el', 'rejected', 'spelling', ?)
+  `).run(new Date(Date.now() - 31 * 24 * 60 * 60 * 1000).toISOString());
+  decide('rejected', 15);
+  decide('accepted', 12);
+
+  const { byCategory, recentByCategory } = userDataStore.getFeedbackStats('el');
+  assert.strictEqual(byCategory.grammar.total, 27);
+  assert.deepStrictEqual(recentByCategory.grammar, { accepted: 12, rejected: 8, total: 20, acceptRate: 60 });
+  assert.strictEqual(byCategory.spelling.total, 1);
+  assert.strictEqual(recentByCategory.spelling, undefined);
+});
+
+test('rejected suggestion levels and categories are toned down', async () => {
+  const profile = { readingPreferences: {}, enabledFeatures: {}, writingPreferences: { suggestionLevel: 'comprehensive' } };
+  const stats = {
+    byLevel: { comprehensive: { accepted: 2, rejected: 18, total: 20, acceptRate: 10 } },
+    byCategory: {
+      grammar: { accepted: 1, rejected: 11, total: 12, acceptRate: 8 },
+      spelling: { accepted: 9, rejected: 1, total: 10, acceptRate: 90 },
+      punctuation: { accepted: 0, rejected: 3, total: 3, acceptRate: 0 }
+    }
+  };
+
+  const updated = await adaptiveLearningEngine.updateProfile(profile, [], stats);
+  assert.strictEqual(updated.writingPreferences.suggestionLevel, 'moderate');
+  assert.deepStrictEqual(updated.writingPreferences.mutedCategories, ['grammar']);
+  assert.match(updated.lastUpdateReason, /grammar suggestions muted/);
+  assert.strictEqual(profile.writingPreferences.suggestionLevel, 'comprehensive');
+
+  const unchanged = await adaptiveLearningEngine.updateProfile(profile, []);
+  assert.strictEqual(unchanged.writingPreferences.suggestionLevel, 'comprehensive');
+});
+
+test('muted categories are judged on recent decisions and lift again', async () => {
+  const profile = { readingPreferences: {}, enabledFeatures: {}, writingPreferences: { mutedCategories: ['grammar', 'spelling'] } };
+  const stats = {
+    byCategory: {
+      grammar: { accepted: 10, rejected: 40, total: 50, acceptRate: 20 },
+      spelling: { accepted: 2, rejected: 30, total: 32, acceptRate: 6 },
+      reversal: { accepted: 1, rejected: 10, total: 11, acceptRate: 9 }
+    },
+    recentByCategory: {
+      grammar: { accepted: 10, rejected: 10, total: 20, acceptRate: 50 },
+      reversal: { accepted: 1, rejected: 10, total: 11, acceptRate: 9 }
+    }
+  };
+
+  const updated = await adaptiveLearningEngine.updateProfile(profile, [], stats);
+  assert.deepStrictEqual(updated.writingPreferences.mutedCategories, ['reversal']);
+  assert.match(updated.lastUpdateReason, /reversal suggestions muted/);
+  assert.match(updated.lastUpdateReason, /unmuted: grammar, spelling/);
+});
+
+test('served passages are listed least recently given first', () => {
+  ['child-ship', 'child-fish', 'child-ship'].forEach(id => userDataStore.recordServedPassage('dee', id));
+  userDataStore.recordServedPassage('bo', 'child-shed');
+
+  assert.deepStrictEqual(userDataStore.listServedPassages('dee'), ['child-fish', 'child-ship']);
+  assert.deepStrictEqual(userDataStore.listServedPassages('ed'), []);
+});
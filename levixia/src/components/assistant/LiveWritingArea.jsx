@@ -0,0 +1,60 @@
+import React, { useRef } from 'react';
+import './LiveWritingArea.css';
+
+/**
+ * Split text into plain and underlined parts for the suggestions' ranges
+ */
+function segment(text, suggestions) {
+  const parts = [];
+  let cursor = 0;
+  [...suggestions]
+    .sort((a, b) => a.start - b.start)
+    .forEach((suggestion) => {
+      if (suggestion.start < cursor) return; // overlapping suggestion
+      parts.push({ text: text.slice(cursor, suggestion.start) });
+      parts.push({ text: text.slice(suggestion.start, suggestion.end), suggestion });
+      cursor = suggestion.end;
+    });
+  parts.push({ text: text.slice(cursor) });
+  return parts;
+}
+
+/**
+ * Live Writing Area
+ * Textarea with live suggestions underlined in place. The underlines are drawn on a
+ * backdrop that mirrors the textarea's text and scroll position.
+ */
+export default function LiveWritingArea({ value, onChange, suggestions = [], className = '', ...textareaProps }) {
+  const backdropRef = useRef(null);
+
+  const syncScroll = (event) => {
+    if (backdropRef.current) backdropRef.current.scrollTop = event.target.scrollTop;
+  };
+
+  return (
+    <div className="live-writing">
+      <div ref={backdropRef} className={`live-writing-backdrop ${className}`} aria-hidden="true">
+        {segment(value, suggestions).map((part, index) => (part.suggestion ? (
+          <mark
+            key={part.suggestion.id}
+            className={`live-writing-mark live-writing-mark-${part.suggestion.type}`}
+          >
+            {part.text}
+          </mark>
+        ) : (
+          <span key={`text-${index}`}>{part.text}</span>
+        )))}
+        {/* Keeps a trailing line break as tall as in the textarea */}
+        {'\n'}
+      </div>
+      <textarea
+        {...textareaProps}
+        className={`live-writing-input ${className}`}
+        value={value}
+        onChange={(event) => onChange(event.target.value)}
+        onScroll={syncScroll}
+        spellCheck={false}
+      />
+    </div>
+  );
+}
@@ -24,9 +24,12 @@ export default function WritingAssistant({
       onSuggestionAccept(suggestion);
     }
 
-    // Apply correction to text
+    // Apply correction to text: at its position for live suggestions, else the first match
     if (onTextChange && suggestion.corrected) {
-      const correctedText = userText.replace(suggestion.original, suggestion.corrected);
+      const anchored = Number.isInteger(suggestion.start) && userText.slice(suggestion.start, suggestion.end) === suggestion.original;
+      const correctedText = anchored
+        ? userText.slice(0, suggestion.start) + suggestion.corrected + userText.slice(suggestion.end)
+        : userText.replace(suggestion.original, suggestion.corrected);
       onTextChange(correctedText);
     }
 
@@ -34,14 +37,7 @@ export default function WritingAssistant({
 
     // Send feedback to backend
     try {
-      await apiService.request('/api/assistant/feedback', {
-        method: 'POST',
-        body: {
-          suggestionId: suggestion.id,
-          action: 'accepted',
-          userProfile
-        }
-      });
+      await apiService.sendSuggestionFeedback(suggestion, 'accepted', userProfile);
     } catch (error) {
       console.error('Failed to send feedback:', error);
     }
@@ -52,14 +48,7 @@ export default function WritingAssistant({
 
     // Send feedback to backend
     try {
-      await apiService.request('/api/assistant/feedback', {
-        method: 'POST',
-        body: {
-          suggestionId: suggestion.id,
-          action: 'rejected',
-          userProfile
-        }
-      });
+      await apiService.sendSuggestionFeedback(suggestion, 'rejected', userProfile);
     } catch (error) {
       console.error('Failed to send feedback:', error);
     }
@@ -69,8 +58,10 @@ export default function WritingAssistant({
     }
   };
 
+  // Categories the user keeps rejecting are muted by the adaptive learning engine
+  const mutedCategories = userProfile?.writingPreferences?.mutedCategories || [];
   const visibleSuggestions = suggestions.filter(
-    s => !acceptedSuggestions.has(s.id) && !rejectedSuggestions.has(s.id)
+    s => !acceptedSuggestions.has(s.id) && !rejectedSuggestions.has(s.id) && !mutedCategories.includes(s.type)
   );
 
   if (!showSuggestions || visibleSuggestions.length === 0) {
@@ -0,0 +1,50 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import apiService from '../../services/apiService';
+
+/**
+ * Live writing suggestions for a text, over the backend's WebSocket channel
+ * Every change of the text is sent; the backend answers once the writer pauses.
+ * Suggestions whose words have since been edited are dropped right away.
+ * @param {string} text - Current text
+ * @param {Object} options - { enabled } - the channel is only open while enabled
+ * @returns {Object} - { suggestions, status: 'connecting'|'open'|'closed' }
+ */
+export default function useLiveWriting(text, { enabled = true } = {}) {
+  const [received, setReceived] = useState([]);
+  const [status, setStatus] = useState('closed');
+  const channelRef = useRef(null);
+  const versionRef = useRef(0);
+
+  useEffect(() => {
+    if (!enabled) return undefined;
+
+    const channel = apiService.openLiveWriting({
+      onStatus: setStatus,
+      // Answers for older edits have stale offsets
+      onSuggestions: (message) => {
+        if (message.version === versionRef.current) setReceived(message.suggestions);
+      },
+      onError: (message) => console.warn('Live writing:', message)
+    });
+    channelRef.current = channel;
+
+    return () => {
+      channel.close();
+      channelRef.current = null;
+      setReceived([]);
+    };
+  }, [enabled]);
+
+  useEffect(() => {
+    if (channelRef.current) {
+      versionRef.current = channelRef.current.sendText(text);
+    }
+  }, [text, enabled]);
+
+  const suggestions = useMemo(
+    () => received.filter(s => text.slice(s.start, s.end) === s.original),
+    [received, text]
+  );
+
+  return { suggestions, status };
+}
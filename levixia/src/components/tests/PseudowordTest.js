@@ -0,0 +1,197 @@
+import React, { useState, useEffect, useRef } from 'react';
+import apiService from '../../services/apiService';
+import './Assessment.css';
+
+const FALLBACK_WORDS = ['dap', 'vop', 'blim', 'fisk', 'shob', 'cheg', 'tave', 'meep', 'gomtip', 'sumbat'];
+
+// Recognizers favour real words, so the server scores the closest of several guesses
+const MAX_ALTERNATIVES = 5;
+
+const getSpeechRecognition = () => window.SpeechRecognition || window.webkitSpeechRecognition;
+
+// What the step reports when no word could be read: decoding was not measured
+const notMeasured = (extra = {}) => ({
+  type: 'decoding',
+  itemsCorrect: null,
+  itemsTotal: 0,
+  itemsSkipped: 0,
+  wordAccuracy: null,
+  phonemeAccuracy: null,
+  decodingScore: null,
+  items: [],
+  ...extra
+});
+
+/**
+ * Nonword decoding subtest: made-up but pronounceable words, read aloud one at a time.
+ * They cannot be recognised from memory, so they show how well letters are turned into
+ * sounds (scored phoneme by phoneme on the server, see server/services/pseudowordDecoding.js).
+ */
+export default function PseudowordTest({ onComplete }) {
+  const [status, setStatus] = useState('loading');
+  const [words, setWords] = useState([]);
+  const [index, setIndex] = useState(0);
+  const [responses, setResponses] = useState([]);
+  const [isListening, setIsListening] = useState(false);
+
+  const recognitionRef = useRef(null);
+  const completedRef = useRef(false);
+
+  const supported = Boolean(getSpeechRecognition());
+
+  // Words cannot be read aloud without recognition, so the learner is told and moves on
+  const continueUnsupported = () => {
+    if (completedRef.current) return;
+    completedRef.current = true;
+    onComplete(notMeasured({ unsupported: true }));
+  };
+
+  useEffect(() => {
+    if (!supported) return undefined;
+    (async () => {
+      try {
+        setWords(await apiService.getPseudowords());
+      } catch (error) {
+        console.error('Failed to fetch nonwords:', error);
+        setWords(FALLBACK_WORDS);
+      }
+      setStatus('ready');
+    })();
+    return () => recognitionRef.current?.abort();
+  }, [supported]);
+
+  const finish = async (allResponses) => {
+    setStatus('analyzing');
+    try {
+      const score = await apiService.analyzePseudowords(allResponses);
+      onComplete({ type: 'decoding', ...score });
+    } catch (error) {
+      console.error('Nonword scoring failed:', error);
+      // Exact matches against recognizer guesses would understate decoding, so nothing is
+      // scored: the items keep what was heard, in the server's item shape
+      const attempted = allResponses.filter(({ heard }) => heard.some(text => text.trim()));
+      onComplete(notMeasured({
+        itemsTotal: attempted.length,
+        itemsSkipped: allResponses.length - attempted.length,
+        items: attempted.map(({ word, heard }) => ({
+          word,
+          pattern: null,
+          heard: heard.find(text => text.trim()),
+          expected: null,
+          said: null,
+          correct: null,
+          phonemesCorrect: null,
+          phonemeScore: null,
+          errors: []
+        })),
+        aiError: true
+      }));
+    }
+  };
+
+  const record = (heard) => {
+    const next = [...responses, { word: words[index], heard }];
+    setResponses(next);
+    if (index < words.length - 1) {
+      setIndex(i => i + 1);
+      return;
+    }
+    finish(next);
+  };
+
+  const listen = () => {
+    const SpeechRecognition = getSpeechRecognition();
+    const recognition = new SpeechRecognition();
+    recognition.continuous = false;
+    recognition.interimResults = false;
+    recognition.maxAlternatives = MAX_ALTERNATIVES;
+    recognition.lang = 'en-US';
+
+    recognition.onresult = (e) => {
+      recognition.onend = null;
+      setIsListening(false);
+      record(Array.from(e.results[0], alternative => alternative.transcript));
+    };
+    // Nothing heard: the reader can try again or skip the word
+    recognition.onend = () => setIsListening(false);
+
+    recognition.start();
+    recognitionRef.current = recognition;
+    setIsListening(true);
+  };
+
+  // A skipped word is sent with nothing heard; the server leaves it out of the scores
+  const skip = () => {
+    recognitionRef.current?.abort();
+    setIsListening(false);
+    record([]);
+  };
+
+  if (!supported)
+    return (
+      <div className="assessment-card">
+        <h2>🔤 Nonword Reading</h2>
+        <p className="instruction-text">
+          Nonword reading isn't supported in this browser, because it has no speech recognition.
+          This step will be left out of your results.
+        </p>
+        <div className="action-footer">
+          <button className="btn btn-primary" onClick={continueUnsupported}>
+            Continue
+          </button>
+        </div>
+      </div>
+    );
+
+  if (status === 'loading')
+    return (
+      <div className="assessment-card">
+        <h2>🔤 Nonword Reading</h2>
+        <div className="loading-state">
+          <p>Loading words...</p>
+          <div className="spinner" />
+        </div>
+      </div>
+    );
+
+  if (status === 'analyzing')
+    return (
+      <div className="assessment-card">
+        <h2>🔤 Nonword Reading</h2>
+        <div className="loading-state">
+          <p>Scoring your reading sound by sound...</p>
+          <div className="spinner" />
+        </div>
+      </div>
+    );
+
+  return (
+    <div className="assessment-card">
+      <h2>🔤 Nonword Reading</h2>
+      <p className="instruction-text">
+        These are made-up words. Sound each one out and read it aloud. Word {index + 1} of {words.length}
+      </p>
+
+      <div className="pseudoword-display">{words[index]}</div>
+
+      <div className="reading-controls">
+        <div className={`status-badge ${isListening ? 'recording' : 'ready'}`}>
+          {isListening ? (
+            <>
+              <span className="pulse-dot"></span> Listening...
+            </>
+          ) : 'Ready'}
+        </div>
+
+        <div className="action-footer">
+          <button className="btn btn-secondary" onClick={skip}>
+            Skip
+          </button>
+          <button className="btn btn-primary" onClick={listen} disabled={isListening}>
+            Read Aloud
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
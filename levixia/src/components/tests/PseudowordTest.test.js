@@ -0,0 +1,43 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { AssessmentProvider, useAssessment } from '../../context/AssessmentContext';
+import PseudowordTest from './PseudowordTest';
+
+// The assessment page's wiring: the step reports its result through completeStep
+function Steps() {
+  const { currentStep, results, completeStep, nextStep } = useAssessment();
+  return (
+    <>
+      <p data-testid="step">{currentStep?.id}</p>
+      <p data-testid="decoding">{JSON.stringify(results.decoding)}</p>
+      <button onClick={nextStep}>Next step</button>
+      {currentStep?.type === 'decoding' && (
+        <PseudowordTest onComplete={(data) => completeStep(data.type, data)} />
+      )}
+    </>
+  );
+}
+
+test('without speech recognition the step waits for Continue and advances once', () => {
+  expect(window.SpeechRecognition || window.webkitSpeechRecognition).toBeUndefined();
+  render(
+    <React.StrictMode>
+      <AssessmentProvider>
+        <Steps />
+      </AssessmentProvider>
+    </React.StrictMode>
+  );
+
+  fireEvent.click(screen.getByText('Next step'));
+  expect(screen.getByTestId('step')).toHaveTextContent('decoding');
+  expect(screen.getByText(/isn't supported in this browser/)).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Continue'));
+
+  expect(screen.getByTestId('step')).toHaveTextContent('spelling');
+  expect(JSON.parse(screen.getByTestId('decoding').textContent)).toMatchObject({
+    type: 'decoding',
+    decodingScore: null,
+    unsupported: true
+  });
+});
@@ -1,39 +1,72 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useUser } from '../../context/UserContext';
 import apiService from '../../services/apiService';
+import { ReadingEvaluator } from '../../services/evaluationService';
+import { createWordTimer } from '../../utils/readingTiming';
 import './Assessment.css';
 
+/**
+ * Passage words read in order (longest common subsequence), so a skipped word
+ * does not make every later word count as wrong
+ */
+function wordsReadInOrder(passageWords, spokenWords) {
+  let previous = new Array(spokenWords.length + 1).fill(0);
+  passageWords.forEach(word => {
+    const current = [0];
+    spokenWords.forEach((spoken, j) => {
+      current.push(word === spoken ? previous[j] + 1 : Math.max(previous[j + 1], current[j]));
+    });
+    previous = current;
+  });
+  return previous[spokenWords.length];
+}
+
 export default function ReadingTest({ onComplete }) {
   const [status, setStatus] = useState('loading');
   const [passage, setPassage] = useState('');
+  const [passageInfo, setPassageInfo] = useState(null);
   const [isRecording, setIsRecording] = useState(false);
-  const [finalTranscript, setFinalTranscript] = useState('');
   const [timeElapsed, setTimeElapsed] = useState(0);
+  const [questions, setQuestions] = useState([]);
+  const [answers, setAnswers] = useState([]);
+  const [readingResult, setReadingResult] = useState(null);
 
   const recognitionRef = useRef(null);
   const timerRef = useRef(null);
-  const bufferRef = useRef('');
+  const wordTimerRef = useRef(null);
 
   const { profile } = useUser();
+  // The passage depends only on the age group; a profile saved mid-test must not swap it
+  const ageGroup = profile?.ageGroup ?? null;
 
   useEffect(() => {
+    let current = true;
     (async () => {
       try {
-        const data = await apiService.generateReadingPassage(profile);
+        const data = await apiService.generateReadingPassage(ageGroup ? { ageGroup } : {});
+        if (!current) return;
         setPassage(data.text);
+        setPassageInfo({
+          id: data.id ?? null,
+          ageGroup: data.ageGroup ?? null,
+          level: data.level ?? null,
+          source: data.source ?? null
+        });
+        setQuestions(data.questions || []);
       } catch (error) {
+        if (!current) return;
         console.error('Failed to generate passage:', error);
         setPassage(
           "The ship sailed across the ocean. The captain shared the treasure."
         );
+        setQuestions([]);
       }
       setStatus('ready');
     })();
-  }, [profile]);
+    return () => { current = false; };
+  }, [ageGroup]);
 
   const startRecording = () => {
-    bufferRef.current = '';
-    setFinalTranscript('');
     setTimeElapsed(0);
     setStatus('recording');
 
@@ -47,15 +80,15 @@ export default function ReadingTest({ onComplete }) {
 
     const recognition = new SpeechRecognition();
     recognition.continuous = true;
-    recognition.interimResults = false;
+    // Interim results show when each word is first heard (see utils/readingTiming)
+    recognition.interimResults = true;
     recognition.lang = 'en-US';
 
-    recognition.onresult = (e) => {
-      bufferRef.current +=
-        e.results[e.results.length - 1][0].transcript + ' ';
-    };
+    const wordTimer = createWordTimer();
+    recognition.onresult = (e) => wordTimer.record(e);
 
     recognition.start();
+    wordTimerRef.current = wordTimer;
     recognitionRef.current = recognition;
     setIsRecording(true);
 
@@ -65,55 +98,86 @@ export default function ReadingTest({ onComplete }) {
     );
   };
 
+  // Comprehension questions come after reading, with the passage hidden
+  const finishReading = (reading) => {
+    // Which bank passage was read, so re-screenings can be compared at the same level
+    const result = { ...reading, passage: passageInfo };
+    if (questions.length === 0) {
+      onComplete(result);
+      return;
+    }
+    setReadingResult(result);
+    setAnswers(questions.map(() => null));
+    setStatus('questions');
+  };
+
+  const chooseAnswer = (index, option) => {
+    setAnswers(current => current.map((answer, i) => (i === index ? option : answer)));
+  };
+
+  const submitAnswers = () => {
+    onComplete({
+      ...readingResult,
+      comprehension: ReadingEvaluator.scoreComprehension(questions, answers)
+    });
+  };
+
   const stopAndGrade = async () => {
     recognitionRef.current?.stop();
     clearInterval(timerRef.current);
     setIsRecording(false);
     setStatus('analyzing');
 
-    const transcript = bufferRef.current.trim();
-    setFinalTranscript(transcript);
+    const transcript = wordTimerRef.current?.transcript() || '';
+    const wordTimings = wordTimerRef.current?.wordTimings() || [];
 
     try {
       const report = await apiService.analyzeReading(
         passage,
         transcript,
-        timeElapsed
+        timeElapsed,
+        wordTimings,
+        passageInfo?.id ?? null
       );
 
-      onComplete({
+      finishReading({
         type: 'reading',
         accuracyPercent: report.accuracyPercent,
         wpm: report.wpm,
-        errorType: report.errorType,
+        wcpm: report.wcpm,
+        miscueAnalysis: report.miscueAnalysis || null,
+        hesitations: report.hesitations || null,
+        // Without Gemini (aiError) the server still sends the measurements, with no narrative
+        errorType: report.errorType || 'Unclassified',
         errorPatterns: report.errorPatterns || [],
         phonologicalIssues: report.phonologicalIssues || [],
         visualIssues: report.visualIssues || [],
         strengths: report.strengths || [],
-        dyslexiaLikelihood: report.dyslexiaLikelihood,
-        feedback: report.feedback,
+        dyslexiaLikelihood: report.dyslexiaLikelihood || (report.accuracyPercent < 70 ? 'High' : 'Low'),
+        feedback: report.aiError ? 'AI unavailable – fallback used' : report.feedback,
         rawTranscript: transcript,
         timeElapsed,
-        totalWords: passage.split(/\s+/).length
+        totalWords: passage.split(/\s+/).length,
+        ...(report.aiError && { aiError: true })
       });
     } catch (error) {
       console.error('Reading analysis failed:', error);
-      const totalWords = passage.split(/\s+/).length;
-      const spokenWords = transcript.split(/\s+/).length;
-      const wpm = timeElapsed > 0 ? Math.round((spokenWords / timeElapsed) * 60) : 0;
-      
-      const originalWords = passage.toLowerCase().split(/\s+/);
-      const transcriptWords = transcript.toLowerCase().split(/\s+/);
-      let matches = 0;
-      for (let i = 0; i < Math.min(originalWords.length, transcriptWords.length); i++) {
-        if (originalWords[i] === transcriptWords[i]) matches++;
-      }
-      const accuracy = Math.round((matches / originalWords.length) * 100);
+      const words = text => text.toLowerCase().match(/[a-z0-9']+/g) || [];
+      const originalWords = words(passage);
+      const transcriptWords = words(transcript);
+      const totalWords = originalWords.length;
+      const matches = wordsReadInOrder(originalWords, transcriptWords);
+      const wpm = timeElapsed > 0 ? Math.round((transcriptWords.length / timeElapsed) * 60) : 0;
+      const wcpm = timeElapsed > 0 ? Math.round((matches / timeElapsed) * 60) : 0;
+      const accuracy = totalWords ? Math.round((matches / totalWords) * 100) : 0;
 
-      onComplete({
+      finishReading({
         type: 'reading',
         accuracyPercent: accuracy,
         wpm,
+        wcpm,
+        miscueAnalysis: null,
+        hesitations: null,
         errorType: 'Unclassified',
         errorPatterns: [],
         phonologicalIssues: [],
@@ -151,6 +215,41 @@ export default function ReadingTest({ onComplete }) {
       </div>
     );
 
+  if (status === 'questions')
+    return (
+      <div className="assessment-card">
+        <h2>📖 Reading Assessment</h2>
+        <p className="instruction-text">Answer these questions about the passage you just read:</p>
+
+        {questions.map((q, i) => (
+          <div key={i} className="comprehension-question">
+            <p className="comprehension-prompt">{i + 1}. {q.question}</p>
+            <div className="comprehension-options">
+              {q.options.map(option => (
+                <button
+                  key={option}
+                  className={`btn ${answers[i] === option ? 'btn-primary' : 'btn-secondary'}`}
+                  onClick={() => chooseAnswer(i, option)}
+                >
+                  {option}
+                </button>
+              ))}
+            </div>
+          </div>
+        ))}
+
+        <div className="action-footer">
+          <button
+            className="btn btn-primary"
+            onClick={submitAnswers}
+            disabled={answers.some(answer => answer === null)}
+          >
+            Submit Answers
+          </button>
+        </div>
+      </div>
+    );
+
   return (
     <div className="assessment-card">
       <h2>📖 Reading Assessment</h2>
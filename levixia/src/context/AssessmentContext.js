@@ -4,6 +4,7 @@ const AssessmentContext = createContext(null);
 
 const ASSESSMENT_STEPS = [
   { id: 'reading', title: 'Reading Test', type: 'reading' },
+  { id: 'decoding', title: 'Nonword Reading', type: 'decoding' },
   { id: 'spelling', title: 'Spelling Test', type: 'spelling' },
   { id: 'visual', title: 'Visual Processing', type: 'visual' },
   { id: 'cognitive', title: 'Cognitive & Memory', type: 'cognitive' },
@@ -11,6 +12,7 @@ const ASSESSMENT_STEPS = [
 
 const defaultResults = {
   reading: null,
+  decoding: null,
   spelling: null,
   visual: null,
   cognitive: null,
@@ -1,34 +1,62 @@
-import React, { createContext, useContext, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useState } from 'react';
+import apiService from '../services/apiService';
 
 const AuthContext = createContext(null);
 
+/**
+ * Accounts live on the server; the signed-in user is cached in localStorage so
+ * pages render immediately, and the session token is checked again on load.
+ */
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(() => {
     try {
       const saved = localStorage.getItem('levixia_user');
-      return saved ? JSON.parse(saved) : null;
+      return saved && apiService.hasSession() ? JSON.parse(saved) : null;
     } catch {
       return null;
     }
   });
 
-  const login = (email, password) => {
-    const u = { email, id: Date.now().toString(), name: email.split('@')[0] };
+  const saveUser = useCallback((u) => {
     setUser(u);
-    localStorage.setItem('levixia_user', JSON.stringify(u));
+    if (u) localStorage.setItem('levixia_user', JSON.stringify(u));
+    else localStorage.removeItem('levixia_user');
+  }, []);
+
+  // Confirm the stored session is still valid; the server is the source of truth
+  useEffect(() => {
+    if (!apiService.hasSession()) return;
+    apiService.getCurrentUser()
+      .then(({ user: current }) => saveUser(current))
+      .catch(() => {});
+  }, [saveUser]);
+
+  // Any API call answered with 401 means the session ended
+  useEffect(() => {
+    const onUnauthorized = () => saveUser(null);
+    window.addEventListener('levixia:unauthorized', onUnauthorized);
+    return () => window.removeEventListener('levixia:unauthorized', onUnauthorized);
+  }, [saveUser]);
+
+  const login = async (email, password) => {
+    const { user: u } = await apiService.login(email, password);
+    saveUser(u);
     return u;
   };
 
-  const register = (email, password) => {
-    const u = { email, id: Date.now().toString(), name: email.split('@')[0] };
-    setUser(u);
-    localStorage.setItem('levixia_user', JSON.stringify(u));
+  const register = async (email, password, name) => {
+    const { user: u } = await apiService.register(email, password, name);
+    saveUser(u);
     return u;
   };
 
-  const logout = () => {
-    setUser(null);
-    localStorage.removeItem('levixia_user');
+  const logout = async () => {
+    saveUser(null);
+    try {
+      await apiService.logout();
+    } catch {
+      // The token is dropped locally either way
+    }
   };
 
   return (
@@ -1,4 +1,6 @@
-import React, { createContext, useContext, useState, useCallback } from 'react';
+import React, { createContext, useContext, useState, useCallback, useEffect, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import apiService from '../services/apiService';
 
 const UserContext = createContext(null);
 
@@ -30,7 +32,41 @@ const defaultAssistantConfig = {
   cognitiveLoadReduction: true,
 };
 
+const emptyProgress = { readingSessions: [], writingSessions: [], accuracyHistory: [] };
+
+const STORAGE_KEYS = [
+  'levixia_profile',
+  'levixia_assessment',
+  'levixia_report',
+  'levixia_progress',
+  'levixia_learning_profile',
+];
+
+/**
+ * Rebuild the progress summary from stored sessions (newest first from the server)
+ */
+function progressFromSessions(sessions) {
+  const progress = { readingSessions: [], writingSessions: [], accuracyHistory: [] };
+  [...sessions].reverse().forEach(({ type, data, createdAt }) => {
+    const entry = { ...data, date: data.date || createdAt };
+    progress[type === 'reading' ? 'readingSessions' : 'writingSessions'].push(entry);
+    if (entry.accuracy != null) progress.accuracyHistory.push(entry);
+  });
+  return progress;
+}
+
+/**
+ * Report errors from background saves without interrupting the user
+ */
+const logSaveError = (what) => (error) => console.error(`Failed to save ${what} to the server`, error);
+
+/**
+ * Learner data for the signed-in user. The server is the source of truth; localStorage
+ * is a cache so pages render immediately and data entered before signing in is kept
+ * until it can be uploaded.
+ */
 export function UserProvider({ children }) {
+  const { user } = useAuth();
   const [profile, setProfile] = useState(() => {
     try {
       const saved = localStorage.getItem('levixia_profile');
@@ -70,9 +106,9 @@ export function UserProvider({ children }) {
   const [progress, setProgress] = useState(() => {
     try {
       const saved = localStorage.getItem('levixia_progress');
-      return saved ? JSON.parse(saved) : { readingSessions: [], writingSessions: [], accuracyHistory: [] };
+      return saved ? JSON.parse(saved) : emptyProgress;
     } catch {
-      return { readingSessions: [], writingSessions: [], accuracyHistory: [] };
+      return emptyProgress;
     }
   });
 
@@ -85,25 +121,33 @@ export function UserProvider({ children }) {
     }
   });
 
+  // Latest values for the save callbacks, which stay stable so effects depending on them don't rerun
+  const latest = useRef({});
+  latest.current = { ...latest.current, user, profile, assessmentResults, report, userLearningProfile, progress };
+
   const updateProfile = useCallback((updates) => {
-    setProfile((p) => {
-      const next = { ...p, ...updates };
-      localStorage.setItem('levixia_profile', JSON.stringify(next));
-      return next;
-    });
+    const next = { ...latest.current.profile, ...updates };
+    latest.current.profile = next;
+    setProfile(next);
+    localStorage.setItem('levixia_profile', JSON.stringify(next));
+    if (latest.current.user) apiService.saveUserProfile(next).catch(logSaveError('profile'));
   }, []);
 
   const saveAssessmentResults = useCallback((results) => {
+    // Saved together with the report that follows
+    latest.current.assessmentResults = results;
     setAssessmentResults(results);
     localStorage.setItem('levixia_assessment', JSON.stringify(results));
   }, []);
 
   const saveReport = useCallback((reportData) => {
-    setReport((r) => {
-      const next = { ...r, ...reportData, completed: true };
-      localStorage.setItem('levixia_report', JSON.stringify(next));
-      return next;
-    });
+    const next = { ...latest.current.report, ...reportData, completed: true };
+    latest.current.report = next;
+    setReport(next);
+    localStorage.setItem('levixia_report', JSON.stringify(next));
+    if (latest.current.user) {
+      apiService.saveReport(next, latest.current.assessmentResults).catch(logSaveError('report'));
+    }
   }, []);
 
   const updateAssistantConfig = useCallback((updates) => {
@@ -115,6 +159,9 @@ export function UserProvider({ children }) {
   }, []);
 
   const addProgressSession = useCallback((type, data) => {
+    if (latest.current.user) {
+      apiService.saveSession(type, { ...data, date: new Date().toISOString() }).catch(logSaveError('session'));
+    }
     setProgress((p) => {
       const key = type === 'reading' ? 'readingSessions' : 'writingSessions';
       const next = {
@@ -130,17 +177,96 @@ export function UserProvider({ children }) {
   }, []);
 
   const saveLearningProfile = useCallback((profile) => {
+    latest.current.userLearningProfile = profile;
     setUserLearningProfile(profile);
     localStorage.setItem('levixia_learning_profile', JSON.stringify(profile));
+    if (latest.current.user && profile) {
+      apiService.saveLearningProfile(profile).catch(logSaveError('learning profile'));
+    }
   }, []);
 
   const updateLearningProfile = useCallback((updates) => {
-    setUserLearningProfile((p) => {
-      const next = p ? { ...p, ...updates, updatedAt: new Date().toISOString() } : updates;
-      localStorage.setItem('levixia_learning_profile', JSON.stringify(next));
-      return next;
-    });
-  }, []);
+    const p = latest.current.userLearningProfile;
+    saveLearningProfile(p ? { ...p, ...updates, updatedAt: new Date().toISOString() } : updates);
+  }, [saveLearningProfile]);
+
+  // Signing in loads the account's data; anything only stored locally is uploaded first, and
+  // whatever the account already has replaces the local copy, even when an upload failed
+  const userId = user?.id;
+  useEffect(() => {
+    if (!userId) return undefined;
+    let cancelled = false;
+
+    const sync = async () => {
+      const stored = await apiService.getUserData();
+      if (cancelled) return;
+      const local = latest.current;
+      const uploads = []; // [what, request]
+
+      if (!stored.profile && local.profile?.name) {
+        uploads.push(['profile', apiService.saveUserProfile(local.profile)]);
+      }
+      if (!stored.latestReport && local.report?.completed) {
+        uploads.push(['report', apiService.saveReport(local.report, local.assessmentResults)]);
+      }
+      if (!stored.learningProfile && local.userLearningProfile) {
+        uploads.push(['learning profile', apiService.saveLearningProfile(local.userLearningProfile)]);
+      }
+      if (!stored.sessions.length) {
+        local.progress.readingSessions.forEach((session) => uploads.push(['session', apiService.saveSession('reading', session)]));
+        local.progress.writingSessions.forEach((session) => uploads.push(['session', apiService.saveSession('writing', session)]));
+      }
+      const results = await Promise.allSettled(uploads.map(([, request]) => request));
+      results.forEach((result, i) => {
+        if (result.status === 'rejected') logSaveError(uploads[i][0])(result.reason);
+      });
+      if (cancelled) return;
+
+      if (stored.profile) {
+        const next = { ...defaultProfile, ...stored.profile };
+        latest.current.profile = next;
+        setProfile(next);
+        localStorage.setItem('levixia_profile', JSON.stringify(next));
+      }
+      if (stored.latestReport) {
+        const next = { ...defaultReport, ...stored.latestReport.report, completed: true };
+        latest.current.report = next;
+        setReport(next);
+        localStorage.setItem('levixia_report', JSON.stringify(next));
+        setAssessmentResults(stored.latestReport.assessmentResults);
+        localStorage.setItem('levixia_assessment', JSON.stringify(stored.latestReport.assessmentResults));
+      }
+      if (stored.learningProfile) {
+        latest.current.userLearningProfile = stored.learningProfile;
+        setUserLearningProfile(stored.learningProfile);
+        localStorage.setItem('levixia_learning_profile', JSON.stringify(stored.learningProfile));
+      }
+      // Without stored sessions the local ones were just uploaded and stay as they are
+      if (stored.sessions.length) {
+        const nextProgress = progressFromSessions(stored.sessions);
+        setProgress(nextProgress);
+        localStorage.setItem('levixia_progress', JSON.stringify(nextProgress));
+      }
+    };
+
+    sync().catch((error) => console.error('Failed to load saved data', error));
+    return () => { cancelled = true; };
+  }, [userId]);
+
+  // Signing out clears this browser's copy so the next user starts fresh
+  const previousUserId = useRef(userId);
+  useEffect(() => {
+    if (previousUserId.current && !userId) {
+      STORAGE_KEYS.forEach((key) => localStorage.removeItem(key));
+      latest.current = { user: null, profile: defaultProfile, assessmentResults: null, report: defaultReport, userLearningProfile: null, progress: emptyProgress };
+      setProfile(defaultProfile);
+      setAssessmentResults(null);
+      setReport(defaultReport);
+      setProgress(emptyProgress);
+      setUserLearningProfile(null);
+    }
+    previousUserId.current = userId;
+  }, [userId]);
 
   return (
     <UserContext.Provider
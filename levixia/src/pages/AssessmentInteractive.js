@@ -6,6 +6,7 @@ import { useUser } from '../context/UserContext';
 import { computeReportFromResults } from '../utils/diagnosisAlgorithm';
 import apiService from '../services/apiService';
 import ReadingTest from '../components/tests/ReadingTest';
+import PseudowordTest from '../components/tests/PseudowordTest';
 import SpellingTest from '../components/tests/SpellingTest';
 import VisualTest from '../components/tests/VisualTest';
 import CognitiveTest from '../components/tests/CognitiveTest';
@@ -17,7 +18,7 @@ export default function AssessmentInteractive() {
   const { saveAssessmentResults, saveReport, saveLearningProfile } = useUser();
 
   useEffect(() => {
-    if (currentStepIndex >= totalSteps && results.reading && results.spelling && results.visual && results.cognitive) {
+    if (currentStepIndex >= totalSteps && results.reading && results.decoding && results.spelling && results.visual && results.cognitive) {
       const generateReport = async () => {
         try {
           const report = await computeReportFromResults(results);
@@ -85,6 +86,7 @@ export default function AssessmentInteractive() {
           </div>
 
           {currentStep?.type === 'reading' && <ReadingTest onComplete={handleStepComplete} />}
+          {currentStep?.type === 'decoding' && <PseudowordTest onComplete={handleStepComplete} />}
           {currentStep?.type === 'spelling' && <SpellingTest onComplete={handleStepComplete} />}
           {currentStep?.type === 'visual' && <VisualTest onComplete={handleStepComplete} />}
           {currentStep?.type === 'cognitive' && <CognitiveTest onComplete={handleStepComplete} />}
@@ -3,6 +3,9 @@ import { Link } from 'react-router-dom';
 import { useUser } from '../context/UserContext';
 import Layout from '../components/Layout';
 import apiService from '../services/apiService';
+import LiveWritingArea from '../components/assistant/LiveWritingArea';
+import WritingAssistant from '../components/assistant/WritingAssistant';
+import useLiveWriting from '../components/assistant/useLiveWriting';
 import { FaPlay, FaPause, FaStop, FaFont, FaTextHeight, FaEye } from 'react-icons/fa'; // Assuming you have react-icons
 import './Assistant.css';
 
@@ -19,6 +22,7 @@ export default function Assistant() {
   const [taskMode, setTaskMode] = useState('reading');
   const [inputMode, setInputMode] = useState('paste');
   const [sourceText, setSourceText] = useState('');
+  const [upload, setUpload] = useState(null); // { fileName, loading, error, wordCount }
   
   // -- State: Writing & Analytics --
   const [userText, setUserText] = useState('');
@@ -27,6 +31,17 @@ export default function Assistant() {
   const [isProcessing, setIsProcessing] = useState(false);
   const [accuracy, setAccuracy] = useState(null);
 
+  // -- State: Live writing suggestions (underlined while typing) --
+  const liveWriting = useLiveWriting(userText, { enabled: taskMode === 'writing' });
+  const liveSuggestions = useMemo(() => {
+    const muted = userProfile?.writingPreferences?.mutedCategories || [];
+    return liveWriting.suggestions.filter(s => !muted.includes(s.type));
+  }, [liveWriting.suggestions, userProfile]);
+
+  // -- State: Simplified Text (streamed paragraph by paragraph) --
+  const [processed, setProcessed] = useState(null); // { paragraphs, total, done, error }
+  const streamRef = useRef(null);
+
   // -- State: Active Reading Assistance (New) --
   const [readerSettings, setReaderSettings] = useState({
     font: 'sans-serif', // 'sans-serif' | 'opendyslexic'
@@ -128,12 +143,21 @@ export default function Assistant() {
   };
 
   // 5. Logic: Handle Inputs
-  const handleFileSelect = (e) => {
+  // Text is extracted on the server, so PDF and Word documents work as well as plain text
+  const handleFileSelect = async (e) => {
     const file = e.target.files?.[0];
+    e.target.value = '';
     if (!file) return;
-    const reader = new FileReader();
-    reader.onload = () => setSourceText(String(reader.result));
-    reader.readAsText(file);
+
+    setInputMode('file');
+    setUpload({ fileName: file.name, loading: true, error: null });
+    try {
+      const result = await apiService.uploadDocument(file);
+      setSourceText(result.text);
+      setUpload({ fileName: result.fileName, loading: false, error: null, wordCount: result.wordCount });
+    } catch (err) {
+      setUpload({ fileName: file.name, loading: false, error: err.message || 'Could not read this file.' });
+    }
   };
 
   const startVoiceInput = useCallback(() => {
@@ -184,6 +208,51 @@ export default function Assistant() {
     }
   };
 
+  // 7. Logic: Simplify & Highlight, shown paragraph by paragraph as the backend streams it
+  const stopStream = () => {
+    streamRef.current?.abort();
+    streamRef.current = null;
+  };
+
+  const handleSimplify = async () => {
+    stopStream();
+    const controller = new AbortController();
+    streamRef.current = controller;
+    setProcessed({ paragraphs: [], total: 0, done: false, error: null });
+
+    const update = (changes) => {
+      if (!controller.signal.aborted) setProcessed(prev => ({ ...prev, ...changes(prev) }));
+    };
+    const config = {
+      processingStrategy: { simplify: true, highlight: true, chunk: false, pace: 120 },
+      assistantConfig: {}
+    };
+
+    try {
+      await apiService.processTextStream(sourceText, config, userProfile, {
+        signal: controller.signal,
+        onStart: ({ paragraphs }) => update(() => ({ total: paragraphs })),
+        onParagraph: (paragraph) => update(prev => ({ paragraphs: [...prev.paragraphs, paragraph] }))
+      });
+      update(() => ({ done: true }));
+    } catch (err) {
+      update(() => ({ done: true, error: 'Could not simplify this text. Please try again.' }));
+    }
+  };
+
+  const showOriginal = () => {
+    stopStream();
+    setProcessed(null);
+  };
+
+  // New text or leaving the page drops the simplified version
+  useEffect(() => {
+    stopStream();
+    setProcessed(null);
+  }, [sourceText]);
+
+  useEffect(() => stopStream, []);
+
   // -- RENDER HELPERS --
 
   // Dynamic CSS Styles for the Reading Box
@@ -229,9 +298,19 @@ export default function Assistant() {
             <button onClick={() => setInputMode('paste')} className={inputMode === 'paste' ? 'active' : ''}>Paste Text</button>
             <button onClick={() => fileInputRef.current?.click()} className={inputMode === 'file' ? 'active' : ''}>Upload File</button>
             <button onClick={() => setInputMode('voice')} className={inputMode === 'voice' ? 'active' : ''}>Voice Input</button>
-            <input type="file" ref={fileInputRef} hidden onChange={handleFileSelect} accept=".txt,.md" />
+            <input type="file" ref={fileInputRef} hidden onChange={handleFileSelect} accept=".txt,.md,.pdf,.docx" />
           </div>
 
+          {inputMode === 'file' && upload && (
+            <p className={`upload-status ${upload.error ? 'error' : ''}`}>
+              {upload.loading
+                ? `Reading ${upload.fileName}…`
+                : upload.error
+                  ? `${upload.fileName}: ${upload.error}`
+                  : `Loaded ${upload.fileName} (${upload.wordCount} words)`}
+            </p>
+          )}
+
           {inputMode === 'voice' && (
             <div className="voice-controls">
               {!voiceRecording ? (
@@ -320,7 +399,23 @@ export default function Assistant() {
 
               {/* The Active Reader Box */}
               <div className={`active-reader-box ${getContrastClass()}`} style={activeReaderStyle}>
-                {readerSettings.bionicMode ? (
+                {processed ? (
+                  <div className="processed-text">
+                    {processed.paragraphs.map((paragraph) => (
+                      <p
+                        key={paragraph.index}
+                        className="processed-paragraph"
+                        dangerouslySetInnerHTML={{ __html: paragraph.processedText }}
+                      />
+                    ))}
+                    {!processed.done && (
+                      <p className="stream-status">
+                        Simplifying{processed.total > 0 && ` paragraph ${processed.paragraphs.length + 1} of ${processed.total}`}…
+                      </p>
+                    )}
+                    {processed.error && <p className="stream-status error">{processed.error}</p>}
+                  </div>
+                ) : readerSettings.bionicMode ? (
                   <div dangerouslySetInnerHTML={{ __html: bionicifyText(sourceText) }} />
                 ) : (
                   <p>{sourceText}</p>
@@ -329,6 +424,11 @@ export default function Assistant() {
 
               {/* TTS Controls */}
               <div className="tts-controls">
+                {processed ? (
+                  <button className="btn btn-icon" onClick={showOriginal}>Show Original</button>
+                ) : (
+                  <button className="btn btn-icon" onClick={handleSimplify}>✨ Simplify & Highlight</button>
+                )}
                 {!isSpeaking ? (
                   <button className="btn btn-icon" onClick={() => handleTTS('play')}><FaPlay /> Read Aloud</button>
                 ) : (
@@ -355,14 +455,22 @@ export default function Assistant() {
                 >Free Writing Check</button>
               </div>
 
-              <textarea 
+              <LiveWritingArea
                 className="user-writing-area"
                 placeholder={writingMode === 'copy' ? "Type the text above here..." : "Write anything here to check for grammar and tone..."}
                 value={userText}
-                onChange={(e) => setUserText(e.target.value)}
+                onChange={setUserText}
+                suggestions={liveSuggestions}
                 rows={8}
               />
 
+              <WritingAssistant
+                userText={userText}
+                suggestions={liveSuggestions}
+                onTextChange={setUserText}
+                userProfile={userProfile}
+              />
+
               <button 
                 className="btn btn-primary full-width"
                 onClick={handleWritingCheck}
@@ -32,10 +32,12 @@ export default function Login() {
     setIsLoading(true);
     
     try {
-      login(email, password);
+      await login(email, password);
       navigate(from, { replace: true });
     } catch (err) {
-      setError('Login failed. Please check your credentials and try again.');
+      setError(err.status === 401
+        ? 'Incorrect email or password.'
+        : 'Login failed. Please check your credentials and try again.');
     } finally {
       setIsLoading(false);
     }
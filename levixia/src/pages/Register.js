@@ -20,8 +20,8 @@ export default function Register() {
       setError('Please enter your email.');
       return;
     }
-    if (password.length < 6) {
-      setError('Password must be at least 6 characters.');
+    if (password.length < 8) {
+      setError('Password must be at least 8 characters.');
       return;
     }
     if (password !== confirm) {
@@ -30,10 +30,12 @@ export default function Register() {
     }
     setIsLoading(true);
     try {
-      register(email, password);
+      await register(email, password);
       navigate('/profile-setup', { replace: true });
     } catch (err) {
-      setError('Registration failed. Please try again.');
+      if (err.status === 409) setError('An account with this email already exists. Try signing in.');
+      else if (err.status === 400) setError('Please enter a valid email address.');
+      else setError('Registration failed. Please try again.');
     } finally {
       setIsLoading(false);
     }
@@ -93,7 +95,7 @@ export default function Register() {
                   value={password}
                   onChange={(e) => setPassword(e.target.value)}
                   autoComplete="new-password"
-                  placeholder="At least 6 characters"
+                  placeholder="At least 8 characters"
                   className="form-input"
                   disabled={isLoading}
                 />
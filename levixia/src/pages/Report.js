@@ -29,6 +29,53 @@ const TYPE_DESC = {
   'None identified': 'No specific learning pattern was strongly indicated from this screening.',
 };
 
+/**
+ * The passage as read: words the reader paused before or went back to are highlighted,
+ * from the timings measured in the reading test (server/services/readingHesitations.js)
+ */
+function HesitationMap({ hesitations }) {
+  const { words, counts, medianGapMs, startLatencyMs } = hesitations;
+  const wentBackTo = new Set([...hesitations.regressions, ...hesitations.restarts].map(({ to }) => to));
+  const seconds = ms => `${(ms / 1000).toFixed(1)} s`;
+
+  const wordClass = (word, position) => {
+    if (word.latencyMs === null) return 'hesitation-word hesitation-unread';
+    const classes = ['hesitation-word'];
+    if (word.longPause) classes.push('hesitation-pause');
+    else if (position > 0 && word.latencyMs >= medianGapMs * 1.5) classes.push('hesitation-slow');
+    if (wentBackTo.has(position)) classes.push('hesitation-reread');
+    return classes.join(' ');
+  };
+
+  return (
+    <div className="hesitation-map">
+      <h3>Reading hesitation map</h3>
+      <p className="report-desc">
+        {counts.longPauses} long pause(s) · {counts.regressions} regression(s) · {counts.restarts} restart(s)
+        {startLatencyMs != null && ` · started after ${seconds(startLatencyMs)}`}
+      </p>
+      <p className="hesitation-passage">
+        {words.map((word, position) => (
+          <React.Fragment key={position}>
+            <span
+              className={wordClass(word, position)}
+              title={word.latencyMs === null ? 'Not read' : `${seconds(word.latencyMs)} before this word`}
+            >
+              {word.word}
+            </span>{' '}
+          </React.Fragment>
+        ))}
+      </p>
+      <p className="hesitation-legend">
+        <span className="hesitation-word hesitation-pause">long pause</span>{' '}
+        <span className="hesitation-word hesitation-slow">slower than usual</span>{' '}
+        <span className="hesitation-word hesitation-reread">went back to</span>{' '}
+        <span className="hesitation-word hesitation-unread">not read</span>
+      </p>
+    </div>
+  );
+}
+
 export default function Report() {
   const { report } = useUser();
   const types = report.dyslexiaTypes || [];
@@ -119,6 +166,8 @@ export default function Report() {
                   <div className="result-score">{scores.readingAccuracy ?? '—'}%</div>
                   <p className="report-desc">Accuracy</p>
                   {scores.readingWpm != null && <p className="report-desc">{scores.readingWpm} WPM</p>}
+                  {scores.readingComprehension != null && <p className="report-desc">Comprehension {scores.readingComprehension}%</p>}
+                  {scores.decodingScore != null && <p className="report-desc">Nonword decoding {scores.decodingScore}%</p>}
                 </div>
                 <div className="result-card">
                   <h3>✍️ Spelling</h3>
@@ -137,6 +186,7 @@ export default function Report() {
                   <p className="report-desc">Recall accuracy</p>
                 </div>
               </div>
+              {scores.readingHesitations && <HesitationMap hesitations={scores.readingHesitations} />}
             </section>
           )}
 
@@ -6,6 +6,38 @@
 
 const API_BASE_URL = process.env.REACT_APP_API_URL || 'http://localhost:5000';
 
+const TOKEN_KEY = 'levixia_token';
+
+/**
+ * Authorization header for the signed-in user's session token
+ */
+function authHeaders() {
+  const token = localStorage.getItem(TOKEN_KEY);
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+/**
+ * The session is gone (expired, revoked or signed out elsewhere): drop the token
+ * and let AuthContext sign the user out
+ */
+function handleUnauthorized() {
+  localStorage.removeItem(TOKEN_KEY);
+  window.dispatchEvent(new Event('levixia:unauthorized'));
+}
+
+/**
+ * Parse one Server-Sent Event frame into { event, data }
+ */
+function parseEvent(frame) {
+  let event = 'message';
+  const data = [];
+  frame.split('\n').forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).trimStart());
+  });
+  return { event, data: data.length ? JSON.parse(data.join('\n')) : null };
+}
+
 class ApiService {
   /**
    * Generic API call
@@ -16,15 +48,18 @@ class ApiService {
   async request(endpoint, options = {}) {
     const url = `${API_BASE_URL}${endpoint}`;
     
+    // Forms (file uploads) are sent as multipart; the browser sets their Content-Type
+    const isForm = options.body instanceof FormData;
     const config = {
+      ...options,
       headers: {
-        'Content-Type': 'application/json',
+        ...(!isForm && { 'Content-Type': 'application/json' }),
+        ...authHeaders(),
         ...options.headers
-      },
-      ...options
+      }
     };
 
-    if (options.body && typeof options.body === 'object') {
+    if (options.body && typeof options.body === 'object' && !isForm) {
       config.body = JSON.stringify(options.body);
     }
 
@@ -33,7 +68,10 @@ class ApiService {
       const data = await response.json();
 
       if (!response.ok) {
-        throw new Error(data.message || data.error || 'API request failed');
+        if (response.status === 401 && !options.skipAuthRedirect) handleUnauthorized();
+        const error = new Error(data.message || data.error || 'API request failed');
+        error.status = response.status;
+        throw error;
       }
 
       return data;
@@ -43,13 +81,74 @@ class ApiService {
     }
   }
 
+  // ========== AUTH ENDPOINTS ==========
+
+  /**
+   * Create an account; the returned session token is stored for later calls
+   * @param {string} email - Email address
+   * @param {string} password - Password (at least 8 characters)
+   * @param {string} name - Display name (optional)
+   * @returns {Promise<Object>} - { user, token, expiresAt }
+   */
+  async register(email, password, name) {
+    const session = await this.request('/api/v1/auth/register', {
+      method: 'POST',
+      body: { email, password, ...(name && { name }) },
+      skipAuthRedirect: true
+    });
+    localStorage.setItem(TOKEN_KEY, session.token);
+    return session;
+  }
+
+  /**
+   * Sign in; the returned session token is stored for later calls
+   * @param {string} email - Email address
+   * @param {string} password - Password
+   * @returns {Promise<Object>} - { user, token, expiresAt }
+   */
+  async login(email, password) {
+    const session = await this.request('/api/v1/auth/login', {
+      method: 'POST',
+      body: { email, password },
+      skipAuthRedirect: true
+    });
+    localStorage.setItem(TOKEN_KEY, session.token);
+    return session;
+  }
+
+  /**
+   * Sign out and forget the session token
+   */
+  async logout() {
+    try {
+      await this.request('/api/v1/auth/logout', { method: 'POST', skipAuthRedirect: true });
+    } finally {
+      localStorage.removeItem(TOKEN_KEY);
+    }
+  }
+
+  /**
+   * The signed-in user, checked against the server
+   * @returns {Promise<Object>} - { user }
+   */
+  async getCurrentUser() {
+    return this.request('/api/v1/auth/me', { method: 'GET' });
+  }
+
+  /**
+   * Whether a session token is stored
+   */
+  hasSession() {
+    return Boolean(localStorage.getItem(TOKEN_KEY));
+  }
+
   /**
    * Generate reading passage
    * @param {Object} userProfile - User profile
    * @returns {Promise<Object>} - Generated passage
    */
   async generateReadingPassage(userProfile = {}) {
-    return this.request('/api/ai/reading-passage', {
+    return this.request('/api/v1/ai/reading-passage', {
       method: 'POST',
       body: { userProfile }
     });
@@ -60,12 +159,14 @@ class ApiService {
    * @param {string} originalText - Original passage
    * @param {string} transcript - User transcript
    * @param {number} timeSeconds - Time taken
+   * @param {Array} wordTimings - [{ word, onsetMs }] per transcript word, for the hesitation map
+   * @param {string|null} passageId - Bank passage that was read, so re-screenings get another
    * @returns {Promise<Object>} - Analysis results
    */
-  async analyzeReading(originalText, transcript, timeSeconds) {
-    return this.request('/api/ai/analyze-reading', {
+  async analyzeReading(originalText, transcript, timeSeconds, wordTimings = [], passageId = null) {
+    return this.request('/api/v1/ai/analyze-reading', {
       method: 'POST',
-      body: { originalText, transcript, timeSeconds }
+      body: { originalText, transcript, timeSeconds, wordTimings, passageId }
     });
   }
 
@@ -74,7 +175,7 @@ class ApiService {
    * @returns {Promise<Array<string>>} - Word list
    */
   async getSpellingWords() {
-    const response = await this.request('/api/ai/spelling-words', {
+    const response = await this.request('/api/v1/ai/spelling-words', {
       method: 'GET'
     });
     return response.words;
@@ -86,19 +187,45 @@ class ApiService {
    * @returns {Promise<Object>} - Analysis results
    */
   async analyzeSpelling(spellingResults) {
-    return this.request('/api/ai/analyze-spelling', {
+    return this.request('/api/v1/ai/analyze-spelling', {
       method: 'POST',
       body: { spellingResults }
     });
   }
 
+  /**
+   * Get nonwords for the decoding subtest
+   * @returns {Promise<Array<string>>} - Nonwords, easiest first
+   */
+  async getPseudowords() {
+    const response = await this.request('/api/v1/ai/pseudowords', {
+      method: 'GET'
+    });
+    return response.words;
+  }
+
+  /**
+   * Score nonwords read aloud, phoneme by phoneme
+   * @param {Array} responses - Array of { word, heard } with heard the recognizer's
+   *   alternatives, most likely first
+   * @returns {Promise<Object>} - { itemsCorrect, itemsTotal, itemsSkipped, wordAccuracy,
+   *   phonemeAccuracy, decodingScore, counts, byPattern, items }; the scores are null when
+   *   every word was skipped
+   */
+  async analyzePseudowords(responses) {
+    return this.request('/api/v1/ai/analyze-pseudowords', {
+      method: 'POST',
+      body: { responses }
+    });
+  }
+
   /**
    * Analyze visual test performance
    * @param {Object} rawData - Raw visual test data
    * @returns {Promise<Object>} - Analysis results
    */
   async analyzeVisual(rawData) {
-    return this.request('/api/ai/analyze-visual', {
+    return this.request('/api/v1/ai/analyze-visual', {
       method: 'POST',
       body: rawData
     });
@@ -110,7 +237,7 @@ class ApiService {
    * @returns {Promise<Object>} - Analysis results
    */
   async analyzeCognitive(rawData) {
-    return this.request('/api/ai/analyze-cognitive', {
+    return this.request('/api/v1/ai/analyze-cognitive', {
       method: 'POST',
       body: rawData
     });
@@ -122,7 +249,7 @@ class ApiService {
    * @returns {Promise<Object>} - Comprehensive report
    */
   async generateReport(aggregatedResults) {
-    return this.request('/api/ai/generate-report', {
+    return this.request('/api/v1/ai/generate-report', {
       method: 'POST',
       body: { aggregatedResults }
     });
@@ -137,7 +264,7 @@ class ApiService {
    * @returns {Promise<Object>} - User learning profile
    */
   async generateProfile(assessmentResults, report) {
-    return this.request('/api/assistant/profile', {
+    return this.request('/api/v1/assistant/profile', {
       method: 'POST',
       body: { assessmentResults, report }
     });
@@ -151,7 +278,7 @@ class ApiService {
    * @returns {Promise<Object>} - Adaptive configuration
    */
   async getAdaptiveConfig(userProfile, input, report) {
-    return this.request('/api/assistant/configure', {
+    return this.request('/api/v1/assistant/configure', {
       method: 'POST',
       body: { userProfile, input, report }
     });
@@ -165,12 +292,216 @@ class ApiService {
    * @returns {Promise<Object>} - Processed text and metadata
    */
   async processText(text, config, userProfile) {
-    return this.request('/api/assistant/process', {
+    return this.request('/api/v1/assistant/process', {
+      method: 'POST',
+      body: { text, config, userProfile }
+    });
+  }
+
+  /**
+   * Process text with adaptive assistance, streamed paragraph by paragraph
+   * @param {string} text - Input text (paragraphs separated by blank lines)
+   * @param {Object} config - Assistant configuration
+   * @param {Object} userProfile - User profile
+   * @param {Object} handlers - { onStart({ paragraphs, mode }), onParagraph(paragraph), signal }
+   * @returns {Promise<Object>} - Processed text and metadata, as from processText
+   */
+  async processTextStream(text, config, userProfile, { onStart, onParagraph, signal } = {}) {
+    const endpoint = '/api/v1/assistant/process/stream';
+
+    try {
+      const response = await fetch(`${API_BASE_URL}${endpoint}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          ...authHeaders()
+        },
+        body: JSON.stringify({ text, config, userProfile }),
+        signal
+      });
+
+      if (!response.ok) {
+        if (response.status === 401) handleUnauthorized();
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || data.error || 'API request failed');
+      }
+
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+      let result = null;
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+
+        for (const frame of frames) {
+          const { event, data } = parseEvent(frame);
+          if (event === 'start') onStart?.(data);
+          else if (event === 'paragraph') onParagraph?.(data);
+          else if (event === 'done') result = data;
+          else if (event === 'error') throw new Error(data.message || data.error);
+        }
+      }
+
+      if (!result) {
+        throw new Error('Stream ended before processing finished');
+      }
+      return result;
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error(`API request failed: ${endpoint}`, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Extract text from a TXT, Markdown, PDF or DOCX file on the server
+   * @param {File} file - File chosen by the user
+   * @returns {Promise<Object>} - { text, fileName, fileType, characterCount, wordCount, paragraphCount }
+   */
+  async uploadDocument(file) {
+    const form = new FormData();
+    form.append('file', file);
+    return this.request('/api/v1/assistant/upload', {
+      method: 'POST',
+      body: form
+    });
+  }
+
+  /**
+   * Open the real-time writing assistance channel (WebSocket)
+   * Send the whole text after each edit; suggestions arrive once the writer pauses.
+   * @param {Object} handlers - { onSuggestions({ version, suggestions, sentences }), onStatus('connecting'|'open'|'closed'), onError(message) }
+   * @returns {Object} - { sendText(text) returning the edit's version, close() }
+   */
+  openLiveWriting({ onSuggestions, onStatus, onError } = {}) {
+    const url = new URL('/api/v1/assistant/live', API_BASE_URL);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token) url.searchParams.set('token', token);
+
+    const socket = new WebSocket(url);
+    let version = 0;
+    let pending = null; // latest edit made before the server was ready
+    onStatus?.('connecting');
+
+    socket.onmessage = (event) => {
+      const message = JSON.parse(event.data);
+      if (message.type === 'ready') {
+        onStatus?.('open');
+        if (pending) socket.send(pending);
+        pending = null;
+      } else if (message.type === 'suggestions') {
+        onSuggestions?.(message);
+      } else if (message.type === 'error') {
+        onError?.(message.message || message.error);
+      }
+    };
+    socket.onclose = () => onStatus?.('closed');
+
+    return {
+      sendText(text) {
+        version += 1;
+        const message = JSON.stringify({ type: 'edit', text, version });
+        if (socket.readyState === WebSocket.OPEN && !pending) socket.send(message);
+        else pending = message;
+        return version;
+      },
+      close() {
+        socket.close();
+      }
+    };
+  }
+
+  // ========== JOB ENDPOINTS ==========
+
+  /**
+   * Process a long text in the background
+   * @param {string} text - Input text (paragraphs separated by blank lines)
+   * @param {Object} config - Assistant configuration
+   * @param {Object} userProfile - User profile
+   * @returns {Promise<Object>} - The queued job { id, status, progress, ... }
+   */
+  async submitProcessingJob(text, config, userProfile) {
+    return this.request('/api/v1/jobs', {
       method: 'POST',
       body: { text, config, userProfile }
     });
   }
 
+  /**
+   * Process a TXT, Markdown, PDF or DOCX file in the background
+   * @param {File} file - File chosen by the user
+   * @param {Object} config - Assistant configuration
+   * @param {Object} userProfile - User profile (optional)
+   * @returns {Promise<Object>} - The queued job
+   */
+  async submitDocumentJob(file, config, userProfile) {
+    const form = new FormData();
+    form.append('file', file);
+    form.append('config', JSON.stringify(config));
+    if (userProfile) form.append('userProfile', JSON.stringify(userProfile));
+    return this.request('/api/v1/jobs/upload', {
+      method: 'POST',
+      body: form
+    });
+  }
+
+  /**
+   * Job status and progress
+   * @param {string} jobId - Job id
+   * @returns {Promise<Object>} - { id, status, progress: { stage, completed, total, percent }, error, ... }
+   */
+  async getJob(jobId) {
+    return this.request(`/api/v1/jobs/${jobId}`, { method: 'GET' });
+  }
+
+  /**
+   * Result of a completed job (a processText response)
+   * @param {string} jobId - Job id
+   */
+  async getJobResult(jobId) {
+    return this.request(`/api/v1/jobs/${jobId}/result`, { method: 'GET' });
+  }
+
+  /**
+   * Cancel a queued or running job
+   * @param {string} jobId - Job id
+   */
+  async cancelJob(jobId) {
+    return this.request(`/api/v1/jobs/${jobId}`, { method: 'DELETE' });
+  }
+
+  /**
+   * Poll a job until it finishes, then return its result
+   * @param {string} jobId - Job id
+   * @param {Object} options - { onProgress(job), intervalMs (default 1000), signal }
+   * @returns {Promise<Object>} - The job's result
+   */
+  async waitForJob(jobId, { onProgress, intervalMs = 1000, signal } = {}) {
+    for (;;) {
+      if (signal?.aborted) {
+        throw new DOMException('Job polling aborted', 'AbortError');
+      }
+
+      const job = await this.getJob(jobId);
+      onProgress?.(job);
+
+      if (job.status === 'completed') return this.getJobResult(jobId);
+      if (job.status === 'failed' || job.status === 'cancelled') {
+        throw new Error(job.error || `Job ${job.status}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  }
+
   /**
    * Analyze writing
    * @param {string} userText - User's written text
@@ -179,7 +510,7 @@ class ApiService {
    * @returns {Promise<Object>} - Analysis results
    */
   async analyzeWriting(userText, referenceText, userProfile) {
-    return this.request('/api/assistant/analyze-writing', {
+    return this.request('/api/v1/assistant/analyze-writing', {
       method: 'POST',
       body: { userText, referenceText, userProfile }
     });
@@ -192,35 +523,124 @@ class ApiService {
    * @returns {Promise<Object>} - Tracked metrics
    */
   async trackPerformance(sessionType, sessionData) {
-    return this.request('/api/assistant/track-performance', {
+    return this.request('/api/v1/assistant/track-performance', {
       method: 'POST',
       body: { sessionType, sessionData }
     });
   }
 
   /**
-   * Update user profile
-   * @param {Object} currentProfile - Current profile
-   * @param {Array} performanceHistory - Performance history
+   * Update the learning profile from the performance history stored on the server
+   * @param {Object} currentProfile - Current profile (optional; defaults to the stored one)
    * @returns {Promise<Object>} - Updated profile
    */
-  async updateProfile(currentProfile, performanceHistory) {
-    return this.request('/api/assistant/update-profile', {
+  async updateProfile(currentProfile) {
+    return this.request('/api/v1/assistant/update-profile', {
       method: 'POST',
-      body: { currentProfile, performanceHistory }
+      body: currentProfile ? { currentProfile } : {}
     });
   }
 
   /**
-   * Get performance trends
-   * @param {Array} performanceHistory - Performance history
+   * Get performance trends over the sessions stored on the server
    * @returns {Promise<Object>} - Trend analysis
    */
-  async getTrends(performanceHistory) {
-    // Use POST for trends since we need to send data
-    return this.request('/api/assistant/trends', {
+  async getTrends() {
+    return this.request('/api/v1/assistant/trends', {
+      method: 'GET'
+    });
+  }
+
+  /**
+   * Record an accepted or rejected writing suggestion
+   * @param {Object} suggestion - { id, type, original, corrected }
+   * @param {string} action - 'accepted' | 'rejected'
+   * @param {Object} userProfile - User learning profile (supplies the suggestion level)
+   * @returns {Promise<Object>} - Stored feedback entry
+   */
+  async sendSuggestionFeedback(suggestion, action, userProfile) {
+    return this.request('/api/v1/assistant/feedback', {
+      method: 'POST',
+      body: {
+        suggestionId: suggestion.id,
+        action,
+        errorType: suggestion.type,
+        original: suggestion.original,
+        corrected: suggestion.corrected,
+        userProfile
+      }
+    });
+  }
+
+  /**
+   * Get suggestion accept rates by error category and suggestion level
+   * @returns {Promise<Object>} - { accepted, rejected, total, acceptRate, byCategory, byLevel }
+   */
+  async getSuggestionFeedbackStats() {
+    return this.request('/api/v1/assistant/feedback/stats', {
+      method: 'GET'
+    });
+  }
+
+  // ========== STORED USER DATA ==========
+
+  /**
+   * Everything stored for the signed-in user, for restoring a session
+   * @returns {Promise<Object>} - { profile, latestReport, learningProfile, sessions }
+   */
+  async getUserData() {
+    const [{ profile }, { reports }, { learningProfile }, { sessions }] = await Promise.all([
+      this.request('/api/v1/me/profile', { method: 'GET' }),
+      this.request('/api/v1/me/reports?limit=1', { method: 'GET' }),
+      this.request('/api/v1/me/learning-profile', { method: 'GET' }),
+      this.request('/api/v1/me/sessions?limit=1000', { method: 'GET' })
+    ]);
+    return { profile, latestReport: reports[0] || null, learningProfile, sessions };
+  }
+
+  /**
+   * Replace the stored basic profile
+   * @param {Object} profile - { name, ageGroup, preferredLanguage }
+   */
+  async saveUserProfile(profile) {
+    return this.request('/api/v1/me/profile', {
+      method: 'PUT',
+      body: profile
+    });
+  }
+
+  /**
+   * Store a screening report
+   * @param {Object} report - Diagnostic report
+   * @param {Object} assessmentResults - Results the report was built from
+   */
+  async saveReport(report, assessmentResults) {
+    return this.request('/api/v1/me/reports', {
+      method: 'POST',
+      body: { report, assessmentResults: assessmentResults || null }
+    });
+  }
+
+  /**
+   * Replace the stored learning profile
+   * @param {Object} learningProfile - Learning profile
+   */
+  async saveLearningProfile(learningProfile) {
+    return this.request('/api/v1/me/learning-profile', {
+      method: 'PUT',
+      body: learningProfile
+    });
+  }
+
+  /**
+   * Record a reading or writing session
+   * @param {string} type - 'reading' | 'writing'
+   * @param {Object} data - Session data
+   */
+  async saveSession(type, data) {
+    return this.request('/api/v1/me/sessions', {
       method: 'POST',
-      body: { performanceHistory }
+      body: { type, data }
     });
   }
 }
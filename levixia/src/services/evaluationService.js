@@ -233,6 +233,13 @@ export class ReadingEvaluator {
     return {
       accuracy: data.accuracyPercent || 0,
       wpm: data.wpm || 0,
+      wcpm: data.wcpm ?? null,
+      miscueCounts: data.miscueAnalysis?.counts || null,
+      hesitationCounts: data.hesitations?.counts || null,
+      comprehensionScore: data.comprehension?.percent ?? null,
+      comprehensionByType: data.comprehension?.byType || null,
+      passageId: data.passage?.id ?? null,
+      passageLevel: data.passage?.level ?? null,
       errorType: data.errorType || 'Unknown',
       errorPatterns: data.errorPatterns || [],
       dyslexiaLikelihood: data.dyslexiaLikelihood || 'Low',
@@ -244,11 +251,44 @@ export class ReadingEvaluator {
     };
   }
 
+  /**
+   * Score the comprehension questions asked after reading
+   * @param {Array} questions - [{ type, question, options, answer }] from the passage
+   * @param {Array} chosen - The option chosen for each question (null if skipped)
+   * @returns {Object|null} - { correct, total, percent, byType: { literal, inferential,
+   *   vocabulary } as percents (null when no question of the type), answers }, or null
+   *   without questions
+   */
+  static scoreComprehension(questions = [], chosen = []) {
+    if (!questions.length) return null;
+
+    const answers = questions.map((q, i) => ({
+      type: q.type,
+      question: q.question,
+      chosen: chosen[i] ?? null,
+      answer: q.answer,
+      correct: chosen[i] === q.answer
+    }));
+    const percentOf = list => (list.length ? Math.round((list.filter(a => a.correct).length / list.length) * 100) : null);
+    const correct = answers.filter(a => a.correct).length;
+
+    return {
+      correct,
+      total: answers.length,
+      percent: percentOf(answers),
+      byType: Object.fromEntries(
+        ['literal', 'inferential', 'vocabulary'].map(type => [type, percentOf(answers.filter(a => a.type === type))])
+      ),
+      answers
+    };
+  }
+
   /**
    * Calculate reading fluency score
    */
   static calculateFluencyScore(data) {
-    const wpm = data.wpm || 0;
+    // Words correct per minute when measured, otherwise words per minute
+    const wpm = data.wcpm ?? data.wpm ?? 0;
     const accuracy = data.accuracyPercent || 0;
     
     // Normalize WPM (typical range: 50-200 for children)
@@ -272,6 +312,28 @@ export class ReadingEvaluator {
   }
 }
 
+/**
+ * Nonword Decoding Evaluation (scored phoneme by phoneme on the server, provides structure)
+ */
+export class DecodingEvaluator {
+  /**
+   * Structure nonword reading data for holistic analysis
+   * @param {Object} data - Nonword reading results (server/services/pseudowordDecoding.js)
+   * @returns {Object} - Structured decoding metrics; decodingScore is null when the subtest
+   *   was not taken
+   */
+  static structure(data) {
+    return {
+      decodingScore: data.decodingScore ?? null,
+      wordAccuracy: data.wordAccuracy ?? null,
+      phonemeAccuracy: data.phonemeAccuracy ?? null,
+      vowelErrors: data.counts?.vowel ?? 0,
+      consonantErrors: data.counts?.consonant ?? 0,
+      byPattern: data.byPattern || {}
+    };
+  }
+}
+
 /**
  * Spelling Test Evaluation (uses LLM for classification, provides structure)
  */
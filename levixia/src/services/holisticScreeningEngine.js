@@ -7,7 +7,7 @@
  * Severity: No Significant Difficulty | Mild | Moderate | Severe (from accuracy, speed, errors, cognitive load).
  */
 
-import { CognitiveEvaluator, VisualEvaluator, ReadingEvaluator, SpellingEvaluator } from './evaluationService';
+import { CognitiveEvaluator, VisualEvaluator, ReadingEvaluator, DecodingEvaluator, SpellingEvaluator } from './evaluationService';
 import apiService from './apiService';
 
 const SEVERITY_LEVELS = ['No Significant Difficulty', 'Mild', 'Moderate', 'Severe'];
@@ -15,7 +15,7 @@ const SEVERITY_LEVELS = ['No Significant Difficulty', 'Mild', 'Moderate', 'Sever
 class HolisticScreeningEngine {
   /**
    * Process and aggregate all test results (exhaustive screening)
-   * @param {Object} results - { cognitive, visual, reading, spelling }
+   * @param {Object} results - { cognitive, visual, reading, decoding, spelling }
    * @returns {Promise<Object>} - Comprehensive screening results with classification and severity
    */
   async processResults(results) {
@@ -23,6 +23,7 @@ class HolisticScreeningEngine {
     const cognitiveMetrics = CognitiveEvaluator.evaluate(results.cognitive || {});
     const visualMetrics = VisualEvaluator.evaluate(results.visual || {});
     const readingMetrics = ReadingEvaluator.structure(results.reading || {});
+    const decodingMetrics = DecodingEvaluator.structure(results.decoding || {});
     const spellingMetrics = SpellingEvaluator.structure(results.spelling || {});
 
     // Step 2: Normalize scores (0-100 scale) and build dimension summary
@@ -30,6 +31,7 @@ class HolisticScreeningEngine {
       cognitive: cognitiveMetrics,
       visual: visualMetrics,
       reading: readingMetrics,
+      decoding: decodingMetrics,
       spelling: spellingMetrics
     });
 
@@ -54,6 +56,7 @@ class HolisticScreeningEngine {
       cognitive: cognitiveMetrics,
       visual: visualMetrics,
       reading: readingMetrics,
+      decoding: decodingMetrics,
       spelling: spellingMetrics,
       correlations,
       severityByDimension
@@ -76,6 +79,11 @@ class HolisticScreeningEngine {
         metrics: readingMetrics,
         normalized: normalizedScores.reading
       },
+      decoding: {
+        raw: results.decoding,
+        metrics: decodingMetrics,
+        normalized: normalizedScores.decoding
+      },
       spelling: {
         raw: results.spelling,
         metrics: spellingMetrics,
@@ -119,7 +127,10 @@ class HolisticScreeningEngine {
     const visual = metrics.visual || {};
     const cognitive = metrics.cognitive || {};
 
-    const readingScore = (reading.accuracy || 0) * 0.5 + (reading.fluencyScore || 0) * 0.3 + (reading.decodingScore || 0) * 0.2;
+    // Comprehension takes a share of the reading score when the questions were answered
+    const readingScore = reading.comprehensionScore != null
+      ? (reading.accuracy || 0) * 0.4 + (reading.fluencyScore || 0) * 0.25 + (reading.decodingScore || 0) * 0.15 + reading.comprehensionScore * 0.2
+      : (reading.accuracy || 0) * 0.5 + (reading.fluencyScore || 0) * 0.3 + (reading.decodingScore || 0) * 0.2;
     const spellingScore = (spelling.accuracy || 0) * 0.6 + (100 - (spelling.orthographicWeakness || 0)) * 0.2 + (100 - (spelling.phonemeGraphemeMismatch || 0)) * 0.2;
     const visualScore = (visual.patternRecognitionScore || 0) * 0.4 + (visual.visualStressScore || 0) * 0.3 + (100 - (visual.trackingDifficultyIndex || 0)) * 0.3;
     const cognitiveScore = (cognitive.executiveFunctionScore || 0) * 0.4 + (cognitive.attentionScore || 0) * 0.3 + (cognitive.taskSwitchingScore || 0) * 0.3;
@@ -154,7 +165,13 @@ class HolisticScreeningEngine {
       reading: {
         overall: metrics.reading.accuracy || 0,
         fluency: metrics.reading.fluencyScore || 0,
-        decoding: metrics.reading.decodingScore || 0
+        decoding: metrics.reading.decodingScore || 0,
+        comprehension: metrics.reading.comprehensionScore ?? null
+      },
+      decoding: {
+        overall: metrics.decoding?.decodingScore ?? null,
+        words: metrics.decoding?.wordAccuracy ?? null,
+        phonemes: metrics.decoding?.phonemeAccuracy ?? null
       },
       spelling: {
         overall: metrics.spelling.accuracy || 0,
@@ -189,7 +206,8 @@ class HolisticScreeningEngine {
     // Working memory issues often affect reading comprehension
     const memoryLow = metrics.cognitive.workingMemoryScore < 60;
     const readingLow = metrics.reading.accuracy < 70;
-    if (memoryLow && readingLow) {
+    const comprehensionLow = metrics.reading.comprehensionScore != null && metrics.reading.comprehensionScore < 60;
+    if (memoryLow && (readingLow || comprehensionLow)) {
       correlations.cognitiveReading = 0.8;
     }
 
@@ -235,7 +253,7 @@ class HolisticScreeningEngine {
    * Auditory, Developmental, Acquired. ADHD: inattention, impulsivity, executive function.
    */
   inferConditionType(data) {
-    const { cognitive, visual, reading, spelling, correlations, severityByDimension } = data;
+    const { cognitive, visual, reading, decoding = {}, spelling, correlations, severityByDimension } = data;
 
     const dyslexiaTypes = [];
     const adhdIndicators = [];
@@ -253,12 +271,22 @@ class HolisticScreeningEngine {
     const taskSwitchingLow = (cognitive.taskSwitchingScore || 0) < 60;
     const executiveLow = (cognitive.executiveFunctionScore || 0) < 60;
     const memoryLow = (cognitive.workingMemoryScore || 0) < 60;
-
-    // Phonological Dyslexia: sound–letter mapping, decoding
-    if (readingLow && spellingLow && phonologicalIssues && correlations.readingSpelling > 0.6) {
+    const decodingMeasured = decoding.decodingScore != null;
+    const nonwordDecodingLow = decodingMeasured && decoding.decodingScore < 70;
+
+    // Phonological Dyslexia: sound–letter mapping, decoding. Nonwords cannot be read from
+    // sight-word memory, so when they were read the nonword decoding score decides; a weak
+    // score with typical real-word reading is a compensated phonological difficulty.
+    // Without it, real-word reading and spelling both have to point to it.
+    const phonologicalDeficit = decodingMeasured
+      ? nonwordDecodingLow
+      : readingLow && spellingLow && phonologicalIssues && correlations.readingSpelling > 0.6;
+    if (phonologicalDeficit) {
       dyslexiaTypes.push('Phonological Dyslexia');
       if (!primaryType) primaryType = 'Phonological Dyslexia';
-      confidence = Math.max(confidence, 0.78);
+      // Lower when only the nonwords show it
+      const corroborated = readingLow || spellingLow || phonologicalIssues;
+      confidence = Math.max(confidence, !decodingMeasured ? 0.78 : corroborated ? 0.84 : 0.7);
     }
 
     // Surface Dyslexia: sight word / irregular word reading
@@ -296,6 +324,10 @@ class HolisticScreeningEngine {
       confidence = Math.max(confidence, 0.62);
     }
 
+    // Decoding vs comprehension: dyslexia is a decoding difficulty, so weak comprehension
+    // with sound decoding points elsewhere (language or attention) rather than to a dyslexia type
+    const readingProfile = this.readingProfile(reading);
+
     // Developmental vs Acquired: assume developmental for screening (no injury history)
     if (dyslexiaTypes.length > 0) {
       dyslexiaTypes.push('Developmental Dyslexia');
@@ -343,7 +375,31 @@ class HolisticScreeningEngine {
       adhdIndicators: [...new Set(adhdIndicators)],
       primaryType: primaryType || (adhdIndicators.length > 0 ? 'ADHD-related indicators' : 'None identified'),
       severity: overallSeverity,
-      confidence: Math.round(Math.min(0.95, confidence) * 100) / 100
+      confidence: Math.round(Math.min(0.95, confidence) * 100) / 100,
+      readingProfile
+    };
+  }
+
+  /**
+   * Which part of reading is weak: decoding (accuracy and phonological decoding), comprehension
+   * (the questions after the passage), both, or neither
+   * @returns {Object} - { decoding: 'weak' | 'typical', comprehension: 'weak' | 'typical' |
+   *   'not measured', pattern: 'decoding' | 'comprehension' | 'decoding-and-comprehension' | 'none' }
+   */
+  readingProfile(reading) {
+    const decodingWeak = (reading.accuracy || 0) < 70 || (reading.decodingScore || 0) < 60;
+    const measured = reading.comprehensionScore != null;
+    const comprehensionWeak = measured && reading.comprehensionScore < 60;
+
+    let pattern = 'none';
+    if (decodingWeak && comprehensionWeak) pattern = 'decoding-and-comprehension';
+    else if (decodingWeak) pattern = 'decoding';
+    else if (comprehensionWeak) pattern = 'comprehension';
+
+    return {
+      decoding: decodingWeak ? 'weak' : 'typical',
+      comprehension: !measured ? 'not measured' : comprehensionWeak ? 'weak' : 'typical',
+      pattern
     };
   }
 
@@ -351,7 +407,7 @@ class HolisticScreeningEngine {
    * Generate fallback report (mandatory format: detected conditions, severity, disclaimer)
    */
   generateFallbackReport(aggregatedData) {
-    const { inference, cognitive, visual, reading, spelling, severityByDimension } = aggregatedData;
+    const { inference, cognitive, visual, reading, decoding, spelling, severityByDimension } = aggregatedData;
 
     const strengths = [];
     const challenges = [];
@@ -364,6 +420,8 @@ class HolisticScreeningEngine {
     if (strengths.length === 0) strengths.push('Willingness to engage', 'Clear self-awareness');
 
     if (reading.metrics.accuracy < 70) challenges.push('Reading fluency');
+    if (decoding?.metrics.decodingScore != null && decoding.metrics.decodingScore < 70) challenges.push('Sounding out new words');
+    if (inference.readingProfile?.comprehension === 'weak') challenges.push('Reading comprehension');
     if (spelling.metrics.accuracy < 70) challenges.push('Spelling consistency');
     if (visual.metrics.visualStressScore < 60) challenges.push('Visual processing');
     if (cognitive.metrics.workingMemoryScore < 60) challenges.push('Working memory');
@@ -374,6 +432,9 @@ class HolisticScreeningEngine {
     if (visual.metrics.visualStressScore < 60) {
       recommendations.push({ category: 'Visual Adjustments', items: ['Dyslexia-friendly font', 'Letter spacing', 'Line spacing', 'Color contrast'] });
     }
+    if (inference.readingProfile?.pattern === 'comprehension') {
+      recommendations.push({ category: 'Comprehension Support', items: ['Keyword highlighting', 'Chunked text', 'Text-to-speech'] });
+    }
     if (cognitive.metrics.cognitiveLoadScore > 70) {
       recommendations.push({ category: 'Cognitive Support', items: ['Cognitive load reduction', 'Chunked text', 'Writing support'] });
     }
@@ -392,7 +453,9 @@ class HolisticScreeningEngine {
       perTestBreakdown: {
         cognitive: `Working memory: ${cognitive.metrics.workingMemoryScore}%, Attention: ${cognitive.metrics.attentionScore}%`,
         visual: `Visual processing: ${visual.metrics.patternRecognitionScore}%, Stress: ${visual.metrics.visualStressScore}%`,
-        reading: `Reading accuracy: ${reading.metrics.accuracy}%, Fluency: ${reading.metrics.fluencyScore}%`,
+        reading: `Reading accuracy: ${reading.metrics.accuracy}%, Fluency: ${reading.metrics.fluencyScore}%` +
+          (reading.metrics.comprehensionScore != null ? `, Comprehension: ${reading.metrics.comprehensionScore}%` : '') +
+          (decoding?.metrics.decodingScore != null ? `, Nonword decoding: ${decoding.metrics.decodingScore}%` : ''),
         spelling: `Spelling accuracy: ${spelling.metrics.accuracy}%`
       },
       severityByDimension: severityByDimension || {},
@@ -400,7 +463,12 @@ class HolisticScreeningEngine {
       personalizedFeedback: 'Use the recommended tools to support your learning. For persistent difficulties, consider a professional evaluation.',
       recommendations: recommendations.length > 0 ? recommendations : [{ category: 'General', items: ['Personalized assistant settings'] }],
       disclaimer: 'This report is from a screening and personalization tool only. It is not a medical or clinical diagnosis. For diagnosis or treatment, please see a qualified professional.',
-      recommendProfessionalEvaluation: recommendProfessional
+      recommendProfessionalEvaluation: recommendProfessional,
+      metadata: {
+        promptTemplate: null,
+        llmProvider: null,
+        generatedAt: new Date().toISOString()
+      }
     };
   }
 }
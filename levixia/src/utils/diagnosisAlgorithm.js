@@ -6,7 +6,7 @@
 import holisticScreeningEngine from '../services/holisticScreeningEngine';
 
 /**
- * @param {Object} results - { reading, spelling, visual, cognitive }
+ * @param {Object} results - { reading, decoding, spelling, visual, cognitive }
  * @returns {Promise<Object>} report compatible with UserContext.report
  */
 export async function computeReportFromResults(results) {
@@ -76,6 +76,9 @@ export async function computeReportFromResults(results) {
         visualAccuracy: visual.accuracy ?? 0,
         cognitiveAccuracy: cognitive.accuracy ?? 0,
         readingWpm: reading.wpm,
+        readingComprehension: reading.comprehension?.percent ?? null,
+        readingHesitations: reading.hesitations || null,
+        decodingScore: results.decoding?.decodingScore ?? null,
         visualTime: visual.timeElapsed,
       },
     };
@@ -100,6 +103,7 @@ function computeReportFromResultsFallback(results) {
   const spellingAccuracy = spelling.accuracyPercent ?? 0;
   const visualAccuracy = visual.accuracy ?? 0;
   const cognitiveAccuracy = cognitive.accuracy ?? 0;
+  const decodingScore = results.decoding?.decodingScore ?? null;
 
   const dyslexiaTypes = [];
   const cognitiveIndicators = [];
@@ -107,8 +111,9 @@ function computeReportFromResultsFallback(results) {
   const challenges = [];
   const recommendedFeatures = [];
 
-  // Phonological Dyslexia: Spelling < 60% AND Reading < 70%
-  if (spellingAccuracy < 60 && readingAccuracy < 70) {
+  // Phonological Dyslexia: nonword decoding < 70% when measured, else Spelling < 60% AND Reading < 70%
+  const phonological = decodingScore != null ? decodingScore < 70 : spellingAccuracy < 60 && readingAccuracy < 70;
+  if (phonological) {
     dyslexiaTypes.push('Phonological');
     challenges.push('Sound-letter linking', 'Decoding and spelling');
     recommendedFeatures.push('Bionic Reading', 'Text-to-speech', 'Phonetic spelling support');
@@ -131,13 +136,19 @@ function computeReportFromResultsFallback(results) {
     recommendedFeatures.push('Cognitive load reduction', 'Chunked text', 'Writing support rules');
   }
 
+  // Comprehension: questions answered after the passage
+  if (reading.comprehension && reading.comprehension.percent < 60) {
+    challenges.push('Reading comprehension');
+    recommendedFeatures.push('Keyword highlighting', 'Chunked text');
+  }
+
   // Mixed if multiple types
   if (dyslexiaTypes.length >= 2) {
     dyslexiaTypes.splice(0, dyslexiaTypes.length, 'Mixed');
   }
 
-  // Default type if none identified
-  if (dyslexiaTypes.length === 0 && (readingAccuracy < 80 || spellingAccuracy < 80)) {
+  // Default type if none identified, unless typical nonword decoding rules it out
+  if (dyslexiaTypes.length === 0 && decodingScore == null && (readingAccuracy < 80 || spellingAccuracy < 80)) {
     dyslexiaTypes.push('Phonological');
     recommendedFeatures.push('Bionic Reading', 'Text-to-speech');
   }
@@ -183,6 +194,9 @@ function computeReportFromResultsFallback(results) {
       visualAccuracy,
       cognitiveAccuracy,
       readingWpm: reading.wpm,
+      readingComprehension: reading.comprehension?.percent ?? null,
+      readingHesitations: reading.hesitations || null,
+      decodingScore,
       visualTime: visual.timeElapsed,
     },
   };
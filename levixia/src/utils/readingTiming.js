@@ -0,0 +1,57 @@
+/**
+ * Word timings for the reading test from speech recognition results.
+ * With interimResults on, the recognizer reports its running guess while the reader is
+ * still speaking, so the first time a word position appears in any guess is taken as
+ * that word's onset. Later guesses may change the word; its onset stays.
+ * The server turns these into latencies, pauses, regressions and restarts
+ * (server/services/readingHesitations.js).
+ */
+
+const WORD_PATTERN = /[A-Za-z0-9]+(?:['’][A-Za-z0-9]+)*/g;
+
+const wordsOf = text => text.match(WORD_PATTERN) || [];
+
+/**
+ * Start timing a reading
+ * @param {Function} now - Clock in ms (performance.now by default)
+ * @returns {Object} - { record(event), transcript(), wordTimings() }
+ */
+export function createWordTimer(now = () => performance.now()) {
+  const startedAt = now();
+  const onsets = [];
+  let texts = [];
+
+  return {
+    /**
+     * Record a SpeechRecognition result event (interim or final)
+     */
+    record(event) {
+      const elapsed = Math.round(now() - startedAt);
+      texts = Array.from(event.results, result => result[0].transcript);
+
+      const heard = wordsOf(texts.join(' '));
+      heard.forEach((_, k) => {
+        if (onsets[k] === undefined) onsets[k] = elapsed;
+      });
+    },
+
+    /**
+     * What was read. The test stops recognition before it finalizes the last words, so
+     * the latest guess for those is kept along with the final results.
+     */
+    transcript() {
+      return texts.map(text => text.trim()).filter(Boolean).join(' ');
+    },
+
+    /**
+     * [{ word, onsetMs }] for each word of the transcript, onsetMs from the start of timing
+     */
+    wordTimings() {
+      let latest = 0;
+      return wordsOf(this.transcript()).map((word, k) => {
+        latest = onsets[k] ?? latest;
+        return { word, onsetMs: latest };
+      });
+    }
+  };
+}